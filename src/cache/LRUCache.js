@@ -0,0 +1,72 @@
+/**
+ * LRU Cache
+ *
+ * Map-backed least-recently-used cache with a size limit. Sizes come
+ * from a sizeOf function, so the limit can count entries (the default)
+ * or bytes (e.g. value => value.byteLength for typed arrays).
+ */
+
+export class LRUCache {
+    /**
+     * @param {Object} options
+     * @param {number} options.maxSize - Total size kept before evicting
+     * @param {Function} options.sizeOf - value => size of one entry
+     */
+    constructor({ maxSize = 100, sizeOf = () => 1 } = {}) {
+        this.maxSize = maxSize;
+        this.sizeOf = sizeOf;
+        this.entries = new Map();
+        this.size = 0;
+    }
+
+    has(key) {
+        return this.entries.has(key);
+    }
+
+    /**
+     * Value of a key, marking it most recently used
+     */
+    get(key) {
+        if (!this.entries.has(key)) return undefined;
+        const entry = this.entries.get(key);
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return entry.value;
+    }
+
+    /**
+     * Store a value and evict the least recently used entries over the
+     * limit; a value larger than the whole limit is not kept
+     */
+    set(key, value) {
+        this.delete(key);
+
+        const size = this.sizeOf(value);
+        if (size > this.maxSize) return this;
+
+        this.entries.set(key, { value, size });
+        this.size += size;
+
+        while (this.size > this.maxSize) {
+            this.delete(this.entries.keys().next().value);
+        }
+        return this;
+    }
+
+    delete(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return false;
+        this.entries.delete(key);
+        this.size -= entry.size;
+        return true;
+    }
+
+    clear() {
+        this.entries.clear();
+        this.size = 0;
+    }
+
+    get count() {
+        return this.entries.size;
+    }
+}
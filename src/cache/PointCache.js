@@ -0,0 +1,242 @@
+/**
+ * Point Cache
+ *
+ * Sampled orbital point sets by (n, l, m, Z, basis, radial model, seed), so
+ * going back to a visited element, or reopening the app, does not
+ * resample them:
+ * - An in-memory LRU of Float32Arrays, limited in bytes
+ * - Backed by IndexedDB, also limited in bytes; the least recently used
+ *   sets are deleted first
+ *
+ * A set is the start of the orbital's seeded point sequence (see
+ * sampleOrbitalRange), so any prefix of a stored set is exactly what
+ * sampling fewer points would give, and a larger request only has to
+ * sample the missing points.
+ */
+
+import { LRUCache } from './LRUCache.js';
+
+const DB_NAME = 'plasma-kepler';
+const DB_VERSION = 1;
+
+// Sizes and last use of every set, and the points themselves, so the
+// disk LRU can be kept without loading any points
+const META_STORE = 'point-meta';
+const POINT_STORE = 'points';
+
+// Part of every key; bump when the sampler or the radial models change
+// so points stored by older code are never used
+const CACHE_VERSION = 2;
+
+const DEFAULT_MEMORY_LIMIT = 64 * 1024 * 1024;
+const DEFAULT_DISK_LIMIT = 256 * 1024 * 1024;
+
+/**
+ * Cache key of an orbital's points
+ * @param {Object} orbital - {n, l, m, Z, basis, model, seed}
+ */
+export function pointCacheKey({ n, l, m, Z, basis, model, seed }) {
+    return `v${CACHE_VERSION}:${n},${l},${m}:Z=${Z}:${basis}:${model.key}:seed=${seed}`;
+}
+
+/**
+ * Promise of the result of an IndexedDB request
+ */
+function requestResult(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Promise that a transaction has committed
+ */
+function transactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * @returns {Promise<IDBDatabase|null>} null where IndexedDB is unavailable
+ */
+function openDatabase() {
+    if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore(META_STORE, { keyPath: 'key' }).createIndex('lastUsed', 'lastUsed');
+        db.createObjectStore(POINT_STORE, { keyPath: 'key' });
+    };
+
+    return requestResult(request).catch((error) => {
+        console.warn(`Point cache: IndexedDB unavailable, caching in memory only (${error?.message})`);
+        return null;
+    });
+}
+
+export class PointCache {
+    /**
+     * @param {Object} options
+     * @param {number} options.memoryLimit - Bytes of points kept in memory
+     * @param {number} options.diskLimit - Bytes of points kept in IndexedDB
+     * @param {Function} options.onUsageChange - Called with usage() whenever it changes
+     */
+    constructor({ memoryLimit = DEFAULT_MEMORY_LIMIT, diskLimit = DEFAULT_DISK_LIMIT, onUsageChange = null } = {}) {
+        this.memory = new LRUCache({ maxSize: memoryLimit, sizeOf: positions => positions.byteLength });
+        this.diskLimit = diskLimit;
+        this.diskBytes = 0;
+        this.onUsageChange = onUsageChange;
+
+        this.db = openDatabase().then(async (db) => {
+            if (db) {
+                this.diskBytes = await this._measureDisk(db);
+                this._emitUsage();
+            }
+            return db;
+        });
+    }
+
+    /**
+     * Stored points of a key, from memory or else from disk
+     * @returns {Promise<Float32Array|null>}
+     */
+    async get(key) {
+        const cached = this.memory.get(key);
+        if (cached) return cached;
+
+        const db = await this.db;
+        if (!db) return null;
+
+        try {
+            const transaction = db.transaction([META_STORE, POINT_STORE], 'readwrite');
+            const record = await requestResult(transaction.objectStore(POINT_STORE).get(key));
+            if (!record) return null;
+
+            // Mark it used for the disk LRU
+            transaction.objectStore(META_STORE).put({
+                key,
+                bytes: record.positions.byteLength,
+                lastUsed: Date.now()
+            });
+
+            this.memory.set(key, record.positions);
+            this._emitUsage();
+            return record.positions;
+        } catch (error) {
+            console.warn(`Point cache: could not read ${key} (${error?.message})`);
+            return null;
+        }
+    }
+
+    /**
+     * Store the points of a key, unless a set at least as large is
+     * already stored
+     */
+    put(key, positions) {
+        const current = this.memory.get(key);
+        if (current && current.length >= positions.length) return;
+
+        this.memory.set(key, positions);
+        this._emitUsage();
+        this._store(key, positions);
+    }
+
+    async _store(key, positions) {
+        const db = await this.db;
+        if (!db) return;
+
+        try {
+            const transaction = db.transaction([META_STORE, POINT_STORE], 'readwrite');
+            const meta = transaction.objectStore(META_STORE);
+            const previous = await requestResult(meta.get(key));
+            meta.put({ key, bytes: positions.byteLength, lastUsed: Date.now() });
+            transaction.objectStore(POINT_STORE).put({ key, positions });
+            await transactionDone(transaction);
+            this.diskBytes += positions.byteLength - (previous?.bytes ?? 0);
+        } catch (error) {
+            console.warn(`Point cache: could not store ${key} (${error?.message})`);
+            return;
+        }
+
+        if (this.diskBytes > this.diskLimit) {
+            await this._trimDisk(db);
+        }
+        this._emitUsage();
+    }
+
+    /**
+     * Total bytes of the sets on disk
+     */
+    async _measureDisk(db) {
+        try {
+            const records = await requestResult(db.transaction(META_STORE).objectStore(META_STORE).getAll());
+            return records.reduce((sum, { bytes }) => sum + bytes, 0);
+        } catch (error) {
+            console.warn(`Point cache: could not read the stored sizes (${error?.message})`);
+            return 0;
+        }
+    }
+
+    /**
+     * Delete the least recently used sets until the disk is within its limit
+     */
+    async _trimDisk(db) {
+        const transaction = db.transaction([META_STORE, POINT_STORE], 'readwrite');
+        const points = transaction.objectStore(POINT_STORE);
+        const request = transaction.objectStore(META_STORE).index('lastUsed').openCursor();
+
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor || this.diskBytes <= this.diskLimit) return;
+            this.diskBytes -= cursor.value.bytes;
+            points.delete(cursor.value.key);
+            cursor.delete();
+            cursor.continue();
+        };
+
+        try {
+            await transactionDone(transaction);
+        } catch (error) {
+            console.warn(`Point cache: could not free disk space (${error?.message})`);
+        }
+    }
+
+    /**
+     * Forget every stored set, in memory and on disk
+     */
+    async clear() {
+        this.memory.clear();
+        this._emitUsage();
+
+        const db = await this.db;
+        if (!db) return;
+
+        try {
+            const transaction = db.transaction([META_STORE, POINT_STORE], 'readwrite');
+            transaction.objectStore(META_STORE).clear();
+            transaction.objectStore(POINT_STORE).clear();
+            await transactionDone(transaction);
+            this.diskBytes = 0;
+            this._emitUsage();
+        } catch (error) {
+            console.warn(`Point cache: could not clear IndexedDB (${error?.message})`);
+        }
+    }
+
+    /**
+     * Bytes of points held in memory and on disk
+     * @returns {Object} {memoryBytes, diskBytes}
+     */
+    usage() {
+        return { memoryBytes: this.memory.size, diskBytes: this.diskBytes };
+    }
+
+    _emitUsage() {
+        if (this.onUsageChange) this.onUsageChange(this.usage());
+    }
+}
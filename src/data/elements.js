@@ -6,7 +6,7 @@
  */
 
 // Aufbau order for filling orbitals
-const AUFBAU_ORDER = [
+export const AUFBAU_ORDER = [
     { n: 1, l: 0 }, // 1s
     { n: 2, l: 0 }, // 2s
     { n: 2, l: 1 }, // 2p
@@ -26,33 +26,100 @@ const AUFBAU_ORDER = [
     { n: 5, l: 3 }, // 5f
     { n: 6, l: 2 }, // 6d
     { n: 7, l: 1 }, // 7p
+    { n: 8, l: 0 }, // 8s (superheavy anions only)
+    { n: 5, l: 4 }, // 5g
 ];
 
 /**
- * Generate electron configuration for a given number of electrons
- * Following Aufbau principle with Hund's rule
+ * Order in which cations lose electrons: an (n−1)d or (n−2)f subshell
+ * belongs with the ns and np of the shell outside it and is emptied
+ * after them, but before any filled core subshell (np, ns, (n−1)d,
+ * (n−2)f, then the next shell in)
  */
-export function generateElectronConfiguration(electronCount) {
-    const config = [];
-    let remaining = electronCount;
+const IONIZATION_RANK = [1, 0, 2, 3, 4];
+const ionizationShell = ({ n, l }) => n + Math.max(0, l - 1);
+const IONIZATION_ORDER = [...AUFBAU_ORDER].sort((a, b) =>
+    ionizationShell(b) - ionizationShell(a) || IONIZATION_RANK[a.l] - IONIZATION_RANK[b.l]
+);
 
-    for (const { n, l } of AUFBAU_ORDER) {
-        if (remaining <= 0) break;
+/**
+ * Known ground-state anomalies of neutral atoms
+ * Maps atomic number -> subshell electron counts that replace the
+ * strict Aufbau filling (e.g. Cr: 3d⁴4s² -> 3d⁵4s¹)
+ */
+const GROUND_STATE_EXCEPTIONS = {
+    24: { '3d': 5, '4s': 1 },           // Cr
+    29: { '3d': 10, '4s': 1 },          // Cu
+    41: { '4d': 4, '5s': 1 },           // Nb
+    42: { '4d': 5, '5s': 1 },           // Mo
+    44: { '4d': 7, '5s': 1 },           // Ru
+    45: { '4d': 8, '5s': 1 },           // Rh
+    46: { '4d': 10, '5s': 0 },          // Pd
+    47: { '4d': 10, '5s': 1 },          // Ag
+    57: { '4f': 0, '5d': 1 },           // La
+    58: { '4f': 1, '5d': 1 },           // Ce
+    64: { '4f': 7, '5d': 1 },           // Gd
+    78: { '5d': 9, '6s': 1 },           // Pt
+    79: { '5d': 10, '6s': 1 },          // Au
+    89: { '5f': 0, '6d': 1 },           // Ac
+    90: { '5f': 0, '6d': 2 },           // Th
+    91: { '5f': 2, '6d': 1 },           // Pa
+    92: { '5f': 3, '6d': 1 },           // U
+    93: { '5f': 4, '6d': 1 },           // Np
+    96: { '5f': 7, '6d': 1 },           // Cm
+    103: { '6d': 0, '7p': 1 }           // Lr
+};
 
-        const maxElectrons = 2 * (2 * l + 1); // Max electrons in subshell
-        const electrons = Math.min(remaining, maxElectrons);
+const SUBSHELL_LETTERS = ['s', 'p', 'd', 'f', 'g'];
+
+function subshellKey(n, l) {
+    return `${n}${SUBSHELL_LETTERS[l]}`;
+}
 
-        // Distribute electrons across m values
-        for (let m = -l; m <= l && remaining > 0; m++) {
-            const electronsInOrbital = Math.min(2, remaining);
-            config.push({ n, l, m, electrons: electronsInOrbital });
-            remaining -= electronsInOrbital;
+/**
+ * Spins of the electrons in one subshell, following Hund's rule
+ * Each orbital takes one spin-up electron (from m = +l down to -l)
+ * before any is paired with a spin-down electron
+ *
+ * @param {number} l - Azimuthal quantum number
+ * @param {number} electrons - Electrons in the subshell
+ * @returns {Array} [{m, spinUp, spinDown}] from m = +l to -l
+ */
+export function subshellSpins(l, electrons) {
+    const orbitals = 2 * l + 1;
+    return Array.from({ length: orbitals }, (_, i) => ({
+        m: l - i,
+        spinUp: electrons > i ? 1 : 0,
+        spinDown: electrons > orbitals + i ? 1 : 0
+    }));
+}
+
+/**
+ * Expand a subshell configuration into individual orbitals
+ * Distributes electrons over the m values by Hund's rule, recording
+ * the spin-up and spin-down electrons of each orbital
+ */
+function expandSubshells(subshells) {
+    const config = [];
+
+    for (const { n, l, electrons } of subshells) {
+        const spins = subshellSpins(l, electrons).filter(({ spinUp }) => spinUp > 0);
+        for (const { m, spinUp, spinDown } of spins.sort((a, b) => a.m - b.m)) {
+            config.push({ n, l, m, electrons: spinUp + spinDown, spinUp, spinDown });
         }
     }
 
     return config;
 }
 
+/**
+ * Generate electron configuration for a given number of electrons
+ * Following Aufbau principle with Hund's rule
+ */
+export function generateElectronConfiguration(electronCount) {
+    return expandSubshells(generateSubshellConfiguration(electronCount));
+}
+
 /**
  * Generate subshell configuration (grouped by n,l)
  */
@@ -75,6 +142,70 @@ export function generateSubshellConfiguration(electronCount) {
     return config;
 }
 
+/**
+ * Ground-state subshell configuration of an atom or ion
+ *
+ * Neutral atoms use the Aufbau filling corrected by the known anomalies.
+ * Cations lose their outermost ns and np electrons first, then (n−1)d,
+ * then (n−2)f, so Fe²⁺ is 3d⁶ rather than 3d⁴4s² and Eu³⁺ is [Xe]4f⁶.
+ * Anions gain electrons in Aufbau order.
+ *
+ * @param {number} atomicNumber - Atomic number (Z)
+ * @param {number} charge - Ion charge (+N for cation, -N for anion)
+ * @returns {Array} Array of {n, l, electrons} objects in Aufbau order
+ */
+export function getGroundStateSubshells(atomicNumber, charge = 0) {
+    const counts = new Map();
+    for (const { n, l, electrons } of generateSubshellConfiguration(atomicNumber)) {
+        counts.set(subshellKey(n, l), electrons);
+    }
+
+    const exception = GROUND_STATE_EXCEPTIONS[atomicNumber];
+    if (exception) {
+        for (const [key, electrons] of Object.entries(exception)) {
+            counts.set(key, electrons);
+        }
+    }
+
+    if (charge > 0) {
+        // Ionization: empty the outermost subshells first
+        let toRemove = Math.min(charge, atomicNumber);
+        for (const { n, l } of IONIZATION_ORDER) {
+            if (toRemove <= 0) break;
+            const key = subshellKey(n, l);
+            const removed = Math.min(counts.get(key) || 0, toRemove);
+            counts.set(key, (counts.get(key) || 0) - removed);
+            toRemove -= removed;
+        }
+    } else if (charge < 0) {
+        // Electron attachment: fill the first subshells with room
+        let toAdd = -charge;
+        for (const { n, l } of AUFBAU_ORDER) {
+            if (toAdd <= 0) break;
+            const key = subshellKey(n, l);
+            const room = 2 * (2 * l + 1) - (counts.get(key) || 0);
+            const added = Math.min(room, toAdd);
+            counts.set(key, (counts.get(key) || 0) + added);
+            toAdd -= added;
+        }
+    }
+
+    return AUFBAU_ORDER
+        .map(({ n, l }) => ({ n, l, electrons: counts.get(subshellKey(n, l)) || 0 }))
+        .filter(({ electrons }) => electrons > 0);
+}
+
+/**
+ * Ground-state orbital configuration of an atom or ion
+ *
+ * @param {number} atomicNumber - Atomic number (Z)
+ * @param {number} charge - Ion charge (+N for cation, -N for anion)
+ * @returns {Array} Array of {n, l, m, electrons} objects
+ */
+export function getGroundStateConfiguration(atomicNumber, charge = 0) {
+    return expandSubshells(getGroundStateSubshells(atomicNumber, charge));
+}
+
 /**
  * Format electron configuration as string (e.g., "1s² 2s² 2p⁶")
  */
@@ -371,6 +502,14 @@ export function getElement(symbol) {
     return elements[symbol] ? { symbol, ...elements[symbol] } : null;
 }
 
+/**
+ * Get element data by atomic number
+ */
+export function getElementByNumber(atomicNumber) {
+    const symbol = Object.keys(elements).find(key => elements[key].atomicNumber === atomicNumber);
+    return symbol ? getElement(symbol) : null;
+}
+
 /**
  * Get all element symbols sorted by atomic number
  */
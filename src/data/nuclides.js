@@ -0,0 +1,373 @@
+/**
+ * Nuclide Data
+ *
+ * Isotopes of every element: the stable ones with their natural
+ * abundance, and common or long-lived radioactive ones with their
+ * half-life and main decay mode, including the members of the uranium,
+ * actinium, thorium and neptunium decay series.
+ *
+ * This is the one source of neutron counts in the app. Without a
+ * chosen isotope an element shows its default: the most abundant
+ * natural isotope, or the longest-lived one of an element with none.
+ *
+ * Abundances are atom percent (IUPAC), half-lives seconds; decay modes
+ * are the dominant branch only. Gamma energies are the strongest line
+ * emitted as the daughter de-excites, where one is prominent.
+ */
+
+export const DECAY_MODES = {
+    ALPHA: 'alpha',
+    BETA_MINUS: 'beta-',
+    BETA_PLUS: 'beta+',
+    ELECTRON_CAPTURE: 'ec',
+    SPONTANEOUS_FISSION: 'sf'
+};
+
+const { ALPHA, BETA_MINUS, BETA_PLUS, ELECTRON_CAPTURE, SPONTANEOUS_FISSION } = DECAY_MODES;
+
+// Seconds per unit
+const MS = 1e-3;
+const US = 1e-6;
+const MIN = 60;
+const H = 3600;
+const D = 86400;
+const Y = 365.25 * D;
+
+const stable = (A, abundance) => ({ A, abundance, halfLife: Infinity, decay: null, gamma: null });
+const radioactive = (A, halfLife, decay, abundance = 0) => ({ A, abundance, halfLife, decay, gamma: null });
+
+// Isotopes by atomic number
+const NUCLIDES = {
+    1: [stable(1, 99.9885), stable(2, 0.0115), radioactive(3, 12.32 * Y, BETA_MINUS)],
+    2: [stable(3, 0.000134), stable(4, 99.999866)],
+    3: [stable(6, 7.59), stable(7, 92.41)],
+    4: [radioactive(7, 53.22 * D, ELECTRON_CAPTURE), stable(9, 100), radioactive(10, 1.387e6 * Y, BETA_MINUS)],
+    5: [stable(10, 19.9), stable(11, 80.1)],
+    6: [radioactive(11, 20.36 * MIN, BETA_PLUS), stable(12, 98.93), stable(13, 1.07), radioactive(14, 5730 * Y, BETA_MINUS)],
+    7: [radioactive(13, 9.965 * MIN, BETA_PLUS), stable(14, 99.636), stable(15, 0.364)],
+    8: [radioactive(15, 122.24, BETA_PLUS), stable(16, 99.757), stable(17, 0.038), stable(18, 0.205)],
+    9: [radioactive(18, 109.77 * MIN, BETA_PLUS), stable(19, 100)],
+    10: [stable(20, 90.48), stable(21, 0.27), stable(22, 9.25)],
+    11: [radioactive(22, 2.6018 * Y, BETA_PLUS), stable(23, 100), radioactive(24, 14.997 * H, BETA_MINUS)],
+    12: [stable(24, 78.99), stable(25, 10.00), stable(26, 11.01)],
+    13: [radioactive(26, 7.17e5 * Y, BETA_PLUS), stable(27, 100)],
+    14: [stable(28, 92.223), stable(29, 4.685), stable(30, 3.092), radioactive(32, 153 * Y, BETA_MINUS)],
+    15: [stable(31, 100), radioactive(32, 14.268 * D, BETA_MINUS), radioactive(33, 25.35 * D, BETA_MINUS)],
+    16: [stable(32, 94.99), stable(33, 0.75), stable(34, 4.25), radioactive(35, 87.37 * D, BETA_MINUS), stable(36, 0.01)],
+    17: [stable(35, 75.76), radioactive(36, 3.01e5 * Y, BETA_MINUS), stable(37, 24.24)],
+    18: [stable(36, 0.3336), stable(38, 0.0629), radioactive(39, 268 * Y, BETA_MINUS), stable(40, 99.6035)],
+    19: [stable(39, 93.2581), radioactive(40, 1.248e9 * Y, BETA_MINUS, 0.0117), stable(41, 6.7302)],
+    20: [
+        stable(40, 96.941), radioactive(41, 9.94e4 * Y, ELECTRON_CAPTURE), stable(42, 0.647), stable(43, 0.135),
+        stable(44, 2.086), radioactive(45, 162.6 * D, BETA_MINUS), stable(46, 0.004), stable(48, 0.187)
+    ],
+    21: [stable(45, 100), radioactive(46, 83.79 * D, BETA_MINUS)],
+    22: [radioactive(44, 59.1 * Y, ELECTRON_CAPTURE), stable(46, 8.25), stable(47, 7.44), stable(48, 73.72), stable(49, 5.41), stable(50, 5.18)],
+    23: [stable(50, 0.25), stable(51, 99.75)],
+    24: [stable(50, 4.345), radioactive(51, 27.70 * D, ELECTRON_CAPTURE), stable(52, 83.789), stable(53, 9.501), stable(54, 2.365)],
+    25: [radioactive(53, 3.74e6 * Y, ELECTRON_CAPTURE), radioactive(54, 312.2 * D, ELECTRON_CAPTURE), stable(55, 100)],
+    26: [
+        stable(54, 5.845), radioactive(55, 2.744 * Y, ELECTRON_CAPTURE), stable(56, 91.754), stable(57, 2.119),
+        stable(58, 0.282), radioactive(59, 44.5 * D, BETA_MINUS), radioactive(60, 2.62e6 * Y, BETA_MINUS)
+    ],
+    27: [radioactive(57, 271.74 * D, ELECTRON_CAPTURE), stable(59, 100), radioactive(60, 5.2714 * Y, BETA_MINUS)],
+    28: [
+        stable(58, 68.077), radioactive(59, 7.6e4 * Y, ELECTRON_CAPTURE), stable(60, 26.223), stable(61, 1.1399),
+        stable(62, 3.6346), radioactive(63, 101.2 * Y, BETA_MINUS), stable(64, 0.9255)
+    ],
+    29: [stable(63, 69.15), radioactive(64, 12.701 * H, BETA_PLUS), stable(65, 30.85)],
+    30: [stable(64, 49.17), radioactive(65, 243.93 * D, ELECTRON_CAPTURE), stable(66, 27.73), stable(67, 4.04), stable(68, 18.45), stable(70, 0.61)],
+    31: [radioactive(67, 3.2617 * D, ELECTRON_CAPTURE), stable(69, 60.108), stable(71, 39.892)],
+    32: [radioactive(68, 270.95 * D, ELECTRON_CAPTURE), stable(70, 20.57), stable(72, 27.45), stable(73, 7.75), stable(74, 36.50), stable(76, 7.73)],
+    33: [radioactive(73, 80.3 * D, ELECTRON_CAPTURE), stable(75, 100)],
+    34: [
+        stable(74, 0.89), radioactive(75, 119.78 * D, ELECTRON_CAPTURE), stable(76, 9.37), stable(77, 7.63),
+        stable(78, 23.77), radioactive(79, 3.27e5 * Y, BETA_MINUS), stable(80, 49.61), stable(82, 8.73)
+    ],
+    35: [stable(79, 50.69), stable(81, 49.31), radioactive(82, 35.28 * H, BETA_MINUS)],
+    36: [
+        stable(78, 0.355), stable(80, 2.286), radioactive(81, 2.29e5 * Y, ELECTRON_CAPTURE), stable(82, 11.593),
+        stable(83, 11.500), stable(84, 56.987), radioactive(85, 10.739 * Y, BETA_MINUS), stable(86, 17.279)
+    ],
+    37: [stable(85, 72.17), radioactive(87, 4.97e10 * Y, BETA_MINUS, 27.83)],
+    38: [stable(84, 0.56), stable(86, 9.86), stable(87, 7.00), stable(88, 82.58), radioactive(89, 50.57 * D, BETA_MINUS), radioactive(90, 28.79 * Y, BETA_MINUS)],
+    39: [radioactive(88, 106.63 * D, ELECTRON_CAPTURE), stable(89, 100), radioactive(90, 64.05 * H, BETA_MINUS)],
+    40: [
+        stable(90, 51.45), stable(91, 11.22), stable(92, 17.15), radioactive(93, 1.61e6 * Y, BETA_MINUS),
+        stable(94, 17.38), radioactive(95, 64.03 * D, BETA_MINUS), stable(96, 2.80)
+    ],
+    41: [stable(93, 100), radioactive(94, 2.03e4 * Y, BETA_MINUS), radioactive(95, 34.99 * D, BETA_MINUS)],
+    42: [
+        stable(92, 14.53), radioactive(93, 4.0e3 * Y, ELECTRON_CAPTURE), stable(94, 9.15), stable(95, 15.84),
+        stable(96, 16.67), stable(97, 9.60), stable(98, 24.39), radioactive(99, 65.94 * H, BETA_MINUS), stable(100, 9.82)
+    ],
+    43: [radioactive(97, 4.21e6 * Y, ELECTRON_CAPTURE), radioactive(98, 4.2e6 * Y, BETA_MINUS), radioactive(99, 2.111e5 * Y, BETA_MINUS)],
+    44: [
+        stable(96, 5.54), stable(98, 1.87), stable(99, 12.76), stable(100, 12.60), stable(101, 17.06),
+        stable(102, 31.55), radioactive(103, 39.26 * D, BETA_MINUS), stable(104, 18.62), radioactive(106, 371.8 * D, BETA_MINUS)
+    ],
+    45: [radioactive(102, 207 * D, ELECTRON_CAPTURE), stable(103, 100)],
+    46: [
+        stable(102, 1.02), radioactive(103, 16.991 * D, ELECTRON_CAPTURE), stable(104, 11.14), stable(105, 22.33),
+        stable(106, 27.33), radioactive(107, 6.5e6 * Y, BETA_MINUS), stable(108, 26.46), stable(110, 11.72)
+    ],
+    47: [radioactive(105, 41.29 * D, ELECTRON_CAPTURE), stable(107, 51.839), stable(109, 48.161), radioactive(111, 7.45 * D, BETA_MINUS)],
+    48: [
+        stable(106, 1.25), stable(108, 0.89), radioactive(109, 461.4 * D, ELECTRON_CAPTURE), stable(110, 12.49),
+        stable(111, 12.80), stable(112, 24.13), stable(113, 12.22), stable(114, 28.73), stable(116, 7.49)
+    ],
+    49: [radioactive(111, 2.8047 * D, ELECTRON_CAPTURE), stable(113, 4.29), radioactive(115, 4.41e14 * Y, BETA_MINUS, 95.71)],
+    50: [
+        stable(112, 0.97), radioactive(113, 115.09 * D, ELECTRON_CAPTURE), stable(114, 0.66), stable(115, 0.34),
+        stable(116, 14.54), stable(117, 7.68), stable(118, 24.22), stable(119, 8.59), stable(120, 32.58),
+        stable(122, 4.63), stable(124, 5.79), radioactive(126, 2.3e5 * Y, BETA_MINUS)
+    ],
+    51: [stable(121, 57.21), stable(123, 42.79), radioactive(124, 60.2 * D, BETA_MINUS), radioactive(125, 2.7586 * Y, BETA_MINUS)],
+    52: [
+        stable(120, 0.09), stable(122, 2.55), stable(123, 0.89), stable(124, 4.74),
+        stable(125, 7.07), stable(126, 18.84), stable(128, 31.74), stable(130, 34.08)
+    ],
+    53: [
+        radioactive(123, 13.22 * H, ELECTRON_CAPTURE), radioactive(125, 59.49 * D, ELECTRON_CAPTURE), stable(127, 100),
+        radioactive(129, 1.57e7 * Y, BETA_MINUS), radioactive(131, 8.0252 * D, BETA_MINUS)
+    ],
+    54: [
+        stable(124, 0.0952), stable(126, 0.0890), stable(128, 1.9102), stable(129, 26.4006), stable(130, 4.0710),
+        stable(131, 21.2324), stable(132, 26.9086), radioactive(133, 5.2475 * D, BETA_MINUS), stable(134, 10.4357),
+        radioactive(135, 9.14 * H, BETA_MINUS), stable(136, 8.8573)
+    ],
+    55: [stable(133, 100), radioactive(134, 2.0652 * Y, BETA_MINUS), radioactive(135, 2.3e6 * Y, BETA_MINUS), radioactive(137, 30.08 * Y, BETA_MINUS)],
+    56: [
+        stable(130, 0.106), stable(132, 0.101), radioactive(133, 10.551 * Y, ELECTRON_CAPTURE), stable(134, 2.417),
+        stable(135, 6.592), stable(136, 7.854), stable(137, 11.232), stable(138, 71.698), radioactive(140, 12.7527 * D, BETA_MINUS)
+    ],
+    57: [radioactive(138, 1.02e11 * Y, ELECTRON_CAPTURE, 0.08881), stable(139, 99.91119), radioactive(140, 1.6781 * D, BETA_MINUS)],
+    58: [
+        stable(136, 0.185), stable(138, 0.251), stable(140, 88.450), radioactive(141, 32.508 * D, BETA_MINUS),
+        stable(142, 11.114), radioactive(144, 284.91 * D, BETA_MINUS)
+    ],
+    59: [stable(141, 100), radioactive(143, 13.57 * D, BETA_MINUS)],
+    60: [
+        stable(142, 27.152), stable(143, 12.174), stable(144, 23.798), stable(145, 8.293), stable(146, 17.189),
+        radioactive(147, 10.98 * D, BETA_MINUS), stable(148, 5.756), stable(150, 5.638)
+    ],
+    61: [radioactive(145, 17.7 * Y, ELECTRON_CAPTURE), radioactive(146, 5.53 * Y, ELECTRON_CAPTURE), radioactive(147, 2.6234 * Y, BETA_MINUS)],
+    62: [
+        stable(144, 3.07), radioactive(147, 1.06e11 * Y, ALPHA, 14.99), stable(148, 11.24), stable(149, 13.82),
+        stable(150, 7.38), radioactive(151, 90 * Y, BETA_MINUS), stable(152, 26.75), stable(154, 22.75)
+    ],
+    63: [
+        stable(151, 47.81), radioactive(152, 13.517 * Y, ELECTRON_CAPTURE), stable(153, 52.19),
+        radioactive(154, 8.601 * Y, BETA_MINUS), radioactive(155, 4.753 * Y, BETA_MINUS)
+    ],
+    64: [
+        radioactive(148, 71.1 * Y, ALPHA), stable(152, 0.20), radioactive(153, 240.4 * D, ELECTRON_CAPTURE), stable(154, 2.18),
+        stable(155, 14.80), stable(156, 20.47), stable(157, 15.65), stable(158, 24.84), stable(160, 21.86)
+    ],
+    65: [radioactive(158, 180 * Y, ELECTRON_CAPTURE), stable(159, 100), radioactive(160, 72.3 * D, BETA_MINUS)],
+    66: [
+        stable(156, 0.056), stable(158, 0.095), radioactive(159, 144.4 * D, ELECTRON_CAPTURE), stable(160, 2.329),
+        stable(161, 18.889), stable(162, 25.475), stable(163, 24.896), stable(164, 28.260)
+    ],
+    67: [radioactive(163, 4570 * Y, ELECTRON_CAPTURE), stable(165, 100), radioactive(166, 26.824 * H, BETA_MINUS)],
+    68: [
+        stable(162, 0.139), stable(164, 1.601), stable(166, 33.503), stable(167, 22.869), stable(168, 26.978),
+        radioactive(169, 9.392 * D, BETA_MINUS), stable(170, 14.910)
+    ],
+    69: [stable(169, 100), radioactive(170, 128.6 * D, BETA_MINUS), radioactive(171, 1.92 * Y, BETA_MINUS)],
+    70: [
+        stable(168, 0.123), radioactive(169, 32.018 * D, ELECTRON_CAPTURE), stable(170, 2.982), stable(171, 14.09),
+        stable(172, 21.68), stable(173, 16.103), stable(174, 32.026), stable(176, 12.996)
+    ],
+    71: [stable(175, 97.401), radioactive(176, 3.76e10 * Y, BETA_MINUS, 2.599), radioactive(177, 6.647 * D, BETA_MINUS)],
+    72: [
+        stable(174, 0.16), stable(176, 5.26), stable(177, 18.60), stable(178, 27.28), stable(179, 13.62),
+        stable(180, 35.08), radioactive(181, 42.39 * D, BETA_MINUS), radioactive(182, 8.9e6 * Y, BETA_MINUS)
+    ],
+    // ¹⁸⁰Ta occurs as its isomer ¹⁸⁰ᵐTa, which has never been seen to decay
+    73: [stable(180, 0.01201), stable(181, 99.98799), radioactive(182, 114.74 * D, BETA_MINUS)],
+    74: [
+        stable(180, 0.12), radioactive(181, 121.2 * D, ELECTRON_CAPTURE), stable(182, 26.50), stable(183, 14.31),
+        stable(184, 30.64), radioactive(185, 75.1 * D, BETA_MINUS), stable(186, 28.43), radioactive(188, 69.78 * D, BETA_MINUS)
+    ],
+    75: [stable(185, 37.40), radioactive(186, 3.7186 * D, BETA_MINUS), radioactive(187, 4.12e10 * Y, BETA_MINUS, 62.60), radioactive(188, 17.004 * H, BETA_MINUS)],
+    76: [
+        stable(184, 0.02), stable(186, 1.59), stable(187, 1.96), stable(188, 13.24), stable(189, 16.15),
+        stable(190, 26.26), radioactive(191, 15.4 * D, BETA_MINUS), stable(192, 40.78), radioactive(194, 6.0 * Y, BETA_MINUS)
+    ],
+    77: [stable(191, 37.3), radioactive(192, 73.827 * D, BETA_MINUS), stable(193, 62.7)],
+    78: [
+        radioactive(190, 6.5e11 * Y, ALPHA, 0.012), stable(192, 0.782), radioactive(193, 50 * Y, ELECTRON_CAPTURE),
+        stable(194, 32.86), stable(195, 33.78), stable(196, 25.21), stable(198, 7.356)
+    ],
+    79: [radioactive(195, 186.01 * D, ELECTRON_CAPTURE), stable(197, 100), radioactive(198, 2.6941 * D, BETA_MINUS)],
+    80: [
+        radioactive(194, 444 * Y, ELECTRON_CAPTURE), stable(196, 0.15), stable(198, 9.97), stable(199, 16.87), stable(200, 23.10),
+        stable(201, 13.18), stable(202, 29.86), radioactive(203, 46.594 * D, BETA_MINUS), stable(204, 6.87)
+    ],
+    81: [
+        radioactive(201, 3.0421 * D, ELECTRON_CAPTURE), stable(203, 29.52), radioactive(204, 3.78 * Y, BETA_MINUS),
+        stable(205, 70.48), radioactive(207, 4.77 * MIN, BETA_MINUS), radioactive(208, 3.053 * MIN, BETA_MINUS)
+    ],
+    82: [
+        radioactive(202, 5.25e4 * Y, ELECTRON_CAPTURE), stable(204, 1.4), radioactive(205, 1.73e7 * Y, ELECTRON_CAPTURE),
+        stable(206, 24.1), stable(207, 22.1), stable(208, 52.4), radioactive(209, 3.253 * H, BETA_MINUS),
+        radioactive(210, 22.2 * Y, BETA_MINUS), radioactive(211, 36.1 * MIN, BETA_MINUS),
+        radioactive(212, 10.64 * H, BETA_MINUS), radioactive(214, 26.8 * MIN, BETA_MINUS)
+    ],
+    83: [
+        radioactive(207, 31.55 * Y, ELECTRON_CAPTURE), radioactive(208, 3.68e5 * Y, ELECTRON_CAPTURE),
+        radioactive(209, 2.01e19 * Y, ALPHA, 100), radioactive(210, 5.012 * D, BETA_MINUS), radioactive(211, 2.14 * MIN, ALPHA),
+        radioactive(212, 60.55 * MIN, BETA_MINUS), radioactive(213, 45.59 * MIN, BETA_MINUS), radioactive(214, 19.9 * MIN, BETA_MINUS)
+    ],
+    84: [
+        radioactive(208, 2.898 * Y, ALPHA), radioactive(209, 124 * Y, ALPHA), radioactive(210, 138.376 * D, ALPHA),
+        radioactive(211, 0.516, ALPHA), radioactive(212, 0.299 * US, ALPHA), radioactive(213, 3.72 * US, ALPHA),
+        radioactive(214, 164.3 * US, ALPHA), radioactive(215, 1.781 * MS, ALPHA), radioactive(216, 0.145, ALPHA),
+        radioactive(218, 3.098 * MIN, ALPHA)
+    ],
+    85: [radioactive(210, 8.1 * H, ELECTRON_CAPTURE), radioactive(211, 7.214 * H, ELECTRON_CAPTURE), radioactive(217, 32.3 * MS, ALPHA)],
+    86: [radioactive(211, 14.6 * H, ELECTRON_CAPTURE), radioactive(219, 3.96, ALPHA), radioactive(220, 55.6, ALPHA), radioactive(222, 3.8235 * D, ALPHA)],
+    87: [radioactive(221, 4.801 * MIN, ALPHA), radioactive(223, 22.00 * MIN, BETA_MINUS)],
+    88: [
+        radioactive(223, 11.43 * D, ALPHA), radioactive(224, 3.6319 * D, ALPHA), radioactive(225, 14.9 * D, BETA_MINUS),
+        radioactive(226, 1600 * Y, ALPHA), radioactive(228, 5.75 * Y, BETA_MINUS)
+    ],
+    89: [radioactive(225, 9.919 * D, ALPHA), radioactive(227, 21.772 * Y, BETA_MINUS), radioactive(228, 6.15 * H, BETA_MINUS)],
+    90: [
+        radioactive(227, 18.68 * D, ALPHA), radioactive(228, 1.9116 * Y, ALPHA), radioactive(229, 7932 * Y, ALPHA),
+        radioactive(230, 7.54e4 * Y, ALPHA), radioactive(231, 25.52 * H, BETA_MINUS), radioactive(232, 1.405e10 * Y, ALPHA, 100),
+        radioactive(234, 24.10 * D, BETA_MINUS)
+    ],
+    // ²³⁴Pa is listed with its isomer ²³⁴ᵐPa, the state ²³⁴Th decays to
+    91: [radioactive(231, 3.276e4 * Y, ALPHA, 100), radioactive(233, 26.975 * D, BETA_MINUS), radioactive(234, 1.159 * MIN, BETA_MINUS)],
+    92: [
+        radioactive(232, 68.9 * Y, ALPHA), radioactive(233, 1.592e5 * Y, ALPHA), radioactive(234, 2.455e5 * Y, ALPHA, 0.0054),
+        radioactive(235, 7.04e8 * Y, ALPHA, 0.7204), radioactive(236, 2.342e7 * Y, ALPHA),
+        radioactive(238, 4.468e9 * Y, ALPHA, 99.2742), radioactive(240, 14.1 * H, BETA_MINUS)
+    ],
+    93: [
+        radioactive(236, 1.54e5 * Y, ELECTRON_CAPTURE), radioactive(237, 2.144e6 * Y, ALPHA),
+        radioactive(239, 2.356 * D, BETA_MINUS), radioactive(240, 61.9 * MIN, BETA_MINUS)
+    ],
+    94: [
+        radioactive(238, 87.7 * Y, ALPHA), radioactive(239, 24110 * Y, ALPHA), radioactive(240, 6561 * Y, ALPHA),
+        radioactive(241, 14.29 * Y, BETA_MINUS), radioactive(242, 3.75e5 * Y, ALPHA), radioactive(244, 8.0e7 * Y, ALPHA)
+    ],
+    95: [radioactive(241, 432.2 * Y, ALPHA), radioactive(243, 7370 * Y, ALPHA)],
+    96: [radioactive(244, 18.1 * Y, ALPHA), radioactive(245, 8500 * Y, ALPHA), radioactive(247, 1.56e7 * Y, ALPHA), radioactive(248, 3.48e5 * Y, ALPHA)],
+    97: [radioactive(247, 1380 * Y, ALPHA), radioactive(249, 330 * D, BETA_MINUS)],
+    98: [radioactive(249, 351 * Y, ALPHA), radioactive(251, 898 * Y, ALPHA), radioactive(252, 2.645 * Y, ALPHA)],
+    99: [radioactive(252, 471.7 * D, ALPHA), radioactive(253, 20.47 * D, ALPHA), radioactive(254, 275.7 * D, ALPHA)],
+    100: [radioactive(253, 3.0 * D, ELECTRON_CAPTURE), radioactive(257, 100.5 * D, ALPHA)],
+    101: [radioactive(258, 51.5 * D, ALPHA), radioactive(260, 31.8 * D, SPONTANEOUS_FISSION)],
+    102: [radioactive(255, 3.1 * MIN, ALPHA), radioactive(259, 58 * MIN, ALPHA)],
+    103: [radioactive(262, 3.6 * H, ELECTRON_CAPTURE), radioactive(266, 11 * H, SPONTANEOUS_FISSION)],
+    104: [radioactive(267, 1.3 * H, SPONTANEOUS_FISSION)],
+    105: [radioactive(268, 16 * H, SPONTANEOUS_FISSION)],
+    106: [radioactive(269, 14 * MIN, ALPHA)],
+    107: [radioactive(270, 61, ALPHA)],
+    108: [radioactive(269, 16, ALPHA)],
+    109: [radioactive(278, 4.5, ALPHA)],
+    110: [radioactive(281, 12.7, SPONTANEOUS_FISSION)],
+    111: [radioactive(282, 100, ALPHA)],
+    112: [radioactive(285, 28, ALPHA)],
+    113: [radioactive(286, 9.5, ALPHA)],
+    114: [radioactive(289, 1.9, ALPHA)],
+    115: [radioactive(290, 0.65, ALPHA)],
+    116: [radioactive(293, 57 * MS, ALPHA)],
+    117: [radioactive(294, 51 * MS, ALPHA)],
+    118: [radioactive(294, 0.69 * MS, ALPHA)]
+};
+
+// Strongest gamma line (keV) following the decay, by "Z-A"
+const GAMMA_LINES = {
+    '4-7': 477.6, '11-22': 1274.5, '11-24': 1368.6, '19-40': 1460.8, '24-51': 320.1, '25-54': 834.8,
+    '26-59': 1099.2, '27-57': 122.1, '27-60': 1332.5, '30-65': 1115.5, '31-67': 93.3, '39-88': 1836.1,
+    '42-99': 739.5, '49-111': 245.4, '53-123': 159.0, '53-131': 364.5, '55-134': 604.7, '55-137': 661.7,
+    '56-133': 356.0, '56-140': 537.3, '57-140': 1596.2, '63-152': 121.8, '77-192': 316.5, '81-201': 167.4,
+    '81-207': 897.8, '81-208': 2614.5, '82-210': 46.5, '82-211': 404.9, '82-212': 238.6, '82-214': 351.9,
+    '83-211': 351.1, '83-212': 727.3, '83-213': 440.5, '83-214': 609.3, '86-219': 271.2, '87-221': 218.2,
+    '88-223': 269.5, '88-224': 241.0, '88-226': 186.2, '89-225': 99.8, '89-228': 911.2, '90-227': 236.0,
+    '90-229': 193.5, '90-230': 67.7, '90-231': 25.6, '90-234': 63.3, '91-233': 312.2, '91-234': 1001.0,
+    '92-235': 185.7, '93-237': 86.5, '93-239': 106.1, '95-241': 59.5, '95-243': 74.7
+};
+
+for (const [key, energy] of Object.entries(GAMMA_LINES)) {
+    const [Z, A] = key.split('-').map(Number);
+    NUCLIDES[Z].find(nuclide => nuclide.A === A).gamma = energy;
+}
+
+/**
+ * Known isotopes of an element, by mass number
+ * @param {number} Z - Atomic number
+ * @returns {Array} [{A, abundance, halfLife, decay, gamma}]
+ */
+export function getIsotopes(Z) {
+    return NUCLIDES[Z] || [];
+}
+
+/**
+ * @returns {Object|null} {A, abundance, halfLife, decay, gamma}, or null if not listed
+ */
+export function getNuclide(Z, A) {
+    return getIsotopes(Z).find(nuclide => nuclide.A === A) || null;
+}
+
+export function isStable(nuclide) {
+    return nuclide.halfLife === Infinity;
+}
+
+/**
+ * Mass number of the isotope shown by default: the most abundant one,
+ * or the longest-lived for elements with no natural isotopes
+ */
+export function defaultMassNumber(Z) {
+    const isotopes = getIsotopes(Z);
+    if (isotopes.length === 0) return Math.round(2.5 * Z);
+
+    const best = isotopes.reduce((a, b) => {
+        if (a.abundance !== b.abundance) return b.abundance > a.abundance ? b : a;
+        return b.halfLife > a.halfLife ? b : a;
+    });
+    return best.A;
+}
+
+/**
+ * Half-life in the most readable unit, e.g. "4.47 × 10⁹ y", "3.82 d"
+ * @param {number} seconds - Infinity for stable nuclides
+ */
+export function formatHalfLife(seconds) {
+    if (seconds === Infinity) return 'stable';
+
+    const units = [[Y, 'y'], [D, 'd'], [H, 'h'], [MIN, 'min'], [1, 's'], [MS, 'ms'], [US, 'μs']];
+    const [size, unit] = units.find(([size]) => seconds >= size) || units[units.length - 1];
+    const value = seconds / size;
+
+    if (value >= 1e5) {
+        const exponent = Math.floor(Math.log10(value));
+        const superscript = `${exponent}`.replace(/\d/g, digit => '⁰¹²³⁴⁵⁶⁷⁸⁹'[digit]);
+        return `${(value / 10 ** exponent).toFixed(2)} × 10${superscript} ${unit}`;
+    }
+    return `${Number(value.toPrecision(3))} ${unit}`;
+}
+
+/**
+ * Natural abundance in percent, e.g. "98.93", "0.0117"
+ */
+export function formatAbundance(abundance) {
+    return abundance >= 1 ? abundance.toFixed(2) : `${Number(abundance.toPrecision(3))}`;
+}
+
+/**
+ * Symbol of a decay mode, e.g. "β⁻"
+ */
+export function formatDecayMode(decay) {
+    return {
+        [ALPHA]: 'α',
+        [BETA_MINUS]: 'β⁻',
+        [BETA_PLUS]: 'β⁺',
+        [ELECTRON_CAPTURE]: 'EC',
+        [SPONTANEOUS_FISSION]: 'SF'
+    }[decay] || '';
+}
@@ -1,7 +1,8 @@
 /**
  * Orbital Colors
  * 
- * Color scheme for different orbital types (s, p, d, f)
+ * Color scheme for different orbital types (s, p, d, f and the
+ * g, h, i orbitals reachable in the orbital explorer)
  * with utility functions for color generation.
  */
 
@@ -13,11 +14,42 @@ export const orbitalColorDefinitions = {
     p: { hue: 145, saturation: 70, lightness: 55, name: 'Green' },
     d: { hue: 35, saturation: 90, lightness: 55, name: 'Orange' },
     f: { hue: 280, saturation: 70, lightness: 60, name: 'Purple' },
-    g: { hue: 0, saturation: 80, lightness: 55, name: 'Red' }
+    g: { hue: 0, saturation: 80, lightness: 55, name: 'Red' },
+    h: { hue: 320, saturation: 75, lightness: 62, name: 'Magenta' },
+    i: { hue: 180, saturation: 70, lightness: 50, name: 'Teal' }
 };
 
+// Wave function phase colors (sign of Ψ)
+export const phaseColorDefinitions = {
+    positive: { hue: 0, saturation: 85, lightness: 58, name: 'Red' },
+    negative: { hue: 215, saturation: 90, lightness: 60, name: 'Blue' }
+};
+
+// Electron spin colors (m_s = +½ / -½)
+export const spinColorDefinitions = {
+    up: { hue: 340, saturation: 85, lightness: 62, name: 'Rose' },
+    down: { hue: 175, saturation: 75, lightness: 50, name: 'Teal' }
+};
+
+// What points and surfaces are colored by
+export const COLOR_MODES = {
+    ORBITAL: 'orbital',
+    PHASE: 'phase',
+    SPIN: 'spin'
+};
+
+// Hybrid orbital lobe colors (one per hybrid in a set)
+export const hybridColorDefinitions = [
+    { hue: 190, saturation: 85, lightness: 55, name: 'Cyan' },
+    { hue: 330, saturation: 80, lightness: 60, name: 'Pink' },
+    { hue: 55, saturation: 90, lightness: 55, name: 'Yellow' },
+    { hue: 120, saturation: 65, lightness: 50, name: 'Lime' },
+    { hue: 265, saturation: 75, lightness: 65, name: 'Lavender' },
+    { hue: 20, saturation: 90, lightness: 55, name: 'Coral' }
+];
+
 // Orbital type letters
-const orbitalLetters = ['s', 'p', 'd', 'f', 'g'];
+const orbitalLetters = ['s', 'p', 'd', 'f', 'g', 'h', 'i'];
 
 /**
  * Get THREE.Color for an orbital type
@@ -34,6 +66,83 @@ export function getColor(l) {
     return color;
 }
 
+/**
+ * Get THREE.Color for the phase of a wave function value
+ * @param {number} psi - Signed wave function value
+ * @returns {THREE.Color}
+ */
+export function getPhaseColor(psi) {
+    const def = psi >= 0 ? phaseColorDefinitions.positive : phaseColorDefinitions.negative;
+
+    const color = new THREE.Color();
+    color.setHSL(def.hue / 360, def.saturation / 100, def.lightness / 100);
+
+    return color;
+}
+
+/**
+ * Get THREE.Color for a hybrid orbital in a set
+ * @param {number} index - Index of the hybrid within its set
+ * @returns {THREE.Color}
+ */
+export function getHybridColor(index) {
+    const def = hybridColorDefinitions[index % hybridColorDefinitions.length];
+
+    const color = new THREE.Color();
+    color.setHSL(def.hue / 360, def.saturation / 100, def.lightness / 100);
+
+    return color;
+}
+
+/**
+ * Get THREE.Color for an electron spin
+ * @param {boolean} up - Spin up (m_s = +½) or down
+ * @returns {THREE.Color}
+ */
+export function getSpinColor(up) {
+    const def = up ? spinColorDefinitions.up : spinColorDefinitions.down;
+
+    const color = new THREE.Color();
+    color.setHSL(def.hue / 360, def.saturation / 100, def.lightness / 100);
+
+    return color;
+}
+
+/**
+ * Get CSS color string for an electron spin
+ * @param {boolean} up - Spin up (m_s = +½) or down
+ */
+export function getSpinCSSColor(up) {
+    const def = up ? spinColorDefinitions.up : spinColorDefinitions.down;
+    return `hsl(${def.hue}, ${def.saturation}%, ${def.lightness}%)`;
+}
+
+/**
+ * Get CSS color string for a hybrid orbital in a set
+ * @param {number} index - Index of the hybrid within its set
+ */
+export function getHybridCSSColor(index) {
+    const def = hybridColorDefinitions[index % hybridColorDefinitions.length];
+    return `hsl(${def.hue}, ${def.saturation}%, ${def.lightness}%)`;
+}
+
+/**
+ * Get THREE.Color for the complex phase arg(Ψ) on a hue wheel
+ * (0 → red, π/2 → yellow-green, π → cyan, -π/2 → violet)
+ * @param {number} re - Real part of Ψ
+ * @param {number} im - Imaginary part of Ψ
+ * @returns {THREE.Color}
+ */
+export function getComplexPhaseColor(re, im) {
+    const angle = Math.atan2(im, re);
+    const hue = ((angle / (2 * Math.PI)) % 1 + 1) % 1;
+
+    const color = new THREE.Color();
+    color.setHSL(hue, 0.85, 0.6);
+
+    return color;
+}
+
 /**
  * Get CSS color string for an orbital type
  * @param {number} l - Azimuthal quantum number
@@ -68,8 +177,17 @@ export function getColorInfo() {
 // Export as namespace for convenience
 export const orbitalColors = {
     getColor,
+    getPhaseColor,
+    getComplexPhaseColor,
+    getHybridColor,
+    getHybridCSSColor,
+    getSpinColor,
+    getSpinCSSColor,
     getCSSColor,
     getOrbitalLetter,
     getColorInfo,
-    definitions: orbitalColorDefinitions
+    definitions: orbitalColorDefinitions,
+    phaseDefinitions: phaseColorDefinitions,
+    hybridDefinitions: hybridColorDefinitions,
+    spinDefinitions: spinColorDefinitions
 };
@@ -11,23 +11,53 @@ import './styles/main.css';
 // Renderers
 import { NucleusRenderer } from './rendering/NucleusRenderer.js';
 import { ElectronCloudRenderer } from './rendering/ElectronCloudRenderer.js';
+import { NodalSurfaceRenderer } from './rendering/NodalSurfaceRenderer.js';
+import { FieldGizmoRenderer } from './rendering/FieldGizmoRenderer.js';
+import { QualityManager } from './rendering/QualityManager.js';
+import { PointCache } from './cache/PointCache.js';
 
 // UI Components
 import { PeriodicTable } from './ui/PeriodicTable.js';
 import { ElementInfoPanel } from './ui/ElementInfoPanel.js';
 import { OrbitalLegend } from './ui/OrbitalLegend.js';
 import { VisualizationControls } from './ui/VisualizationControls.js';
+import { HybridOrbitalPanel } from './ui/HybridOrbitalPanel.js';
+import { SuperpositionPanel } from './ui/SuperpositionPanel.js';
+import { EnergyLevelPanel } from './ui/EnergyLevelPanel.js';
+import { SpectrumPanel } from './ui/SpectrumPanel.js';
+import { RadialDistributionPanel } from './ui/RadialDistributionPanel.js';
+import { NodalSurfacePanel } from './ui/NodalSurfacePanel.js';
+import { OrbitalBoxPanel } from './ui/OrbitalBoxPanel.js';
+import { ExternalFieldPanel } from './ui/ExternalFieldPanel.js';
+import { OrbitalExplorerPanel } from './ui/OrbitalExplorerPanel.js';
+import { NuclearShellPanel } from './ui/NuclearShellPanel.js';
+import { DecayChainPanel } from './ui/DecayChainPanel.js';
 
 // State & Controls
 import { AtomState } from './state/AtomState.js';
 import { CameraController } from './controls/CameraController.js';
 
-// Data
-import { generateElectronConfiguration } from './data/elements.js';
+// Physics
+import { createZeffLookup, slaterZeff } from './physics/screening.js';
+import { createTransition } from './physics/superposition.js';
+import { lineOrbitals } from './physics/spectrum.js';
+import { fieldStateExtent } from './physics/externalFields.js';
+
+// What the electron cloud shows
+const SCENE_MODES = {
+    ATOM: 'atom',
+    HYBRIDS: 'hybrids',
+    SUPERPOSITION: 'superposition',
+    TRANSITION: 'transition',
+    FIELDS: 'fields',
+    EXPLORER: 'explorer'
+};
 
 class PlasmaKeplerApp {
     constructor() {
         this.clock = new THREE.Clock();
+        this.sceneMode = SCENE_MODES.ATOM;
+        this.transitionState = null;
 
         // Initialize core components
         this._initThreeJS();
@@ -123,7 +153,17 @@ class PlasmaKeplerApp {
 
     _initRenderers() {
         this.nucleusRenderer = new NucleusRenderer(this.scene);
-        this.electronCloudRenderer = new ElectronCloudRenderer(this.scene);
+        // Point budget for the electron cloud, adapted to the frame rate
+        this.qualityManager = new QualityManager();
+        // Sampled orbital points, kept across element switches and sessions
+        this.pointCache = new PointCache({
+            onUsageChange: (usage) => this.vizControls?.setCacheUsage(usage)
+        });
+        this.electronCloudRenderer = new ElectronCloudRenderer(this.scene, this.qualityManager, this.pointCache);
+        // Self-consistent fields are solved on the same workers
+        this.state.setFieldSolver((Z, subshells) => this.electronCloudRenderer.solveField(Z, subshells));
+        this.nodalSurfaceRenderer = new NodalSurfaceRenderer(this.scene);
+        this.fieldGizmoRenderer = new FieldGizmoRenderer(this.scene);
     }
 
     _initUI() {
@@ -137,6 +177,32 @@ class PlasmaKeplerApp {
         const infoContainer = document.getElementById('element-info');
         this.elementInfoPanel = new ElementInfoPanel(infoContainer, this.state);
 
+        // Energy level diagram
+        const energyContainer = document.getElementById('energy-levels');
+        this.energyLevelPanel = new EnergyLevelPanel(energyContainer, this.state);
+
+        // Orbital box diagram with spins and the spin-only moment
+        const boxContainer = document.getElementById('orbital-boxes');
+        this.orbitalBoxPanel = new OrbitalBoxPanel(boxContainer, this.state);
+
+        // Line spectrum of one-electron ions
+        const spectrumContainer = document.getElementById('spectrum-panel');
+        this.spectrumPanel = new SpectrumPanel(spectrumContainer, (line) => {
+            this._onSpectrumLineSelect(line);
+        });
+
+        // Radial distribution chart; hovering a curve highlights its subshell
+        const radialContainer = document.getElementById('radial-distribution');
+        this.radialPanel = new RadialDistributionPanel(radialContainer, this.state, (subshell) => {
+            this.electronCloudRenderer.highlightSubshell(subshell);
+        });
+
+        // Nodal surfaces of one orbital
+        const nodalContainer = document.getElementById('nodal-surfaces');
+        this.nodalPanel = new NodalSurfacePanel(nodalContainer, this.state, (nodes) => {
+            this.nodalSurfaceRenderer.update(nodes);
+        });
+
         // Orbital legend
         const legendContainer = document.getElementById('orbital-legend');
         this.orbitalLegend = new OrbitalLegend(legendContainer, (l, visible) => {
@@ -147,6 +213,57 @@ class PlasmaKeplerApp {
         const controlsContainer = document.getElementById('viz-controls');
         this.vizControls = new VisualizationControls(controlsContainer, (settings) => {
             this._onVisualizationSettingsChange(settings);
+        }, () => {
+            this.pointCache.clear();
+        });
+        this.vizControls.setPointBudget(this.qualityManager.getBudget());
+        this.vizControls.setCacheUsage(this.pointCache.usage());
+
+        // Hybrid orbital builder
+        const hybridContainer = document.getElementById('hybrid-builder');
+        this.hybridPanel = new HybridOrbitalPanel(hybridContainer, (settings) => {
+            this._setSceneMode(settings.enabled ? SCENE_MODES.HYBRIDS : SCENE_MODES.ATOM);
+        });
+
+        // Superposition states
+        const superpositionContainer = document.getElementById('superposition-panel');
+        this.superpositionPanel = new SuperpositionPanel(superpositionContainer, (settings, changeType) => {
+            if (changeType === 'speed') {
+                this.electronCloudRenderer.setTimeScale(this._evolutionTimeScale());
+                return;
+            }
+            this._setSceneMode(settings.enabled ? SCENE_MODES.SUPERPOSITION : SCENE_MODES.ATOM);
+        });
+
+        // Zeeman and Stark splitting; while a slider is dragged only the
+        // field arrows follow, the cloud is resampled on release
+        const fieldContainer = document.getElementById('field-panel');
+        this.fieldPanel = new ExternalFieldPanel(fieldContainer, (settings, changeType) => {
+            if (changeType === 'preview') {
+                if (this.sceneMode === SCENE_MODES.FIELDS) {
+                    this._updateFieldGizmos();
+                }
+                return;
+            }
+            this._setSceneMode(settings.enabled ? SCENE_MODES.FIELDS : SCENE_MODES.ATOM);
+        });
+
+        // Any (n, l, m) orbitals, independent of the element
+        const explorerContainer = document.getElementById('orbital-explorer');
+        this.explorerPanel = new OrbitalExplorerPanel(explorerContainer, (settings) => {
+            this._setSceneMode(settings.enabled ? SCENE_MODES.EXPLORER : SCENE_MODES.ATOM);
+        });
+
+        // Shell-model level filling of the nucleus, and its 3D layout
+        const nuclearContainer = document.getElementById('nuclear-shells');
+        this.nuclearShellPanel = new NuclearShellPanel(nuclearContainer, (settings) => {
+            this.nucleusRenderer.setLayout(settings.layout);
+        });
+
+        // Decay chain of the isotope, played on a log-time scrubber
+        const decayContainer = document.getElementById('decay-chain');
+        this.decayChainPanel = new DecayChainPanel(decayContainer, (member) => {
+            this._onDecayChainStep(member);
         });
 
         // Select hydrogen by default
@@ -161,44 +278,220 @@ class PlasmaKeplerApp {
                 opacity: settings.sphereOpacity,
                 density: settings.cloudDensity,
                 showSpheres: settings.showSpheres,
-                showCloud: settings.showCloud
+                showCloud: settings.showCloud,
+                showSurface: settings.showSurface,
+                surfaceLevel: settings.surfaceLevel,
+                colorMode: settings.colorMode,
+                basis: settings.basis,
+                seed: settings.seed
             });
         }
 
+        // A new point budget resamples the cloud
+        const presetChanged = this.qualityManager.setPreset(settings.quality);
+        const adaptiveChanged = this.qualityManager.setAdaptive(settings.adaptiveQuality);
+        if (presetChanged || adaptiveChanged) {
+            this._onPointBudgetChange();
+        }
+
+        // Superposition components are built in the selected basis
+        if (this.sceneMode === SCENE_MODES.SUPERPOSITION && settings.basis !== this.superpositionBasis) {
+            this._renderElectrons(this.state.getState());
+        }
+        this.superpositionBasis = settings.basis;
+        this.nodalPanel.setBasis(settings.basis);
+        this.explorerPanel.setBasis(settings.basis);
+
+        // Screening model feeds back into the per-subshell Z_eff
+        this.state.setScreeningMethod(settings.screeningMethod);
+
+        // Hydrogen-like or self-consistent radial orbitals
+        this.state.setRadialModel(settings.radialModel);
+
         // Update nucleus scale
         if (this.nucleusRenderer.updateNucleonScale) {
             this.nucleusRenderer.updateNucleonScale(settings.nucleonSize);
         }
+        this.nucleusRenderer.setSeed(settings.seed);
     }
 
     _updateVisualization(state, changeType) {
-        const { element, electronCount, configuration } = state;
+        const { element } = state;
 
         // Update nucleus
-        this.nucleusRenderer.update(element.atomicNumber, element.symbol);
-
-        // Update electron cloud
-        // For performance, limit total points for heavy elements
-        const pointsPerElectron = electronCount > 30 ? 1500 : 3000;
-
-        // Expand configuration to include all m values
-        const expandedConfig = [];
-        for (const { n, l, electrons } of configuration) {
-            // Distribute electrons across m values within the subshell
-            let remaining = electrons;
-            for (let m = -l; m <= l && remaining > 0; m++) {
-                const e = Math.min(2, remaining);
-                expandedConfig.push({ n, l, m, electrons: e });
-                remaining -= e;
-            }
-        }
+        this.nucleusRenderer.update(element.atomicNumber, element.symbol, state.massNumber);
+        this.nuclearShellPanel.setNucleus(element.atomicNumber, state.massNumber - element.atomicNumber);
+        this.decayChainPanel.setNucleus(element.atomicNumber, state.massNumber, state.ionizationState);
+
+        // Another isotope leaves the electrons as they are
+        if (changeType === 'isotope') return;
 
-        this.electronCloudRenderer.renderConfiguration(expandedConfig, element.atomicNumber);
+        // Update electron cloud (point counts come from the quality manager)
+        this._renderElectrons(state);
 
         // Adjust camera for atom size
         this.cameraController.adjustForAtom(element.atomicNumber);
     }
 
+    _onPointBudgetChange() {
+        this.electronCloudRenderer.rerender();
+        this.vizControls.setPointBudget(this.qualityManager.getBudget());
+    }
+
+    /**
+     * Switch what the electron cloud shows; only one tool panel can
+     * drive the scene at a time
+     */
+    _setSceneMode(mode) {
+        this._syncSceneMode(mode);
+        this._renderElectrons(this.state.getState());
+    }
+
+    _syncSceneMode(mode) {
+        this.sceneMode = mode;
+        this.hybridPanel.setEnabled(mode === SCENE_MODES.HYBRIDS);
+        this.superpositionPanel.setEnabled(mode === SCENE_MODES.SUPERPOSITION);
+        this.fieldPanel.setEnabled(mode === SCENE_MODES.FIELDS);
+        this.explorerPanel.setEnabled(mode === SCENE_MODES.EXPLORER);
+        if (mode !== SCENE_MODES.FIELDS) {
+            this.fieldGizmoRenderer.update(null);
+        }
+        if (mode !== SCENE_MODES.TRANSITION) {
+            this.spectrumPanel.clearSelection();
+        }
+    }
+
+    /**
+     * Run the transition of a spectral line, switching to its ion
+     * @param {Object|null} line - Line from the spectrum panel (null when deselected)
+     */
+    _onSpectrumLineSelect(line) {
+        if (!line) {
+            this._setSceneMode(SCENE_MODES.ATOM);
+            return;
+        }
+
+        const { from, to } = lineOrbitals(line, line.absorption);
+        this.transitionState = createTransition(from, to, line.Z);
+
+        const { element, electronCount } = this.state.getState();
+        if (element.symbol === line.symbol && electronCount === 1) {
+            this._setSceneMode(SCENE_MODES.TRANSITION);
+            return;
+        }
+
+        // Changing the element re-renders the scene
+        this._syncSceneMode(SCENE_MODES.TRANSITION);
+        this.periodicTable.highlightElement(line.symbol);
+        this.state.setElement(line.symbol, line.Z - 1);
+    }
+
+    /**
+     * Show a member of the decay chain: the particles of the decays
+     * leading to it leave the nucleus, then the atom transmutes, its
+     * electrons re-rendered for the daughter
+     */
+    _onDecayChainStep({ symbol, A, charge, decayed }) {
+        decayed.forEach(parent => this.nucleusRenderer.emitDecay(parent.Z, parent.A, parent.particles));
+        this.periodicTable.highlightElement(symbol);
+        this.state.setElement(symbol, charge, A);
+    }
+
+    /**
+     * Point the field arrows along B and F, long enough to cross the
+     * displayed eigenstate
+     */
+    _updateFieldGizmos() {
+        const { maxR } = fieldStateExtent(this.fieldPanel.getSelectedState());
+        this.fieldGizmoRenderer.update(this.fieldPanel.getFields(), 1.8 * maxR);
+    }
+
+    /**
+     * Evolution speed of the superposition or transition on screen
+     */
+    _evolutionTimeScale() {
+        if (this.sceneMode === SCENE_MODES.TRANSITION) {
+            return this.superpositionPanel.getTimeScale(this.transitionState.Z, this.transitionState);
+        }
+        return this.superpositionPanel.getTimeScale();
+    }
+
+    /**
+     * Render the electron cloud: the ground-state configuration, the
+     * hybrid orbitals from the hybrid builder, a superposition state,
+     * the transition of a spectral line, a level split by external fields
+     * or the orbitals picked in the orbital explorer
+     */
+    _renderElectrons(state) {
+        const { element, electronCount, configuration, screening } = state;
+
+        // Each subshell is sampled with its own screened nuclear charge
+        const zeffFor = createZeffLookup(screening, element.atomicNumber);
+
+        if (this.sceneMode === SCENE_MODES.TRANSITION) {
+            // A line belongs to one ion; any other atom ends the transition
+            if (electronCount === 1 && element.atomicNumber === this.transitionState.Z) {
+                this.electronCloudRenderer.setTimeScale(this._evolutionTimeScale());
+                this.electronCloudRenderer.renderSuperposition(this.transitionState);
+                return;
+            }
+            this._syncSceneMode(SCENE_MODES.ATOM);
+        }
+
+        if (this.sceneMode === SCENE_MODES.SUPERPOSITION) {
+            // Hydrogen-like energies: use the nucleus of a one-electron
+            // ion, and hydrogen for anything with more electrons
+            const Z = electronCount === 1 ? element.atomicNumber : 1;
+            const basis = this.vizControls.getSettings().basis;
+            this.superpositionPanel.setNuclearCharge(Z);
+            this.electronCloudRenderer.setTimeScale(this.superpositionPanel.getTimeScale(Z));
+            this.electronCloudRenderer.renderSuperposition(this.superpositionPanel.buildState(Z, basis));
+            return;
+        }
+
+        if (this.sceneMode === SCENE_MODES.EXPLORER) {
+            // Bare hydrogen-like orbitals of the explorer's own nucleus
+            this.electronCloudRenderer.renderConfiguration(
+                this.explorerPanel.getOrbitals(),
+                this.explorerPanel.getNuclearCharge()
+            );
+            return;
+        }
+
+        if (this.sceneMode === SCENE_MODES.FIELDS) {
+            // Same hydrogen-like nucleus as the superposition panel
+            const Z = electronCount === 1 ? element.atomicNumber : 1;
+            this.fieldPanel.setNuclearCharge(Z);
+            this.electronCloudRenderer.renderFieldState(this.fieldPanel.getSelectedState());
+            this._updateFieldGizmos();
+            return;
+        }
+
+        if (this.sceneMode === SCENE_MODES.HYBRIDS) {
+            // Hybrids share the p charge of the selected shell; for an
+            // empty shell, Slater's rules give the charge an added electron sees
+            const { n } = this.hybridPanel.getSettings();
+            const zeff = screening.some(shell => shell.n === n && shell.l === 1)
+                ? zeffFor(n, 1)
+                : slaterZeff(n, 1, this.state.getSubshellConfiguration(), element.atomicNumber);
+            const hybrids = this.hybridPanel.buildHybrids(zeff);
+            this.electronCloudRenderer.renderHybrids(hybrids);
+            return;
+        }
+
+        // The ground-state configuration is already expanded per (n, l, m);
+        // the radial model replaces the screened hydrogen-like orbitals
+        // when the self-consistent field is selected
+        const model = this.state.getRadialModel();
+        const orbitals = configuration.map(orbital => ({
+            ...orbital,
+            zeff: zeffFor(orbital.n, orbital.l),
+            model
+        }));
+
+        this.electronCloudRenderer.renderConfiguration(orbitals, element.atomicNumber);
+    }
+
     _animate() {
         requestAnimationFrame(this._animate.bind(this));
 
@@ -208,12 +501,21 @@ class PlasmaKeplerApp {
         // Update controls
         this.cameraController.update();
 
-        // Animate nucleus
+        // Play the decay chain
+        this.decayChainPanel.advance(deltaTime);
+
+        // Animate nucleus and decay products
         this.nucleusRenderer.updateGlow(this.camera);
+        this.nucleusRenderer.animate(deltaTime);
 
         // Animate electron cloud
         this.electronCloudRenderer.animate(deltaTime);
 
+        // Adapt the point budget to the frame rate
+        if (this.qualityManager.recordFrame(deltaTime, this.electronCloudRenderer.isSampling())) {
+            this._onPointBudgetChange();
+        }
+
         // Render
         this.renderer.render(this.scene, this.camera);
     }
@@ -233,6 +535,8 @@ class PlasmaKeplerApp {
     dispose() {
         this.nucleusRenderer.dispose();
         this.electronCloudRenderer.dispose();
+        this.nodalSurfaceRenderer.dispose();
+        this.fieldGizmoRenderer.dispose();
         this.cameraController.dispose();
         this.renderer.dispose();
     }
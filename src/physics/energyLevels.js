@@ -0,0 +1,199 @@
+/**
+ * Orbital Energy Levels
+ *
+ * Hydrogen-like subshell energies E = -Z_eff² / (2n²) hartree, exact
+ * for one-electron ions and a screened estimate for everything else,
+ * plus the photon energy, wavelength and selection rule of a transition
+ * between two levels.
+ */
+
+import { AUFBAU_ORDER } from '../data/elements.js';
+import { slaterZeff } from './screening.js';
+import { orbitalSolution } from './selfConsistentField.js';
+
+// Hartree in electron volts
+export const HARTREE_EV = 27.211386245988;
+
+// h·c in eV·nm (λ[nm] = HC_EV_NM / E[eV])
+export const HC_EV_NM = 1239.841984;
+
+// Unoccupied subshells shown above the highest occupied one
+const EMPTY_LEVELS = 4;
+
+// Highest l drawn in the diagram (s, p, d, f)
+const MAX_L = 3;
+
+/**
+ * Hydrogen-like energy of a subshell in eV
+ *
+ * @param {number} n - Principal quantum number
+ * @param {number} zeff - (Effective) nuclear charge
+ * @returns {number} Energy in eV (negative for bound states)
+ */
+export function subshellEnergy(n, zeff) {
+    return -HARTREE_EV * zeff * zeff / (2 * n * n);
+}
+
+/**
+ * Energy levels of an atom or ion
+ *
+ * One-electron ions get exact levels for n = 1-4. Many-electron atoms
+ * get their occupied subshells (with the given Z_eff) plus the next few
+ * empty subshells in Aufbau order, screened as seen by one electron
+ * promoted from the outermost occupied subshell.
+ *
+ * @param {Array} screening - Occupied subshells [{n, l, electrons, zeff}]
+ * @param {number} Z - Atomic number
+ * @returns {Array} Levels [{n, l, electrons, capacity, zeff, energy}] sorted by energy
+ */
+export function computeEnergyLevels(screening, Z) {
+    const electronCount = screening.reduce((sum, { electrons }) => sum + electrons, 0);
+    const levels = [];
+
+    if (electronCount <= 1) {
+        for (let n = 1; n <= 4; n++) {
+            for (let l = 0; l < n && l <= MAX_L; l++) {
+                const occupied = screening.find(shell => shell.n === n && shell.l === l);
+                levels.push(createLevel(n, l, occupied ? occupied.electrons : 0, Z));
+            }
+        }
+        return levels.sort((a, b) => a.energy - b.energy);
+    }
+
+    for (const { n, l, electrons, zeff } of screening) {
+        levels.push(createLevel(n, l, electrons, zeff));
+    }
+
+    // Core seen by an electron promoted out of the outermost subshell
+    // (highest n, then highest l, the same one ionization removes first)
+    const outermost = screening.reduce((a, b) => (b.n > a.n || (b.n === a.n && b.l > a.l)) ? b : a);
+    const core = screening.map(shell => shell === outermost
+        ? { ...shell, electrons: shell.electrons - 1 }
+        : shell);
+
+    for (const { n, l } of emptySubshells(screening)) {
+        levels.push(createLevel(n, l, 0, slaterZeff(n, l, core, Z)));
+    }
+
+    return levels.sort((a, b) => a.energy - b.energy);
+}
+
+/**
+ * Energy levels from a converged self-consistent field
+ *
+ * Occupied levels are the orbital energies of the field; the empty
+ * levels (chosen as in computeEnergyLevels) are solved in the same
+ * potential and left out when they are not bound. Each level's zeff
+ * is the charge of the hydrogen-like level with the same energy.
+ *
+ * @param {Object} solution - From selfConsistentField
+ * @returns {Array} Levels [{n, l, electrons, capacity, zeff, energy}] sorted by energy
+ */
+export function selfConsistentLevels(solution) {
+    const occupied = [...solution.orbitals.values()]
+        .filter(orbital => orbital && orbital.occupation > 0)
+        .map(({ n, l, occupation }) => ({ n, l, electrons: occupation }));
+
+    const subshells = [];
+    if (solution.electrons <= 1) {
+        for (let n = 1; n <= 4; n++) {
+            for (let l = 0; l < n && l <= MAX_L; l++) {
+                const shell = occupied.find(shell => shell.n === n && shell.l === l);
+                subshells.push({ n, l, electrons: shell ? shell.electrons : 0 });
+            }
+        }
+    } else {
+        subshells.push(...occupied, ...emptySubshells(occupied).map(({ n, l }) => ({ n, l, electrons: 0 })));
+    }
+
+    const levels = [];
+    for (const { n, l, electrons } of subshells) {
+        const orbital = orbitalSolution(solution, n, l);
+        if (!orbital) continue;
+        levels.push({
+            ...createLevel(n, l, electrons, n * Math.sqrt(-2 * orbital.energy)),
+            energy: orbital.energy * HARTREE_EV
+        });
+    }
+
+    return levels.sort((a, b) => a.energy - b.energy);
+}
+
+/**
+ * The next few empty subshells after the last occupied one in Aufbau order
+ */
+function emptySubshells(screening) {
+    const lastIndex = Math.max(...screening.map(shell =>
+        AUFBAU_ORDER.findIndex(({ n, l }) => n === shell.n && l === shell.l)));
+
+    return AUFBAU_ORDER.slice(lastIndex + 1)
+        .filter(({ n, l }) => l <= MAX_L && !screening.some(shell => shell.n === n && shell.l === l))
+        .slice(0, EMPTY_LEVELS);
+}
+
+function createLevel(n, l, electrons, zeff) {
+    return {
+        n,
+        l,
+        electrons,
+        capacity: 2 * (2 * l + 1),
+        zeff,
+        energy: subshellEnergy(n, zeff)
+    };
+}
+
+/**
+ * Photon wavelength for a transition energy
+ * @param {number} energy - Photon energy in eV
+ * @returns {number} Wavelength in nm
+ */
+export function photonWavelength(energy) {
+    return HC_EV_NM / Math.abs(energy);
+}
+
+/**
+ * Name of the spectral region of a wavelength
+ * @param {number} wavelength - Wavelength in nm
+ */
+export function spectralRegion(wavelength) {
+    if (wavelength < 10) return 'X-ray';
+    if (wavelength < 380) return 'Ultraviolet';
+    if (wavelength <= 750) return 'Visible';
+    if (wavelength < 1e6) return 'Infrared';
+    return 'Microwave';
+}
+
+/**
+ * Transition between two levels
+ *
+ * @param {Object} from - Initial level {n, l, energy}
+ * @param {Object} to - Final level {n, l, energy}
+ * @returns {Object} {deltaE, wavelength, region, allowed, type}
+ */
+export function transitionBetween(from, to) {
+    const deltaE = to.energy - from.energy;
+    const wavelength = photonWavelength(deltaE);
+
+    return {
+        deltaE,
+        wavelength,
+        region: spectralRegion(wavelength),
+        // Electric dipole selection rule
+        allowed: Math.abs(to.l - from.l) === 1,
+        type: deltaE > 0 ? 'absorption' : 'emission'
+    };
+}
+
+/**
+ * Electrons per orbital when a subshell is filled by Hund's rule
+ * (singly first, then paired)
+ *
+ * @param {number} l - Azimuthal quantum number
+ * @param {number} electrons - Electrons in the subshell
+ * @returns {Array} Occupancy (0, 1 or 2) of each of the 2l+1 orbitals
+ */
+export function hundOccupancy(l, electrons) {
+    const orbitals = 2 * l + 1;
+    return Array.from({ length: orbitals }, (_, i) =>
+        (electrons > i ? 1 : 0) + (electrons > orbitals + i ? 1 : 0));
+}
@@ -0,0 +1,383 @@
+/**
+ * External Fields: Zeeman and Stark Effects
+ *
+ * First-order splitting of one hydrogen-like level n in a static
+ * magnetic field B and electric field F (atomic units):
+ *
+ *   H' = ½ B·L + F·r
+ *
+ * - Zeeman: the orbital moment gives shifts μ_B B m along B (spin and
+ *   fine structure are neglected, i.e. the normal Zeeman effect)
+ * - Stark: F·r mixes l and l ± 1 of the same n; along F the eigenstates
+ *   are the parabolic states |n n₁ n₂ m⟩ with shifts (3/2) n (n₁ - n₂) F / Z
+ *
+ * H' is built in the complex |n l m⟩ basis and diagonalized, so both
+ * fields can point anywhere. Each eigenstate is a complex combination
+ * Σ c_lm R_nl Y_lm that the sampler and isosurface code can render.
+ */
+
+import { radialWaveFunction, maxRadialExtent, mostProbableRadius } from './radialWaveFunction.js';
+import { complexSphericalHarmonic } from './sphericalHarmonics.js';
+import { cartesianToSpherical } from './probabilityDensity.js';
+import { evaluateDensityGrid } from './isosurface.js';
+import { HARTREE_EV } from './energyLevels.js';
+
+// Bohr magneton in eV/T
+export const BOHR_MAGNETON_EV_T = 5.7883818060e-5;
+
+// Atomic units of magnetic field (T) and electric field (kV/cm)
+export const ATOMIC_MAGNETIC_FIELD_T = 2.35051757e5;
+export const ATOMIC_ELECTRIC_FIELD_KV_CM = 5.14220675e6;
+
+// Coefficients below this are dropped from an eigenstate
+const COEFFICIENT_CUTOFF = 1e-6;
+
+/**
+ * Linear Zeeman shift of a state with magnetic quantum number m
+ * @param {number} m - m along the field
+ * @param {number} B - Field in tesla
+ * @returns {number} Shift in eV
+ */
+export function linearZeemanShift(m, B) {
+    return BOHR_MAGNETON_EV_T * B * m;
+}
+
+/**
+ * Linear Stark shift of a parabolic state
+ * @param {number} n - Principal quantum number
+ * @param {number} k - n₁ - n₂
+ * @param {number} F - Field in kV/cm
+ * @param {number} Z - Nuclear charge
+ * @returns {number} Shift in eV
+ */
+export function linearStarkShift(n, k, F, Z = 1) {
+    return 1.5 * n * k * (F / ATOMIC_ELECTRIC_FIELD_KV_CM) / Z * HARTREE_EV;
+}
+
+/**
+ * Field vector from a magnitude and direction angles
+ * @param {number} magnitude - Field strength
+ * @param {number} theta - Polar angle from +z (radians)
+ * @param {number} phi - Azimuth from +x (radians)
+ * @returns {Object} {x, y, z}
+ */
+export function fieldVector(magnitude, theta = 0, phi = 0) {
+    return {
+        x: magnitude * Math.sin(theta) * Math.cos(phi),
+        y: magnitude * Math.sin(theta) * Math.sin(phi),
+        z: magnitude * Math.cos(theta)
+    };
+}
+
+/**
+ * The n² orbitals |n l m⟩ of a level, by l then m
+ * @returns {Array} [{l, m}]
+ */
+export function manifoldBasis(n) {
+    const basis = [];
+    for (let l = 0; l < n; l++) {
+        for (let m = -l; m <= l; m++) basis.push({ l, m });
+    }
+    return basis;
+}
+
+function createMatrix(size) {
+    return { size, re: new Float64Array(size * size), im: new Float64Array(size * size) };
+}
+
+/**
+ * Add c·v to element (i, j) and conj(c)·v to (j, i) of a Hermitian matrix
+ */
+function addHermitian(matrix, i, j, re, im) {
+    const { size } = matrix;
+    matrix.re[i * size + j] += re;
+    matrix.im[i * size + j] += im;
+    if (i !== j) {
+        matrix.re[j * size + i] += re;
+        matrix.im[j * size + i] -= im;
+    }
+}
+
+/**
+ * d·L in the |n l m⟩ basis for a direction d
+ * (L± = Lx ± iLy raise and lower m with the Condon–Shortley phase)
+ */
+export function angularMomentumMatrix(n, direction) {
+    const basis = manifoldBasis(n);
+    const matrix = createMatrix(basis.length);
+    const { x, y, z } = direction;
+
+    basis.forEach(({ l, m }, j) => {
+        addHermitian(matrix, j, j, z * m, 0);
+
+        // d·L = dz Lz + ½(dx - i dy) L+ + ½(dx + i dy) L-; the L- part is
+        // the Hermitian conjugate of the L+ part
+        if (m < l) {
+            const i = basis.findIndex(state => state.l === l && state.m === m + 1);
+            const raise = Math.sqrt(l * (l + 1) - m * (m + 1));
+            addHermitian(matrix, i, j, raise * x / 2, -raise * y / 2);
+        }
+    });
+    return matrix;
+}
+
+/**
+ * Radial integral ⟨n l|r|n l-1⟩ of hydrogen-like functions (R_nl
+ * positive near the nucleus, as radialWaveFunction)
+ */
+export function radialDipole(n, l, Z = 1) {
+    return -1.5 * n * Math.sqrt(n * n - l * l) / Z;
+}
+
+/**
+ * d·r in the |n l m⟩ basis for a direction d
+ *
+ * Only l ↔ l - 1 couple. With r± = x ± iy:
+ *   ⟨l m|cos θ|l-1 m⟩ = √((l² - m²) / ((2l+1)(2l-1)))
+ *   ⟨l m|sin θ e^{iφ}|l-1 m-1⟩ = -√((l+m-1)(l+m) / ((2l-1)(2l+1)))
+ *   ⟨l-1 m|sin θ e^{iφ}|l m-1⟩ = √((l-m+1)(l-m) / ((2l-1)(2l+1)))
+ */
+export function dipoleMatrix(n, Z, direction) {
+    const basis = manifoldBasis(n);
+    const matrix = createMatrix(basis.length);
+    const index = (l, m) => basis.findIndex(state => state.l === l && state.m === m);
+    const { x, y, z } = direction;
+
+    for (let l = 1; l < n; l++) {
+        const radial = radialDipole(n, l, Z);
+        const denominator = (2 * l + 1) * (2 * l - 1);
+
+        // d·r = dz z + ½(dx - i dy) r+ + ½(dx + i dy) r-; the r- part is
+        // the Hermitian conjugate of the r+ part
+        const cRe = x / 2, cIm = -y / 2;
+
+        for (let m = -l; m <= l; m++) {
+            if (Math.abs(m) <= l - 1) {
+                const value = radial * Math.sqrt((l * l - m * m) / denominator);
+                addHermitian(matrix, index(l, m), index(l - 1, m), z * value, 0);
+            }
+            if (Math.abs(m - 1) <= l - 1) {
+                const value = -radial * Math.sqrt((l + m - 1) * (l + m) / denominator);
+                addHermitian(matrix, index(l, m), index(l - 1, m - 1), cRe * value, cIm * value);
+            }
+            if (Math.abs(m) <= l - 1 && m - 1 >= -l) {
+                const value = radial * Math.sqrt((l - m + 1) * (l - m) / denominator);
+                addHermitian(matrix, index(l - 1, m), index(l, m - 1), cRe * value, cIm * value);
+            }
+        }
+    }
+    return matrix;
+}
+
+/**
+ * Eigenvalues and eigenvectors of a Hermitian matrix by complex Jacobi
+ * rotations (each step removes the phase of the largest coupling, then
+ * applies a real plane rotation)
+ *
+ * @param {Object} matrix - {size, re, im} (not modified)
+ * @returns {Object} {values: Array, vectors: [{re, im}]} sorted by value
+ */
+export function hermitianEigen(matrix) {
+    const { size } = matrix;
+    const re = Float64Array.from(matrix.re);
+    const im = Float64Array.from(matrix.im);
+    const vRe = new Float64Array(size * size);
+    const vIm = new Float64Array(size * size);
+    for (let i = 0; i < size; i++) vRe[i * size + i] = 1;
+
+    let scale = 0;
+    for (let i = 0; i < size * size; i++) scale += re[i] * re[i] + im[i] * im[i];
+
+    // Multiply column q by c and row q by conj(c)
+    const phaseColumn = (q, cRe, cIm) => {
+        for (let k = 0; k < size; k++) {
+            const a = re[k * size + q], b = im[k * size + q];
+            re[k * size + q] = a * cRe - b * cIm;
+            im[k * size + q] = a * cIm + b * cRe;
+            const va = vRe[k * size + q], vb = vIm[k * size + q];
+            vRe[k * size + q] = va * cRe - vb * cIm;
+            vIm[k * size + q] = va * cIm + vb * cRe;
+        }
+        for (let k = 0; k < size; k++) {
+            const a = re[q * size + k], b = im[q * size + k];
+            re[q * size + k] = a * cRe + b * cIm;
+            im[q * size + k] = b * cRe - a * cIm;
+        }
+    };
+
+    for (let sweep = 0; sweep < 100; sweep++) {
+        let off = 0;
+        for (let p = 0; p < size; p++) {
+            for (let q = p + 1; q < size; q++) {
+                off += re[p * size + q] ** 2 + im[p * size + q] ** 2;
+            }
+        }
+        if (off <= 1e-24 * scale || off === 0) break;
+
+        for (let p = 0; p < size; p++) {
+            for (let q = p + 1; q < size; q++) {
+                const a = Math.hypot(re[p * size + q], im[p * size + q]);
+                if (a === 0) continue;
+
+                // Make A_pq real and positive
+                phaseColumn(q, re[p * size + q] / a, -im[p * size + q] / a);
+
+                const app = re[p * size + p];
+                const aqq = re[q * size + q];
+                const angle = Math.atan2(2 * a, aqq - app) / 2;
+                const c = Math.cos(angle), s = Math.sin(angle);
+
+                for (let k = 0; k < size; k++) {
+                    for (const [m, mIm] of [[re, im], [vRe, vIm]]) {
+                        const kp = k * size + p, kq = k * size + q;
+                        const pRe = m[kp], qRe = m[kq], pIm = mIm[kp], qIm = mIm[kq];
+                        m[kp] = c * pRe - s * qRe;
+                        m[kq] = s * pRe + c * qRe;
+                        mIm[kp] = c * pIm - s * qIm;
+                        mIm[kq] = s * pIm + c * qIm;
+                    }
+                }
+                for (let k = 0; k < size; k++) {
+                    const pk = p * size + k, qk = q * size + k;
+                    const pRe = re[pk], qRe = re[qk], pIm = im[pk], qIm = im[qk];
+                    re[pk] = c * pRe - s * qRe;
+                    re[qk] = s * pRe + c * qRe;
+                    im[pk] = c * pIm - s * qIm;
+                    im[qk] = s * pIm + c * qIm;
+                }
+            }
+        }
+    }
+
+    const order = Array.from({ length: size }, (_, i) => i)
+        .sort((i, j) => re[i * size + i] - re[j * size + j]);
+
+    return {
+        values: order.map(i => re[i * size + i]),
+        vectors: order.map(j => ({
+            re: Float64Array.from({ length: size }, (_, k) => vRe[k * size + j]),
+            im: Float64Array.from({ length: size }, (_, k) => vIm[k * size + j])
+        }))
+    };
+}
+
+/**
+ * ⟨v|M|v⟩ for a Hermitian matrix
+ */
+function expectation(matrix, vector) {
+    const { size, re, im } = matrix;
+    let value = 0;
+    for (let i = 0; i < size; i++) {
+        for (let j = 0; j < size; j++) {
+            // Re(conj(v_i) M_ij v_j)
+            const mvRe = re[i * size + j] * vector.re[j] - im[i * size + j] * vector.im[j];
+            const mvIm = re[i * size + j] * vector.im[j] + im[i * size + j] * vector.re[j];
+            value += vector.re[i] * mvRe + vector.im[i] * mvIm;
+        }
+    }
+    return value;
+}
+
+const unit = ({ x, y, z }) => {
+    const length = Math.hypot(x, y, z);
+    return length > 0 ? { x: x / length, y: y / length, z: z / length } : { x: 0, y: 0, z: 1 };
+};
+
+/**
+ * Split a hydrogen-like level in external fields
+ *
+ * @param {number} n - Principal quantum number
+ * @param {number} Z - Nuclear charge
+ * @param {Object} fields - {B: {x, y, z} in T, F: {x, y, z} in kV/cm}
+ * @returns {Object} {n, Z, states} with states sorted by energy:
+ *   {n, Z, shift (eV), components: [{l, m, re, im}],
+ *    mB: ⟨L⟩ along B, dipole: ⟨r⟩ along F (bohr)}
+ */
+export function fieldSplitting(n, Z = 1, { B = { x: 0, y: 0, z: 0 }, F = { x: 0, y: 0, z: 0 } } = {}) {
+    const basis = manifoldBasis(n);
+    const bMagnitude = Math.hypot(B.x, B.y, B.z) / ATOMIC_MAGNETIC_FIELD_T;
+    const fMagnitude = Math.hypot(F.x, F.y, F.z) / ATOMIC_ELECTRIC_FIELD_KV_CM;
+
+    const zeeman = angularMomentumMatrix(n, unit(B));
+    const stark = dipoleMatrix(n, Z, unit(F));
+
+    const hamiltonian = createMatrix(basis.length);
+    for (let i = 0; i < basis.length * basis.length; i++) {
+        hamiltonian.re[i] = bMagnitude / 2 * zeeman.re[i] + fMagnitude * stark.re[i];
+        hamiltonian.im[i] = bMagnitude / 2 * zeeman.im[i] + fMagnitude * stark.im[i];
+    }
+
+    const { values, vectors } = hermitianEigen(hamiltonian);
+
+    const states = values.map((value, k) => {
+        const vector = vectors[k];
+        return {
+            n,
+            Z,
+            shift: value * HARTREE_EV,
+            components: basis
+                .map(({ l, m }, i) => ({ l, m, re: vector.re[i], im: vector.im[i] }))
+                .filter(({ re, im }) => Math.hypot(re, im) > COEFFICIENT_CUTOFF),
+            mB: expectation(zeeman, vector),
+            dipole: expectation(stark, vector)
+        };
+    });
+
+    return { n, Z, states };
+}
+
+/**
+ * Ψ(r, θ, φ) of a field eigenstate as {re, im}
+ */
+export function fieldStateWavefunction(state, r, theta, phi) {
+    let re = 0;
+    let im = 0;
+    for (const component of state.components) {
+        const R = radialWaveFunction(state.n, component.l, r, state.Z);
+        const Y = complexSphericalHarmonic(component.l, component.m, theta, phi);
+        re += R * (component.re * Y.re - component.im * Y.im);
+        im += R * (component.re * Y.im + component.im * Y.re);
+    }
+    return { re, im };
+}
+
+/**
+ * |Ψ(r, θ, φ)|² of a field eigenstate
+ */
+export function fieldStateDensity(state, r, theta, phi) {
+    const { re, im } = fieldStateWavefunction(state, r, theta, phi);
+    return re * re + im * im;
+}
+
+/**
+ * Ψ at Cartesian coordinates
+ */
+export function fieldStateWavefunctionCartesian(state, x, y, z) {
+    const { r, theta, phi } = cartesianToSpherical(x, y, z);
+    return fieldStateWavefunction(state, r, theta, phi);
+}
+
+/**
+ * Radial range of a field eigenstate (largest of its components)
+ * @returns {Object} {maxR, rPeak}
+ */
+export function fieldStateExtent(state) {
+    let maxR = 0;
+    let rPeak = 0;
+    for (const { l } of state.components) {
+        maxR = Math.max(maxR, maxRadialExtent(state.n, l, state.Z));
+        rPeak = Math.max(rPeak, mostProbableRadius(state.n, l, state.Z));
+    }
+    return { maxR, rPeak };
+}
+
+/**
+ * Density grid of a field eigenstate for isosurface extraction
+ */
+export function fieldStateDensityGrid(state, resolution = 40) {
+    return evaluateDensityGrid(
+        (r, theta, phi) => fieldStateDensity(state, r, theta, phi),
+        fieldStateExtent(state).maxR,
+        resolution
+    );
+}
@@ -0,0 +1,229 @@
+/**
+ * Hybrid Orbitals
+ *
+ * Builds normalized linear combinations of same-n real s, p and d
+ * orbitals (sp, sp², sp³, sp³d, sp³d²):
+ *
+ * Ψ_hybrid = Σ cᵢ R_n,lᵢ(r) Y_lᵢ,mᵢ(θ, φ),   Σ cᵢ² = 1
+ *
+ * Coefficients refer to Cartesian-signed orbitals (px is positive
+ * along +x, and every radial function is positive in its outermost
+ * region), so preset lobes point where their names say.
+ */
+
+import { radialWaveFunction, maxRadialExtent, mostProbableRadius } from './radialWaveFunction.js';
+import { sphericalHarmonic } from './sphericalHarmonics.js';
+import { cartesianToSpherical } from './probabilityDensity.js';
+import { evaluateDensityGrid } from './isosurface.js';
+
+/**
+ * Real orbitals available to hybrids
+ * sign flips the Condon–Shortley phase so each lobe is positive along
+ * the axis in its name
+ */
+export const HYBRID_BASIS = {
+    's': { l: 0, m: 0, sign: 1, label: 's' },
+    'px': { l: 1, m: 1, sign: -1, label: 'p<sub>x</sub>' },
+    'py': { l: 1, m: -1, sign: -1, label: 'p<sub>y</sub>' },
+    'pz': { l: 1, m: 0, sign: 1, label: 'p<sub>z</sub>' },
+    'dz2': { l: 2, m: 0, sign: 1, label: 'd<sub>z²</sub>' },
+    'dx2-y2': { l: 2, m: 2, sign: 1, label: 'd<sub>x²−y²</sub>' },
+    'dxy': { l: 2, m: -2, sign: 1, label: 'd<sub>xy</sub>' },
+    'dxz': { l: 2, m: 1, sign: -1, label: 'd<sub>xz</sub>' },
+    'dyz': { l: 2, m: -1, sign: -1, label: 'd<sub>yz</sub>' }
+};
+
+const S3 = Math.sqrt(3);
+const S6 = Math.sqrt(6);
+const S2 = Math.SQRT2;
+
+/**
+ * Standard hybridization schemes
+ * Each hybrid is a map of basis orbital -> coefficient
+ */
+export const HYBRID_PRESETS = {
+    'sp': {
+        label: 'sp',
+        geometry: 'Linear',
+        hybrids: [
+            { s: 1 / S2, pz: 1 / S2 },
+            { s: 1 / S2, pz: -1 / S2 }
+        ]
+    },
+    'sp2': {
+        label: 'sp²',
+        geometry: 'Trigonal planar',
+        hybrids: [
+            { s: 1 / S3, px: S2 / S3 },
+            { s: 1 / S3, px: -1 / S6, py: 1 / S2 },
+            { s: 1 / S3, px: -1 / S6, py: -1 / S2 }
+        ]
+    },
+    'sp3': {
+        label: 'sp³',
+        geometry: 'Tetrahedral',
+        hybrids: [
+            { s: 0.5, px: 0.5, py: 0.5, pz: 0.5 },
+            { s: 0.5, px: 0.5, py: -0.5, pz: -0.5 },
+            { s: 0.5, px: -0.5, py: 0.5, pz: -0.5 },
+            { s: 0.5, px: -0.5, py: -0.5, pz: 0.5 }
+        ]
+    },
+    'sp3d': {
+        label: 'sp³d',
+        geometry: 'Trigonal bipyramidal',
+        hybrids: [
+            // Equatorial sp² set
+            { s: 1 / S3, px: S2 / S3 },
+            { s: 1 / S3, px: -1 / S6, py: 1 / S2 },
+            { s: 1 / S3, px: -1 / S6, py: -1 / S2 },
+            // Axial pd set
+            { pz: 1 / S2, dz2: 1 / S2 },
+            { pz: -1 / S2, dz2: 1 / S2 }
+        ]
+    },
+    'sp3d2': {
+        label: 'sp³d²',
+        geometry: 'Octahedral',
+        hybrids: [
+            { s: 1 / S6, pz: 1 / S2, dz2: 1 / S3 },
+            { s: 1 / S6, pz: -1 / S2, dz2: 1 / S3 },
+            { s: 1 / S6, px: 1 / S2, dz2: -1 / (2 * S3), 'dx2-y2': 0.5 },
+            { s: 1 / S6, px: -1 / S2, dz2: -1 / (2 * S3), 'dx2-y2': 0.5 },
+            { s: 1 / S6, py: 1 / S2, dz2: -1 / (2 * S3), 'dx2-y2': -0.5 },
+            { s: 1 / S6, py: -1 / S2, dz2: -1 / (2 * S3), 'dx2-y2': -0.5 }
+        ]
+    }
+};
+
+/**
+ * Create a normalized hybrid orbital
+ *
+ * @param {number} n - Principal quantum number shared by every component
+ * @param {Object} coefficients - Map of basis orbital name -> coefficient
+ * @param {number} Z - Effective nuclear charge
+ * @returns {Object|null} {n, Z, terms: [{name, l, m, c, value}]} or null if invalid
+ *          (c includes the orbital sign conventions, value is the normalized input)
+ */
+export function createHybrid(n, coefficients, Z = 1) {
+    const terms = [];
+    let norm = 0;
+
+    for (const [name, value] of Object.entries(coefficients)) {
+        const orbital = HYBRID_BASIS[name];
+        if (!orbital) {
+            console.warn(`Unknown hybrid basis orbital: ${name}`);
+            return null;
+        }
+        if (!value) continue;
+        if (orbital.l >= n) {
+            console.warn(`Orbital ${n}${name} does not exist (l must be < n)`);
+            return null;
+        }
+        // R_nl changes sign at each of its n-l-1 radial nodes
+        const radialSign = (n - orbital.l - 1) % 2 === 0 ? 1 : -1;
+        terms.push({ name, l: orbital.l, m: orbital.m, c: value * orbital.sign * radialSign, value });
+        norm += value * value;
+    }
+
+    if (norm === 0) {
+        console.warn('Hybrid orbital needs at least one non-zero coefficient');
+        return null;
+    }
+
+    // Same-n real orbitals are orthonormal, so Σ c² = 1 normalizes Ψ
+    const scale = 1 / Math.sqrt(norm);
+    for (const term of terms) {
+        term.c *= scale;
+        term.value *= scale;
+    }
+
+    return { n, Z, terms };
+}
+
+/**
+ * Build every hybrid of a preset scheme
+ *
+ * @param {string} presetKey - Key of HYBRID_PRESETS
+ * @param {number} n - Principal quantum number
+ * @param {number} Z - Effective nuclear charge
+ * @returns {Array} Array of hybrids (empty if the scheme needs d orbitals and n < 3)
+ */
+export function buildHybridPreset(presetKey, n, Z = 1) {
+    const preset = HYBRID_PRESETS[presetKey];
+    if (!preset) {
+        console.warn(`Unknown hybridization: ${presetKey}`);
+        return [];
+    }
+
+    const hybrids = preset.hybrids.map(coefficients => createHybrid(n, coefficients, Z));
+    return hybrids.includes(null) ? [] : hybrids;
+}
+
+/**
+ * Hybrid wave function Ψ(r, θ, φ) = Σ cᵢ R_n,lᵢ(r) Y_lᵢ,mᵢ(θ, φ)
+ */
+export function hybridWavefunction(hybrid, r, theta, phi) {
+    const { n, Z, terms } = hybrid;
+    const radial = [];
+    let psi = 0;
+
+    for (const { l, m, c } of terms) {
+        if (radial[l] === undefined) radial[l] = radialWaveFunction(n, l, r, Z);
+        psi += c * radial[l] * sphericalHarmonic(l, m, theta, phi);
+    }
+
+    return psi;
+}
+
+/**
+ * Hybrid probability density |Ψ|²
+ */
+export function hybridProbabilityDensity(hybrid, r, theta, phi) {
+    const psi = hybridWavefunction(hybrid, r, theta, phi);
+    return psi * psi;
+}
+
+/**
+ * Hybrid wave function at Cartesian coordinates
+ */
+export function hybridWavefunctionCartesian(hybrid, x, y, z) {
+    const { r, theta, phi } = cartesianToSpherical(x, y, z);
+    return hybridWavefunction(hybrid, r, theta, phi);
+}
+
+/**
+ * Radial range of a hybrid (largest of its components)
+ * @returns {Object} {maxR, rPeak}
+ */
+export function hybridExtent(hybrid) {
+    const { n, Z, terms } = hybrid;
+    let maxR = 0;
+    let rPeak = 0;
+    for (const { l } of terms) {
+        maxR = Math.max(maxR, maxRadialExtent(n, l, Z));
+        rPeak = Math.max(rPeak, mostProbableRadius(n, l, Z));
+    }
+    return { maxR, rPeak };
+}
+
+/**
+ * Density grid for a hybrid orbital (see isosurface.js)
+ */
+export function hybridDensityGrid(hybrid, resolution = 40) {
+    return evaluateDensityGrid(
+        (r, theta, phi) => hybridProbabilityDensity(hybrid, r, theta, phi),
+        hybridExtent(hybrid).maxR,
+        resolution
+    );
+}
+
+/**
+ * Short description of a hybrid, e.g. "0.50 s + 0.50 px + ..."
+ */
+export function describeHybrid(hybrid) {
+    return hybrid.terms
+        .map(({ name, value }) => `${value.toFixed(2)} ${hybrid.n}${name}`)
+        .join(' + ')
+        .replace(/\+ -/g, '− ');
+}
@@ -0,0 +1,87 @@
+/**
+ * Isosurface Density Grids
+ *
+ * Evaluates the probability density of an orbital on a regular 3D grid
+ * and finds the density level whose isosurface encloses a given
+ * fraction of the total probability (e.g. the textbook 90% surface).
+ */
+
+import { probabilityDensity, cartesianToSpherical } from './probabilityDensity.js';
+import { HYDROGENIC_MODEL } from './radialWaveFunction.js';
+import { BASES } from './sphericalHarmonics.js';
+
+/**
+ * Evaluate a density function on a cubic grid centred on the nucleus
+ *
+ * @param {Function} densityFn - (r, theta, phi) => density
+ * @param {number} extent - Half-width of the cube
+ * @param {number} resolution - Grid points per axis
+ * @returns {Object} {values, resolution, extent, cellSize}
+ */
+export function evaluateDensityGrid(densityFn, extent, resolution) {
+    const values = new Float32Array(resolution * resolution * resolution);
+    const cellSize = (2 * extent) / (resolution - 1);
+
+    let index = 0;
+    for (let k = 0; k < resolution; k++) {
+        const z = -extent + k * cellSize;
+        for (let j = 0; j < resolution; j++) {
+            const y = -extent + j * cellSize;
+            for (let i = 0; i < resolution; i++) {
+                const x = -extent + i * cellSize;
+                const { r, theta, phi } = cartesianToSpherical(x, y, z);
+                values[index++] = densityFn(r, theta, phi);
+            }
+        }
+    }
+
+    return { values, resolution, extent, cellSize };
+}
+
+/**
+ * Density grid for a single orbital
+ *
+ * @param {number} n - Principal quantum number
+ * @param {number} l - Azimuthal quantum number
+ * @param {number} m - Magnetic quantum number
+ * @param {number} Z - Effective nuclear charge
+ * @param {number} resolution - Grid points per axis
+ * @param {string} basis - Angular basis (BASES.REAL or BASES.COMPLEX)
+ * @param {Object} model - Radial model (HYDROGENIC_MODEL or a self-consistent one)
+ * @returns {Object} Density grid
+ */
+export function orbitalDensityGrid(n, l, m, Z = 1, resolution = 40, basis = BASES.REAL, model = HYDROGENIC_MODEL) {
+    const extent = model.maxRadialExtent(n, l, Z);
+    return evaluateDensityGrid(
+        (r, theta, phi) => probabilityDensity(n, l, m, r, theta, phi, Z, basis, model),
+        extent,
+        resolution
+    );
+}
+
+/**
+ * Find the density level whose isosurface encloses a probability fraction
+ *
+ * Sorts grid densities from highest to lowest and accumulates
+ * probability until the requested fraction of the grid total is reached.
+ *
+ * @param {Object} grid - Density grid from evaluateDensityGrid
+ * @param {number} fraction - Enclosed probability (0 to 1)
+ * @returns {number} Density iso-value
+ */
+export function findEnclosingIsoValue(grid, fraction = 0.9) {
+    const sorted = Float32Array.from(grid.values).sort().reverse();
+
+    let total = 0;
+    for (let i = 0; i < sorted.length; i++) total += sorted[i];
+    if (total <= 0) return 0;
+
+    const target = Math.min(1, Math.max(0, fraction)) * total;
+    let accumulated = 0;
+    for (let i = 0; i < sorted.length; i++) {
+        accumulated += sorted[i];
+        if (accumulated >= target) return sorted[i];
+    }
+
+    return sorted[sorted.length - 1];
+}
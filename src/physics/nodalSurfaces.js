@@ -0,0 +1,102 @@
+/**
+ * Nodal Surfaces
+ *
+ * Where a hydrogen-like orbital ψ_nlm = R_nl(r) Y_lm(θ, φ) vanishes:
+ * - Radial nodes: n - l - 1 spheres at the roots of L_{n-l-1}^{2l+1}
+ * - Polar nodes: l - |m| cones at the roots of P_l^|m|(cos θ)
+ *   (the cone θ = π/2 is the xy plane)
+ * - Azimuthal nodes: |m| planes through the z axis where cos(mφ) or
+ *   sin(|m|φ) vanishes (real basis only; complex orbitals e^{imφ}
+ *   never vanish in φ and only keep the z axis as a nodal line)
+ */
+
+import { HYDROGENIC_MODEL } from './radialWaveFunction.js';
+import { normalizedLegendre, BASES } from './sphericalHarmonics.js';
+
+/**
+ * Polar angles of the nodal cones of Y_lm
+ *
+ * @param {number} l - Azimuthal quantum number
+ * @param {number} m - Magnetic quantum number
+ * @returns {Array} Cone angles θ in (0, π), increasing
+ */
+export function nodalCones(l, m) {
+    const absM = Math.abs(m);
+    const degree = l - absM;
+    if (degree <= 0) return [];
+
+    // Scan x = cos θ for sign changes; the (1 - x²)^{m/2} factor only
+    // vanishes at the poles, which are excluded
+    const steps = 400 * degree;
+    const f = (x) => normalizedLegendre(l, absM, x);
+    const roots = [];
+
+    let a = -1 + 1e-9;
+    let fa = f(a);
+    for (let i = 1; i <= steps && roots.length < degree; i++) {
+        const b = -1 + 1e-9 + i * (2 - 2e-9) / steps;
+        const fb = f(b);
+        if (fb === 0) {
+            roots.push(b);
+        } else if (fa * fb < 0) {
+            let lo = a, hi = b, flo = fa;
+            for (let iter = 0; iter < 60; iter++) {
+                const mid = (lo + hi) / 2;
+                const fmid = f(mid);
+                if (flo * fmid <= 0) {
+                    hi = mid;
+                } else {
+                    lo = mid;
+                    flo = fmid;
+                }
+            }
+            roots.push((lo + hi) / 2);
+        }
+        a = b;
+        fa = fb;
+    }
+
+    // Largest cos θ is the smallest θ
+    return roots.map(x => Math.acos(x)).sort((p, q) => p - q);
+}
+
+/**
+ * Azimuthal angles of the nodal planes through the z axis
+ *
+ * @param {number} m - Magnetic quantum number
+ * @param {string} basis - Angular basis
+ * @returns {Array} Plane angles φ in [0, π) (each plane also covers φ + π)
+ */
+export function nodalPlanes(m, basis = BASES.REAL) {
+    const absM = Math.abs(m);
+    if (absM === 0 || basis === BASES.COMPLEX) return [];
+
+    // cos(mφ) = 0 at φ = (k + ½)π/m; sin(|m|φ) = 0 at φ = kπ/|m|
+    const offset = m > 0 ? 0.5 : 0;
+    return Array.from({ length: absM }, (_, k) => (k + offset) * Math.PI / absM);
+}
+
+/**
+ * All nodal surfaces of an orbital
+ *
+ * @param {number} n - Principal quantum number
+ * @param {number} l - Azimuthal quantum number
+ * @param {number} m - Magnetic quantum number
+ * @param {number} Z - (Effective) nuclear charge
+ * @param {string} basis - Angular basis
+ * @param {Object} model - Radial model the radial nodes come from
+ * @returns {Object|null} {n, l, m, Z, basis, spheres, cones, planes}
+ */
+export function nodalSurfaces(n, l, m, Z = 1, basis = BASES.REAL, model = HYDROGENIC_MODEL) {
+    if (n < 1 || l < 0 || l >= n || Math.abs(m) > l) {
+        console.warn(`Invalid quantum numbers: n=${n}, l=${l}, m=${m}`);
+        return null;
+    }
+
+    return {
+        n, l, m, Z, basis,
+        spheres: model.radialNodes(n, l, Z),
+        cones: nodalCones(l, m),
+        planes: nodalPlanes(m, basis)
+    };
+}
@@ -0,0 +1,138 @@
+/**
+ * Nuclear Shell Model
+ *
+ * Independent-particle levels of protons and neutrons in a mean-field
+ * well with a strong spin–orbit term (Mayer–Jensen). Each nl level
+ * splits into j = l ± ½, the j = l + ½ member lying lower, and the
+ * largest of them (1f7/2, 1g9/2, 1h11/2, 1i13/2) drop into the shell
+ * below, which gives the magic numbers 2, 8, 20, 28, 50, 82, 126.
+ *
+ * Protons and neutrons fill the same sequence of levels independently;
+ * the small differences in proton ordering above Z = 82 (Coulomb) are
+ * ignored. Levels are labelled n l j with the nuclear convention that
+ * n counts the levels of each l (1s, 2s, ... and 1p, 2p, ...).
+ */
+
+import { formatHalfInteger } from './termSymbols.js';
+
+const ORBITAL_LETTERS = ['s', 'p', 'd', 'f', 'g', 'h', 'i', 'j'];
+
+// Major shells in filling order; each closes at its magic number. The
+// last one (184) is a prediction for neutrons in superheavy nuclei.
+const SHELLS = [
+    { magic: 2, levels: [[1, 0, 1]] },
+    { magic: 8, levels: [[1, 1, 3], [1, 1, 1]] },
+    { magic: 20, levels: [[1, 2, 5], [2, 0, 1], [1, 2, 3]] },
+    { magic: 28, levels: [[1, 3, 7]] },
+    { magic: 50, levels: [[2, 1, 3], [1, 3, 5], [2, 1, 1], [1, 4, 9]] },
+    { magic: 82, levels: [[1, 4, 7], [2, 2, 5], [2, 2, 3], [3, 0, 1], [1, 5, 11]] },
+    { magic: 126, levels: [[1, 5, 9], [2, 3, 7], [2, 3, 5], [3, 1, 3], [3, 1, 1], [1, 6, 13]] },
+    { magic: 184, levels: [[2, 4, 9], [3, 2, 5], [1, 6, 11], [2, 4, 7], [4, 0, 1], [3, 2, 3], [1, 7, 15]] }
+];
+
+// Observed magic numbers (184 is not)
+export const MAGIC_NUMBERS = SHELLS.slice(0, -1).map(({ magic }) => magic);
+
+/**
+ * Single-particle levels in filling order
+ * [{label, n, l, j, capacity, parity, shell}], j as a number (e.g. 1.5),
+ * capacity 2j + 1, parity (-1)^l and shell the index of the major shell
+ */
+export const NUCLEAR_LEVELS = SHELLS.flatMap(({ levels }, shell) =>
+    levels.map(([n, l, twoJ]) => ({
+        label: `${n}${ORBITAL_LETTERS[l]}${twoJ}/2`,
+        n,
+        l,
+        j: twoJ / 2,
+        capacity: twoJ + 1,
+        parity: l % 2 === 0 ? 1 : -1,
+        shell
+    }))
+);
+
+/**
+ * Nucleons that fit in the levels of this model
+ */
+export const MAX_SHELL_NUCLEONS = SHELLS[SHELLS.length - 1].magic;
+
+/**
+ * Fill the levels with `count` protons or neutrons, lowest first
+ *
+ * @param {number} count - Number of protons or of neutrons
+ * @returns {Array} One entry per level of NUCLEAR_LEVELS with its occupancy
+ */
+export function fillNuclearLevels(count) {
+    if (count > MAX_SHELL_NUCLEONS) {
+        console.warn(`Shell model levels hold ${MAX_SHELL_NUCLEONS} nucleons, not ${count}`);
+    }
+
+    let remaining = Math.max(0, count);
+    return NUCLEAR_LEVELS.map((level) => {
+        const occupancy = Math.min(level.capacity, remaining);
+        remaining -= occupancy;
+        return { ...level, occupancy };
+    });
+}
+
+/**
+ * Number of nucleons in each major shell
+ * @param {number} count - Number of protons or of neutrons
+ * @returns {Array} Nucleons per shell, innermost first
+ */
+export function shellOccupancies(count) {
+    const occupancies = SHELLS.map(() => 0);
+    for (const { shell, occupancy } of fillNuclearLevels(count)) {
+        occupancies[shell] += occupancy;
+    }
+    return occupancies;
+}
+
+export function isMagic(count) {
+    return MAGIC_NUMBERS.includes(count);
+}
+
+/**
+ * Spin and parity of the ground state in the extreme single-particle
+ * model: nucleons pair to 0⁺ within each level, so an even–even
+ * nucleus is 0⁺ and an odd-A nucleus takes j and (-1)^l of the level
+ * holding its unpaired nucleon. Odd–odd nuclei couple two unpaired
+ * nucleons, which this model does not predict.
+ *
+ * @param {number} Z - Proton number
+ * @param {number} N - Neutron number
+ * @returns {Object|null} {j, parity, label} (e.g. label "5/2+"), or null for odd–odd nuclei
+ */
+export function groundStateSpinParity(Z, N) {
+    const oddProton = Z % 2 === 1;
+    const oddNeutron = N % 2 === 1;
+    if (oddProton && oddNeutron) return null;
+    if (!oddProton && !oddNeutron) return { j: 0, parity: 1, label: '0+' };
+
+    const level = fillNuclearLevels(oddProton ? Z : N).find(({ occupancy }) => occupancy % 2 === 1);
+    if (!level) return null;
+    return {
+        j: level.j,
+        parity: level.parity,
+        label: `${formatHalfInteger(level.j)}${level.parity > 0 ? '+' : '−'}`
+    };
+}
+
+/**
+ * Level filling of a nucleus
+ *
+ * @param {number} Z - Proton number
+ * @param {number} N - Neutron number
+ * @returns {Object} {protons, neutrons, magicProtons, magicNeutrons, doublyMagic, groundState}
+ */
+export function nuclearShellStructure(Z, N) {
+    const magicProtons = isMagic(Z);
+    const magicNeutrons = isMagic(N);
+    return {
+        protons: fillNuclearLevels(Z),
+        neutrons: fillNuclearLevels(N),
+        magicProtons,
+        magicNeutrons,
+        doublyMagic: magicProtons && magicNeutrons,
+        groundState: groundStateSpinParity(Z, N)
+    };
+}
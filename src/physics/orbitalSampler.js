@@ -1,29 +1,317 @@
 /**
  * Orbital Sampler
  * 
- * Uses Monte Carlo rejection sampling to generate 3D point distributions
- * that follow the quantum mechanical probability density.
+ * Generates 3D point distributions that follow the quantum mechanical
+ * probability density.
+ * 
+ * Single orbitals factor as |R(r)|² |Y(θ, φ)|², so r is drawn exactly
+ * from a tabulated CDF of r²R² and only the direction is rejection
+ * sampled, against |Y|² whose maximum is known. States that do not
+ * factor (hybrids, superpositions, field-mixed states) fall back to
+ * rejection sampling of the full density, against a maximum estimated
+ * once per state and kept in an LRU.
+ * 
+ * Every sampler takes a random function (Math.random by default); with
+ * a seeded one from random.js the points are reproducible. Seeded
+ * orbital point sets are drawn in blocks of SAMPLE_BLOCK points, each
+ * from its own stream, so any range of a set can be sampled on its own
+ * and comes out the same as in the full set.
  */
 
 import { probabilityDensity, sphericalToCartesian } from './probabilityDensity.js';
-import { maxRadialExtent, mostProbableRadius } from './radialWaveFunction.js';
+import { HYDROGENIC_MODEL } from './radialWaveFunction.js';
+import { BASES, getOrbitalName, normalizedLegendre, angularProbabilityDensity } from './sphericalHarmonics.js';
+import { hybridProbabilityDensity, hybridExtent } from './hybridOrbitals.js';
+import { averageDensity, superpositionExtent } from './superposition.js';
+import { fieldStateDensity, fieldStateExtent } from './externalFields.js';
+import { LRUCache } from '../cache/LRUCache.js';
+import { createRandom, hashSeed } from './random.js';
+
+// Points per independently seeded block of an orbital point set
+export const SAMPLE_BLOCK = 400;
+
+// Intervals of the tabulated radial CDF; enough for ~100 per lobe at n = 50
+const RADIAL_TABLE_SIZE = 4096;
+// Tables kept, least recently used dropped first (~32 kB each)
+const RADIAL_TABLE_CACHE_BYTES = 4 * 1024 * 1024;
+const radialTableCache = new LRUCache({ maxSize: RADIAL_TABLE_CACHE_BYTES, sizeOf: ({ cdf }) => cdf.byteLength });
+
+// Polar grid for the maximum of |P̄_l^m(cos θ)|², per oscillation of P̄
+const ANGULAR_SCAN_PER_LOBE = 64;
+const angularMaximumCache = new Map();
+
+// Maximum-probability estimates of rejection-sampled states, by state key
+const MAX_PROBABILITY_CACHE_SIZE = 256;
+const maxProbabilityCache = new LRUCache({ maxSize: MAX_PROBABILITY_CACHE_SIZE });
+
+/**
+ * Keys of the states sampled by rejection: the kind of state and every
+ * number its density depends on
+ */
+const hybridKey = ({ n, Z, terms }) =>
+    `hybrid:${n}:Z=${Z}:${terms.map(({ l, m, c }) => `${l},${m}=${c}`).join(' ')}`;
+const superpositionKey = ({ Z, basis, components }) =>
+    `superposition:Z=${Z}:${basis}:${components.map(({ n, l, m, c }) => `${n},${l},${m}=${c}`).join(' ')}`;
+const fieldStateKey = ({ n, Z, components }) =>
+    `field:${n}:Z=${Z}:${components.map(({ l, m, re, im }) => `${l},${m}=${re},${im}`).join(' ')}`;
+
+/**
+ * Cumulative distribution of r²R²(r) on [0, maxR]
+ * 
+ * The density is integrated by the trapezoid rule and the table is
+ * scaled to end at 1, so the radius enclosing the last `threshold` of
+ * maxRadialExtent is folded back into the table.
+ * 
+ * @param {number} n - Principal quantum number
+ * @param {number} l - Azimuthal quantum number
+ * @param {number} Z - Effective nuclear charge
+ * @param {Object} model - Radial model
+ * @returns {Object} {maxR, cdf: Float64Array of RADIAL_TABLE_SIZE + 1}
+ */
+export function radialCDF(n, l, Z = 1, model = HYDROGENIC_MODEL) {
+    const key = `${model.key},${n},${l},${Z}`;
+    const cached = radialTableCache.get(key);
+    if (cached) return cached;
+
+    const maxR = model.maxRadialExtent(n, l, Z);
+    const dr = maxR / RADIAL_TABLE_SIZE;
+    const cdf = new Float64Array(RADIAL_TABLE_SIZE + 1);
+
+    const density = (r) => {
+        const R = model.radialWaveFunction(n, l, r, Z);
+        return R * R * r * r;
+    };
+
+    let previous = density(0);
+    for (let i = 1; i <= RADIAL_TABLE_SIZE; i++) {
+        const current = density(i * dr);
+        cdf[i] = cdf[i - 1] + 0.5 * (previous + current) * dr;
+        previous = current;
+    }
+
+    const total = cdf[RADIAL_TABLE_SIZE];
+    for (let i = 1; i <= RADIAL_TABLE_SIZE; i++) cdf[i] /= total;
+
+    const table = { maxR, cdf };
+    radialTableCache.set(key, table);
+    return table;
+}
+
+/**
+ * Radius with cumulative probability u, by bisection in the CDF table
+ * and linear interpolation within the interval
+ * 
+ * @param {Object} table - From radialCDF
+ * @param {number} u - Uniform number in [0, 1)
+ */
+export function sampleRadius({ maxR, cdf }, u) {
+    let lo = 0;
+    let hi = cdf.length - 1;
+    while (hi - lo > 1) {
+        const mid = (lo + hi) >> 1;
+        if (cdf[mid] <= u) lo = mid;
+        else hi = mid;
+    }
+
+    const width = cdf[hi] - cdf[lo];
+    const fraction = width > 0 ? (u - cdf[lo]) / width : 0;
+    return (lo + fraction) * maxR / (cdf.length - 1);
+}
 
 /**
- * Monte Carlo rejection sampling for orbital point generation
+ * Maximum of |Y_l^m(θ, φ)|² over the sphere
+ * 
+ * The φ factor peaks at 1 (complex) or 2 (real, m ≠ 0), so only
+ * |P̄_l^m(cos θ)|² has to be scanned. The scan resolves every lobe
+ * finely and is capped by Unsöld's theorem, Σ_m |Y_l^m|² = (2l+1)/4π,
+ * which bounds every single harmonic.
+ * 
+ * @param {number} l - Azimuthal quantum number
+ * @param {number} m - Magnetic quantum number
+ * @param {string} basis - BASES.REAL or BASES.COMPLEX
+ */
+export function angularMaximum(l, m, basis = BASES.REAL) {
+    const key = `${l},${m},${basis}`;
+    if (angularMaximumCache.has(key)) return angularMaximumCache.get(key);
+
+    const steps = ANGULAR_SCAN_PER_LOBE * (l + 1);
+    let maxP = 0;
+    for (let i = 0; i <= steps; i++) {
+        const P = normalizedLegendre(l, m, Math.cos(Math.PI * i / steps));
+        maxP = Math.max(maxP, P * P);
+    }
+
+    const phiFactor = basis === BASES.REAL && m !== 0 ? 2 : 1;
+    // Margin for a peak between two scan points
+    const maximum = Math.min(1.01 * phiFactor * maxP, (2 * l + 1) / (4 * Math.PI));
+
+    angularMaximumCache.set(key, maximum);
+    return maximum;
+}
+
+/**
+ * Sample points of a single orbital |R_nl(r)|² |Y_lm(θ, φ)|²
+ * 
+ * r comes from the inverse CDF of r²R²; directions uniform on the
+ * sphere are accepted with probability |Y|² / max|Y|², which takes
+ * about 4π max|Y|² ≤ 2l+1 tries per point.
  * 
  * @param {number} n - Principal quantum number
  * @param {number} l - Azimuthal quantum number  
  * @param {number} m - Magnetic quantum number
  * @param {number} numPoints - Number of points to generate
  * @param {number} Z - Effective nuclear charge
+ * @param {string} basis - Angular basis (BASES.REAL or BASES.COMPLEX)
+ * @param {Object} model - Radial model (HYDROGENIC_MODEL or a self-consistent one)
+ * @param {Function} random - Uniform generator in [0, 1)
+ * @returns {Float32Array} Flattened array of [x,y,z, x,y,z, ...]
+ */
+export function sampleOrbital(n, l, m, numPoints, Z = 1, basis = BASES.REAL, model = HYDROGENIC_MODEL, random = Math.random) {
+    const points = new Float32Array(numPoints * 3);
+    const table = radialCDF(n, l, Z, model);
+    const maxY = angularMaximum(l, m, basis);
+
+    for (let i = 0; i < numPoints; i++) {
+        const r = sampleRadius(table, random());
+
+        // theta: uniform on sphere (cos(theta) uniform from -1 to 1)
+        let theta;
+        let phi;
+        do {
+            theta = Math.acos(2 * random() - 1);
+            phi = random() * 2 * Math.PI;
+        } while (random() * maxY > angularProbabilityDensity(l, m, theta, phi, basis));
+
+        const { x, y, z } = sphericalToCartesian(r, theta, phi);
+        points[3 * i] = x;
+        points[3 * i + 1] = y;
+        points[3 * i + 2] = z;
+    }
+
+    return points;
+}
+
+/**
+ * Points [start, end) of the reproducible point set of an orbital
+ * 
+ * Block b (points b·SAMPLE_BLOCK onwards) is drawn by sampleOrbital
+ * from a stream seeded by (seed, n, l, m, b), so a range gives the
+ * same points whether it is sampled alone, in other pieces or as part
+ * of a larger set. A range starting inside a block re-draws the start
+ * of that block and drops it.
+ * 
+ * @param {number} n - Principal quantum number
+ * @param {number} l - Azimuthal quantum number
+ * @param {number} m - Magnetic quantum number
+ * @param {number} start - Index of the first point
+ * @param {number} end - Index after the last point
+ * @param {number} seed - Seed of the set (see random.js)
+ * @param {number} Z - Effective nuclear charge
+ * @param {string} basis - Angular basis (BASES.REAL or BASES.COMPLEX)
+ * @param {Object} model - Radial model
+ * @returns {Float32Array} Flattened array of [x,y,z, x,y,z, ...]
+ */
+export function sampleOrbitalRange(n, l, m, start, end, seed, Z = 1, basis = BASES.REAL, model = HYDROGENIC_MODEL) {
+    const points = new Float32Array(Math.max(0, end - start) * 3);
+
+    for (let block = Math.floor(start / SAMPLE_BLOCK); block * SAMPLE_BLOCK < end; block++) {
+        const blockStart = block * SAMPLE_BLOCK;
+        const count = Math.min(SAMPLE_BLOCK, end - blockStart);
+        const random = createRandom(hashSeed(seed, n, l, m, block));
+        const blockPoints = sampleOrbital(n, l, m, count, Z, basis, model, random);
+
+        const from = Math.max(start, blockStart);
+        points.set(blockPoints.subarray((from - blockStart) * 3), (from - start) * 3);
+    }
+
+    return points;
+}
+
+/**
+ * Monte Carlo rejection sampling for a hybrid orbital |Σ cᵢψᵢ|²
+ * 
+ * @param {Object} hybrid - Hybrid from createHybrid
+ * @param {number} numPoints - Number of points to generate
+ * @param {Function} random - Uniform generator in [0, 1)
+ * @returns {Float32Array} Flattened array of [x,y,z, x,y,z, ...]
+ */
+export function sampleHybrid(hybrid, numPoints, random = Math.random) {
+    return sampleDensity(
+        (r, theta, phi) => hybridProbabilityDensity(hybrid, r, theta, phi),
+        numPoints,
+        { ...hybridExtent(hybrid), label: `${hybrid.n} hybrid`, key: hybridKey(hybrid) },
+        random
+    );
+}
+
+/**
+ * Monte Carlo rejection sampling for a superposition state
+ * 
+ * Points follow the time-averaged density Σ|c_k|²|ψ_k|², which is
+ * non-zero wherever |Ψ(t)|² can be, so the renderer can reweight the
+ * same points at every instant.
+ * 
+ * @param {Object} state - State from createSuperposition
+ * @param {number} numPoints - Number of points to generate
+ * @param {Function} random - Uniform generator in [0, 1)
+ * @returns {Float32Array} Flattened array of [x,y,z, x,y,z, ...]
+ */
+export function sampleSuperposition(state, numPoints, random = Math.random) {
+    return sampleDensity(
+        (r, theta, phi) => averageDensity(state, r, theta, phi),
+        numPoints,
+        { ...superpositionExtent(state), label: 'superposition', key: superpositionKey(state) },
+        random
+    );
+}
+
+/**
+ * Monte Carlo rejection sampling for an eigenstate of a level split by
+ * external fields
+ * 
+ * @param {Object} state - State from fieldSplitting
+ * @param {number} numPoints - Number of points to generate
+ * @param {Function} random - Uniform generator in [0, 1)
+ * @returns {Float32Array} Flattened array of [x,y,z, x,y,z, ...]
+ */
+export function sampleFieldState(state, numPoints, random = Math.random) {
+    return sampleDensity(
+        (r, theta, phi) => fieldStateDensity(state, r, theta, phi),
+        numPoints,
+        { ...fieldStateExtent(state), label: `n=${state.n} field state`, key: fieldStateKey(state) },
+        random
+    );
+}
+
+/**
+ * Monte Carlo rejection sampling of an arbitrary density |Ψ(r, θ, φ)|²
+ * 
+ * Used for states that are not a single n,l,m orbital, such as
+ * hybrid orbitals, superpositions and field-mixed states.
+ * 
+ * @param {Function} densityFn - (r, theta, phi) => probability density
+ * @param {number} numPoints - Number of points to generate
+ * @param {Object} options - {maxR, rPeak, label, key}
+ * @param {number} options.maxR - Radius beyond which the density is negligible
+ * @param {number} options.rPeak - Radius of highest radial probability
+ * @param {string} options.label - Name used in warnings
+ * @param {string} options.key - Identifies the density, so its maximum
+ *                               is estimated once (optional)
+ * @param {Function} random - Uniform generator in [0, 1)
  * @returns {Float32Array} Flattened array of [x,y,z, x,y,z, ...]
  */
-export function sampleOrbital(n, l, m, numPoints, Z = 1) {
+export function sampleDensity(densityFn, numPoints, { maxR, rPeak, label = 'density', key = null }, random = Math.random) {
     const points = new Float32Array(numPoints * 3);
-    const maxR = maxRadialExtent(n, l, Z);
 
-    // First, find approximate maximum probability for this orbital
-    let maxP = estimateMaxProbability(n, l, m, Z, maxR);
+    // First, find approximate maximum probability for this density; a
+    // keyed estimate draws from a stream of its own, so the points come
+    // out the same whether or not it was cached
+    let maxP = key === null ? undefined : maxProbabilityCache.get(key);
+    if (maxP === undefined) {
+        const estimateRandom = key === null ? random : createRandom(hashSeed('max-probability', key));
+        maxP = estimateMaxProbability(densityFn, maxR, rPeak, estimateRandom);
+        if (key !== null) maxProbabilityCache.set(key, maxP);
+    }
 
     let pointIndex = 0;
     let attempts = 0;
@@ -33,25 +321,22 @@ export function sampleOrbital(n, l, m, numPoints, Z = 1) {
         attempts++;
 
         // Generate random point in spherical coordinates
-        // r: weighted toward most probable radius for efficiency
-        const u = Math.random();
-        const r = maxR * Math.pow(u, 1 / 3); // Cube root for uniform volume distribution
+        // r: uniform from 0 to maxR; the r² volume element is in the weight
+        const r = maxR * random();
 
-        // theta: uniform on sphere (cos(theta) uniform from -1 to 1)
-        const theta = Math.acos(2 * Math.random() - 1);
+        // theta: uniform on sphere (cos(theta) uniform from -1 to 1),
+        // which already accounts for the sin(theta) volume element
+        const theta = Math.acos(2 * random() - 1);
 
         // phi: uniform from 0 to 2π
-        const phi = Math.random() * 2 * Math.PI;
+        const phi = random() * 2 * Math.PI;
 
         // Calculate probability at this point
-        const P = probabilityDensity(n, l, m, r, theta, phi, Z);
-
-        // Account for volume element in spherical coordinates
-        const volumeWeight = r * r * Math.sin(theta);
-        const weightedP = P * volumeWeight;
+        const P = densityFn(r, theta, phi);
+        const weightedP = P * r * r;
 
         // Rejection sampling
-        if (Math.random() * maxP < weightedP) {
+        if (random() * maxP < weightedP) {
             const { x, y, z } = sphericalToCartesian(r, theta, phi);
             points[pointIndex++] = x;
             points[pointIndex++] = y;
@@ -66,7 +351,7 @@ export function sampleOrbital(n, l, m, numPoints, Z = 1) {
 
     // If we didn't get all points, resize the array
     if (pointIndex < numPoints * 3) {
-        console.warn(`Only generated ${pointIndex / 3} of ${numPoints} points for ${n}${['s', 'p', 'd', 'f'][l]}${m}`);
+        console.warn(`Only generated ${pointIndex / 3} of ${numPoints} points for ${label}`);
         return points.slice(0, pointIndex);
     }
 
@@ -74,34 +359,30 @@ export function sampleOrbital(n, l, m, numPoints, Z = 1) {
 }
 
 /**
- * Estimate maximum weighted probability for an orbital
+ * Estimate maximum weighted probability r²|Ψ|² for a density
  * Uses targeted sampling at known high-probability regions
  */
-function estimateMaxProbability(n, l, m, Z, maxR) {
+function estimateMaxProbability(densityFn, maxR, rPeak, random) {
     const samples = 5000;
     let maxP = 0;
 
-    // Sample at various radii, focusing on likely regions
-    const rPeak = mostProbableRadius(n, l, Z);
-
     for (let i = 0; i < samples; i++) {
         // Bias sampling toward peak radius
         let r;
-        if (Math.random() < 0.7) {
+        if (random() < 0.7) {
             // Near peak
-            r = rPeak * (0.3 + Math.random() * 1.4);
+            r = rPeak * (0.3 + random() * 1.4);
         } else {
             // Full range
-            r = maxR * Math.random();
+            r = maxR * random();
         }
         r = Math.max(0.01, Math.min(r, maxR));
 
-        const theta = Math.acos(2 * Math.random() - 1);
-        const phi = Math.random() * 2 * Math.PI;
+        const theta = Math.acos(2 * random() - 1);
+        const phi = random() * 2 * Math.PI;
 
-        const P = probabilityDensity(n, l, m, r, theta, phi, Z);
-        const volumeWeight = r * r * Math.sin(theta);
-        const weightedP = P * volumeWeight;
+        const P = densityFn(r, theta, phi);
+        const weightedP = P * r * r;
 
         if (weightedP > maxP) maxP = weightedP;
     }
@@ -109,65 +390,3 @@ function estimateMaxProbability(n, l, m, Z, maxR) {
     // Add safety margin
     return maxP * 1.5;
 }
-
-/**
- * Sample multiple orbitals efficiently
- * Groups points by orbital for batch rendering
- * 
- * @param {Array} orbitals - Array of {n, l, m, electrons} objects
- * @param {number} pointsPerElectron - Points to generate per electron
- * @param {number} Z - Effective nuclear charge
- * @returns {Map} Map of orbital key -> Float32Array points
- */
-export function sampleMultipleOrbitals(orbitals, pointsPerElectron, Z = 1) {
-    const results = new Map();
-
-    for (const orbital of orbitals) {
-        const { n, l, m, electrons } = orbital;
-        const key = `${n},${l},${m}`;
-        const numPoints = pointsPerElectron * electrons;
-
-        results.set(key, sampleOrbital(n, l, m, numPoints, Z));
-    }
-
-    return results;
-}
-
-/**
- * Generate points for a specific orbital shell
- * Combines all m values for a given n,l subshell
- * 
- * @param {number} n - Principal quantum number
- * @param {number} l - Azimuthal quantum number
- * @param {number} totalElectrons - Total electrons in this subshell
- * @param {number} pointsPerElectron - Points per electron
- * @param {number} Z - Effective nuclear charge
- * @returns {Array} Array of {m, points} objects
- */
-export function sampleSubshell(n, l, totalElectrons, pointsPerElectron, Z = 1) {
-    const maxElectronsInSubshell = 2 * (2 * l + 1);
-    const electronsPerOrbital = totalElectrons / (2 * l + 1);
-
-    const results = [];
-
-    for (let m = -l; m <= l; m++) {
-        // Distribute electrons across orbitals (Hund's rule approximation)
-        const electronsInThisOrbital = Math.min(
-            2,
-            Math.ceil(electronsPerOrbital * (m + l + 1) / electronsPerOrbital) -
-            Math.floor(electronsPerOrbital * (m + l) / electronsPerOrbital) ||
-            Math.floor(totalElectrons / (2 * l + 1))
-        );
-
-        if (electronsInThisOrbital > 0) {
-            const numPoints = Math.ceil(pointsPerElectron * electronsInThisOrbital);
-            results.push({
-                m,
-                electrons: electronsInThisOrbital,
-                points: sampleOrbital(n, l, m, numPoints, Z)
-            });
-        }
-    }
-
-    return results;
-}
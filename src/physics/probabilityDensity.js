@@ -5,8 +5,8 @@
  * the full 3D probability density |Ψ(r,θ,φ)|²
  */
 
-import { radialWaveFunction, maxRadialExtent } from './radialWaveFunction.js';
-import { sphericalHarmonic } from './sphericalHarmonics.js';
+import { HYDROGENIC_MODEL } from './radialWaveFunction.js';
+import { sphericalHarmonic, complexSphericalHarmonic, angularProbabilityDensity, BASES } from './sphericalHarmonics.js';
 
 /**
  * Full probability density |Ψ_nlm(r, θ, φ)|²
@@ -18,14 +18,45 @@ import { sphericalHarmonic } from './sphericalHarmonics.js';
  * @param {number} theta - Polar angle (0 to π)
  * @param {number} phi - Azimuthal angle (0 to 2π)
  * @param {number} Z - Effective nuclear charge
+ * @param {string} basis - Angular basis (BASES.REAL or BASES.COMPLEX)
+ * @param {Object} model - Radial model (HYDROGENIC_MODEL or a self-consistent one)
  * @returns {number} Probability density at the given point
  */
-export function probabilityDensity(n, l, m, r, theta, phi, Z = 1) {
-    const R = radialWaveFunction(n, l, r, Z);
-    const Y = sphericalHarmonic(l, m, theta, phi);
+export function probabilityDensity(n, l, m, r, theta, phi, Z = 1, basis = BASES.REAL, model = HYDROGENIC_MODEL) {
+    const R = model.radialWaveFunction(n, l, r, Z);
 
     // |Ψ|² = |R|² * |Y|²
-    return R * R * Y * Y;
+    return R * R * angularProbabilityDensity(l, m, theta, phi, basis);
+}
+
+/**
+ * Signed wave function Ψ_nlm(r, θ, φ) = R_nl(r) * Y_lm(θ, φ)
+ * The sign distinguishes the phases of the orbital lobes
+ * 
+ * @param {number} n - Principal quantum number
+ * @param {number} l - Azimuthal quantum number
+ * @param {number} m - Magnetic quantum number
+ * @param {number} r - Radial distance from nucleus
+ * @param {number} theta - Polar angle (0 to π)
+ * @param {number} phi - Azimuthal angle (0 to 2π)
+ * @param {number} Z - Effective nuclear charge
+ * @param {Object} model - Radial model
+ * @returns {number} Wave function value at the given point
+ */
+export function wavefunction(n, l, m, r, theta, phi, Z = 1, model = HYDROGENIC_MODEL) {
+    return model.radialWaveFunction(n, l, r, Z) * sphericalHarmonic(l, m, theta, phi);
+}
+
+/**
+ * Complex wave function Ψ_nlm(r, θ, φ) = R_nl(r) * Y_l^m(θ, φ)
+ * using complex spherical harmonics
+ * 
+ * @returns {{re: number, im: number}} Wave function value at the given point
+ */
+export function complexWavefunction(n, l, m, r, theta, phi, Z = 1, model = HYDROGENIC_MODEL) {
+    const R = model.radialWaveFunction(n, l, r, Z);
+    const { re, im } = complexSphericalHarmonic(l, m, theta, phi);
+    return { re: R * re, im: R * im };
 }
 
 /**
@@ -57,50 +88,24 @@ export function cartesianToSpherical(x, y, z) {
 /**
  * Compute probability density at Cartesian coordinates
  */
-export function probabilityDensityCartesian(n, l, m, x, y, z, Z = 1) {
+export function probabilityDensityCartesian(n, l, m, x, y, z, Z = 1, basis = BASES.REAL, model = HYDROGENIC_MODEL) {
     const { r, theta, phi } = cartesianToSpherical(x, y, z);
-    return probabilityDensity(n, l, m, r, theta, phi, Z);
+    return probabilityDensity(n, l, m, r, theta, phi, Z, basis, model);
 }
 
 /**
- * Find the maximum probability density for an orbital
- * Used for normalization in visualization
+ * Compute the signed wave function at Cartesian coordinates
  */
-export function findMaxProbability(n, l, m, Z = 1, samples = 1000) {
-    const maxR = maxRadialExtent(n, l, Z);
-    let maxP = 0;
-
-    for (let i = 0; i < samples; i++) {
-        const r = Math.random() * maxR;
-        const theta = Math.acos(2 * Math.random() - 1);
-        const phi = Math.random() * 2 * Math.PI;
-
-        const P = probabilityDensity(n, l, m, r, theta, phi, Z);
-        if (P > maxP) maxP = P;
-    }
-
-    // Add margin for safety
-    return maxP * 1.2;
+export function wavefunctionCartesian(n, l, m, x, y, z, Z = 1, model = HYDROGENIC_MODEL) {
+    const { r, theta, phi } = cartesianToSpherical(x, y, z);
+    return wavefunction(n, l, m, r, theta, phi, Z, model);
 }
 
 /**
- * Precompute and cache max probability for common orbitals
+ * Compute the complex wave function at Cartesian coordinates
  */
-const maxProbabilityCache = new Map();
-
-export function getMaxProbability(n, l, m, Z = 1) {
-    const key = `${n},${l},${m},${Z}`;
-
-    if (!maxProbabilityCache.has(key)) {
-        maxProbabilityCache.set(key, findMaxProbability(n, l, m, Z, 2000));
-    }
-
-    return maxProbabilityCache.get(key);
+export function complexWavefunctionCartesian(n, l, m, x, y, z, Z = 1, model = HYDROGENIC_MODEL) {
+    const { r, theta, phi } = cartesianToSpherical(x, y, z);
+    return complexWavefunction(n, l, m, r, theta, phi, Z, model);
 }
 
-/**
- * Clear the probability cache (call when changing elements)
- */
-export function clearProbabilityCache() {
-    maxProbabilityCache.clear();
-}
@@ -9,6 +9,10 @@
  * - N = normalization constant
  * - L = associated Laguerre polynomial
  * - a₀ = Bohr radius (0.529 Å)
+ * 
+ * Normalization and the Laguerre polynomial are evaluated in log space,
+ * so Rydberg states (n ≈ 50 and beyond) neither overflow nor lose
+ * precision in products of huge and tiny factors.
  */
 
 // Bohr radius in Angstroms (scaled for visualization)
@@ -30,6 +34,19 @@ export function factorial(n) {
     return result;
 }
 
+/**
+ * ln(n!) with memoization; exact in double precision far beyond the
+ * point where n! itself overflows (n > 170)
+ */
+const logFactorialCache = [0, 0];
+export function logFactorial(n) {
+    if (n < 0) return 0;
+    for (let i = logFactorialCache.length; i <= n; i++) {
+        logFactorialCache[i] = logFactorialCache[i - 1] + Math.log(i);
+    }
+    return logFactorialCache[n];
+}
+
 /**
  * Associated Laguerre polynomial L_n^α(x)
  * Uses the recurrence relation for numerical stability
@@ -55,16 +72,58 @@ export function laguerrePolynomial(n, alpha, x) {
     return L_curr;
 }
 
+// Magnitude at which the Laguerre recurrence is rescaled
+const LAGUERRE_RESCALE = 1e100;
+
+/**
+ * Associated Laguerre polynomial L_n^α(x) as sign and logarithm
+ * Same recurrence as laguerrePolynomial, rescaled whenever the values
+ * grow large so high degrees cannot overflow
+ * 
+ * @returns {Object} {sign, log} with L = sign * exp(log)
+ */
+export function logLaguerrePolynomial(n, alpha, x) {
+    if (n === 0) return { sign: 1, log: 0 };
+
+    let L_prev2 = 1;
+    let L_prev1 = 1 + alpha - x;
+    let logScale = 0;
+
+    for (let k = 2; k <= n; k++) {
+        const L_curr = ((2 * k - 1 + alpha - x) * L_prev1 - (k - 1 + alpha) * L_prev2) / k;
+        L_prev2 = L_prev1;
+        L_prev1 = L_curr;
+
+        if (Math.abs(L_prev1) > LAGUERRE_RESCALE) {
+            L_prev1 /= LAGUERRE_RESCALE;
+            L_prev2 /= LAGUERRE_RESCALE;
+            logScale += Math.log(LAGUERRE_RESCALE);
+        }
+    }
+
+    return { sign: Math.sign(L_prev1), log: Math.log(Math.abs(L_prev1)) + logScale };
+}
+
+/**
+ * ln N of the radial normalization constant (see radialNormalization)
+ */
+export function logRadialNormalization(n, l, Z = 1) {
+    return 0.5 * (
+        3 * Math.log(2 * Z / (n * BOHR_RADIUS))
+        + logFactorial(n - l - 1)
+        - Math.log(2 * n)
+        - logFactorial(n + l)
+    );
+}
+
 /**
  * Normalization constant for radial wave function
- * N = sqrt((2Z/na₀)³ * (n-l-1)! / (2n * ((n+l)!)³))
+ * N = sqrt((2Z/na₀)³ * (n-l-1)! / (2n * (n+l)!))
+ * 
+ * (for the generalized Laguerre polynomials L_{n-l-1}^{2l+1})
  */
 export function radialNormalization(n, l, Z = 1) {
-    const prefactor = Math.pow(2 * Z / (n * BOHR_RADIUS), 3);
-    const numerator = factorial(n - l - 1);
-    const denominator = 2 * n * Math.pow(factorial(n + l), 3);
-
-    return Math.sqrt(prefactor * numerator / denominator);
+    return Math.exp(logRadialNormalization(n, l, Z));
 }
 
 /**
@@ -85,16 +144,15 @@ export function radialWaveFunction(n, l, r, Z = 1) {
 
     // Dimensionless radial coordinate
     const rho = (2 * Z * r) / (n * BOHR_RADIUS);
+    if (rho === 0) {
+        return l === 0 ? radialNormalization(n, l, Z) * laguerrePolynomial(n - 1, 1, 0) : 0;
+    }
 
-    // Normalization constant
-    const N = radialNormalization(n, l, Z);
-
-    // Radial function components
-    const rhoL = Math.pow(rho, l);
-    const expTerm = Math.exp(-rho / 2);
-    const laguerre = laguerrePolynomial(n - l - 1, 2 * l + 1, rho);
+    // N * ρ^l * exp(-ρ/2) * L, summed as logarithms
+    const laguerre = logLaguerrePolynomial(n - l - 1, 2 * l + 1, rho);
+    const logR = logRadialNormalization(n, l, Z) + l * Math.log(rho) - rho / 2 + laguerre.log;
 
-    return N * rhoL * expTerm * laguerre;
+    return laguerre.sign * Math.exp(logR);
 }
 
 /**
@@ -107,14 +165,37 @@ export function radialProbabilityDensity(n, l, r, Z = 1) {
     return R * R * r * r;
 }
 
+// Integration steps for the enclosed probability of maxRadialExtent
+const EXTENT_STEPS = 2000;
+const extentCache = new Map();
+
 /**
  * Find the maximum extent of an orbital for sampling
- * Approximately where probability drops below threshold
+ * The radius enclosing all but `threshold` of the radial probability,
+ * integrated out past the classical turning point
+ * n²(1 + √(1 - l(l+1)/n²))/Z, where the density decays as exp(-2Zr/n)
  */
 export function maxRadialExtent(n, l, Z = 1, threshold = 0.001) {
-    // Approximate: most probability within ~3n²/Z Bohr radii
-    // Add extra margin for visualization
-    return (4 * n * n / Z) * BOHR_RADIUS;
+    const key = `${n},${l},${Z},${threshold}`;
+    if (extentCache.has(key)) return extentCache.get(key);
+
+    const turningPoint = n * n * (1 + Math.sqrt(1 - l * (l + 1) / (n * n))) / Z;
+    const upper = (turningPoint + 12 * n / Z) * BOHR_RADIUS;
+    const dr = upper / EXTENT_STEPS;
+
+    // Cumulative probability by the midpoint rule; ∫ r²R² dr = 1
+    let enclosed = 0;
+    let extent = upper;
+    for (let i = 0; i < EXTENT_STEPS; i++) {
+        enclosed += radialProbabilityDensity(n, l, (i + 0.5) * dr, Z) * dr;
+        if (enclosed >= 1 - threshold) {
+            extent = (i + 1) * dr;
+            break;
+        }
+    }
+
+    extentCache.set(key, extent);
+    return extent;
 }
 
 /**
@@ -125,3 +206,102 @@ export function mostProbableRadius(n, l, Z = 1) {
     // Approximate formula - actual peak varies with l
     return ((n * n - l * (l + 1) / 2) / Z) * BOHR_RADIUS;
 }
+
+/**
+ * Radial node radii of R_nl: the n-l-1 roots of L_{n-l-1}^{2l+1}(ρ),
+ * found by scanning for sign changes and bisecting
+ *
+ * @returns {Array} Node radii in increasing order
+ */
+export function radialNodes(n, l, Z = 1) {
+    const degree = n - l - 1;
+    if (degree <= 0) return [];
+
+    const alpha = 2 * l + 1;
+    // Every root of L_k^α lies below 4k + 2α + 2
+    const rhoMax = 4 * degree + 2 * alpha + 2;
+    const steps = 200 * degree;
+    const step = rhoMax / steps;
+    // Only the sign matters, which the log form keeps for any degree
+    const f = (rho) => logLaguerrePolynomial(degree, alpha, rho).sign;
+
+    const roots = [];
+    let a = 0;
+    let fa = f(a);
+    for (let i = 1; i <= steps && roots.length < degree; i++) {
+        const b = i * step;
+        const fb = f(b);
+        if (fb === 0) {
+            roots.push(b);
+        } else if (fa * fb < 0) {
+            let lo = a, hi = b, flo = fa;
+            for (let iter = 0; iter < 60; iter++) {
+                const mid = (lo + hi) / 2;
+                const fmid = f(mid);
+                if (flo * fmid <= 0) {
+                    hi = mid;
+                } else {
+                    lo = mid;
+                    flo = fmid;
+                }
+            }
+            roots.push((lo + hi) / 2);
+        }
+        a = b;
+        fa = fb;
+    }
+
+    // ρ = 2Zr / (n a₀)
+    return roots.map(rho => rho * n * BOHR_RADIUS / (2 * Z));
+}
+
+/**
+ * Exact most probable radius: the global maximum of r²R²,
+ * located on a grid and refined by golden-section search
+ */
+export function radialDensityPeak(n, l, Z = 1) {
+    const maxR = maxRadialExtent(n, l, Z);
+    const steps = 400;
+    const dr = maxR / steps;
+
+    let best = 1;
+    let bestValue = -Infinity;
+    for (let i = 1; i <= steps; i++) {
+        const value = radialProbabilityDensity(n, l, i * dr, Z);
+        if (value > bestValue) {
+            bestValue = value;
+            best = i;
+        }
+    }
+
+    const ratio = (Math.sqrt(5) - 1) / 2;
+    let lo = (best - 1) * dr;
+    let hi = (best + 1) * dr;
+    for (let iter = 0; iter < 40; iter++) {
+        const c = hi - ratio * (hi - lo);
+        const d = lo + ratio * (hi - lo);
+        if (radialProbabilityDensity(n, l, c, Z) > radialProbabilityDensity(n, l, d, Z)) {
+            hi = d;
+        } else {
+            lo = c;
+        }
+    }
+    return (lo + hi) / 2;
+}
+
+/**
+ * Radial model of hydrogen-like orbitals with a (screened) charge Z
+ *
+ * Density, sampling and isosurface code takes a radial model so the
+ * same orbitals can come from the numerical self-consistent field
+ * instead (see selfConsistentField.js).
+ */
+export const HYDROGENIC_MODEL = {
+    name: 'hydrogenic',
+    key: 'hydrogenic',
+    radialWaveFunction,
+    maxRadialExtent,
+    mostProbableRadius,
+    radialNodes,
+    radialDensityPeak
+};
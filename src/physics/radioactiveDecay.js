@@ -0,0 +1,147 @@
+/**
+ * Radioactive Decay
+ *
+ * Decay chains through the nuclide table: every member decays by its
+ * dominant mode until a stable nuclide is reached (or fission, or a
+ * daughter the table does not list).
+ *
+ * - α: the nucleus loses ⁴He, Z − 2 and A − 4
+ * - β⁻: a neutron turns into a proton, an electron and an antineutrino
+ * - β⁺: a proton turns into a neutron, a positron and a neutrino
+ * - EC: a proton captures an atomic electron, emitting a neutrino
+ * - γ: the daughter, often left excited, sheds the energy as a photon
+ *
+ * Right after the decay the daughter still has its parent's electrons,
+ * so the atom is charged. Those are exchanged with the surroundings long
+ * before any further decay, so each member forms from a neutral parent.
+ *
+ * The chain timeline is logarithmic: each member gets a stretch from
+ * TIMELINE_START up to its half-life, one unit per decade, so a
+ * microsecond polonium and a gigayear uranium are both visible. On it,
+ * a member decays at its half-life, when half such nuclei would have.
+ */
+
+import { DECAY_MODES, getNuclide, isStable } from '../data/nuclides.js';
+import { getElementByNumber } from '../data/elements.js';
+
+const { ALPHA, BETA_MINUS, BETA_PLUS, ELECTRON_CAPTURE } = DECAY_MODES;
+
+export const DECAY_PARTICLES = {
+    ALPHA: 'alpha',
+    ELECTRON: 'electron',
+    POSITRON: 'positron',
+    NEUTRINO: 'neutrino',
+    ANTINEUTRINO: 'antineutrino',
+    GAMMA: 'gamma'
+};
+
+// Change of Z and A, the particles leaving the atom, and the charge
+// of a neutral parent's atom right after the decay
+const DECAYS = {
+    [ALPHA]: { dZ: -2, dA: -4, charge: -2, particles: [DECAY_PARTICLES.ALPHA] },
+    [BETA_MINUS]: { dZ: 1, dA: 0, charge: 1, particles: [DECAY_PARTICLES.ELECTRON, DECAY_PARTICLES.ANTINEUTRINO] },
+    [BETA_PLUS]: { dZ: -1, dA: 0, charge: -1, particles: [DECAY_PARTICLES.POSITRON, DECAY_PARTICLES.NEUTRINO] },
+    [ELECTRON_CAPTURE]: { dZ: -1, dA: 0, charge: 0, particles: [DECAY_PARTICLES.NEUTRINO] }
+};
+
+// Longest chain followed (the natural series have at most 14 decays)
+const MAX_CHAIN_LENGTH = 30;
+
+// Start of each member's clock on the timeline (s), below every
+// half-life in the table
+export const TIMELINE_START = 1e-7;
+
+/**
+ * Nucleus left by a decay
+ * @returns {Object|null} {Z, A}, or null for fission and unknown modes
+ */
+export function decayDaughter(Z, A, decay) {
+    const change = DECAYS[decay];
+    if (!change) return null;
+    return { Z: Z + change.dZ, A: A + change.dA };
+}
+
+/**
+ * Charge of the daughter atom formed from a neutral parent
+ */
+export function decayCharge(decay) {
+    return DECAYS[decay]?.charge ?? 0;
+}
+
+/**
+ * Particles emitted when a nuclide decays, its gamma line last
+ * @param {Object} nuclide - Entry of the nuclide table
+ * @returns {Array} DECAY_PARTICLES values
+ */
+export function emittedParticles(nuclide) {
+    const particles = [...(DECAYS[nuclide.decay]?.particles || [])];
+    if (nuclide.gamma) particles.push(DECAY_PARTICLES.GAMMA);
+    return particles;
+}
+
+/**
+ * Follow the decays of a nuclide
+ *
+ * @param {number} Z - Atomic number
+ * @param {number} A - Mass number
+ * @returns {Array} Members [{Z, A, symbol, nuclide, charge}], the nuclide itself
+ *                  first; charge is that of the atom as the member forms
+ *                  (0 for the first); empty if the nuclide is not listed
+ */
+export function buildDecayChain(Z, A) {
+    const chain = [];
+    let nuclide = getNuclide(Z, A);
+    let charge = 0;
+
+    while (nuclide && chain.length < MAX_CHAIN_LENGTH) {
+        chain.push({ Z, A, symbol: getElementByNumber(Z).symbol, nuclide, charge });
+        if (isStable(nuclide)) break;
+
+        const daughter = decayDaughter(Z, A, nuclide.decay);
+        if (!daughter) break;
+        ({ Z, A } = daughter);
+        charge = decayCharge(nuclide.decay);
+        nuclide = getNuclide(Z, A);
+    }
+    return chain;
+}
+
+/**
+ * Stretch of each member on the log-time timeline
+ *
+ * A radioactive member spans log10(t½ / TIMELINE_START); the member
+ * that ends the chain spans nothing, it is reached at the end of the
+ * timeline.
+ *
+ * @param {Array} chain - Members from buildDecayChain
+ * @returns {Object} {segments: [{start, end}], length}
+ */
+export function chainTimeline(chain) {
+    let position = 0;
+    const segments = chain.map(({ nuclide }, i) => {
+        const last = i === chain.length - 1;
+        const span = last ? 0 : Math.log10(nuclide.halfLife / TIMELINE_START);
+        const segment = { start: position, end: position + span };
+        position += span;
+        return segment;
+    });
+    return { segments, length: position };
+}
+
+/**
+ * Member at a point of the timeline and the time since it formed
+ *
+ * @param {Object} timeline - From chainTimeline
+ * @param {number} position - Decades along the timeline
+ * @returns {Object} {index, elapsed} with elapsed in seconds
+ */
+export function locateOnTimeline({ segments, length }, position) {
+    const clamped = Math.max(0, Math.min(length, position));
+    let index = segments.findIndex(({ end }) => clamped < end);
+    if (index === -1) index = segments.length - 1;
+
+    return {
+        index,
+        elapsed: TIMELINE_START * Math.pow(10, clamped - segments[index].start)
+    };
+}
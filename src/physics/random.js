@@ -0,0 +1,111 @@
+/**
+ * Seeded Random Numbers
+ *
+ * Every sampler and renderer that scatters points takes a random
+ * function, () => number in [0, 1), defaulting to Math.random. Passing
+ * a seeded generator instead makes the result reproducible: the same
+ * seed gives the same points, bit for bit, on every run.
+ *
+ * The generator is xoshiro128** (Blackman & Vigna), whose 128-bit state
+ * is filled from the 32-bit seed by splitmix32. Independent streams for
+ * different uses of one seed (each orbital, each block of points, the
+ * nucleus) come from hashing the seed together with a label.
+ */
+
+// Seed used until the user picks another
+export const DEFAULT_SEED = 1;
+
+const UINT32_RANGE = 4294967296;
+
+/**
+ * splitmix32: a stream of well-mixed 32-bit words from any seed, used
+ * to initialize the xoshiro state
+ */
+function splitmix32(seed) {
+    let state = seed | 0;
+    return () => {
+        state = (state + 0x9e3779b9) | 0;
+        let z = state ^ (state >>> 16);
+        z = Math.imul(z, 0x21f0aaad);
+        z ^= z >>> 15;
+        z = Math.imul(z, 0x735a2d97);
+        z ^= z >>> 15;
+        return z >>> 0;
+    };
+}
+
+/**
+ * Seeded generator of uniform numbers in [0, 1)
+ *
+ * @param {number} seed - 32-bit unsigned integer
+ * @returns {Function} () => number, a drop-in replacement for Math.random
+ */
+export function createRandom(seed) {
+    const next = splitmix32(seed);
+    let s0 = next();
+    let s1 = next();
+    let s2 = next();
+    let s3 = next();
+
+    return () => {
+        // result = rotl(s1 * 5, 7) * 9
+        const product = Math.imul(s1, 5);
+        const result = Math.imul((product << 7) | (product >>> 25), 9);
+
+        const t = s1 << 9;
+        s2 ^= s0;
+        s3 ^= s1;
+        s1 ^= s2;
+        s0 ^= s3;
+        s2 ^= t;
+        s3 = (s3 << 11) | (s3 >>> 21);
+
+        return (result >>> 0) / UINT32_RANGE;
+    };
+}
+
+/**
+ * Seed of an independent stream, from a seed and any labels (32-bit
+ * FNV-1a of their text)
+ *
+ * @example hashSeed(seed, 'nucleus', 6, 6)
+ * @returns {number} 32-bit unsigned integer
+ */
+export function hashSeed(...parts) {
+    const text = parts.join('|');
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * A fresh seed, for when the user asks for a different scene
+ */
+export function randomSeed() {
+    return Math.floor(Math.random() * UINT32_RANGE);
+}
+
+/**
+ * Whether a value can be used as a seed
+ */
+export function isValidSeed(seed) {
+    return Number.isInteger(seed) && seed >= 0 && seed < UINT32_RANGE;
+}
+
+/**
+ * Shuffle an array in place (Fisher–Yates)
+ *
+ * @param {Array} array - Array to shuffle
+ * @param {Function} random - Uniform generator in [0, 1)
+ * @returns {Array} The same array
+ */
+export function shuffle(array, random = Math.random) {
+    for (let i = array.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [array[i], array[j]] = [array[j], array[i]];
+    }
+    return array;
+}
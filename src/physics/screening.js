@@ -0,0 +1,167 @@
+/**
+ * Electron Screening
+ *
+ * Computes the effective nuclear charge Z_eff = Z - S felt by an electron
+ * in a given (n, l) subshell of a many-electron atom.
+ *
+ * Two models are available:
+ * - Slater's rules (J. C. Slater, Phys. Rev. 36, 57 (1930))
+ * - Clementi–Raimondi SCF values (J. Chem. Phys. 38, 2686 (1963)),
+ *   tabulated for neutral atoms H–Kr. Other atoms and ions fall back
+ *   to Slater's rules.
+ */
+
+export const SCREENING_METHODS = {
+    SLATER: 'slater',
+    CLEMENTI: 'clementi'
+};
+
+// Clementi–Raimondi effective nuclear charges for neutral atoms, Z = 1–36
+const CLEMENTI_RAIMONDI = {
+    1: { '1s': 1.000 },
+    2: { '1s': 1.688 },
+    3: { '1s': 2.691, '2s': 1.279 },
+    4: { '1s': 3.685, '2s': 1.912 },
+    5: { '1s': 4.680, '2s': 2.576, '2p': 2.421 },
+    6: { '1s': 5.673, '2s': 3.217, '2p': 3.136 },
+    7: { '1s': 6.665, '2s': 3.847, '2p': 3.834 },
+    8: { '1s': 7.658, '2s': 4.492, '2p': 4.453 },
+    9: { '1s': 8.650, '2s': 5.128, '2p': 5.100 },
+    10: { '1s': 9.642, '2s': 5.758, '2p': 5.758 },
+    11: { '1s': 10.626, '2s': 6.571, '2p': 6.802, '3s': 2.507 },
+    12: { '1s': 11.609, '2s': 7.392, '2p': 7.826, '3s': 3.308 },
+    13: { '1s': 12.591, '2s': 8.214, '2p': 8.963, '3s': 4.117, '3p': 4.066 },
+    14: { '1s': 13.575, '2s': 9.020, '2p': 9.945, '3s': 4.903, '3p': 4.285 },
+    15: { '1s': 14.558, '2s': 9.825, '2p': 10.961, '3s': 5.642, '3p': 4.886 },
+    16: { '1s': 15.541, '2s': 10.629, '2p': 11.977, '3s': 6.367, '3p': 5.482 },
+    17: { '1s': 16.524, '2s': 11.430, '2p': 12.993, '3s': 7.068, '3p': 6.116 },
+    18: { '1s': 17.508, '2s': 12.230, '2p': 14.008, '3s': 7.757, '3p': 6.764 },
+    19: { '1s': 18.490, '2s': 13.006, '2p': 15.027, '3s': 8.680, '3p': 7.726, '4s': 3.495 },
+    20: { '1s': 19.473, '2s': 13.776, '2p': 16.041, '3s': 9.602, '3p': 8.658, '4s': 4.398 },
+    21: { '1s': 20.457, '2s': 14.574, '2p': 17.055, '3s': 10.340, '3p': 9.406, '3d': 7.120, '4s': 4.632 },
+    22: { '1s': 21.441, '2s': 15.377, '2p': 18.065, '3s': 11.033, '3p': 10.104, '3d': 8.141, '4s': 4.817 },
+    23: { '1s': 22.426, '2s': 16.181, '2p': 19.073, '3s': 11.709, '3p': 10.785, '3d': 8.983, '4s': 4.981 },
+    24: { '1s': 23.414, '2s': 16.984, '2p': 20.075, '3s': 12.368, '3p': 11.466, '3d': 9.757, '4s': 5.133 },
+    25: { '1s': 24.396, '2s': 17.794, '2p': 21.084, '3s': 13.018, '3p': 12.109, '3d': 10.528, '4s': 5.283 },
+    26: { '1s': 25.381, '2s': 18.599, '2p': 22.089, '3s': 13.676, '3p': 12.778, '3d': 11.180, '4s': 5.434 },
+    27: { '1s': 26.367, '2s': 19.405, '2p': 23.092, '3s': 14.322, '3p': 13.435, '3d': 11.855, '4s': 5.576 },
+    28: { '1s': 27.353, '2s': 20.213, '2p': 24.095, '3s': 14.961, '3p': 14.085, '3d': 12.530, '4s': 5.711 },
+    29: { '1s': 28.339, '2s': 21.020, '2p': 25.097, '3s': 15.594, '3p': 14.731, '3d': 13.201, '4s': 5.842 },
+    30: { '1s': 29.325, '2s': 21.828, '2p': 26.098, '3s': 16.219, '3p': 15.369, '3d': 13.878, '4s': 5.965 },
+    31: { '1s': 30.309, '2s': 22.599, '2p': 27.091, '3s': 16.996, '3p': 16.204, '3d': 15.093, '4s': 7.067, '4p': 6.222 },
+    32: { '1s': 31.294, '2s': 23.365, '2p': 28.082, '3s': 17.760, '3p': 17.014, '3d': 16.251, '4s': 8.044, '4p': 6.780 },
+    33: { '1s': 32.278, '2s': 24.127, '2p': 29.074, '3s': 18.596, '3p': 17.850, '3d': 17.378, '4s': 8.944, '4p': 7.449 },
+    34: { '1s': 33.262, '2s': 24.888, '2p': 30.065, '3s': 19.403, '3p': 18.705, '3d': 18.477, '4s': 9.758, '4p': 8.287 },
+    35: { '1s': 34.247, '2s': 25.643, '2p': 31.056, '3s': 20.218, '3p': 19.571, '3d': 19.559, '4s': 10.553, '4p': 9.028 },
+    36: { '1s': 35.232, '2s': 26.398, '2p': 32.047, '3s': 21.033, '3p': 20.434, '3d': 20.626, '4s': 11.316, '4p': 9.769 }
+};
+
+const ORBITAL_LETTERS = ['s', 'p', 'd', 'f', 'g'];
+
+/**
+ * Slater shielding constant S for an electron in subshell (n, l)
+ *
+ * Electrons are grouped as [1s] [2s,2p] [3s,3p] [3d] [4s,4p] [4d] [4f] ...
+ * - s/p electron: 0.35 per other electron in the same group (0.30 for 1s),
+ *   0.85 per electron in shell n-1, 1.00 per electron in shells n-2 and below
+ * - d/f electron: 0.35 per other electron in the same group,
+ *   1.00 per electron in any group to its left
+ * Electrons in groups to the right do not shield.
+ *
+ * @param {number} n - Principal quantum number
+ * @param {number} l - Azimuthal quantum number
+ * @param {Array} subshells - Array of {n, l, electrons} objects
+ * @returns {number} Shielding constant S
+ */
+export function slaterShielding(n, l, subshells) {
+    let S = 0;
+
+    for (const shell of subshells) {
+        const sameGroup = l <= 1
+            ? shell.n === n && shell.l <= 1
+            : shell.n === n && shell.l === l;
+
+        if (sameGroup) {
+            // Exclude the electron being screened
+            const others = shell.n === n && shell.l === l ? shell.electrons - 1 : shell.electrons;
+            S += Math.max(0, others) * (n === 1 ? 0.30 : 0.35);
+        } else if (l <= 1) {
+            if (shell.n === n - 1) {
+                S += shell.electrons * 0.85;
+            } else if (shell.n < n - 1) {
+                S += shell.electrons * 1.00;
+            }
+        } else if (shell.n < n || (shell.n === n && shell.l < l)) {
+            S += shell.electrons * 1.00;
+        }
+    }
+
+    return S;
+}
+
+/**
+ * Effective nuclear charge from Slater's rules
+ *
+ * @param {number} n - Principal quantum number
+ * @param {number} l - Azimuthal quantum number
+ * @param {Array} subshells - Array of {n, l, electrons} objects
+ * @param {number} Z - Atomic number
+ * @returns {number} Z_eff
+ */
+export function slaterZeff(n, l, subshells, Z) {
+    // Clamp at 1 so heavily screened anion orbitals stay bounded
+    return Math.max(1, Z - slaterShielding(n, l, subshells));
+}
+
+/**
+ * Tabulated Clementi–Raimondi effective nuclear charge
+ *
+ * @param {number} Z - Atomic number
+ * @param {number} n - Principal quantum number
+ * @param {number} l - Azimuthal quantum number
+ * @returns {number|null} Z_eff, or null if not tabulated
+ */
+export function clementiZeff(Z, n, l) {
+    const key = `${n}${ORBITAL_LETTERS[l]}`;
+    return CLEMENTI_RAIMONDI[Z]?.[key] ?? null;
+}
+
+/**
+ * Effective nuclear charge for every occupied subshell
+ *
+ * @param {Array} subshells - Array of {n, l, electrons} objects
+ * @param {number} Z - Atomic number
+ * @param {string} method - One of SCREENING_METHODS
+ * @returns {Array} Array of {n, l, electrons, zeff, method} objects
+ */
+export function computeSubshellZeff(subshells, Z, method = SCREENING_METHODS.SLATER) {
+    const electronCount = subshells.reduce((sum, shell) => sum + shell.electrons, 0);
+
+    // Clementi–Raimondi values are only valid for the neutral atom
+    const useClementi = method === SCREENING_METHODS.CLEMENTI && electronCount === Z;
+
+    return subshells
+        .filter(shell => shell.electrons > 0)
+        .map(({ n, l, electrons }) => {
+            const tabulated = useClementi ? clementiZeff(Z, n, l) : null;
+            return {
+                n,
+                l,
+                electrons,
+                zeff: tabulated ?? slaterZeff(n, l, subshells, Z),
+                method: tabulated !== null ? SCREENING_METHODS.CLEMENTI : SCREENING_METHODS.SLATER
+            };
+        });
+}
+
+/**
+ * Build a lookup function from a list of subshell Z_eff values
+ *
+ * @param {Array} screening - Output of computeSubshellZeff
+ * @param {number} fallback - Value returned for unknown subshells
+ * @returns {Function} (n, l) => Z_eff
+ */
+export function createZeffLookup(screening, fallback = 1) {
+    const table = new Map(screening.map(({ n, l, zeff }) => [`${n},${l}`, zeff]));
+    return (n, l) => table.get(`${n},${l}`) ?? fallback;
+}
@@ -0,0 +1,502 @@
+/**
+ * Self-Consistent Central Field
+ *
+ * Numerical radial orbitals for any atom or ion, as an alternative to
+ * hydrogen-like orbitals with a screened charge. Each electron moves in
+ * the same spherical potential
+ *
+ *   V(r) = -Z/r + (N - 1)/N · V_H(r)
+ *
+ * where V_H is the Hartree potential of all N electrons; the Fermi–Amaldi
+ * factor (N - 1)/N removes the average self-interaction so the outer
+ * electrons see the correct -(Z - N + 1)/r tail. Starting from a
+ * Thomas–Fermi potential, the orbitals and the potential are iterated
+ * until the orbital energies stop changing.
+ *
+ * The radial equation is solved on a logarithmic grid x = ln r with
+ * u(r) = r R(r) = √r · y(x), which turns it into y'' = g(x) y with
+ *
+ *   g(x) = (l + ½)² + 2r²(V(r) - E)
+ *
+ * integrated with Numerov's method. Eigenvalues are bracketed by
+ * counting nodes (n - l - 1 for the wanted orbital) and bisected.
+ *
+ * Atomic units throughout (hartree, bohr).
+ */
+
+import {
+    radialWaveFunction,
+    maxRadialExtent,
+    mostProbableRadius,
+    radialNodes,
+    radialDensityPeak,
+    HYDROGENIC_MODEL
+} from './radialWaveFunction.js';
+
+export const RADIAL_MODELS = {
+    HYDROGENIC: HYDROGENIC_MODEL.name,
+    SELF_CONSISTENT: 'self-consistent'
+};
+
+// Logarithmic grid: r from R_MIN/Z to R_MAX bohr in steps of GRID_STEP in ln r
+const R_MIN = 1e-4;
+const R_MAX = 60;
+const GRID_STEP = 0.0125;
+
+// Bisection steps for one eigenvalue
+const BISECTION_STEPS = 60;
+
+// Outward solutions are rescaled when they grow past this
+const RESCALE_LIMIT = 1e50;
+
+// Numerov becomes unstable once h²g/12 approaches 1; this deep in a
+// classically forbidden region the solution only grows or decays, so
+// integration stops where the factor f = 1 - h²g/12 drops below this
+const MIN_NUMEROV_FACTOR = 0.5;
+
+// Fraction of the probability inside the sampling extent
+const EXTENT_FRACTION = 0.995;
+
+const DEFAULT_OPTIONS = {
+    maxIterations: 200,
+    tolerance: 1e-7,
+    mixing: 0.3
+};
+
+/**
+ * Logarithmic radial grid for nuclear charge Z
+ * @param {number} Z - Nuclear charge
+ * @returns {Object} {x0, h, size, r: Float64Array}
+ */
+export function createLogGrid(Z) {
+    const x0 = Math.log(R_MIN / Z);
+    const size = Math.ceil((Math.log(R_MAX) - x0) / GRID_STEP) + 1;
+    const r = new Float64Array(size);
+    for (let i = 0; i < size; i++) {
+        r[i] = Math.exp(x0 + i * GRID_STEP);
+    }
+    return { x0, h: GRID_STEP, size, r };
+}
+
+/**
+ * Numerov factors f = 1 - h²g/12 for energy E
+ */
+function numerovFactors(grid, potential, l, E) {
+    const { r, h, size } = grid;
+    const f = new Float64Array(size);
+    const centrifugal = (l + 0.5) * (l + 0.5);
+    for (let i = 0; i < size; i++) {
+        f[i] = 1 - h * h * (centrifugal + 2 * r[i] * r[i] * (potential[i] - E)) / 12;
+    }
+    return f;
+}
+
+/**
+ * First two outward values: y ≈ r^{l+½}(1 - Zr/(l+1)) near the nucleus
+ */
+function startOutward(grid, Z, l) {
+    const start = (r) => Math.pow(r, l + 0.5) * (1 - Z * r / (l + 1));
+    return [start(grid.r[0]), start(grid.r[1])];
+}
+
+/**
+ * Last grid index before the outer forbidden region gets too deep to integrate
+ */
+function integrationLimit(f) {
+    let last = f.length - 1;
+    while (last > 2 && f[last] < MIN_NUMEROV_FACTOR) last--;
+    return last;
+}
+
+/**
+ * Nodes of the outward solution for energy E
+ * (the divergence past the last node counts once E is above the eigenvalue)
+ */
+function countNodes(grid, potential, Z, l, E) {
+    const f = numerovFactors(grid, potential, l, E);
+    const last = integrationLimit(f);
+    let [prev, curr] = startOutward(grid, Z, l);
+    let nodes = 0;
+
+    for (let i = 1; i < last; i++) {
+        const next = ((12 - 10 * f[i]) * curr - f[i - 1] * prev) / f[i + 1];
+        if (next * curr < 0) nodes++;
+        prev = curr;
+        curr = next;
+        if (Math.abs(curr) > RESCALE_LIMIT) {
+            prev /= RESCALE_LIMIT;
+            curr /= RESCALE_LIMIT;
+        }
+    }
+    return nodes;
+}
+
+/**
+ * Solve the radial equation for one (n, l) orbital in a fixed potential
+ *
+ * @param {Object} grid - Grid from createLogGrid
+ * @param {Float64Array} potential - V(r) on the grid (hartree)
+ * @param {number} Z - Nuclear charge (sets the behaviour at the origin)
+ * @param {number} n - Principal quantum number
+ * @param {number} l - Azimuthal quantum number
+ * @returns {Object|null} {n, l, energy, u} with u = rR normalized to
+ *                        ∫u² dr = 1, or null if the orbital is not bound
+ */
+export function solveRadialEquation(grid, potential, Z, n, l) {
+    if (n < 1 || l < 0 || l >= n) {
+        console.warn(`Invalid quantum numbers: n=${n}, l=${l}`);
+        return null;
+    }
+
+    const { r, h, size } = grid;
+    const radialNodeCount = n - l - 1;
+
+    // Below the minimum of V + (l+½)²/2r² there is no solution at all
+    let lo = Infinity;
+    for (let i = 0; i < size; i++) {
+        lo = Math.min(lo, potential[i] + (l + 0.5) * (l + 0.5) / (2 * r[i] * r[i]));
+    }
+    let hi = 0;
+
+    if (countNodes(grid, potential, Z, l, hi) <= radialNodeCount) {
+        return null;
+    }
+
+    for (let iter = 0; iter < BISECTION_STEPS; iter++) {
+        const mid = (lo + hi) / 2;
+        if (countNodes(grid, potential, Z, l, mid) > radialNodeCount) {
+            hi = mid;
+        } else {
+            lo = mid;
+        }
+    }
+    const energy = (lo + hi) / 2;
+
+    // Match an outward and an inward solution at the outer turning point
+    const f = numerovFactors(grid, potential, l, energy);
+    const last = integrationLimit(f);
+    let match = last - 10;
+    while (match > 10 && f[match] < 1) match--;
+    match = Math.max(match, 10);
+
+    const y = new Float64Array(size);
+    [y[0], y[1]] = startOutward(grid, Z, l);
+    for (let i = 1; i < match; i++) {
+        y[i + 1] = ((12 - 10 * f[i]) * y[i] - f[i - 1] * y[i - 1]) / f[i + 1];
+    }
+    const outwardValue = y[match];
+
+    // Inward from the integration limit, rescaling what is already done
+    y[last] = 0;
+    y[last - 1] = 1e-30;
+    for (let i = last - 1; i > match; i--) {
+        y[i - 1] = ((12 - 10 * f[i]) * y[i] - f[i + 1] * y[i + 1]) / f[i - 1];
+        if (Math.abs(y[i - 1]) > RESCALE_LIMIT) {
+            for (let k = i - 1; k < size; k++) y[k] /= RESCALE_LIMIT;
+        }
+    }
+    const scale = outwardValue / y[match];
+    for (let i = match + 1; i < size; i++) y[i] *= scale;
+    y[match] = outwardValue;
+
+    // u = √r·y and ∫u² dr = ∫r²y² dx
+    let norm = 0;
+    for (let i = 0; i < size; i++) {
+        norm += r[i] * r[i] * y[i] * y[i] * (i === 0 || i === size - 1 ? 0.5 : 1);
+    }
+    norm = Math.sqrt(norm * h);
+
+    const u = new Float64Array(size);
+    for (let i = 0; i < size; i++) {
+        u[i] = Math.sqrt(r[i]) * y[i] / norm;
+    }
+
+    return { n, l, energy, u };
+}
+
+/**
+ * Thomas–Fermi screening function φ(x) (Latter's fit)
+ */
+function thomasFermiScreening(x) {
+    const s = Math.sqrt(x);
+    return 1 / (1 + 0.02747 * s + 1.243 * x - 0.1486 * x * s +
+        0.2302 * x * x + 0.007298 * x * x * s + 0.006944 * x * x * x);
+}
+
+/**
+ * Starting potential: the nucleus screened by N - 1 electrons
+ * distributed as in the Thomas–Fermi atom
+ */
+function thomasFermiPotential(grid, Z, electrons) {
+    const b = 0.8853 * Math.pow(Z, -1 / 3);
+    const screening = Math.max(0, electrons - 1);
+    return grid.r.map(r => -(Z - screening * (1 - thomasFermiScreening(r / b))) / r);
+}
+
+/**
+ * Central potential of the occupied orbitals:
+ * -Z/r + (N - 1)/N · V_H(r)
+ */
+function centralPotential(grid, Z, orbitals, electrons) {
+    const { r, h, size } = grid;
+
+    // Radial charge per unit x: Σ N u² r, and Σ N u² for the outer part
+    const inner = new Float64Array(size);
+    const outer = new Float64Array(size);
+    for (const { occupation, u } of orbitals) {
+        for (let i = 0; i < size; i++) {
+            inner[i] += occupation * u[i] * u[i] * r[i];
+            outer[i] += occupation * u[i] * u[i];
+        }
+    }
+
+    // V_H(r) = Q(r)/r + ∫_r^∞ ρ/r' dr'
+    const enclosed = new Float64Array(size);
+    for (let i = 1; i < size; i++) {
+        enclosed[i] = enclosed[i - 1] + (inner[i - 1] + inner[i]) * h / 2;
+    }
+    const beyond = new Float64Array(size);
+    for (let i = size - 2; i >= 0; i--) {
+        beyond[i] = beyond[i + 1] + (outer[i] + outer[i + 1]) * h / 2;
+    }
+
+    const factor = electrons > 0 ? (electrons - 1) / electrons : 0;
+    const potential = new Float64Array(size);
+    for (let i = 0; i < size; i++) {
+        potential[i] = -Z / r[i] + factor * (enclosed[i] / r[i] + beyond[i]);
+    }
+    return potential;
+}
+
+/**
+ * Solve the self-consistent field of an atom or ion
+ *
+ * @param {number} Z - Atomic number
+ * @param {Array} subshells - Occupied subshells [{n, l, electrons}]
+ * @param {Object} options - {maxIterations, tolerance (hartree), mixing}
+ * @returns {Object|null} {Z, electrons, grid, potential, orbitals, iterations, converged}
+ *                        where orbitals maps "n,l" to {n, l, energy, u, occupation};
+ *                        null if an occupied orbital is not bound
+ */
+export function selfConsistentField(Z, subshells, options = {}) {
+    const { maxIterations, tolerance, mixing } = { ...DEFAULT_OPTIONS, ...options };
+    const occupied = subshells.filter(({ electrons }) => electrons > 0);
+    const electrons = occupied.reduce((sum, shell) => sum + shell.electrons, 0);
+
+    const grid = createLogGrid(Z);
+    let potential = thomasFermiPotential(grid, Z, electrons);
+    let orbitals = [];
+    let iterations = 0;
+    let converged = false;
+
+    while (iterations < maxIterations && !converged) {
+        iterations++;
+
+        const next = [];
+        for (const { n, l, electrons: occupation } of occupied) {
+            const orbital = solveRadialEquation(grid, potential, Z, n, l);
+            if (!orbital) {
+                console.warn(`Self-consistent field: ${n},${l} orbital of Z=${Z} with ${electrons} electrons is not bound`);
+                return null;
+            }
+            next.push({ ...orbital, occupation });
+        }
+
+        converged = iterations > 1 && next.every((orbital, k) =>
+            Math.abs(orbital.energy - orbitals[k].energy) < tolerance);
+        orbitals = next;
+
+        const target = centralPotential(grid, Z, orbitals, electrons);
+        potential = potential.map((v, i) => (1 - mixing) * v + mixing * target[i]);
+    }
+
+    if (!converged) {
+        console.warn(`Self-consistent field for Z=${Z} did not converge in ${maxIterations} iterations`);
+    }
+
+    return {
+        Z,
+        electrons,
+        grid,
+        potential,
+        orbitals: new Map(orbitals.map(orbital => [`${orbital.n},${orbital.l}`, orbital])),
+        iterations,
+        converged
+    };
+}
+
+/**
+ * An orbital of a converged field; empty orbitals are solved on demand
+ * in the final potential and cached (null when unbound)
+ *
+ * @param {Object} solution - From selfConsistentField
+ * @param {number} n - Principal quantum number
+ * @param {number} l - Azimuthal quantum number
+ * @returns {Object|null} {n, l, energy, u, occupation}
+ */
+export function orbitalSolution(solution, n, l) {
+    const key = `${n},${l}`;
+    if (!solution.orbitals.has(key)) {
+        const orbital = solveRadialEquation(solution.grid, solution.potential, solution.Z, n, l);
+        solution.orbitals.set(key, orbital && { ...orbital, occupation: 0 });
+    }
+    return solution.orbitals.get(key);
+}
+
+/**
+ * R(r) = u(r)/r, interpolated linearly in ln r
+ */
+function interpolateRadial(grid, orbital, r) {
+    const { x0, h, size } = grid;
+    const { u, l } = orbital;
+    if (r <= grid.r[0]) {
+        // R ∝ r^l inside the grid
+        return u[0] / grid.r[0] * Math.pow(r / grid.r[0], l);
+    }
+
+    const t = (Math.log(r) - x0) / h;
+    const i = Math.floor(t);
+    if (i >= size - 1) return 0;
+    const frac = t - i;
+    return ((1 - frac) * u[i] + frac * u[i + 1]) / r;
+}
+
+/**
+ * Radius enclosing a fraction of the probability ∫u² dr
+ */
+function enclosingRadius(grid, orbital, fraction) {
+    const { r, h, size } = grid;
+    const { u } = orbital;
+    let total = 0;
+    for (let i = 0; i < size; i++) total += u[i] * u[i] * r[i];
+
+    let accumulated = 0;
+    for (let i = 0; i < size; i++) {
+        accumulated += u[i] * u[i] * r[i];
+        if (accumulated >= fraction * total) return r[i];
+    }
+    return r[size - 1];
+}
+
+/**
+ * Grid maximum of u² = r²R²
+ */
+function densityPeak(grid, orbital) {
+    const { u } = orbital;
+    let best = 0;
+    for (let i = 1; i < u.length; i++) {
+        if (u[i] * u[i] > u[best] * u[best]) best = i;
+    }
+    return grid.r[best];
+}
+
+/**
+ * Radii where u changes sign (linear interpolation in r)
+ */
+function signChanges(grid, orbital) {
+    const { r, size } = grid;
+    const { u } = orbital;
+    const nodes = [];
+    for (let i = 0; i < size - 1; i++) {
+        if (u[i] * u[i + 1] < 0) {
+            nodes.push(r[i] + (r[i + 1] - r[i]) * u[i] / (u[i] - u[i + 1]));
+        }
+    }
+    return nodes;
+}
+
+/**
+ * Radial model backed by a converged field
+ *
+ * Has the same functions as HYDROGENIC_MODEL so it can be passed to
+ * the density, sampling and isosurface code. The Z argument is ignored
+ * except for orbitals that are not bound in the field, which fall
+ * back to the hydrogen-like functions.
+ *
+ * @param {Object} solution - From selfConsistentField
+ * @param {string} key - Identifies the model in cache keys
+ * @returns {Object} Radial model
+ */
+export function createRadialModel(solution, key = `scf:${solution.Z}`) {
+    const withOrbital = (numeric, hydrogenic) => (n, l, ...args) => {
+        const orbital = orbitalSolution(solution, n, l);
+        return orbital ? numeric(orbital, ...args) : hydrogenic(n, l, ...args);
+    };
+    const { grid } = solution;
+
+    return {
+        name: RADIAL_MODELS.SELF_CONSISTENT,
+        key,
+        solution,
+        radialWaveFunction: withOrbital((orbital, r) => interpolateRadial(grid, orbital, r), radialWaveFunction),
+        maxRadialExtent: withOrbital((orbital) => enclosingRadius(grid, orbital, EXTENT_FRACTION), maxRadialExtent),
+        mostProbableRadius: withOrbital((orbital) => densityPeak(grid, orbital), mostProbableRadius),
+        radialNodes: withOrbital((orbital) => signChanges(grid, orbital), radialNodes),
+        radialDensityPeak: withOrbital((orbital) => densityPeak(grid, orbital), radialDensityPeak)
+    };
+}
+
+/**
+ * Cache of models by configuration. Solving a heavy atom takes up to a
+ * second, so solves run in the background (see solveSelfConsistentModel)
+ */
+const modelCache = new Map();
+const pendingSolves = new Map();
+const MODEL_CACHE_SIZE = 16;
+
+/**
+ * Identifies the model of a configuration, e.g. "scf:3:10^2 20^1"
+ */
+export function selfConsistentModelKey(Z, subshells) {
+    return `scf:${Z}:${subshells
+        .filter(({ electrons }) => electrons > 0)
+        .map(({ n, l, electrons }) => `${n}${l}^${electrons}`)
+        .join(' ')}`;
+}
+
+/**
+ * Radial model of the self-consistent field of a configuration, if it
+ * has been solved
+ *
+ * @param {number} Z - Atomic number
+ * @param {Array} subshells - Occupied subshells [{n, l, electrons}]
+ * @returns {Object|null|undefined} Radial model, null if the field has no
+ *                                  solution, undefined if not solved yet
+ */
+export function getSelfConsistentModel(Z, subshells) {
+    return modelCache.get(selfConsistentModelKey(Z, subshells));
+}
+
+/**
+ * Solve the field of a configuration and cache its model; concurrent
+ * requests for one configuration share a solve
+ *
+ * @param {number} Z - Atomic number
+ * @param {Array} subshells - Occupied subshells [{n, l, electrons}]
+ * @param {Function} solve - (Z, subshells) => solution of selfConsistentField,
+ *                           or a promise of it (e.g. from a worker)
+ * @returns {Promise} Resolves to the radial model (null if the field has no solution)
+ */
+export function solveSelfConsistentModel(Z, subshells, solve = selfConsistentField) {
+    const key = selfConsistentModelKey(Z, subshells);
+    if (modelCache.has(key)) return Promise.resolve(modelCache.get(key));
+
+    if (!pendingSolves.has(key)) {
+        const request = Promise.resolve()
+            .then(() => solve(Z, subshells))
+            .catch((error) => {
+                console.warn(`Self-consistent field for Z=${Z} failed: ${error.message}`);
+                return null;
+            })
+            .then((solution) => {
+                pendingSolves.delete(key);
+                modelCache.set(key, solution && createRadialModel(solution, key));
+                if (modelCache.size > MODEL_CACHE_SIZE) {
+                    modelCache.delete(modelCache.keys().next().value);
+                }
+                return modelCache.get(key);
+            });
+        pendingSolves.set(key, request);
+    }
+    return pendingSolves.get(key);
+}
@@ -0,0 +1,148 @@
+/**
+ * Hydrogen-like Emission Spectra
+ *
+ * Lines of the Lyman, Balmer and Paschen series of a one-electron atom,
+ * 1/λ = R Z² (1/n_f² - 1/n_i²), from the same level energies as the
+ * radial wave functions, and the color of a spectral line as sRGB.
+ */
+
+import { subshellEnergy, photonWavelength, spectralRegion } from './energyLevels.js';
+
+/**
+ * Series by lower level
+ */
+export const SPECTRAL_SERIES = {
+    lyman: { name: 'Lyman', symbol: 'Ly', nLower: 1 },
+    balmer: { name: 'Balmer', symbol: 'H', nLower: 2 },
+    paschen: { name: 'Paschen', symbol: 'Pa', nLower: 3 }
+};
+
+/**
+ * One-electron atoms, keyed by element symbol
+ */
+export const HYDROGEN_LIKE_IONS = {
+    H: { Z: 1, label: 'H' },
+    He: { Z: 2, label: 'He⁺' },
+    Li: { Z: 3, label: 'Li²⁺' }
+};
+
+// Line names within a series: α for n_f + 1, β for n_f + 2, ...
+const GREEK = ['α', 'β', 'γ', 'δ', 'ε'];
+
+// Visible band used for line colors (nm)
+export const VISIBLE_RANGE = { min: 380, max: 750 };
+
+/**
+ * Name of a line, e.g. "Hα" or "Ly7" past the Greek letters
+ */
+export function lineLabel(seriesKey, nUpper) {
+    const { symbol, nLower } = SPECTRAL_SERIES[seriesKey];
+    const letter = GREEK[nUpper - nLower - 1];
+    return letter ? `${symbol}${letter}` : `${symbol}${nUpper}`;
+}
+
+/**
+ * Lines of the given series up to an upper level
+ *
+ * @param {number} Z - Nuclear charge
+ * @param {number} nMax - Highest upper level
+ * @param {Array} seriesKeys - Keys of SPECTRAL_SERIES
+ * @returns {Array} [{series, label, nUpper, nLower, energy, wavelength, region}] by wavelength
+ */
+export function seriesLines(Z, nMax, seriesKeys = Object.keys(SPECTRAL_SERIES)) {
+    const lines = [];
+
+    for (const key of seriesKeys) {
+        const { nLower } = SPECTRAL_SERIES[key];
+        for (let nUpper = nLower + 1; nUpper <= nMax; nUpper++) {
+            const energy = subshellEnergy(nUpper, Z) - subshellEnergy(nLower, Z);
+            const wavelength = photonWavelength(energy);
+            lines.push({
+                series: key,
+                label: lineLabel(key, nUpper),
+                nUpper,
+                nLower,
+                energy,
+                wavelength,
+                region: spectralRegion(wavelength)
+            });
+        }
+    }
+
+    return lines.sort((a, b) => a.wavelength - b.wavelength);
+}
+
+/**
+ * Short-wavelength limit of a series (n_i → ∞) in nm
+ */
+export function seriesLimit(Z, seriesKey) {
+    return photonWavelength(subshellEnergy(SPECTRAL_SERIES[seriesKey].nLower, Z));
+}
+
+/**
+ * Orbitals connected by a line, choosing the dipole-allowed p ↔ s pair
+ * (m = 0) so the 3D view shows a z-oscillating dipole
+ *
+ * @param {Object} line - From seriesLines
+ * @param {boolean} absorption - Lower → upper instead of upper → lower
+ * @returns {Object} {from: {n, l, m}, to: {n, l, m}}
+ */
+export function lineOrbitals({ nUpper, nLower }, absorption = false) {
+    const upper = { n: nUpper, l: 1, m: 0 };
+    const lower = { n: nLower, l: 0, m: 0 };
+    return absorption ? { from: lower, to: upper } : { from: upper, to: lower };
+}
+
+// Display gamma for the piecewise-linear spectrum colors
+const SPECTRUM_GAMMA = 0.8;
+
+/**
+ * Color of monochromatic light as sRGB
+ *
+ * Piecewise-linear fit of the spectral hues (after Dan Bruton), dimmed
+ * toward the ends of the visible band where the eye's response fades.
+ *
+ * @param {number} wavelength - Wavelength in nm
+ * @returns {Object} {r, g, b} in [0, 1] (black outside the visible band)
+ */
+export function wavelengthToRGB(wavelength) {
+    const w = wavelength;
+    let r = 0, g = 0, b = 0;
+
+    if (w >= 380 && w < 440) {
+        r = (440 - w) / (440 - 380);
+        b = 1;
+    } else if (w >= 440 && w < 490) {
+        g = (w - 440) / (490 - 440);
+        b = 1;
+    } else if (w >= 490 && w < 510) {
+        g = 1;
+        b = (510 - w) / (510 - 490);
+    } else if (w >= 510 && w < 580) {
+        r = (w - 510) / (580 - 510);
+        g = 1;
+    } else if (w >= 580 && w < 645) {
+        r = 1;
+        g = (645 - w) / (645 - 580);
+    } else if (w >= 645 && w <= VISIBLE_RANGE.max) {
+        r = 1;
+    }
+
+    let intensity = 1;
+    if (w < 420) {
+        intensity = 0.3 + 0.7 * (w - VISIBLE_RANGE.min) / (420 - VISIBLE_RANGE.min);
+    } else if (w > 700) {
+        intensity = 0.3 + 0.7 * (VISIBLE_RANGE.max - w) / (VISIBLE_RANGE.max - 700);
+    }
+
+    const encode = (c) => c > 0 ? Math.pow(c * intensity, SPECTRUM_GAMMA) : 0;
+    return { r: encode(r), g: encode(g), b: encode(b) };
+}
+
+/**
+ * CSS color string of a spectral line
+ */
+export function wavelengthToCSS(wavelength) {
+    const { r, g, b } = wavelengthToRGB(wavelength);
+    return `rgb(${Math.round(r * 255)}, ${Math.round(g * 255)}, ${Math.round(b * 255)})`;
+}
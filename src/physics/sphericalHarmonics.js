@@ -2,15 +2,26 @@
  * Spherical Harmonics Implementation
  * 
  * Implements the angular component Y_lm(θ, φ) of atomic orbitals.
- * Uses real spherical harmonics for visualization (combining +m and -m).
+ * Uses real spherical harmonics for visualization (combining +m and -m),
+ * and complex spherical harmonics for the true L_z eigenstates.
  * 
  * Real spherical harmonics:
  * - Y_l^0 = Y_l0 (already real)
  * - Y_l^{m>0} = (1/√2) * [Y_lm + (-1)^m * Y_l,-m] ∝ cos(mφ)
  * - Y_l^{m<0} = (i/√2) * [Y_l,-|m| - (-1)^m * Y_l,|m|] ∝ sin(|m|φ)
+ * 
+ * The harmonics are built from normalized associated Legendre functions,
+ * whose recurrence stays of order one for any l, instead of multiplying
+ * P_l^m (which grows like (2m-1)!!) by a vanishing factorial ratio.
  */
 
-import { factorial } from './radialWaveFunction.js';
+import { logFactorial } from './radialWaveFunction.js';
+
+// Angular bases
+export const BASES = {
+    REAL: 'real',
+    COMPLEX: 'complex'
+};
 
 /**
  * Associated Legendre polynomial P_l^m(x)
@@ -62,9 +73,47 @@ export function legendrePolynomial(l, m, x) {
  */
 export function sphericalHarmonicNormalization(l, m) {
     const absM = Math.abs(m);
-    const numerator = (2 * l + 1) * factorial(l - absM);
-    const denominator = 4 * Math.PI * factorial(l + absM);
-    return Math.sqrt(numerator / denominator);
+    const logRatio = logFactorial(l - absM) - logFactorial(l + absM);
+    return Math.sqrt((2 * l + 1) / (4 * Math.PI) * Math.exp(logRatio));
+}
+
+/**
+ * Normalized associated Legendre function N_lm * P_l^m(x), m ≥ 0,
+ * with the Condon–Shortley phase
+ * 
+ * P̄_m^m = -√((2m+1)/(2m)) * √(1-x²) * P̄_{m-1}^{m-1},  P̄_0^0 = 1/√(4π)
+ * P̄_{m+1}^m = x * √(2m+3) * P̄_m^m
+ * P̄_l^m = a_lm * (x * P̄_{l-1}^m - b_lm * P̄_{l-2}^m)
+ *   a_lm = √((4l²-1)/(l²-m²)),  b_lm = √(((l-1)²-m²)/(4(l-1)²-1))
+ * 
+ * @param {number} l - Degree
+ * @param {number} m - Order (|m| is used)
+ * @param {number} x - cos θ
+ */
+export function normalizedLegendre(l, m, x) {
+    const absM = Math.abs(m);
+    if (absM > l) return 0;
+
+    const sinTheta = Math.sqrt(Math.max(0, 1 - x * x));
+    let Pmm = 1 / Math.sqrt(4 * Math.PI);
+    for (let k = 1; k <= absM; k++) {
+        Pmm *= -Math.sqrt((2 * k + 1) / (2 * k)) * sinTheta;
+    }
+    if (l === absM) return Pmm;
+
+    let Pmm1 = x * Math.sqrt(2 * absM + 3) * Pmm;
+    if (l === absM + 1) return Pmm1;
+
+    let Plm = 0;
+    for (let ll = absM + 2; ll <= l; ll++) {
+        const a = Math.sqrt((4 * ll * ll - 1) / (ll * ll - absM * absM));
+        const b = Math.sqrt(((ll - 1) * (ll - 1) - absM * absM) / (4 * (ll - 1) * (ll - 1) - 1));
+        Plm = a * (x * Pmm1 - b * Pmm);
+        Pmm = Pmm1;
+        Pmm1 = Plm;
+    }
+
+    return Plm;
 }
 
 /**
@@ -84,26 +133,62 @@ export function sphericalHarmonic(l, m, theta, phi) {
         return 0;
     }
 
-    const N = sphericalHarmonicNormalization(l, m);
-    const P = legendrePolynomial(l, Math.abs(m), Math.cos(theta));
+    const P = normalizedLegendre(l, m, Math.cos(theta));
 
     // Real spherical harmonics
     if (m > 0) {
         // Y_l^{m>0} ∝ cos(mφ) * P_l^m(cos θ)
-        return N * Math.SQRT2 * P * Math.cos(m * phi);
+        return Math.SQRT2 * P * Math.cos(m * phi);
     } else if (m < 0) {
         // Y_l^{m<0} ∝ sin(|m|φ) * P_l^|m|(cos θ)
-        return N * Math.SQRT2 * P * Math.sin(Math.abs(m) * phi);
+        return Math.SQRT2 * P * Math.sin(Math.abs(m) * phi);
     } else {
         // Y_l^0 = N * P_l^0(cos θ)
-        return N * P;
+        return P;
     }
 }
 
+/**
+ * Complex spherical harmonic Y_l^m(θ, φ) with the Condon–Shortley phase
+ * 
+ * Y_l^m = N_lm * P_l^m(cos θ) * e^{imφ}           (m ≥ 0)
+ * Y_l^{-m} = (-1)^m * conj(Y_l^m)
+ * 
+ * @param {number} l - Azimuthal quantum number (0, 1, 2, ...)
+ * @param {number} m - Magnetic quantum number (-l to +l)
+ * @param {number} theta - Polar angle (0 to π)
+ * @param {number} phi - Azimuthal angle (0 to 2π)
+ * @returns {{re: number, im: number}} Value of complex spherical harmonic
+ */
+export function complexSphericalHarmonic(l, m, theta, phi) {
+    // Validate quantum numbers
+    if (l < 0 || Math.abs(m) > l) {
+        console.warn(`Invalid quantum numbers: l=${l}, m=${m}`);
+        return { re: 0, im: 0 };
+    }
+
+    const absM = Math.abs(m);
+    const P = normalizedLegendre(l, absM, Math.cos(theta));
+
+    // (-1)^m * conj(...) for negative m
+    const sign = m < 0 && absM % 2 === 1 ? -1 : 1;
+    const amplitude = sign * P;
+
+    return {
+        re: amplitude * Math.cos(m * phi),
+        im: amplitude * Math.sin(m * phi)
+    };
+}
+
 /**
  * Angular probability density |Y_lm(θ, φ)|²
+ * @param {string} basis - BASES.REAL or BASES.COMPLEX
  */
-export function angularProbabilityDensity(l, m, theta, phi) {
+export function angularProbabilityDensity(l, m, theta, phi, basis = BASES.REAL) {
+    if (basis === BASES.COMPLEX) {
+        const { re, im } = complexSphericalHarmonic(l, m, theta, phi);
+        return re * re + im * im;
+    }
     const Y = sphericalHarmonic(l, m, theta, phi);
     return Y * Y;
 }
@@ -111,11 +196,20 @@ export function angularProbabilityDensity(l, m, theta, phi) {
 /**
  * Get orbital name from quantum numbers
  * l=0: s, l=1: p, l=2: d, l=3: f
+ * 
+ * Real orbitals are labelled by their Cartesian form (e.g. 3d(xz)),
+ * complex orbitals by their m value (e.g. 3d(m=+1)).
  */
-export function getOrbitalName(n, l, m) {
-    const orbitalLetters = ['s', 'p', 'd', 'f', 'g', 'h'];
+export function getOrbitalName(n, l, m, basis = BASES.REAL) {
+    const orbitalLetters = ['s', 'p', 'd', 'f', 'g', 'h', 'i'];
     const letter = orbitalLetters[l] || `l${l}`;
 
+    if (basis === BASES.COMPLEX) {
+        if (l === 0) return `${n}${letter}`;
+        const mLabel = m > 0 ? `+${m}` : m < 0 ? `−${-m}` : '0';
+        return `${n}${letter}(m=${mLabel})`;
+    }
+
     // Orbital orientation names (for p, d, f)
     const orientations = {
         1: { '-1': 'y', '0': 'z', '1': 'x' },
@@ -0,0 +1,306 @@
+/**
+ * Time-Dependent Superposition States
+ *
+ * Ψ(r, t) = Σ c_k ψ_k(r) e^{-i E_k t}
+ *
+ * with hydrogen-like energies E_n = -Z²/(2n²) (atomic units, ħ = 1).
+ * The probability density oscillates at the Bohr frequencies
+ * ω = |E_j - E_k|, which is the emitting dipole of a transition.
+ *
+ * A transition is a two-state superposition whose amplitudes also
+ * change: population moves from the initial to the final orbital as
+ * (cos θ, sin θ) with θ going 0 → π/2 over a few Bohr periods.
+ *
+ * For rendering, component wave functions are evaluated once at fixed
+ * points (or grid nodes); each frame only recombines them with the
+ * current phase factors.
+ */
+
+import { wavefunction, complexWavefunction, cartesianToSpherical } from './probabilityDensity.js';
+import { maxRadialExtent, mostProbableRadius } from './radialWaveFunction.js';
+import { BASES, getOrbitalName } from './sphericalHarmonics.js';
+
+// Atomic unit of time in femtoseconds
+export const ATOMIC_TIME_FS = 2.4188843e-2;
+
+// Bohr periods a transition takes to hand over its population
+const TRANSITION_PERIODS = 4;
+
+/**
+ * Common two-state superpositions (equal weights)
+ */
+export const SUPERPOSITION_PRESETS = {
+    '1s+2pz': { label: '1s + 2p<sub>z</sub>', components: [{ n: 1, l: 0, m: 0 }, { n: 2, l: 1, m: 0 }] },
+    '1s+2px': { label: '1s + 2p<sub>x</sub>', components: [{ n: 1, l: 0, m: 0 }, { n: 2, l: 1, m: 1 }] },
+    '1s+2s': { label: '1s + 2s', components: [{ n: 1, l: 0, m: 0 }, { n: 2, l: 0, m: 0 }] },
+    '2pz+3dz2': { label: '2p<sub>z</sub> + 3d<sub>z²</sub>', components: [{ n: 2, l: 1, m: 0 }, { n: 3, l: 2, m: 0 }] },
+    '2s+3pz': { label: '2s + 3p<sub>z</sub>', components: [{ n: 2, l: 0, m: 0 }, { n: 3, l: 1, m: 0 }] }
+};
+
+/**
+ * Hydrogen-like energy level in hartree
+ */
+export function hydrogenEnergy(n, Z = 1) {
+    return -(Z * Z) / (2 * n * n);
+}
+
+/**
+ * Create a normalized superposition state
+ *
+ * @param {Array} components - Array of {n, l, m, c?} (c defaults to 1)
+ * @param {number} Z - Nuclear charge
+ * @param {string} basis - Angular basis of the components
+ * @returns {Object|null} {Z, basis, components: [{n, l, m, c, energy}]}
+ */
+export function createSuperposition(components, Z = 1, basis = BASES.REAL) {
+    let norm = 0;
+    for (const { n, l, m, c = 1 } of components) {
+        if (n < 1 || l < 0 || l >= n || Math.abs(m) > l) {
+            console.warn(`Invalid quantum numbers: n=${n}, l=${l}, m=${m}`);
+            return null;
+        }
+        norm += c * c;
+    }
+
+    if (norm === 0) {
+        console.warn('Superposition needs at least one non-zero amplitude');
+        return null;
+    }
+
+    const scale = 1 / Math.sqrt(norm);
+    return {
+        Z,
+        basis,
+        components: components.map(({ n, l, m, c = 1 }) => ({
+            n, l, m,
+            c: c * scale,
+            energy: hydrogenEnergy(n, Z)
+        }))
+    };
+}
+
+/**
+ * Create a transition from one orbital to another
+ *
+ * @param {Object} from - Initial orbital {n, l, m}
+ * @param {Object} to - Final orbital {n, l, m}
+ * @param {number} Z - Nuclear charge
+ * @param {string} basis - Angular basis of the orbitals
+ * @param {number} periods - Duration in Bohr periods
+ * @returns {Object|null} Superposition state with transition: {duration}
+ */
+export function createTransition(from, to, Z = 1, basis = BASES.REAL, periods = TRANSITION_PERIODS) {
+    if (from.n === to.n) {
+        console.warn(`Transition needs two different levels (n=${from.n})`);
+        return null;
+    }
+
+    const state = createSuperposition([from, to], Z, basis);
+    if (!state) return null;
+
+    state.transition = { duration: periods * bohrPeriod(state) };
+    return state;
+}
+
+/**
+ * Amplitudes c_k of the components at time t (constant except for transitions)
+ */
+export function amplitudesAt(state, t = 0) {
+    if (!state.transition) {
+        return state.components.map(({ c }) => c);
+    }
+    const progress = Math.min(1, Math.max(0, t / state.transition.duration));
+    const angle = progress * Math.PI / 2;
+    return [Math.cos(angle), Math.sin(angle)];
+}
+
+/**
+ * Longest Bohr period of the state in atomic time units
+ * (Infinity for a stationary state)
+ */
+export function bohrPeriod(state) {
+    let minGap = Infinity;
+    const { components } = state;
+    for (let i = 0; i < components.length; i++) {
+        for (let j = i + 1; j < components.length; j++) {
+            const gap = Math.abs(components[i].energy - components[j].energy);
+            if (gap > 1e-12) minGap = Math.min(minGap, gap);
+        }
+    }
+    return minGap === Infinity ? Infinity : 2 * Math.PI / minGap;
+}
+
+/**
+ * Value of one component ψ_k at a point as {re, im}
+ */
+function componentValue(state, { n, l, m }, r, theta, phi) {
+    if (state.basis === BASES.COMPLEX) {
+        return complexWavefunction(n, l, m, r, theta, phi, state.Z);
+    }
+    return { re: wavefunction(n, l, m, r, theta, phi, state.Z), im: 0 };
+}
+
+/**
+ * Ψ(r, θ, φ, t) as {re, im}
+ */
+export function superpositionWavefunction(state, r, theta, phi, t = 0) {
+    const amplitudes = amplitudesAt(state, t);
+    let re = 0;
+    let im = 0;
+    state.components.forEach((component, k) => {
+        const psi = componentValue(state, component, r, theta, phi);
+        const phase = -component.energy * t;
+        const cos = Math.cos(phase), sin = Math.sin(phase);
+        re += amplitudes[k] * (psi.re * cos - psi.im * sin);
+        im += amplitudes[k] * (psi.re * sin + psi.im * cos);
+    });
+    return { re, im };
+}
+
+/**
+ * |Ψ(r, θ, φ, t)|²
+ */
+export function superpositionDensity(state, r, theta, phi, t = 0) {
+    const { re, im } = superpositionWavefunction(state, r, theta, phi, t);
+    return re * re + im * im;
+}
+
+/**
+ * Time-averaged density Σ |c_k|² |ψ_k|² (cross terms average out
+ * when the energies differ). Used as the sampling distribution; for a
+ * transition the equal weights cover both the initial and final orbital.
+ */
+export function averageDensity(state, r, theta, phi) {
+    let density = 0;
+    for (const component of state.components) {
+        const { re, im } = componentValue(state, component, r, theta, phi);
+        density += component.c * component.c * (re * re + im * im);
+    }
+    return density;
+}
+
+/**
+ * Radial range of the state (largest of its components)
+ * @returns {Object} {maxR, rPeak}
+ */
+export function superpositionExtent(state) {
+    let maxR = 0;
+    let rPeak = 0;
+    for (const { n, l } of state.components) {
+        maxR = Math.max(maxR, maxRadialExtent(n, l, state.Z));
+        rPeak = Math.max(rPeak, mostProbableRadius(n, l, state.Z));
+    }
+    return { maxR, rPeak };
+}
+
+/**
+ * Evaluate every component at fixed Cartesian points
+ *
+ * @param {Object} state - Superposition state
+ * @param {Float32Array} positions - Flattened [x,y,z, ...]
+ * @returns {Float32Array} Component values laid out [k][point][re, im]
+ */
+export function evaluateComponents(state, positions) {
+    const count = positions.length / 3;
+    const K = state.components.length;
+    const values = new Float32Array(K * count * 2);
+
+    for (let i = 0; i < count; i++) {
+        const { r, theta, phi } = cartesianToSpherical(positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]);
+        for (let k = 0; k < K; k++) {
+            const { re, im } = componentValue(state, state.components[k], r, theta, phi);
+            values[(k * count + i) * 2] = re;
+            values[(k * count + i) * 2 + 1] = im;
+        }
+    }
+
+    return values;
+}
+
+/**
+ * Recombine precomputed component values at time t
+ *
+ * @param {Object} state - Superposition state
+ * @param {Float32Array} values - From evaluateComponents
+ * @param {number} count - Number of points
+ * @param {number} t - Time in atomic units
+ * @param {Float32Array} out - Receives [re, im] per point
+ * @returns {Float32Array} out
+ */
+export function combineComponents(state, values, count, t, out = new Float32Array(count * 2)) {
+    out.fill(0);
+    const amplitudes = amplitudesAt(state, t);
+    state.components.forEach(({ energy }, k) => {
+        const c = amplitudes[k];
+        const phase = -energy * t;
+        const cr = c * Math.cos(phase), ci = c * Math.sin(phase);
+        const offset = k * count * 2;
+        for (let i = 0; i < count; i++) {
+            const re = values[offset + i * 2];
+            const im = values[offset + i * 2 + 1];
+            out[i * 2] += cr * re - ci * im;
+            out[i * 2 + 1] += cr * im + ci * re;
+        }
+    });
+    return out;
+}
+
+/**
+ * Evaluate every component on a cubic grid (see isosurface.js)
+ *
+ * @param {Object} state - Superposition state
+ * @param {number} resolution - Grid points per axis
+ * @returns {Object} {components, count, resolution, extent, cellSize}
+ */
+export function evaluateComponentGrid(state, resolution = 40) {
+    const extent = superpositionExtent(state).maxR;
+    const cellSize = (2 * extent) / (resolution - 1);
+    const count = resolution * resolution * resolution;
+    const positions = new Float32Array(count * 3);
+
+    let index = 0;
+    for (let k = 0; k < resolution; k++) {
+        for (let j = 0; j < resolution; j++) {
+            for (let i = 0; i < resolution; i++) {
+                positions[index++] = -extent + i * cellSize;
+                positions[index++] = -extent + j * cellSize;
+                positions[index++] = -extent + k * cellSize;
+            }
+        }
+    }
+
+    return {
+        components: evaluateComponents(state, positions),
+        count,
+        resolution,
+        extent,
+        cellSize
+    };
+}
+
+/**
+ * Density grid |Ψ(t)|² from a component grid
+ *
+ * @param {Object} state - Superposition state
+ * @param {Object} componentGrid - From evaluateComponentGrid
+ * @param {number} t - Time in atomic units
+ * @returns {Object} {values, resolution, extent, cellSize}
+ */
+export function densityGridAt(state, componentGrid, t) {
+    const { components, count, resolution, extent, cellSize } = componentGrid;
+    const psi = combineComponents(state, components, count, t);
+    const values = new Float32Array(count);
+    for (let i = 0; i < count; i++) {
+        values[i] = psi[i * 2] * psi[i * 2] + psi[i * 2 + 1] * psi[i * 2 + 1];
+    }
+    return { values, resolution, extent, cellSize };
+}
+
+/**
+ * Short description of a state, e.g. "0.71 1s + 0.71 2p(z)"
+ */
+export function describeSuperposition(state) {
+    return state.components
+        .map(({ n, l, m, c }) => `${c.toFixed(2)} ${getOrbitalName(n, l, m, state.basis)}`)
+        .join(' + ');
+}
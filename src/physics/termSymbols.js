@@ -0,0 +1,210 @@
+/**
+ * Term Symbols
+ *
+ * Russell–Saunders (LS) coupling of the electrons in open subshells:
+ * - Microstates (M_L, M_S) of a subshell lᴺ and the classic microstate
+ *   table of their counts
+ * - All terms ²ˢ⁺¹L of lᴺ, peeled off the table from the largest M_L
+ * - The ground term of a configuration from Hund's rules
+ *
+ * Spins are stored as S and M_S in units of ħ, so half-integers appear
+ * as 0.5, 1.5, ...
+ */
+
+// Letters of L = 0, 1, 2, ... (J is skipped by convention)
+export const TERM_LETTERS = 'SPDFGHIKLMNOQRTUV';
+
+/**
+ * Spectroscopic letter of a total orbital angular momentum L
+ */
+export function termLetter(L) {
+    return TERM_LETTERS[L] ?? `[${L}]`;
+}
+
+/**
+ * J, S or M_S as written in a term symbol or table: "2", "3/2", "-1/2"
+ */
+export function formatHalfInteger(value) {
+    return Number.isInteger(value) ? `${value}` : `${Math.round(2 * value)}/2`;
+}
+
+/**
+ * Subshells that are neither empty nor full
+ * @param {Array} subshells - [{n, l, electrons}]
+ */
+export function openSubshells(subshells) {
+    return subshells.filter(({ l, electrons }) => electrons > 0 && electrons < 2 * (2 * l + 1));
+}
+
+/**
+ * Possible J of a term: |L - S|, ..., L + S
+ */
+export function termJValues(L, S) {
+    const values = [];
+    for (let J = Math.abs(L - S); J <= L + S + 1e-9; J++) values.push(J);
+    return values;
+}
+
+/**
+ * Every way of placing N electrons in the 2(2l+1) spin-orbitals of a
+ * subshell, allowed by the Pauli principle
+ *
+ * @param {number} l - Orbital quantum number
+ * @param {number} electrons - N
+ * @returns {Array} [{ML, MS}] (one entry per microstate)
+ */
+export function microstates(l, electrons) {
+    // Spin-orbital i has m_l = l - ⌊i/2⌋ and m_s = +½ for even i
+    const spinOrbitals = [];
+    for (let ml = l; ml >= -l; ml--) {
+        spinOrbitals.push({ ml, ms: 0.5 }, { ml, ms: -0.5 });
+    }
+
+    const states = [];
+    const choose = (start, remaining, ML, MS) => {
+        if (remaining === 0) {
+            states.push({ ML, MS });
+            return;
+        }
+        for (let i = start; i <= spinOrbitals.length - remaining; i++) {
+            choose(i + 1, remaining - 1, ML + spinOrbitals[i].ml, MS + spinOrbitals[i].ms);
+        }
+    };
+    choose(0, electrons, 0, 0);
+
+    return states;
+}
+
+/**
+ * Number of microstates of lᴺ with each (M_L, M_S)
+ *
+ * @returns {Object} {ML: [..] descending, MS: [..] descending,
+ *   counts: counts[i][j] for ML[i], MS[j], total}
+ */
+export function microstateTable(l, electrons) {
+    const states = microstates(l, electrons);
+    const maxML = Math.max(...states.map(({ ML }) => ML));
+    const maxMS = Math.max(...states.map(({ MS }) => MS));
+
+    const ML = [];
+    for (let value = maxML; value >= -maxML; value--) ML.push(value);
+    const MS = [];
+    for (let value = maxMS; value >= -maxMS; value--) MS.push(value);
+
+    const counts = ML.map(() => MS.map(() => 0));
+    for (const state of states) {
+        counts[maxML - state.ML][maxMS - state.MS]++;
+    }
+
+    return { ML, MS, counts, total: states.length };
+}
+
+/**
+ * All LS terms of a subshell lᴺ
+ *
+ * Each term ²ˢ⁺¹L takes one microstate from every (M_L, M_S) with
+ * |M_L| ≤ L and |M_S| ≤ S; repeating this from the largest remaining
+ * M_L (then M_S) empties the table.
+ *
+ * @param {number} l - Orbital quantum number
+ * @param {number} electrons - N
+ * @returns {Array} [{L, S, multiplicity, J: [..], count}] with repeated
+ *   terms merged into count, ordered by Hund's first two rules
+ */
+export function subshellTerms(l, electrons) {
+    const { ML, MS, counts } = microstateTable(l, electrons);
+    const remaining = counts.map(row => [...row]);
+    const terms = new Map();
+
+    for (let i = 0; i < ML.length; i++) {
+        for (let j = 0; j < MS.length; j++) {
+            while (remaining[i][j] > 0) {
+                const L = ML[i];
+                const S = MS[j];
+                for (let a = i; a < ML.length - i; a++) {
+                    for (let b = j; b < MS.length - j; b++) {
+                        remaining[a][b]--;
+                    }
+                }
+
+                const key = `${S},${L}`;
+                if (terms.has(key)) {
+                    terms.get(key).count++;
+                } else {
+                    terms.set(key, { L, S, multiplicity: 2 * S + 1, J: termJValues(L, S), count: 1 });
+                }
+            }
+        }
+    }
+
+    return [...terms.values()].sort((a, b) => b.S - a.S || b.L - a.L);
+}
+
+/**
+ * Hund's-rule L and S of one subshell: electrons fill m_l = l, l-1, ...
+ * spin-up first, then spin-down
+ */
+function hundSubshell(l, electrons) {
+    const orbitals = 2 * l + 1;
+    const up = Math.min(electrons, orbitals);
+    const down = electrons - up;
+
+    // m_l sum of the first k orbitals from m_l = l downward
+    const mlSum = (k) => k * l - k * (k - 1) / 2;
+
+    return { L: Math.abs(mlSum(up) + mlSum(down)), S: (up - down) / 2 };
+}
+
+/**
+ * Ground term of a configuration from Hund's rules
+ *
+ * 1. Largest S: in every open subshell the spins are parallel as far
+ *    as the Pauli principle allows
+ * 2. Largest L for that S
+ * 3. J = |L - S| for open subshells less than half filled, L + S for
+ *    more than half filled
+ *
+ * Closed subshells contribute ¹S₀. With several open subshells the
+ * Hund arrangements are added, which reproduces e.g. ⁷S₃ for Cr 3d⁵4s¹
+ * and ⁹D₂ for Gd 4f⁷5d¹6s²; a few heavy atoms (e.g. Ce) are known
+ * exceptions.
+ *
+ * @param {Array} subshells - [{n, l, electrons}]
+ * @returns {Object} {L, S, J, multiplicity, letter}
+ */
+export function groundTerm(subshells) {
+    let L = 0;
+    let S = 0;
+    let electrons = 0;
+    let capacity = 0;
+
+    for (const subshell of openSubshells(subshells)) {
+        const hund = hundSubshell(subshell.l, subshell.electrons);
+        L += hund.L;
+        S += hund.S;
+        electrons += subshell.electrons;
+        capacity += 2 * (2 * subshell.l + 1);
+    }
+
+    const J = 2 * electrons > capacity ? L + S : Math.abs(L - S);
+
+    return { L, S, J, multiplicity: 2 * S + 1, letter: termLetter(L) };
+}
+
+/**
+ * Unpaired electrons of a configuration (2S of the Hund ground state)
+ * @param {Array} subshells - [{n, l, electrons}]
+ */
+export function unpairedElectrons(subshells) {
+    return openSubshells(subshells)
+        .reduce((sum, { l, electrons }) => sum + 2 * hundSubshell(l, electrons).S, 0);
+}
+
+/**
+ * Spin-only magnetic moment μ = √(n(n+2)) μ_B
+ * @param {number} unpaired - Unpaired electrons n
+ * @returns {number} Moment in Bohr magnetons
+ */
+export function spinOnlyMoment(unpaired) {
+    return Math.sqrt(unpaired * (unpaired + 2));
+}
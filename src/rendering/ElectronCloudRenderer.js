@@ -1,85 +1,381 @@
 /**
- * Electron Cloud Renderer - Dual Mode Version
+ * Electron Cloud Renderer - Multi Mode Version
  * 
- * Supports both discrete spheres and soft cloud visualization.
+ * Supports discrete spheres, soft cloud and isosurface visualization.
  * - Spheres mode: Small solid spheres representing electron positions
  * - Cloud mode: Larger, softer particles showing probability density
+ * - Surface mode: Solid surface enclosing a fraction of the probability
+ * 
+ * Points and surfaces are colored by orbital type, by the phase of the
+ * wave function (its sign for real orbitals, or arg(Ψ) on a hue wheel
+ * for complex orbitals) or by electron spin. In spin mode the spheres
+ * of each orbital are split between its spin-up and spin-down
+ * electrons and some of them carry a small arrow along ±z.
+ * 
+ * Besides atomic configurations it renders hybrid orbital sets, with
+ * each hybrid lobe in its own color, time-dependent superpositions,
+ * whose points are reweighted by |Ψ(t)|² every frame, and eigenstates
+ * of a level split by external fields.
+ * 
+ * Orbitals of a configuration are sampled on a worker pool; their
+ * instanced meshes and point geometries are allocated up front and
+ * filled as chunks of points arrive, and the sampling job of a mesh is
+ * cancelled when the mesh is removed. Sampled orbital points are kept
+ * in the point cache, if one is given. How many points each source gets
+ * is decided by the quality manager's budget.
+ * 
+ * Points and their size and brightness jitter are drawn from streams
+ * of the renderer's seed, so a seed always gives the same scene.
  */
 
 import * as THREE from 'three';
-import { sampleOrbital } from '../physics/orbitalSampler.js';
-import { orbitalColors } from '../data/orbitalColors.js';
+import { sampleOrbitalRange, sampleHybrid, sampleSuperposition, sampleFieldState } from '../physics/orbitalSampler.js';
+import { hybridDensityGrid, hybridWavefunctionCartesian, hybridExtent } from '../physics/hybridOrbitals.js';
+import {
+    superpositionWavefunction,
+    evaluateComponents,
+    combineComponents,
+    evaluateComponentGrid,
+    densityGridAt,
+    superpositionExtent
+} from '../physics/superposition.js';
+import { fieldStateDensityGrid, fieldStateWavefunctionCartesian, fieldStateExtent } from '../physics/externalFields.js';
+import { orbitalDensityGrid, findEnclosingIsoValue } from '../physics/isosurface.js';
+import { wavefunctionCartesian, complexWavefunctionCartesian, cartesianToSpherical } from '../physics/probabilityDensity.js';
+import { BASES } from '../physics/sphericalHarmonics.js';
+import { HYDROGENIC_MODEL } from '../physics/radialWaveFunction.js';
+import { createRandom, hashSeed, DEFAULT_SEED } from '../physics/random.js';
+import { extractIsosurface } from './marchingCubes.js';
+import { SamplingPool } from './SamplingPool.js';
+import { QualityManager } from './QualityManager.js';
+import { orbitalColors, COLOR_MODES } from '../data/orbitalColors.js';
 
 // Spheres mode settings
-const SPHERES_PER_ELECTRON = 800;
 const SPHERE_RADIUS = 0.04;
 const SPHERE_SEGMENTS = 8;
 
+// Spin arrows: one on every SPIN_ARROW_STRIDE-th sphere
+const SPIN_ARROW_STRIDE = 8;
+const SPIN_ARROW_RADIUS = 0.025;
+const SPIN_ARROW_LENGTH = 0.12;
+
 // Cloud mode settings  
-const CLOUD_POINTS_PER_ELECTRON = 2000;
 const CLOUD_POINT_SIZE = 0.15;
 
+// Surface mode settings
+const SURFACE_RESOLUTION = 40;
+const SURFACE_OPACITY = 0.55;
+
+// Superposition surfaces are re-extracted on a coarser grid, at most
+// this often (seconds)
+const EVOLVING_SURFACE_RESOLUTION = 28;
+const EVOLVING_SURFACE_INTERVAL = 0.2;
+
+// Material cache key for white materials tinted by per-point colors
+const VERTEX_COLORED = 'vertex';
+
+// Opacity factor for meshes outside a highlighted subshell
+const HIGHLIGHT_DIM = 0.15;
+
 export class ElectronCloudRenderer {
-    constructor(scene) {
+    /**
+     * @param {THREE.Scene} scene
+     * @param {QualityManager} quality - Point budget shared with the app
+     * @param {PointCache} pointCache - Cache of sampled orbital points (optional)
+     */
+    constructor(scene, quality = new QualityManager(), pointCache = null) {
         this.scene = scene;
+        this.quality = quality;
         this.group = new THREE.Group();
         this.time = 0;
 
         // View mode state
         this.showSpheres = true;
         this.showCloud = false;
+        this.showSurface = false;
+        this.colorMode = COLOR_MODES.ORBITAL;
+        this.basis = BASES.REAL;
+        this.seed = DEFAULT_SEED;
 
         // Separate groups for each mode
         this.sphereGroup = new THREE.Group();
         this.cloudGroup = new THREE.Group();
+        this.surfaceGroup = new THREE.Group();
         this.group.add(this.sphereGroup);
         this.group.add(this.cloudGroup);
+        this.group.add(this.surfaceGroup);
 
         // Meshes storage
         this.sphereMeshes = new Map();
+        this.spinArrowMeshes = new Map();
         this.cloudMeshes = new Map();
+        this.surfaceMeshes = new Map();
+
+        // Density grids are kept so the enclosed-probability slider
+        // only re-runs marching cubes, not the density evaluation
+        this.surfaceGrids = new Map();
+        this.surfaceLevel = 0.9;
+
+        // Background sampling, with the running job of each mesh by
+        // "<mode>,<key>"
+        this.samplingPool = new SamplingPool({ cache: pointCache });
+        this.samplingJobs = new Map();
+
+        // Spheres and cloud points of each source, by source key
+        this.pointCounts = new Map();
 
         // Shared geometries
         this.sphereGeometry = new THREE.SphereGeometry(SPHERE_RADIUS, SPHERE_SEGMENTS, SPHERE_SEGMENTS);
+        this.spinArrowGeometry = new THREE.ConeGeometry(SPIN_ARROW_RADIUS, SPIN_ARROW_LENGTH, 6);
+        this.spinArrowMaterial = new THREE.MeshStandardMaterial({
+            color: 0xffffff,
+            emissive: 0x333333,
+            metalness: 0.1,
+            roughness: 0.5
+        });
 
         // Materials cache
         this.sphereMaterials = new Map();
         this.cloudMaterials = new Map();
+        this.surfaceMaterials = new Map();
 
-        // Current configuration for re-rendering
+        // Highlighted subshell {n, l} and dimmed copies of the materials
+        this.highlight = null;
+        this.dimmedMaterials = new Map();
+
+        // Current configuration (or hybrid set, superposition or field
+        // eigenstate) for re-rendering
         this.currentConfig = null;
+        this.currentHybrids = null;
+        this.currentSuperposition = null;
+        this.currentFieldState = null;
         this.currentZ = 1;
+
+        // Time evolution of superposition states (atomic time units)
+        this.evolutionTime = 0;
+        this.timeScale = 0;
+        this.evolvingMeshes = new Map();
+        this.surfaceRefreshTimer = 0;
         this.cloudDensity = 1.0;
 
         scene.add(this.group);
     }
 
+    /**
+     * Material cache key and base color for a source
+     * Phase and spin coloring and custom-colored sources use white
+     * materials so per-point colors show through
+     */
+    _materialStyle(source) {
+        if (this.colorMode !== COLOR_MODES.ORBITAL || source.color) {
+            return { key: VERTEX_COLORED, color: new THREE.Color(0xffffff), emissive: new THREE.Color(0x222222) };
+        }
+        const color = orbitalColors.getColor(source.l);
+        return { key: source.l, color, emissive: color };
+    }
+
+    /**
+     * Describe a single n,l,m orbital as a renderable source
+     * @returns {Object} {key, n, l, electrons, spinUp, spinDown, extent, sample, job, grid, gridKey, psi}
+     */
+    _orbitalSource({ n, l, m, electrons, spinUp, spinDown, Z = 1, model = HYDROGENIC_MODEL }) {
+        const { basis, seed } = this;
+        const complex = basis === BASES.COMPLEX;
+        return {
+            key: `${n},${l},${m}`,
+            n,
+            l,
+            electrons,
+            spinUp,
+            spinDown,
+            extent: () => model.maxRadialExtent(n, l, Z),
+            sample: (count) => sampleOrbitalRange(n, l, m, 0, count, seed, Z, basis, model),
+            // Sampled on the worker pool
+            job: { n, l, m, Z, basis, model, seed },
+            gridKey: `${n},${l},${m},${Z},${basis},${model.key}`,
+            grid: () => orbitalDensityGrid(n, l, m, Z, SURFACE_RESOLUTION, basis, model),
+            psi: complex
+                ? (x, y, z) => complexWavefunctionCartesian(n, l, m, x, y, z, Z, model)
+                : (x, y, z) => wavefunctionCartesian(n, l, m, x, y, z, Z, model)
+        };
+    }
+
+    /**
+     * Describe one hybrid orbital as a renderable source
+     */
+    _hybridSource(hybrid, index) {
+        return {
+            key: `hybrid,${index}`,
+            l: null,
+            color: orbitalColors.getHybridColor(index),
+            electrons: hybrid.electrons ?? 1,
+            extent: () => hybridExtent(hybrid).maxR,
+            sample: (count) => sampleHybrid(hybrid, count, createRandom(hashSeed(this.seed, 'hybrid', index))),
+            gridKey: `hybrid,${index}`,
+            grid: () => hybridDensityGrid(hybrid, SURFACE_RESOLUTION),
+            psi: (x, y, z) => hybridWavefunctionCartesian(hybrid, x, y, z)
+        };
+    }
+
+    /**
+     * Describe a superposition state as a renderable source
+     * Its psi is evaluated at the current evolution time
+     */
+    _superpositionSource(state) {
+        return {
+            key: 'superposition',
+            l: null,
+            color: orbitalColors.getHybridColor(0),
+            electrons: 1,
+            extent: () => superpositionExtent(state).maxR,
+            sample: (count) => sampleSuperposition(state, count, createRandom(hashSeed(this.seed, 'superposition'))),
+            gridKey: 'superposition',
+            grid: () => evaluateComponentGrid(state, EVOLVING_SURFACE_RESOLUTION),
+            psi: (x, y, z) => {
+                const { r, theta, phi } = cartesianToSpherical(x, y, z);
+                return superpositionWavefunction(state, r, theta, phi, this.evolutionTime);
+            },
+            evolution: state
+        };
+    }
+
+    /**
+     * Describe an eigenstate of a field-split level as a renderable source
+     */
+    _fieldStateSource(state) {
+        return {
+            key: 'field-state',
+            l: null,
+            color: orbitalColors.getHybridColor(0),
+            electrons: 1,
+            extent: () => fieldStateExtent(state).maxR,
+            sample: (count) => sampleFieldState(state, count, createRandom(hashSeed(this.seed, 'field-state'))),
+            gridKey: 'field-state',
+            grid: () => fieldStateDensityGrid(state, SURFACE_RESOLUTION),
+            psi: (x, y, z) => fieldStateWavefunctionCartesian(state, x, y, z)
+        };
+    }
+
+    /**
+     * Sources for whatever is currently displayed
+     */
+    _currentSources() {
+        if (this.currentFieldState) {
+            return [this._fieldStateSource(this.currentFieldState)];
+        }
+        if (this.currentSuperposition) {
+            return [this._superpositionSource(this.currentSuperposition)];
+        }
+        if (this.currentHybrids) {
+            return this.currentHybrids.map((hybrid, i) => this._hybridSource(hybrid, i));
+        }
+        return (this.currentConfig || []).map(orbital =>
+            this._orbitalSource({ ...orbital, Z: orbital.zeff ?? this.currentZ })
+        );
+    }
+
+    /**
+     * Whether points of a source are split between spin-up and spin-down
+     * electrons (only orbitals of a configuration carry spins)
+     */
+    _hasSpin(source) {
+        return this.colorMode === COLOR_MODES.SPIN && source.spinUp !== undefined;
+    }
+
+    /**
+     * Number of the points of a source that belong to spin-up electrons;
+     * these come first
+     */
+    _spinUpCount(source, count) {
+        return Math.round(count * source.spinUp / source.electrons);
+    }
+
+    /**
+     * Single color of a source by its net spin (a paired orbital mixes
+     * both spin colors)
+     */
+    _spinTint(source) {
+        if (source.spinUp === undefined) {
+            return source.color || orbitalColors.getColor(source.l);
+        }
+        const up = orbitalColors.getSpinColor(true);
+        const down = orbitalColors.getSpinColor(false);
+        if (!source.spinDown) return up;
+        if (!source.spinUp) return down;
+        return up.lerp(down, 0.5);
+    }
+
+    /**
+     * Per-point colors with a random brightness variation
+     * @param {Float32Array} positions - Flattened point positions
+     * @param {Object} source - Renderable source (see _orbitalSource)
+     * @param {number} minBrightness - Lowest brightness multiplier
+     * @param {number} spread - Range of the brightness multiplier
+     * @param {number} offset - Index of the first point among all points
+     *                          of the source (for streamed chunks)
+     * @param {number} total - Number of points of the source
+     * @param {Function} random - Brightness generator, one draw per point
+     */
+    _pointColors(positions, source, minBrightness, spread, offset = 0, total = positions.length / 3, random = Math.random) {
+        const colors = new Float32Array(positions.length);
+        const count = positions.length / 3;
+        const phase = this.colorMode === COLOR_MODES.PHASE;
+        const spin = this._hasSpin(source);
+        const upCount = spin ? this._spinUpCount(source, total) : 0;
+        const baseColor = source.color || orbitalColors.getColor(source.l);
+        const positiveColor = orbitalColors.getPhaseColor(1);
+        const negativeColor = orbitalColors.getPhaseColor(-1);
+        const upColor = orbitalColors.getSpinColor(true);
+        const downColor = orbitalColors.getSpinColor(false);
+
+        for (let i = 0; i < count; i++) {
+            let color = baseColor;
+            if (spin) {
+                color = offset + i < upCount ? upColor : downColor;
+            } else if (phase) {
+                // Real wave functions color by sign, complex ones by arg(Ψ)
+                const psi = source.psi(positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]);
+                if (typeof psi === 'number') {
+                    color = psi >= 0 ? positiveColor : negativeColor;
+                } else {
+                    color = orbitalColors.getComplexPhaseColor(psi.re, psi.im);
+                }
+            }
+            const v = minBrightness + random() * spread;
+            colors[i * 3] = color.r * v;
+            colors[i * 3 + 1] = color.g * v;
+            colors[i * 3 + 2] = color.b * v;
+        }
+
+        return colors;
+    }
+
     /**
      * Get or create sphere material for orbital type
      */
-    _getSphereMaterial(l) {
-        if (!this.sphereMaterials.has(l)) {
-            const color = orbitalColors.getColor(l);
+    _getSphereMaterial(source) {
+        const { key, color, emissive } = this._materialStyle(source);
+        if (!this.sphereMaterials.has(key)) {
             const material = new THREE.MeshStandardMaterial({
                 color: color,
-                emissive: color,
+                emissive: emissive,
                 emissiveIntensity: 0.3,
                 transparent: true,
                 opacity: 0.7,
                 metalness: 0.1,
                 roughness: 0.6
             });
-            this.sphereMaterials.set(l, material);
+            this.sphereMaterials.set(key, material);
         }
-        return this.sphereMaterials.get(l);
+        return this.sphereMaterials.get(key);
     }
 
     /**
      * Get or create cloud point material for orbital type
      */
-    _getCloudMaterial(l) {
-        if (!this.cloudMaterials.has(l)) {
-            const color = orbitalColors.getColor(l);
+    _getCloudMaterial(source) {
+        const { key, color } = this._materialStyle(source);
+        if (!this.cloudMaterials.has(key)) {
             const material = new THREE.PointsMaterial({
                 color: color,
                 size: CLOUD_POINT_SIZE,
@@ -89,154 +385,627 @@ export class ElectronCloudRenderer {
                 depthWrite: false,
                 sizeAttenuation: true
             });
-            this.cloudMaterials.set(l, material);
+            this.cloudMaterials.set(key, material);
+        }
+        return this.cloudMaterials.get(key);
+    }
+
+    /**
+     * Get or create isosurface material for orbital type
+     */
+    _getSurfaceMaterial(source) {
+        const { key, color, emissive } = this._materialStyle(source);
+        if (!this.surfaceMaterials.has(key)) {
+            const material = new THREE.MeshStandardMaterial({
+                color: color,
+                emissive: emissive,
+                emissiveIntensity: 0.15,
+                vertexColors: key === VERTEX_COLORED,
+                transparent: true,
+                opacity: SURFACE_OPACITY,
+                metalness: 0.1,
+                roughness: 0.4,
+                side: THREE.DoubleSide,
+                depthWrite: false
+            });
+            this.surfaceMaterials.set(key, material);
         }
-        return this.cloudMaterials.get(l);
+        return this.surfaceMaterials.get(key);
     }
 
     /**
-     * Render a single orbital in sphere mode
+     * Deliver the points of a source to onChunk(positions, offset):
+     * orbitals in chunks from the worker pool, other sources at once
+     * @param {string} jobKey - Identifies the mesh being filled
      */
-    _renderSphereOrbital({ n, l, m, electrons, Z = 1 }) {
-        const key = `${n},${l},${m}`;
+    _samplePoints(jobKey, source, count, onChunk) {
+        if (!source.job) {
+            onChunk(source.sample(count), 0);
+            return;
+        }
 
-        // Remove existing
-        this._removeSphereOrbital(key);
+        this._cancelSampling(jobKey);
+        const job = this.samplingPool.sample(source.job, count, onChunk, () => {
+            this.samplingJobs.delete(jobKey);
+        });
+        this.samplingJobs.set(jobKey, job);
+    }
 
-        // Sample positions
-        const numSpheres = SPHERES_PER_ELECTRON * electrons;
-        const positions = sampleOrbital(n, l, m, numSpheres, Z);
+    _cancelSampling(jobKey) {
+        const job = this.samplingJobs.get(jobKey);
+        if (job) {
+            job.cancel();
+            this.samplingJobs.delete(jobKey);
+        }
+    }
 
-        if (positions.length === 0) return;
+    /**
+     * Size and brightness jitter of a mesh's points, each its own stream
+     * so the jitter of a point does not depend on how the points were
+     * split into chunks
+     * @param {string} jobKey - Identifies the mesh
+     */
+    _jitter(jobKey) {
+        return {
+            scale: createRandom(hashSeed(this.seed, jobKey, 'scale')),
+            brightness: createRandom(hashSeed(this.seed, jobKey, 'brightness'))
+        };
+    }
 
-        const instanceCount = positions.length / 3;
-        const material = this._getSphereMaterial(l);
+    /**
+     * Render a single source in sphere mode
+     * The instanced mesh has room for every sphere and grows as points
+     * arrive
+     */
+    _renderSphereOrbital(source) {
+        const { key } = source;
+
+        // Remove existing
+        this._removeSphereOrbital(key);
+
+        const numSpheres = this.pointCounts.get(key).spheres;
+        const material = this._getSphereMaterial(source);
 
         const instancedMesh = new THREE.InstancedMesh(
             this.sphereGeometry,
             material,
-            instanceCount
+            numSpheres
         );
+        instancedMesh.count = 0;
+
+        const scales = new Float32Array(numSpheres);
+        const colors = new Float32Array(numSpheres * 3);
+        instancedMesh.instanceColor = new THREE.InstancedBufferAttribute(colors, 3);
 
+        instancedMesh.userData.n = source.n;
+        instancedMesh.userData.l = source.l;
+        this._applyHighlight(instancedMesh);
+        this.sphereMeshes.set(key, instancedMesh);
+        this.sphereGroup.add(instancedMesh);
+
+        const arrows = this._hasSpin(source) ? this._createSpinArrows(source, numSpheres) : null;
+        const jitter = this._jitter(`spheres,${key}`);
+
+        this._samplePoints(`spheres,${key}`, source, numSpheres, (positions, offset) => {
+            this._addSpheres(instancedMesh, source, positions, offset, numSpheres, scales, jitter);
+            if (arrows) this._addSpinArrows(arrows, source, positions, offset, numSpheres);
+
+            if (source.evolution) {
+                this._trackEvolution(`spheres,${key}`, instancedMesh, positions, source, { scales, colors });
+            }
+        });
+    }
+
+    /**
+     * Place a chunk of spheres starting at instance `offset`
+     * @param {Object} jitter - Size and brightness generators (see _jitter)
+     */
+    _addSpheres(mesh, source, positions, offset, total, scales, jitter) {
+        const count = positions.length / 3;
         const matrix = new THREE.Matrix4();
         const pos = new THREE.Vector3();
 
-        for (let i = 0; i < instanceCount; i++) {
+        for (let i = 0; i < count; i++) {
             pos.set(positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]);
-            const scale = 0.8 + Math.random() * 0.4;
+            const scale = 0.8 + jitter.scale() * 0.4;
+            scales[offset + i] = scale;
             matrix.makeScale(scale, scale, scale);
             matrix.setPosition(pos);
-            instancedMesh.setMatrixAt(i, matrix);
+            mesh.setMatrixAt(offset + i, matrix);
         }
 
-        instancedMesh.instanceMatrix.needsUpdate = true;
-
         // Instance colors
-        const colors = new Float32Array(instanceCount * 3);
-        const baseColor = orbitalColors.getColor(l);
-        for (let i = 0; i < instanceCount; i++) {
-            const v = 0.85 + Math.random() * 0.3;
-            colors[i * 3] = baseColor.r * v;
-            colors[i * 3 + 1] = baseColor.g * v;
-            colors[i * 3 + 2] = baseColor.b * v;
+        mesh.instanceColor.array.set(
+            this._pointColors(positions, source, 0.85, 0.3, offset, total, jitter.brightness),
+            offset * 3
+        );
+
+        mesh.count = offset + count;
+        mesh.instanceMatrix.needsUpdate = true;
+        mesh.instanceColor.needsUpdate = true;
+        // Recomputed from the instances placed so far
+        mesh.boundingSphere = null;
+    }
+
+    /**
+     * Instanced mesh for small arrows along +z (spin up) or -z (spin
+     * down) on every SPIN_ARROW_STRIDE-th sphere of an orbital
+     */
+    _createSpinArrows(source, total) {
+        const arrowCount = Math.ceil(total / SPIN_ARROW_STRIDE);
+        const mesh = new THREE.InstancedMesh(this.spinArrowGeometry, this.spinArrowMaterial, arrowCount);
+        mesh.count = 0;
+        mesh.instanceColor = new THREE.InstancedBufferAttribute(new Float32Array(arrowCount * 3), 3);
+
+        mesh.userData.n = source.n;
+        mesh.userData.l = source.l;
+        this._applyHighlight(mesh);
+        this.spinArrowMeshes.set(source.key, mesh);
+        this.sphereGroup.add(mesh);
+        return mesh;
+    }
+
+    /**
+     * Add the arrows of a chunk of spheres starting at sphere `offset`
+     */
+    _addSpinArrows(mesh, source, positions, offset, total) {
+        const count = positions.length / 3;
+        const upCount = this._spinUpCount(source, total);
+        const colors = mesh.instanceColor.array;
+        const upColor = orbitalColors.getSpinColor(true);
+        const downColor = orbitalColors.getSpinColor(false);
+
+        // Cones point along +y; turn them onto ±z and set them just
+        // above or below their sphere
+        const yAxis = new THREE.Vector3(0, 1, 0);
+        const upRotation = new THREE.Quaternion().setFromUnitVectors(yAxis, new THREE.Vector3(0, 0, 1));
+        const downRotation = new THREE.Quaternion().setFromUnitVectors(yAxis, new THREE.Vector3(0, 0, -1));
+        const scale = new THREE.Vector3(1, 1, 1);
+        const position = new THREE.Vector3();
+        const matrix = new THREE.Matrix4();
+
+        const first = Math.ceil(offset / SPIN_ARROW_STRIDE);
+        const end = Math.ceil((offset + count) / SPIN_ARROW_STRIDE);
+        for (let j = first; j < end; j++) {
+            const i = j * SPIN_ARROW_STRIDE - offset;
+            const up = offset + i < upCount;
+            position.set(
+                positions[i * 3],
+                positions[i * 3 + 1],
+                positions[i * 3 + 2] + (up ? 1 : -1) * SPIN_ARROW_LENGTH / 2
+            );
+            matrix.compose(position, up ? upRotation : downRotation, scale);
+            mesh.setMatrixAt(j, matrix);
+
+            const color = up ? upColor : downColor;
+            colors[j * 3] = color.r;
+            colors[j * 3 + 1] = color.g;
+            colors[j * 3 + 2] = color.b;
         }
-        instancedMesh.instanceColor = new THREE.InstancedBufferAttribute(colors, 3);
 
-        this.sphereMeshes.set(key, instancedMesh);
-        this.sphereGroup.add(instancedMesh);
+        mesh.count = end;
+        mesh.instanceMatrix.needsUpdate = true;
+        mesh.instanceColor.needsUpdate = true;
+        mesh.boundingSphere = null;
     }
 
     /**
-     * Render a single orbital in cloud mode
+     * Render a single source in cloud mode
+     * The geometry has room for every point and its draw range grows as
+     * points arrive
      */
-    _renderCloudOrbital({ n, l, m, electrons, Z = 1 }) {
-        const key = `${n},${l},${m}`;
+    _renderCloudOrbital(source) {
+        const { key } = source;
 
         // Remove existing
         this._removeCloudOrbital(key);
 
-        // Sample more points for cloud, scaled by density
-        const numPoints = Math.floor(CLOUD_POINTS_PER_ELECTRON * electrons * this.cloudDensity);
-        const positions = sampleOrbital(n, l, m, numPoints, Z);
-
-        if (positions.length === 0) return;
+        // Cloud budget, already scaled by density
+        const numPoints = this.pointCounts.get(key).cloud;
 
         // Create point cloud geometry
         const geometry = new THREE.BufferGeometry();
-        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
-
-        // Add color variation
-        const colors = new Float32Array(positions.length);
-        const baseColor = orbitalColors.getColor(l);
-        for (let i = 0; i < positions.length / 3; i++) {
-            const v = 0.7 + Math.random() * 0.6;
-            colors[i * 3] = baseColor.r * v;
-            colors[i * 3 + 1] = baseColor.g * v;
-            colors[i * 3 + 2] = baseColor.b * v;
-        }
-        geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+        const position = new THREE.BufferAttribute(new Float32Array(numPoints * 3), 3).setUsage(THREE.DynamicDrawUsage);
+        const color = new THREE.BufferAttribute(new Float32Array(numPoints * 3), 3).setUsage(THREE.DynamicDrawUsage);
+        geometry.setAttribute('position', position);
+        geometry.setAttribute('color', color);
+        geometry.setDrawRange(0, 0);
 
-        const material = this._getCloudMaterial(l).clone();
+        const material = this._getCloudMaterial(source).clone();
         material.vertexColors = true;
 
         const points = new THREE.Points(geometry, material);
 
+        points.userData.n = source.n;
+        points.userData.l = source.l;
+        this._applyHighlight(points);
         this.cloudMeshes.set(key, points);
         this.cloudGroup.add(points);
+
+        const { brightness } = this._jitter(`cloud,${key}`);
+
+        this._samplePoints(`cloud,${key}`, source, numPoints, (positions, offset) => {
+            position.array.set(positions, offset * 3);
+            // Add color variation
+            color.array.set(this._pointColors(positions, source, 0.7, 0.6, offset, numPoints, brightness), offset * 3);
+
+            geometry.setDrawRange(0, offset + positions.length / 3);
+            position.needsUpdate = true;
+            color.needsUpdate = true;
+            geometry.boundingSphere = null;
+
+            if (source.evolution) {
+                this._trackEvolution(`cloud,${key}`, points, positions, source, { colors: color.array });
+            }
+        });
+    }
+
+    /**
+     * Render a single source in surface mode
+     */
+    _renderSurfaceOrbital(source) {
+        const { key, gridKey } = source;
+
+        // Remove existing
+        this._removeSurfaceOrbital(key);
+
+        if (!this.surfaceGrids.has(gridKey)) {
+            this.surfaceGrids.set(gridKey, source.grid());
+        }
+        // Superpositions cache their component grids and build |Ψ(t)|² here
+        const grid = source.evolution
+            ? densityGridAt(source.evolution, this.surfaceGrids.get(gridKey), this.evolutionTime)
+            : this.surfaceGrids.get(gridKey);
+
+        const isoValue = findEnclosingIsoValue(grid, this.surfaceLevel);
+        const { positions, normals } = extractIsosurface(grid, isoValue);
+
+        if (positions.length === 0) return;
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        geometry.setAttribute('normal', new THREE.Float32BufferAttribute(normals, 3));
+
+        // Color the surface by the net spin of the orbital, by the phase
+        // of the wave function or by the source's own color
+        if (this.colorMode === COLOR_MODES.SPIN) {
+            const tint = this._spinTint(source);
+            const colors = new Float32Array(positions.length);
+            for (let i = 0; i < colors.length; i += 3) {
+                colors[i] = tint.r;
+                colors[i + 1] = tint.g;
+                colors[i + 2] = tint.b;
+            }
+            geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+        } else if (this.colorMode === COLOR_MODES.PHASE || source.color) {
+            geometry.setAttribute('color', new THREE.Float32BufferAttribute(
+                this._pointColors(positions, source, 1, 0), 3
+            ));
+        }
+
+        const mesh = new THREE.Mesh(geometry, this._getSurfaceMaterial(source));
+
+        mesh.userData.n = source.n;
+        mesh.userData.l = source.l;
+        this._applyHighlight(mesh);
+        this.surfaceMeshes.set(key, mesh);
+        this.surfaceGroup.add(mesh);
     }
 
     _removeSphereOrbital(key) {
+        this._cancelSampling(`spheres,${key}`);
+
         const mesh = this.sphereMeshes.get(key);
         if (mesh) {
             this.sphereGroup.remove(mesh);
             mesh.dispose();
             this.sphereMeshes.delete(key);
         }
+
+        const arrows = this.spinArrowMeshes.get(key);
+        if (arrows) {
+            this.sphereGroup.remove(arrows);
+            arrows.dispose();
+            this.spinArrowMeshes.delete(key);
+        }
     }
 
     _removeCloudOrbital(key) {
+        this._cancelSampling(`cloud,${key}`);
+
         const mesh = this.cloudMeshes.get(key);
         if (mesh) {
             this.cloudGroup.remove(mesh);
             mesh.geometry.dispose();
-            mesh.material.dispose();
+            // Cloud materials are per-mesh copies
+            const material = mesh.userData.material || mesh.material;
+            this._disposeDimmed(material);
+            material.dispose();
             this.cloudMeshes.delete(key);
         }
     }
 
+    _removeSurfaceOrbital(key) {
+        const mesh = this.surfaceMeshes.get(key);
+        if (mesh) {
+            this.surfaceGroup.remove(mesh);
+            mesh.geometry.dispose();
+            this.surfaceMeshes.delete(key);
+        }
+    }
+
     /**
      * Render orbital configuration
+     * @param {Array} configuration - Array of {n, l, m, electrons, zeff?, model?} objects
+     *                               (model is the radial model, hydrogenic by default)
+     * @param {number} Z - Nuclear charge used for orbitals without a zeff
      */
     renderConfiguration(configuration, Z = 1) {
-        // Store for re-rendering when mode changes
+        // Cached density grids belong to the previous configuration
+        if (configuration !== this.currentConfig) {
+            this.surfaceGrids.clear();
+        }
+
+        // Store for re-rendering when mode changes; each orbital uses
+        // its screened nuclear charge when one is provided
         this.currentConfig = configuration;
+        this.currentHybrids = null;
+        this.currentSuperposition = null;
+        this.currentFieldState = null;
         this.currentZ = Z;
 
-        // Clear all
-        this.clearAll();
+        this._renderSources(this._currentSources());
+    }
+
+    /**
+     * Render a set of hybrid orbitals, one color per hybrid
+     * @param {Array} hybrids - Hybrids from buildHybridPreset / createHybrid,
+     *                          optionally with an electrons count
+     */
+    renderHybrids(hybrids) {
+        if (hybrids !== this.currentHybrids) {
+            this.surfaceGrids.clear();
+        }
+
+        this.currentHybrids = hybrids;
+        this.currentConfig = null;
+        this.currentSuperposition = null;
+        this.currentFieldState = null;
 
-        // Render each orbital in enabled modes
-        for (const orbital of configuration) {
-            if (this.showSpheres) {
-                this._renderSphereOrbital({ ...orbital, Z });
+        this._renderSources(this._currentSources());
+    }
+
+    /**
+     * Render a time-dependent superposition state
+     * @param {Object} state - State from createSuperposition or createTransition
+     */
+    renderSuperposition(state) {
+        if (state !== this.currentSuperposition) {
+            this.surfaceGrids.clear();
+            this.evolutionTime = 0;
+        }
+
+        this.currentSuperposition = state;
+        this.currentHybrids = null;
+        this.currentConfig = null;
+        this.currentFieldState = null;
+
+        this._renderSources(this._currentSources());
+    }
+
+    /**
+     * Render one eigenstate of a level split by external fields
+     * @param {Object} state - State from fieldSplitting
+     */
+    renderFieldState(state) {
+        if (state !== this.currentFieldState) {
+            this.surfaceGrids.clear();
+        }
+
+        this.currentFieldState = state;
+        this.currentSuperposition = null;
+        this.currentHybrids = null;
+        this.currentConfig = null;
+
+        this._renderSources(this._currentSources());
+    }
+
+    /**
+     * Set how fast superpositions evolve
+     * @param {number} timeScale - Atomic time units per second (0 pauses)
+     */
+    setTimeScale(timeScale) {
+        this.timeScale = timeScale;
+    }
+
+    /**
+     * Re-render whatever is currently displayed
+     */
+    rerender() {
+        if (this.currentFieldState) {
+            this.renderFieldState(this.currentFieldState);
+        } else if (this.currentSuperposition) {
+            this.renderSuperposition(this.currentSuperposition);
+        } else if (this.currentHybrids) {
+            this.renderHybrids(this.currentHybrids);
+        } else if (this.currentConfig) {
+            this.renderConfiguration(this.currentConfig, this.currentZ);
+        }
+    }
+
+    /**
+     * Keep the component values of a superposition at its sampled points
+     * so each frame only has to recombine them
+     */
+    _trackEvolution(key, mesh, positions, source, { scales = null, colors }) {
+        const state = source.evolution;
+        const count = positions.length / 3;
+        const values = evaluateComponents(state, positions);
+
+        // Time-averaged density at each point, which the points were sampled from
+        const average = new Float32Array(count);
+        state.components.forEach(({ c }, k) => {
+            for (let i = 0; i < count; i++) {
+                const re = values[(k * count + i) * 2];
+                const im = values[(k * count + i) * 2 + 1];
+                average[i] += c * c * (re * re + im * im);
             }
-            if (this.showCloud) {
-                this._renderCloudOrbital({ ...orbital, Z });
+        });
+
+        this.evolvingMeshes.set(key, {
+            mesh,
+            state,
+            count,
+            values,
+            average,
+            scales,
+            baseColors: colors.slice(),
+            psi: new Float32Array(count * 2)
+        });
+        this._updateEvolvingMesh(this.evolvingMeshes.get(key));
+    }
+
+    /**
+     * Reweight a tracked mesh by |Ψ(t)|² / time-averaged density
+     */
+    _updateEvolvingMesh(entry) {
+        const { mesh, state, count, values, average, scales, baseColors, psi } = entry;
+        const K = state.components.length;
+        const phase = this.colorMode === COLOR_MODES.PHASE;
+
+        combineComponents(state, values, count, this.evolutionTime, psi);
+
+        const colors = scales ? mesh.instanceColor.array : mesh.geometry.attributes.color.array;
+        const matrix = new THREE.Matrix4();
+        const pos = new THREE.Vector3();
+        const color = new THREE.Color();
+
+        for (let i = 0; i < count; i++) {
+            const re = psi[i * 2], im = psi[i * 2 + 1];
+            // Relative weight is at most K (Cauchy–Schwarz), so this is in [0, 1]
+            const weight = average[i] > 0 ? Math.min(1, (re * re + im * im) / (average[i] * K)) : 0;
+
+            if (phase) {
+                color.copy(orbitalColors.getComplexPhaseColor(re, im)).multiplyScalar(weight);
+                colors[i * 3] = color.r;
+                colors[i * 3 + 1] = color.g;
+                colors[i * 3 + 2] = color.b;
+            } else {
+                colors[i * 3] = baseColors[i * 3] * weight;
+                colors[i * 3 + 1] = baseColors[i * 3 + 1] * weight;
+                colors[i * 3 + 2] = baseColors[i * 3 + 2] * weight;
+            }
+
+            if (scales) {
+                mesh.getMatrixAt(i, matrix);
+                pos.setFromMatrixPosition(matrix);
+                const scale = scales[i] * Math.sqrt(weight);
+                matrix.makeScale(scale, scale, scale);
+                matrix.setPosition(pos);
+                mesh.setMatrixAt(i, matrix);
+            }
+        }
+
+        if (scales) {
+            mesh.instanceMatrix.needsUpdate = true;
+            mesh.instanceColor.needsUpdate = true;
+        } else {
+            mesh.geometry.attributes.color.needsUpdate = true;
+        }
+    }
+
+    /**
+     * Advance superposition states in time
+     */
+    _advanceEvolution(deltaTime) {
+        if (!this.currentSuperposition || this.timeScale === 0) return;
+
+        this.evolutionTime += deltaTime * this.timeScale;
+
+        for (const [, entry] of this.evolvingMeshes) {
+            this._updateEvolvingMesh(entry);
+        }
+
+        // Marching cubes is too slow for every frame
+        this.surfaceRefreshTimer += deltaTime;
+        if (this.showSurface && this.surfaceRefreshTimer >= EVOLVING_SURFACE_INTERVAL) {
+            this.surfaceRefreshTimer = 0;
+            this._rebuildSurfaces();
+        }
+    }
+
+    /**
+     * Render each source in the enabled modes
+     */
+    _renderSources(sources) {
+        this.clearAll();
+        this.pointCounts = this.quality.allocate(sources, this.cloudDensity);
+
+        for (const source of sources) {
+            if (this.showSpheres) this._renderSphereOrbital(source);
+            if (this.showCloud) this._renderCloudOrbital(source);
+            if (this.showSurface) this._renderSurfaceOrbital(source);
+        }
+    }
+
+    /**
+     * Emphasize the meshes of one subshell by dimming the others
+     * (meshes without a subshell, like hybrids, are left alone)
+     * @param {Object|null} subshell - {n, l}, or null to clear
+     */
+    highlightSubshell(subshell) {
+        this.highlight = subshell;
+
+        for (const meshes of [this.sphereMeshes, this.spinArrowMeshes, this.cloudMeshes, this.surfaceMeshes]) {
+            for (const [, mesh] of meshes) {
+                this._applyHighlight(mesh);
             }
         }
+
+        if (!subshell) {
+            for (const [, material] of this.dimmedMaterials) material.dispose();
+            this.dimmedMaterials.clear();
+        }
+    }
+
+    /**
+     * Swap a mesh between its own material and a dimmed copy
+     */
+    _applyHighlight(mesh) {
+        const { n, l } = mesh.userData;
+        if (!mesh.userData.material) mesh.userData.material = mesh.material;
+        const base = mesh.userData.material;
+
+        const dim = this.highlight && n !== undefined &&
+            (n !== this.highlight.n || l !== this.highlight.l);
+        mesh.material = dim ? this._dimmedMaterial(base) : base;
+    }
+
+    _dimmedMaterial(material) {
+        if (!this.dimmedMaterials.has(material)) {
+            const dimmed = material.clone();
+            dimmed.opacity = material.opacity * HIGHLIGHT_DIM;
+            this.dimmedMaterials.set(material, dimmed);
+        }
+        return this.dimmedMaterials.get(material);
+    }
+
+    _disposeDimmed(material) {
+        const dimmed = this.dimmedMaterials.get(material);
+        if (dimmed) {
+            dimmed.dispose();
+            this.dimmedMaterials.delete(material);
+        }
     }
 
     /**
      * Toggle visibility of an orbital type
      */
     setOrbitalTypeVisibility(l, visible) {
-        for (const [key, mesh] of this.sphereMeshes) {
-            const [, orbitalL] = key.split(',').map(Number);
-            if (orbitalL === l) mesh.visible = visible;
-        }
-        for (const [key, mesh] of this.cloudMeshes) {
-            const [, orbitalL] = key.split(',').map(Number);
-            if (orbitalL === l) mesh.visible = visible;
+        for (const meshes of [this.sphereMeshes, this.spinArrowMeshes, this.cloudMeshes, this.surfaceMeshes]) {
+            for (const [, mesh] of meshes) {
+                if (mesh.userData.l === l) mesh.visible = visible;
+            }
         }
     }
 
@@ -250,8 +1019,13 @@ export class ElectronCloudRenderer {
         for (const [key] of this.cloudMeshes) {
             this._removeCloudOrbital(key);
         }
+        for (const [key] of this.surfaceMeshes) {
+            this._removeSurfaceOrbital(key);
+        }
         this.sphereMeshes.clear();
         this.cloudMeshes.clear();
+        this.surfaceMeshes.clear();
+        this.evolvingMeshes.clear();
     }
 
     /**
@@ -263,27 +1037,47 @@ export class ElectronCloudRenderer {
             opacity = 0.7,
             density = 1.0,
             showSpheres,
-            showCloud
+            showCloud,
+            showSurface,
+            surfaceLevel,
+            colorMode,
+            basis,
+            seed
         } = settings;
 
-        // Check if mode changed
+        // Check if mode or seed changed
         const modeChanged = (showSpheres !== undefined && showSpheres !== this.showSpheres) ||
-            (showCloud !== undefined && showCloud !== this.showCloud);
+            (showCloud !== undefined && showCloud !== this.showCloud) ||
+            (showSurface !== undefined && showSurface !== this.showSurface) ||
+            (colorMode !== undefined && colorMode !== this.colorMode) ||
+            (basis !== undefined && basis !== this.basis) ||
+            (seed !== undefined && seed !== this.seed);
+
+        // Enclosed probability only needs the surfaces rebuilt
+        const levelChanged = surfaceLevel !== undefined && surfaceLevel !== this.surfaceLevel;
 
         // Check if density changed significantly (requires re-render)
         const densityChanged = density !== undefined && Math.abs(density - this.cloudDensity) > 0.05;
 
         if (showSpheres !== undefined) this.showSpheres = showSpheres;
         if (showCloud !== undefined) this.showCloud = showCloud;
+        if (showSurface !== undefined) this.showSurface = showSurface;
         if (density !== undefined) this.cloudDensity = density;
+        if (surfaceLevel !== undefined) this.surfaceLevel = surfaceLevel;
+        if (colorMode !== undefined) this.colorMode = colorMode;
+        if (basis !== undefined) this.basis = basis;
+        if (seed !== undefined) this.seed = seed;
 
         // Update visibility
         this.sphereGroup.visible = this.showSpheres;
         this.cloudGroup.visible = this.showCloud;
+        this.surfaceGroup.visible = this.showSurface;
 
         // Re-render if mode or density changed
-        if ((modeChanged || densityChanged) && this.currentConfig) {
-            this.renderConfiguration(this.currentConfig, this.currentZ);
+        if (modeChanged || densityChanged) {
+            this.rerender();
+        } else if (levelChanged && this.showSurface) {
+            this._rebuildSurfaces();
         }
 
         // Update sphere size by scaling the sphere group (not the whole group)
@@ -300,12 +1094,39 @@ export class ElectronCloudRenderer {
         }
     }
 
+    /**
+     * Whether points are still streaming in from the sampling pool
+     */
+    isSampling() {
+        return this.samplingJobs.size > 0;
+    }
+
+    /**
+     * Solve a self-consistent field on the sampling workers
+     * @returns {Promise} Resolves to the solution (null if none)
+     */
+    solveField(Z, subshells) {
+        return this.samplingPool.solve(Z, subshells);
+    }
+
+    /**
+     * Re-extract every isosurface at the current enclosed probability
+     */
+    _rebuildSurfaces() {
+        for (const source of this._currentSources()) {
+            this._renderSurfaceOrbital(source);
+        }
+    }
+
     /**
      * Animate
      */
     animate(deltaTime) {
         this.time += deltaTime;
 
+        // Superposition states slosh at their Bohr frequency
+        this._advanceEvolution(deltaTime);
+
         // Subtle pulsing for spheres
         const pulse = 0.25 + 0.1 * Math.sin(this.time * 2);
         for (const [, material] of this.sphereMaterials) {
@@ -334,14 +1155,21 @@ export class ElectronCloudRenderer {
 
     dispose() {
         this.clearAll();
+        this.samplingPool.dispose();
 
         if (this.sphereGeometry) this.sphereGeometry.dispose();
+        this.spinArrowGeometry.dispose();
+        this.spinArrowMaterial.dispose();
 
         for (const [, mat] of this.sphereMaterials) mat.dispose();
         for (const [, mat] of this.cloudMaterials) mat.dispose();
+        for (const [, mat] of this.surfaceMaterials) mat.dispose();
+        for (const [, mat] of this.dimmedMaterials) mat.dispose();
 
         this.sphereMaterials.clear();
         this.cloudMaterials.clear();
+        this.surfaceMaterials.clear();
+        this.surfaceGrids.clear();
 
         this.scene.remove(this.group);
     }
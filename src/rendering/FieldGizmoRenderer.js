@@ -0,0 +1,71 @@
+/**
+ * Field Gizmo Renderer
+ *
+ * Arrows through the nucleus showing the direction of the external
+ * magnetic field B and electric field F, in the same coordinates as
+ * the electron cloud.
+ */
+
+import * as THREE from 'three';
+
+// Colors by field
+export const FIELD_COLORS = {
+    B: 0x4dd0e1,
+    F: 0xffd54f
+};
+
+// Arrow head size relative to the arrow length
+const HEAD_LENGTH = 0.12;
+const HEAD_WIDTH = 0.06;
+
+export class FieldGizmoRenderer {
+    constructor(scene) {
+        this.scene = scene;
+        this.group = new THREE.Group();
+
+        this.arrows = {
+            B: this._createArrow(FIELD_COLORS.B),
+            F: this._createArrow(FIELD_COLORS.F)
+        };
+
+        scene.add(this.group);
+    }
+
+    _createArrow(color) {
+        const arrow = new THREE.ArrowHelper(new THREE.Vector3(0, 0, 1), new THREE.Vector3(), 1, color);
+        arrow.visible = false;
+        this.group.add(arrow);
+        return arrow;
+    }
+
+    /**
+     * Point the arrows along the fields
+     * @param {Object|null} fields - {B: {x, y, z}, F: {x, y, z}} (null hides both)
+     * @param {number} length - Arrow length (scene units)
+     */
+    update(fields, length = 1) {
+        for (const [key, arrow] of Object.entries(this.arrows)) {
+            const vector = fields && fields[key];
+            const direction = vector ? new THREE.Vector3(vector.x, vector.y, vector.z) : null;
+
+            if (!direction || direction.lengthSq() === 0) {
+                arrow.visible = false;
+                continue;
+            }
+
+            // The arrow runs through the nucleus and ends past the cloud
+            direction.normalize();
+            arrow.position.copy(direction).multiplyScalar(-length / 2);
+            arrow.setDirection(direction);
+            arrow.setLength(length, HEAD_LENGTH * length, HEAD_WIDTH * length);
+            arrow.visible = true;
+        }
+    }
+
+    dispose() {
+        for (const arrow of Object.values(this.arrows)) {
+            arrow.dispose();
+        }
+        this.scene.remove(this.group);
+    }
+}
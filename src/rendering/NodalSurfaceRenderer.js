@@ -0,0 +1,118 @@
+/**
+ * Nodal Surface Renderer
+ *
+ * Draws the nodes of one orbital as translucent surfaces in the same
+ * coordinates as the electron cloud (z is the quantization axis):
+ * spheres for radial nodes, cones for polar nodes and planes through
+ * the z axis for azimuthal nodes.
+ */
+
+import * as THREE from 'three';
+import { maxRadialExtent } from '../physics/radialWaveFunction.js';
+
+// Colors by node type
+export const NODE_COLORS = {
+    sphere: 0x4fc3f7,
+    cone: 0xffb74d,
+    plane: 0xba68c8
+};
+
+const NODE_OPACITY = 0.18;
+const SEGMENTS = 48;
+
+// Cones and planes reach this fraction of the orbital's sampling extent
+const ANGULAR_EXTENT = 0.4;
+
+export class NodalSurfaceRenderer {
+    constructor(scene) {
+        this.scene = scene;
+        this.group = new THREE.Group();
+        this.meshes = [];
+
+        this.materials = {
+            sphere: this._createMaterial(NODE_COLORS.sphere),
+            cone: this._createMaterial(NODE_COLORS.cone),
+            plane: this._createMaterial(NODE_COLORS.plane)
+        };
+
+        scene.add(this.group);
+    }
+
+    _createMaterial(color) {
+        return new THREE.MeshBasicMaterial({
+            color,
+            transparent: true,
+            opacity: NODE_OPACITY,
+            side: THREE.DoubleSide,
+            depthWrite: false
+        });
+    }
+
+    /**
+     * Show the nodes of an orbital
+     * @param {Object|null} nodes - From nodalSurfaces (null hides the overlay)
+     */
+    update(nodes) {
+        this.clear();
+        if (!nodes) return;
+
+        const { n, l, Z, spheres, cones, planes } = nodes;
+        const extent = ANGULAR_EXTENT * maxRadialExtent(n, l, Z);
+
+        for (const radius of spheres) {
+            this._add(new THREE.SphereGeometry(radius, SEGMENTS, SEGMENTS / 2), this.materials.sphere);
+        }
+
+        for (const theta of cones) {
+            this._add(coneGeometry(theta, extent), this.materials.cone);
+        }
+
+        for (const phi of planes) {
+            // Disk in the plane spanned by z and (cos φ, sin φ, 0)
+            const geometry = new THREE.CircleGeometry(extent, SEGMENTS);
+            geometry.rotateX(Math.PI / 2);
+            geometry.rotateZ(phi);
+            this._add(geometry, this.materials.plane);
+        }
+    }
+
+    _add(geometry, material) {
+        const mesh = new THREE.Mesh(geometry, material);
+        this.meshes.push(mesh);
+        this.group.add(mesh);
+    }
+
+    clear() {
+        for (const mesh of this.meshes) {
+            this.group.remove(mesh);
+            mesh.geometry.dispose();
+        }
+        this.meshes = [];
+    }
+
+    dispose() {
+        this.clear();
+        for (const material of Object.values(this.materials)) {
+            material.dispose();
+        }
+        this.scene.remove(this.group);
+    }
+}
+
+/**
+ * Single-nappe cone θ = const around the z axis (a disk at θ = π/2)
+ */
+function coneGeometry(theta, extent) {
+    if (Math.abs(theta - Math.PI / 2) < 1e-9) {
+        return new THREE.CircleGeometry(extent, SEGMENTS);
+    }
+
+    // Lathe revolves around y; the slant line runs from the apex at the
+    // nucleus out to the extent, then y is turned onto z
+    const geometry = new THREE.LatheGeometry([
+        new THREE.Vector2(0, 0),
+        new THREE.Vector2(extent * Math.sin(theta), extent * Math.cos(theta))
+    ], SEGMENTS);
+    geometry.rotateX(Math.PI / 2);
+    return geometry;
+}
@@ -2,10 +2,30 @@
  * Nucleus Renderer - Realistic Version
  * 
  * Renders the atomic nucleus showing individual protons and neutrons
- * arranged in a realistic 3D structure.
+ * arranged in a realistic 3D structure. The jitter and the mixing of
+ * protons and neutrons come from a stream of the seed, so a nucleus
+ * always looks the same for the same seed.
+ * 
+ * Two layouts:
+ * - Packed: a dense cluster of Fibonacci shells
+ * - Shells: one concentric sphere per major shell of the nuclear shell
+ *   model, holding the protons and neutrons that fill its levels; the
+ *   glow turns gold for magic and doubly-magic nuclei
+ * 
+ * Decays send their particles out of the nucleus: α particles as four
+ * nucleons, β electrons and positrons, neutrinos and gamma rays.
  */
 
 import * as THREE from 'three';
+import { createRandom, hashSeed, shuffle, DEFAULT_SEED } from '../physics/random.js';
+import { shellOccupancies, isMagic } from '../physics/nuclearShellModel.js';
+import { DECAY_PARTICLES } from '../physics/radioactiveDecay.js';
+import { defaultMassNumber } from '../data/nuclides.js';
+
+export const NUCLEUS_LAYOUTS = {
+    PACKED: 'packed',
+    SHELLS: 'shells'
+};
 
 // Nucleon radius (relative scale for visualization)
 const NUCLEON_RADIUS = 0.08;
@@ -16,129 +36,29 @@ const PROTON_COLOR = 0xff4444;   // Red
 const NEUTRON_COLOR = 0x4488ff;  // Blue
 const PROTON_EMISSIVE = 0x881111;
 const NEUTRON_EMISSIVE = 0x114488;
-
-// Common isotope neutron counts (most stable/abundant isotope)
-const NEUTRON_COUNTS = {
-    1: 0,   // H (protium)
-    2: 2,   // He
-    3: 4,   // Li
-    4: 5,   // Be
-    5: 6,   // B
-    6: 6,   // C
-    7: 7,   // N
-    8: 8,   // O
-    9: 10,  // F
-    10: 10, // Ne
-    11: 12, // Na
-    12: 12, // Mg
-    13: 14, // Al
-    14: 14, // Si
-    15: 16, // P
-    16: 16, // S
-    17: 18, // Cl
-    18: 22, // Ar
-    19: 20, // K
-    20: 20, // Ca
-    21: 24, // Sc
-    22: 26, // Ti
-    23: 28, // V
-    24: 28, // Cr
-    25: 30, // Mn
-    26: 30, // Fe
-    27: 32, // Co
-    28: 30, // Ni
-    29: 34, // Cu
-    30: 34, // Zn
-    31: 38, // Ga
-    32: 40, // Ge
-    33: 42, // As
-    34: 46, // Se
-    35: 44, // Br
-    36: 48, // Kr
-    37: 48, // Rb
-    38: 50, // Sr
-    39: 50, // Y
-    40: 50, // Zr
-    41: 52, // Nb
-    42: 54, // Mo
-    43: 55, // Tc
-    44: 57, // Ru
-    45: 58, // Rh
-    46: 60, // Pd
-    47: 60, // Ag
-    48: 64, // Cd
-    49: 66, // In
-    50: 70, // Sn
-    51: 70, // Sb
-    52: 76, // Te
-    53: 74, // I
-    54: 77, // Xe
-    55: 78, // Cs
-    56: 81, // Ba
-    57: 82, // La
-    58: 82, // Ce
-    59: 82, // Pr
-    60: 84, // Nd
-    61: 84, // Pm
-    62: 88, // Sm
-    63: 89, // Eu
-    64: 93, // Gd
-    65: 94, // Tb
-    66: 96, // Dy
-    67: 98, // Ho
-    68: 99, // Er
-    69: 100, // Tm
-    70: 103, // Yb
-    71: 104, // Lu
-    72: 106, // Hf
-    73: 108, // Ta
-    74: 110, // W
-    75: 111, // Re
-    76: 114, // Os
-    77: 115, // Ir
-    78: 117, // Pt
-    79: 118, // Au
-    80: 121, // Hg
-    81: 123, // Tl
-    82: 126, // Pb
-    83: 126, // Bi
-    84: 125, // Po
-    85: 125, // At
-    86: 136, // Rn
-    87: 136, // Fr
-    88: 138, // Ra
-    89: 138, // Ac
-    90: 142, // Th
-    91: 140, // Pa
-    92: 146, // U
-    93: 144, // Np
-    94: 150, // Pu
-    95: 148, // Am
-    96: 151, // Cm
-    97: 150, // Bk
-    98: 153, // Cf
-    99: 153, // Es
-    100: 157, // Fm
-    101: 157, // Md
-    102: 157, // No
-    103: 159, // Lr
-    104: 157, // Rf
-    105: 157, // Db
-    106: 160, // Sg
-    107: 155, // Bh
-    108: 157, // Hs
-    109: 159, // Mt
-    110: 161, // Ds
-    111: 161, // Rg
-    112: 165, // Cn
-    113: 170, // Nh
-    114: 175, // Fl
-    115: 173, // Mc
-    116: 177, // Lv
-    117: 177, // Ts
-    118: 176  // Og
+const GLOW_COLOR = 0xff6b35;
+const MAGIC_GLOW_COLOR = 0xffb347;
+const DOUBLY_MAGIC_GLOW_COLOR = 0xffd700;
+
+// Shell layout: least gap between major shells, and the sphere area
+// per nucleon in units of its cross-section, so none overlap
+const SHELL_GAP = NUCLEON_RADIUS * 2.2;
+const SHELL_AREA_PER_NUCLEON = 4.8;
+
+// Emitted particles: color, radius, length (gamma rays are streaks)
+// and speed in scene units per second
+const PARTICLE_STYLES = {
+    [DECAY_PARTICLES.ALPHA]: { speed: 2.5 },
+    [DECAY_PARTICLES.ELECTRON]: { color: 0x4fc3f7, radius: 0.035, speed: 6 },
+    [DECAY_PARTICLES.POSITRON]: { color: 0xff66cc, radius: 0.035, speed: 6 },
+    [DECAY_PARTICLES.NEUTRINO]: { color: 0xffffff, radius: 0.015, speed: 10 },
+    [DECAY_PARTICLES.ANTINEUTRINO]: { color: 0xb0bec5, radius: 0.015, speed: 10 },
+    [DECAY_PARTICLES.GAMMA]: { color: 0xffee58, radius: 0.012, length: 0.6, speed: 14 }
 };
 
+// Emitted particles fade out and are removed this far from the nucleus
+const EMISSION_RANGE = 15;
+
 export class NucleusRenderer {
     constructor(scene) {
         this.scene = scene;
@@ -153,6 +73,13 @@ export class NucleusRenderer {
         // Current counts
         this.protonCount = 0;
         this.neutronCount = 0;
+        this.symbol = null;
+
+        this.seed = DEFAULT_SEED;
+        this.layout = NUCLEUS_LAYOUTS.PACKED;
+
+        // Particles of recent decays on their way out
+        this.emissions = [];
 
         // Pre-create geometries and materials
         this._createMaterials();
@@ -165,6 +92,10 @@ export class NucleusRenderer {
         // Shared geometry for all nucleons
         this.nucleonGeometry = new THREE.SphereGeometry(NUCLEON_RADIUS, NUCLEON_SEGMENTS, NUCLEON_SEGMENTS);
 
+        // Unit shapes of emitted leptons and gamma rays, scaled per particle
+        this.particleGeometry = new THREE.SphereGeometry(1, 8, 8);
+        this.rayGeometry = new THREE.CylinderGeometry(1, 1, 1, 6);
+
         // Proton material - red/pink
         this.protonMaterial = new THREE.MeshStandardMaterial({
             color: PROTON_COLOR,
@@ -189,7 +120,7 @@ export class NucleusRenderer {
         const glowGeometry = new THREE.SphereGeometry(1, 32, 32);
         const glowMaterial = new THREE.ShaderMaterial({
             uniforms: {
-                color: { value: new THREE.Color(0xff6b35) },
+                color: { value: new THREE.Color(GLOW_COLOR) },
                 viewVector: { value: new THREE.Vector3() },
                 nucleusRadius: { value: 0.5 }
             },
@@ -236,6 +167,7 @@ export class NucleusRenderer {
         if (totalNucleons === 0) return { protons: [], neutrons: [] };
 
         const positions = [];
+        const random = createRandom(hashSeed(this.seed, 'nucleus', protonCount, neutronCount));
 
         // Nuclear radius scales with A^(1/3) where A is mass number
         const nuclearRadius = NUCLEON_RADIUS * Math.pow(totalNucleons, 1 / 3) * 2.2;
@@ -282,9 +214,9 @@ export class NucleusRenderer {
                         // Add some randomness for natural look
                         const jitter = NUCLEON_RADIUS * 0.15;
                         positions.push(new THREE.Vector3(
-                            x * shellRadius + (Math.random() - 0.5) * jitter,
-                            y * shellRadius + (Math.random() - 0.5) * jitter,
-                            z * shellRadius + (Math.random() - 0.5) * jitter
+                            x * shellRadius + (random() - 0.5) * jitter,
+                            y * shellRadius + (random() - 0.5) * jitter,
+                            z * shellRadius + (random() - 0.5) * jitter
                         ));
                         placedCount++;
                     }
@@ -295,7 +227,7 @@ export class NucleusRenderer {
 
         // Shuffle positions and split into protons and neutrons
         // Interleave for realistic distribution
-        const shuffled = positions.sort(() => Math.random() - 0.5);
+        const shuffled = shuffle(positions, random);
 
         return {
             protons: shuffled.slice(0, protonCount),
@@ -304,15 +236,63 @@ export class NucleusRenderer {
     }
 
     /**
-     * Update nucleus for a new element
+     * Place nucleons on one sphere per major shell of the shell model
+     * 
+     * The protons and neutrons of shell k share a sphere, spread evenly
+     * over it and interleaved in proportion. Each sphere lies at least
+     * SHELL_GAP outside the previous one and is large enough for its
+     * nucleons not to overlap.
+     * 
+     * @returns {Object} {protons, neutrons, radius} with radius the outermost sphere's
+     */
+    _generateShellPositions(protonCount, neutronCount) {
+        const protonShells = shellOccupancies(protonCount);
+        const neutronShells = shellOccupancies(neutronCount);
+        const protons = [];
+        const neutrons = [];
+        const goldenRatio = (1 + Math.sqrt(5)) / 2;
+        let radius = 0;
+
+        protonShells.forEach((shellProtons, shell) => {
+            const count = shellProtons + neutronShells[shell];
+            if (count === 0) return;
+
+            // A lone nucleon (hydrogen) sits at the center
+            const minRadius = NUCLEON_RADIUS * Math.sqrt(SHELL_AREA_PER_NUCLEON * count);
+            radius = protons.length + neutrons.length === 0 && count === 1
+                ? 0
+                : Math.max(radius + SHELL_GAP, minRadius);
+
+            for (let i = 0; i < count; i++) {
+                const y = count > 1 ? 1 - (i / (count - 1)) * 2 : 0;
+                const radiusAtY = Math.sqrt(1 - y * y);
+                const theta = 2 * Math.PI * i / goldenRatio;
+                const position = new THREE.Vector3(
+                    Math.cos(theta) * radiusAtY * radius,
+                    y * radius,
+                    Math.sin(theta) * radiusAtY * radius
+                );
+
+                // Point i is a proton when it completes another
+                // shellProtons / count of the points so far
+                const isProton = Math.floor((i + 1) * shellProtons / count) > Math.floor(i * shellProtons / count);
+                (isProton ? protons : neutrons).push(position);
+            }
+        });
+
+        return { protons, neutrons, radius };
+    }
+
+    /**
+     * Update nucleus for a new element or isotope
      * @param {number} atomicNumber - Atomic number (Z)
      * @param {string} symbol - Element symbol
+     * @param {number} massNumber - Mass number (A), the element's default isotope if omitted
      */
-    update(atomicNumber, symbol) {
+    update(atomicNumber, symbol, massNumber = defaultMassNumber(atomicNumber)) {
+        this.symbol = symbol;
         this.protonCount = atomicNumber;
-        this.neutronCount = NEUTRON_COUNTS[atomicNumber] !== undefined
-            ? NEUTRON_COUNTS[atomicNumber]
-            : Math.round(atomicNumber * 1.5);
+        this.neutronCount = Math.max(0, massNumber - atomicNumber);
 
         // Remove old instanced meshes
         if (this.protonMesh) {
@@ -325,7 +305,10 @@ export class NucleusRenderer {
         }
 
         // Generate nucleon positions
-        const { protons, neutrons } = this._generateNucleonPositions(this.protonCount, this.neutronCount);
+        const shells = this.layout === NUCLEUS_LAYOUTS.SHELLS;
+        const { protons, neutrons, radius } = shells
+            ? this._generateShellPositions(this.protonCount, this.neutronCount)
+            : this._generateNucleonPositions(this.protonCount, this.neutronCount);
 
         // Create instanced mesh for protons
         if (protons.length > 0) {
@@ -361,18 +344,144 @@ export class NucleusRenderer {
             this.group.add(this.neutronMesh);
         }
 
-        // Update glow size
+        // Update glow size; the shell layout is larger than the cluster
         const totalNucleons = this.protonCount + this.neutronCount;
-        const nucleusRadius = NUCLEON_RADIUS * Math.pow(totalNucleons || 1, 1 / 3) * 2.5;
+        const nucleusRadius = shells
+            ? Math.max(radius + NUCLEON_RADIUS, NUCLEON_RADIUS * 2.5)
+            : NUCLEON_RADIUS * Math.pow(totalNucleons || 1, 1 / 3) * 2.5;
 
         if (this.glowMesh && this.glowMesh.material.uniforms) {
             this.glowMesh.material.uniforms.nucleusRadius.value = nucleusRadius;
+            this.glowMesh.material.uniforms.color.value.setHex(shells ? this._glowColor() : GLOW_COLOR);
             this.glowMesh.scale.setScalar(nucleusRadius);
         }
 
         this.light.intensity = 0.3 + atomicNumber * 0.01;
     }
 
+    /**
+     * Glow color of the shell layout, gold for closed shells
+     */
+    _glowColor() {
+        const magicProtons = isMagic(this.protonCount);
+        const magicNeutrons = isMagic(this.neutronCount);
+        if (magicProtons && magicNeutrons) return DOUBLY_MAGIC_GLOW_COLOR;
+        if (magicProtons || magicNeutrons) return MAGIC_GLOW_COLOR;
+        return GLOW_COLOR;
+    }
+
+    /**
+     * Switch between the packed cluster and the shell-model layout
+     * @param {string} layout - NUCLEUS_LAYOUTS value
+     */
+    setLayout(layout) {
+        if (layout === this.layout) return;
+        this.layout = layout;
+        if (this.protonCount > 0) this.update(this.protonCount, this.symbol, this.protonCount + this.neutronCount);
+    }
+
+    /**
+     * Rebuild the current nucleus from another seed
+     * @param {number} seed - 32-bit unsigned integer
+     */
+    setSeed(seed) {
+        if (seed === this.seed) return;
+        this.seed = seed;
+        if (this.protonCount > 0) this.update(this.protonCount, this.symbol, this.protonCount + this.neutronCount);
+    }
+
+    /**
+     * Send the particles of a decay out of the nucleus, each in its own
+     * direction from a stream of the seed and the decaying nucleus
+     * @param {number} Z - Atomic number of the decaying nucleus
+     * @param {number} A - Its mass number
+     * @param {Array} particles - DECAY_PARTICLES values
+     */
+    emitDecay(Z, A, particles) {
+        const random = createRandom(hashSeed(this.seed, 'decay', Z, A));
+        const radius = NUCLEON_RADIUS * Math.pow(A, 1 / 3) * 2.2;
+
+        for (const type of particles) {
+            const z = 2 * random() - 1;
+            const phi = 2 * Math.PI * random();
+            const rho = Math.sqrt(1 - z * z);
+            const direction = new THREE.Vector3(rho * Math.cos(phi), rho * Math.sin(phi), z);
+
+            const mesh = type === DECAY_PARTICLES.ALPHA
+                ? this._createAlphaParticle()
+                : this._createLepton(PARTICLE_STYLES[type], direction);
+            mesh.position.copy(direction).multiplyScalar(radius);
+            this.group.add(mesh);
+            this.emissions.push({ mesh, direction, distance: radius, speed: PARTICLE_STYLES[type].speed });
+        }
+    }
+
+    /**
+     * ⁴He nucleus: two protons and two neutrons in a tetrahedron
+     */
+    _createAlphaParticle() {
+        const alpha = new THREE.Group();
+        const d = NUCLEON_RADIUS * 0.9;
+        [[1, 1, 1], [1, -1, -1], [-1, 1, -1], [-1, -1, 1]].forEach(([x, y, z], i) => {
+            const nucleon = new THREE.Mesh(this.nucleonGeometry, i < 2 ? this.protonMaterial : this.neutronMaterial);
+            nucleon.position.set(x, y, z).multiplyScalar(d / Math.sqrt(3));
+            alpha.add(nucleon);
+        });
+        return alpha;
+    }
+
+    /**
+     * Electron, positron or neutrino sphere, or a gamma-ray streak
+     * pointing along its direction
+     */
+    _createLepton({ color, radius, length }, direction) {
+        const material = new THREE.MeshBasicMaterial({
+            color,
+            transparent: true,
+            blending: THREE.AdditiveBlending,
+            depthWrite: false
+        });
+
+        if (length) {
+            const ray = new THREE.Mesh(this.rayGeometry, material);
+            ray.scale.set(radius, length, radius);
+            ray.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), direction);
+            return ray;
+        }
+
+        const particle = new THREE.Mesh(this.particleGeometry, material);
+        particle.scale.setScalar(radius);
+        return particle;
+    }
+
+    /**
+     * Move emitted particles outward, fading them with distance
+     * @param {number} deltaTime - Seconds since the last frame
+     */
+    animate(deltaTime) {
+        this.emissions = this.emissions.filter((emission) => {
+            emission.distance += emission.speed * deltaTime;
+            if (emission.distance > EMISSION_RANGE) {
+                this._removeEmission(emission);
+                return false;
+            }
+
+            emission.mesh.position.copy(emission.direction).multiplyScalar(emission.distance);
+            if (emission.mesh.material) {
+                emission.mesh.material.opacity = 1 - emission.distance / EMISSION_RANGE;
+            }
+            return true;
+        });
+    }
+
+    /**
+     * Alpha particles share the nucleon materials; leptons own theirs
+     */
+    _removeEmission({ mesh }) {
+        this.group.remove(mesh);
+        if (mesh.material) mesh.material.dispose();
+    }
+
     /**
      * Update glow effect based on camera position
      * @param {THREE.Camera} camera 
@@ -407,6 +516,10 @@ export class NucleusRenderer {
     }
 
     dispose() {
+        this.emissions.forEach(emission => this._removeEmission(emission));
+        this.emissions = [];
+        this.particleGeometry.dispose();
+        this.rayGeometry.dispose();
         if (this.protonMesh) {
             this.protonMesh.dispose();
         }
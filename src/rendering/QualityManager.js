@@ -0,0 +1,208 @@
+/**
+ * Quality Manager
+ *
+ * Keeps the number of spheres and cloud points within a total budget:
+ * - Low / Medium / High / Ultra presets set the budget
+ * - Each source (orbital, hybrid, ...) gets a share weighted by its
+ *   electrons and its radial extent, since a large orbital needs more
+ *   points to look filled, but never more than a per-electron ceiling
+ * - While adaptive, the budget is scaled down when frames are slow and
+ *   back up when there is headroom
+ */
+
+export const QUALITY_PRESETS = {
+    LOW: 'low',
+    MEDIUM: 'medium',
+    HIGH: 'high',
+    ULTRA: 'ultra'
+};
+
+// Total spheres and cloud points of each preset
+const PRESET_BUDGETS = {
+    [QUALITY_PRESETS.LOW]: { spheres: 6000, cloud: 15000 },
+    [QUALITY_PRESETS.MEDIUM]: { spheres: 15000, cloud: 40000 },
+    [QUALITY_PRESETS.HIGH]: { spheres: 30000, cloud: 80000 },
+    [QUALITY_PRESETS.ULTRA]: { spheres: 60000, cloud: 160000 }
+};
+
+// Most points a single electron gets, however large the budget
+const MAX_SPHERES_PER_ELECTRON = 800;
+const MAX_CLOUD_POINTS_PER_ELECTRON = 2000;
+
+// Fewest points of any occupied source, so none disappears
+const MIN_POINTS = 40;
+
+// Frame-time control: frames averaged per decision, the average frame
+// times (seconds) that count as slow and as headroom, and the budget
+// factors applied
+const FRAME_WINDOW = 90;
+const SLOW_FRAME = 1 / 40;
+const FAST_FRAME = 1 / 55;
+const SCALE_DOWN = 0.7;
+const SCALE_UP = 1.25;
+const MIN_SCALE = 0.25;
+const MAX_SCALE = 2;
+
+// Longer frames (hidden tab, debugger, GC stall) say nothing about the scene
+const MAX_FRAME_TIME = 0.25;
+
+/**
+ * Split a point budget in proportion to weights, capped per item
+ *
+ * Items that would get more than their cap are filled to it and the
+ * rest of the budget is split again among the others. Every item with
+ * a non-zero cap gets at least MIN_POINTS (or its cap).
+ *
+ * @param {Array} items - [{weight, max}]
+ * @param {number} budget - Total number of points
+ * @returns {Array} Point count of each item
+ */
+export function distributePointBudget(items, budget) {
+    const counts = items.map(() => 0);
+    let open = items.map((_, i) => i).filter(i => items[i].max > 0);
+    let remaining = budget;
+
+    while (open.length > 0) {
+        const totalWeight = open.reduce((sum, i) => sum + items[i].weight, 0);
+        const share = (i) => totalWeight > 0 ? remaining * items[i].weight / totalWeight : remaining / open.length;
+
+        const saturated = open.filter(i => share(i) >= items[i].max);
+        if (saturated.length === 0) {
+            for (const i of open) {
+                counts[i] = Math.min(items[i].max, Math.max(MIN_POINTS, Math.floor(share(i))));
+            }
+            break;
+        }
+
+        for (const i of saturated) {
+            counts[i] = items[i].max;
+            remaining -= items[i].max;
+        }
+        open = open.filter(i => !saturated.includes(i));
+    }
+
+    return counts;
+}
+
+export class QualityManager {
+    constructor(preset = QUALITY_PRESETS.MEDIUM) {
+        this.preset = preset;
+        this.adaptive = true;
+        this.scale = 1;
+
+        // Scale at which frames were last too slow; the budget is not
+        // raised back to it, so it does not oscillate
+        this.slowScale = Infinity;
+
+        // Whether the last allocation was held back by the budget (if
+        // not, raising it would change nothing)
+        this.limited = false;
+
+        this.frames = 0;
+        this.frameTime = 0;
+    }
+
+    /**
+     * @returns {boolean} Whether the budget changed
+     */
+    setPreset(preset) {
+        if (preset === this.preset || !PRESET_BUDGETS[preset]) return false;
+        this.preset = preset;
+        this.scale = 1;
+        this.slowScale = Infinity;
+        this._resetWindow();
+        return true;
+    }
+
+    /**
+     * @returns {boolean} Whether the budget changed
+     */
+    setAdaptive(adaptive) {
+        if (adaptive === this.adaptive) return false;
+        this.adaptive = adaptive;
+        this._resetWindow();
+        if (adaptive || this.scale === 1) return false;
+        this.scale = 1;
+        return true;
+    }
+
+    /**
+     * Current budget of spheres and cloud points
+     * @returns {Object} {spheres, cloud}
+     */
+    getBudget() {
+        const { spheres, cloud } = PRESET_BUDGETS[this.preset];
+        return {
+            spheres: Math.round(spheres * this.scale),
+            cloud: Math.round(cloud * this.scale)
+        };
+    }
+
+    /**
+     * Point counts of each source
+     *
+     * @param {Array} sources - Renderable sources with key, electrons and extent()
+     * @param {number} cloudDensity - Cloud density multiplier
+     * @returns {Map} key -> {spheres, cloud}
+     */
+    allocate(sources, cloudDensity = 1) {
+        const budget = this.getBudget();
+        const weights = sources.map(source => source.electrons * source.extent());
+
+        const sphereItems = sources.map((source, i) => ({
+            weight: weights[i],
+            max: MAX_SPHERES_PER_ELECTRON * source.electrons
+        }));
+        const cloudItems = sources.map((source, i) => ({
+            weight: weights[i],
+            max: Math.floor(MAX_CLOUD_POINTS_PER_ELECTRON * source.electrons * cloudDensity)
+        }));
+        const spheres = distributePointBudget(sphereItems, budget.spheres);
+        const cloud = distributePointBudget(cloudItems, budget.cloud * cloudDensity);
+
+        this.limited = sources.some((_, i) => spheres[i] < sphereItems[i].max || cloud[i] < cloudItems[i].max);
+
+        return new Map(sources.map((source, i) => [source.key, { spheres: spheres[i], cloud: cloud[i] }]));
+    }
+
+    /**
+     * Feed the duration of one frame
+     *
+     * @param {number} deltaTime - Frame time in seconds
+     * @param {boolean} busy - Whether points are still being streamed in
+     *                         (those frames are not representative)
+     * @returns {boolean} Whether the budget changed and the scene should
+     *                    be resampled
+     */
+    recordFrame(deltaTime, busy = false) {
+        if (!this.adaptive || busy || deltaTime > MAX_FRAME_TIME) {
+            this._resetWindow();
+            return false;
+        }
+
+        this.frames++;
+        this.frameTime += deltaTime;
+        if (this.frames < FRAME_WINDOW) return false;
+
+        const average = this.frameTime / this.frames;
+        this._resetWindow();
+
+        let scale = this.scale;
+        if (average > SLOW_FRAME) {
+            this.slowScale = this.scale;
+            scale = Math.max(MIN_SCALE, this.scale * SCALE_DOWN);
+        } else if (average < FAST_FRAME && this.limited) {
+            const up = Math.min(MAX_SCALE, this.scale * SCALE_UP);
+            if (up < this.slowScale) scale = up;
+        }
+
+        if (scale === this.scale) return false;
+        this.scale = scale;
+        return true;
+    }
+
+    _resetWindow() {
+        this.frames = 0;
+        this.frameTime = 0;
+    }
+}
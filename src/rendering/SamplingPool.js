@@ -0,0 +1,306 @@
+/**
+ * Sampling Pool
+ *
+ * Runs orbital sampling on a few web workers (see samplingWorker.js)
+ * so a heavy configuration does not freeze the animation and the UI.
+ * Points come back in chunks, in order, and a job can be cancelled at
+ * any time; chunks of a cancelled job are dropped.
+ *
+ * Where workers are unavailable, or one fails to start, jobs run on
+ * the main thread instead, still chunked and yielding between chunks.
+ *
+ * Points come from the orbital's seeded point set, one chunk per block
+ * of it, so a job gives the same points on a worker, on the main
+ * thread or split between the two.
+ *
+ * With a point cache, stored points of an orbital are delivered first
+ * as one chunk and only the missing points are sampled; whatever was
+ * sampled, even by a cancelled job, is added to the cache.
+ *
+ * The workers also solve self-consistent fields; a solve goes ahead
+ * of the sampling jobs waiting in the queue.
+ */
+
+import { sampleOrbitalRange, SAMPLE_BLOCK } from '../physics/orbitalSampler.js';
+import { selfConsistentField } from '../physics/selfConsistentField.js';
+import { pointCacheKey } from '../cache/PointCache.js';
+
+const MAX_WORKERS = 4;
+
+/**
+ * Leave one core for the main thread
+ */
+function defaultPoolSize() {
+    const cores = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2;
+    return Math.max(1, Math.min(MAX_WORKERS, cores - 1));
+}
+
+/**
+ * Radial models carry functions, which cannot be posted; the worker
+ * rebuilds self-consistent models from their solution
+ */
+function serializeOrbital({ n, l, m, Z, basis, model, seed }) {
+    return { n, l, m, Z, basis, seed, model: { key: model.key, solution: model.solution } };
+}
+
+export class SamplingPool {
+    /**
+     * @param {Object} options
+     * @param {number} options.size - Number of workers
+     * @param {PointCache} options.cache - Cache of sampled points (optional)
+     */
+    constructor({ size = defaultPoolSize(), cache = null } = {}) {
+        this.cache = cache;
+        this.workers = [];
+        this.idle = [];
+        this.queue = [];
+        this.jobs = new Map();
+        this.nextId = 1;
+
+        if (typeof Worker === 'undefined') return;
+
+        for (let i = 0; i < size; i++) {
+            const worker = new Worker(new URL('./samplingWorker.js', import.meta.url), { type: 'module' });
+            worker.onmessage = (e) => this._onMessage(worker, e.data);
+            worker.onerror = (e) => this._onError(worker, e);
+            this.workers.push(worker);
+            this.idle.push(worker);
+        }
+    }
+
+    /**
+     * Sample points of an orbital in chunks
+     *
+     * @param {Object} orbital - {n, l, m, Z, basis, model, seed}
+     * @param {number} count - Number of points
+     * @param {Function} onChunk - (positions, offset) for each chunk, in order;
+     *                             offset counts the points delivered before it
+     * @param {Function} onDone - Called once all points are delivered
+     * @returns {Object} Job with a cancel() method
+     */
+    sample(orbital, count, onChunk, onDone = null) {
+        const job = {
+            id: this.nextId++,
+            type: 'sample',
+            orbital,
+            count,
+            offset: 0,
+            onChunk,
+            onDone,
+            worker: null,
+            cancelled: false,
+            cancel: () => this.cancel(job),
+            // Stored points and the chunks sampled since
+            cached: null,
+            chunks: []
+        };
+
+        this.jobs.set(job.id, job);
+
+        if (!this.cache) {
+            this._enqueue(job);
+            return job;
+        }
+
+        job.key = pointCacheKey(orbital);
+        this.cache.get(job.key).then((cached) => {
+            if (job.cancelled) return;
+            if (cached) {
+                const available = Math.min(job.count, cached.length / 3);
+                job.cached = cached;
+                job.onChunk(cached.subarray(0, available * 3), 0);
+                job.offset = available;
+            }
+            if (job.offset >= job.count) {
+                this._finish(job);
+            } else {
+                this._enqueue(job);
+            }
+        });
+        return job;
+    }
+
+    /**
+     * Solve the self-consistent field of a configuration
+     *
+     * @param {number} Z - Atomic number
+     * @param {Array} subshells - Occupied subshells [{n, l, electrons}]
+     * @returns {Promise} Resolves to the solution of selfConsistentField (null if none)
+     */
+    solve(Z, subshells) {
+        return new Promise((resolve) => {
+            const job = {
+                id: this.nextId++,
+                type: 'solve',
+                Z,
+                subshells: subshells.map(({ n, l, electrons }) => ({ n, l, electrons })),
+                resolve,
+                worker: null,
+                cancelled: false
+            };
+            this.jobs.set(job.id, job);
+            this.queue.unshift(job);
+            this._dispatch();
+        });
+    }
+
+    _enqueue(job) {
+        this.queue.push(job);
+        this._dispatch();
+    }
+
+    /**
+     * Stop a job; no further chunks are delivered
+     */
+    cancel(job) {
+        if (job.cancelled || !this.jobs.has(job.id)) return;
+        job.cancelled = true;
+        this._storeSampled(job);
+
+        if (job.worker) {
+            // The worker answers with done, which frees it
+            job.worker.postMessage({ type: 'cancel', id: job.id });
+        } else {
+            const index = this.queue.indexOf(job);
+            if (index >= 0) this.queue.splice(index, 1);
+            this.jobs.delete(job.id);
+        }
+    }
+
+    _dispatch() {
+        if (this.workers.length === 0) {
+            while (this.queue.length) this._runLocally(this.queue.shift());
+            return;
+        }
+
+        while (this.queue.length && this.idle.length) {
+            const job = this.queue.shift();
+            const worker = this.idle.pop();
+            job.worker = worker;
+            if (job.type === 'solve') {
+                worker.postMessage({ type: 'solve', id: job.id, Z: job.Z, subshells: job.subshells });
+                continue;
+            }
+            worker.postMessage({
+                type: 'sample',
+                id: job.id,
+                orbital: serializeOrbital(job.orbital),
+                start: job.offset,
+                end: job.count
+            });
+        }
+    }
+
+    _onMessage(worker, { type, id, positions, solution }) {
+        const job = this.jobs.get(id);
+        if (!job) return;
+
+        if (type === 'solution') {
+            this.jobs.delete(id);
+            job.resolve(solution);
+            this.idle.push(worker);
+            this._dispatch();
+        } else if (type === 'chunk') {
+            if (job.cancelled) return;
+            this._deliver(job, positions);
+        } else if (type === 'done') {
+            this._finish(job);
+            this.idle.push(worker);
+            this._dispatch();
+        }
+    }
+
+    /**
+     * Drop a worker that failed and finish its job on the main thread
+     */
+    _onError(worker, e) {
+        console.warn(`Sampling worker failed, sampling on the main thread: ${e.message}`);
+        e.preventDefault?.();
+        worker.terminate();
+        this.workers = this.workers.filter(w => w !== worker);
+        this.idle = this.idle.filter(w => w !== worker);
+
+        for (const [, job] of this.jobs) {
+            if (job.worker !== worker) continue;
+            job.worker = null;
+            if (job.cancelled) {
+                this.jobs.delete(job.id);
+            } else {
+                this._runLocally(job);
+            }
+        }
+        this._dispatch();
+    }
+
+    /**
+     * Sample a job on the main thread, one block per task; a solve
+     * runs in one task
+     */
+    _runLocally(job) {
+        if (job.type === 'solve') {
+            setTimeout(() => {
+                this.jobs.delete(job.id);
+                job.resolve(selfConsistentField(job.Z, job.subshells));
+            }, 0);
+            return;
+        }
+
+        const { n, l, m, Z, basis, model, seed } = job.orbital;
+
+        const next = () => {
+            if (job.cancelled) return;
+            if (job.offset >= job.count) {
+                this._finish(job);
+                return;
+            }
+
+            const end = Math.min(job.count, (Math.floor(job.offset / SAMPLE_BLOCK) + 1) * SAMPLE_BLOCK);
+            this._deliver(job, sampleOrbitalRange(n, l, m, job.offset, end, seed, Z, basis, model));
+            setTimeout(next, 0);
+        };
+        next();
+    }
+
+    _deliver(job, positions) {
+        // Kept before onChunk, which may cancel the job and store them
+        if (this.cache) job.chunks.push(positions);
+        const offset = job.offset;
+        job.offset += positions.length / 3;
+        job.onChunk(positions, offset);
+    }
+
+    _finish(job) {
+        this.jobs.delete(job.id);
+        job.worker = null;
+        if (job.cancelled) return;
+        this._storeSampled(job);
+        if (job.onDone) job.onDone();
+    }
+
+    /**
+     * Add newly sampled points of a job to the ones already stored
+     */
+    _storeSampled(job) {
+        if (!this.cache || job.chunks.length === 0) return;
+
+        const parts = job.cached ? [job.cached, ...job.chunks] : job.chunks;
+        const positions = new Float32Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let offset = 0;
+        for (const part of parts) {
+            positions.set(part, offset);
+            offset += part.length;
+        }
+
+        job.chunks = [];
+        this.cache.put(job.key, positions);
+    }
+
+    dispose() {
+        for (const [, job] of this.jobs) job.cancelled = true;
+        this.jobs.clear();
+        this.queue = [];
+        for (const worker of this.workers) worker.terminate();
+        this.workers = [];
+        this.idle = [];
+    }
+}
@@ -0,0 +1,119 @@
+/**
+ * Marching Cubes
+ *
+ * Extracts a triangle mesh from a scalar density grid at a given
+ * iso-value. Uses the classic edge and triangle tables shipped with
+ * three.js, with the same corner and edge numbering.
+ *
+ * Corners:  0 (0,0,0)  1 (1,0,0)  2 (0,1,0)  3 (1,1,0)
+ *           4 (0,0,1)  5 (1,0,1)  6 (0,1,1)  7 (1,1,1)
+ */
+
+import { edgeTable, triTable } from 'three/addons/objects/MarchingCubes.js';
+
+// Cube-index bit for each corner (matches three.js MarchingCubes)
+const CORNER_BITS = [1, 2, 8, 4, 16, 32, 128, 64];
+
+// Corner offsets (di, dj, dk)
+const CORNER_OFFSETS = [
+    [0, 0, 0], [1, 0, 0], [0, 1, 0], [1, 1, 0],
+    [0, 0, 1], [1, 0, 1], [0, 1, 1], [1, 1, 1]
+];
+
+// Corner pairs for each of the 12 edges
+const EDGE_CORNERS = [
+    [0, 1], [1, 3], [2, 3], [0, 2],
+    [4, 5], [5, 7], [6, 7], [4, 6],
+    [0, 4], [1, 5], [3, 7], [2, 6]
+];
+
+/**
+ * Gradient of the grid at a grid point (central differences, clamped)
+ */
+function gradientAt(values, res, i, j, k, out) {
+    const idx = (ii, jj, kk) => ii + jj * res + kk * res * res;
+    const i0 = Math.max(0, i - 1), i1 = Math.min(res - 1, i + 1);
+    const j0 = Math.max(0, j - 1), j1 = Math.min(res - 1, j + 1);
+    const k0 = Math.max(0, k - 1), k1 = Math.min(res - 1, k + 1);
+
+    out[0] = values[idx(i1, j, k)] - values[idx(i0, j, k)];
+    out[1] = values[idx(i, j1, k)] - values[idx(i, j0, k)];
+    out[2] = values[idx(i, j, k1)] - values[idx(i, j, k0)];
+}
+
+/**
+ * Extract an isosurface from a density grid
+ *
+ * @param {Object} grid - {values, resolution, extent, cellSize}
+ * @param {number} isoValue - Density level of the surface
+ * @returns {Object} {positions, normals} as flattened Float32Arrays
+ */
+export function extractIsosurface(grid, isoValue) {
+    const { values, resolution: res, extent, cellSize } = grid;
+
+    const positions = [];
+    const normals = [];
+
+    const cornerValues = new Float64Array(8);
+    const edgeVertices = new Float32Array(12 * 3);
+    const edgeNormals = new Float32Array(12 * 3);
+    const gradA = [0, 0, 0];
+    const gradB = [0, 0, 0];
+
+    for (let k = 0; k < res - 1; k++) {
+        for (let j = 0; j < res - 1; j++) {
+            for (let i = 0; i < res - 1; i++) {
+                let cubeIndex = 0;
+                for (let c = 0; c < 8; c++) {
+                    const [di, dj, dk] = CORNER_OFFSETS[c];
+                    cornerValues[c] = values[(i + di) + (j + dj) * res + (k + dk) * res * res];
+                    if (cornerValues[c] < isoValue) cubeIndex |= CORNER_BITS[c];
+                }
+
+                const bits = edgeTable[cubeIndex];
+                if (bits === 0) continue;
+
+                // Interpolate a vertex and normal on every crossed edge
+                for (let e = 0; e < 12; e++) {
+                    if (!(bits & (1 << e))) continue;
+
+                    const [a, b] = EDGE_CORNERS[e];
+                    const va = cornerValues[a];
+                    const vb = cornerValues[b];
+                    const mu = vb !== va ? (isoValue - va) / (vb - va) : 0.5;
+
+                    const [ai, aj, ak] = CORNER_OFFSETS[a];
+                    const [bi, bj, bk] = CORNER_OFFSETS[b];
+
+                    edgeVertices[e * 3] = -extent + (i + ai + mu * (bi - ai)) * cellSize;
+                    edgeVertices[e * 3 + 1] = -extent + (j + aj + mu * (bj - aj)) * cellSize;
+                    edgeVertices[e * 3 + 2] = -extent + (k + ak + mu * (bk - ak)) * cellSize;
+
+                    // Normals point down the density gradient (outward)
+                    gradientAt(values, res, i + ai, j + aj, k + ak, gradA);
+                    gradientAt(values, res, i + bi, j + bj, k + bk, gradB);
+                    const nx = -(gradA[0] + mu * (gradB[0] - gradA[0]));
+                    const ny = -(gradA[1] + mu * (gradB[1] - gradA[1]));
+                    const nz = -(gradA[2] + mu * (gradB[2] - gradA[2]));
+                    const len = Math.sqrt(nx * nx + ny * ny + nz * nz) || 1;
+
+                    edgeNormals[e * 3] = nx / len;
+                    edgeNormals[e * 3 + 1] = ny / len;
+                    edgeNormals[e * 3 + 2] = nz / len;
+                }
+
+                const offset = cubeIndex << 4;
+                for (let t = 0; triTable[offset + t] !== -1; t++) {
+                    const e = triTable[offset + t];
+                    positions.push(edgeVertices[e * 3], edgeVertices[e * 3 + 1], edgeVertices[e * 3 + 2]);
+                    normals.push(edgeNormals[e * 3], edgeNormals[e * 3 + 1], edgeNormals[e * 3 + 2]);
+                }
+            }
+        }
+    }
+
+    return {
+        positions: new Float32Array(positions),
+        normals: new Float32Array(normals)
+    };
+}
@@ -0,0 +1,80 @@
+/**
+ * Sampling Worker
+ *
+ * Samples orbital points off the main thread. A job asks for points
+ * [start, end) of an orbital's seeded point set and is answered with
+ * one chunk per seeded block (see sampleOrbitalRange), each transferred
+ * as its own Float32Array, followed by a done message. Between chunks
+ * the worker yields, so a cancel message for a stale job stops it early.
+ *
+ * It also solves self-consistent fields, which would otherwise block
+ * the main thread for up to a second.
+ *
+ * Messages in:  {type: 'sample', id, orbital: {n, l, m, Z, basis, model, seed}, start, end}
+ *               {type: 'cancel', id}
+ *               {type: 'solve', id, Z, subshells}
+ * Messages out: {type: 'chunk', id, positions}
+ *               {type: 'done', id}
+ *               {type: 'solution', id, solution}
+ *
+ * The radial model arrives as {key, solution}; self-consistent models
+ * are rebuilt from their solution once per key.
+ */
+
+import { sampleOrbitalRange, SAMPLE_BLOCK } from '../physics/orbitalSampler.js';
+import { HYDROGENIC_MODEL } from '../physics/radialWaveFunction.js';
+import { createRadialModel, selfConsistentField } from '../physics/selfConsistentField.js';
+
+const MODEL_CACHE_SIZE = 16;
+const models = new Map();
+const running = new Set();
+const cancelled = new Set();
+
+/**
+ * Radial model of a job
+ */
+function resolveModel({ key, solution }) {
+    if (!solution) return HYDROGENIC_MODEL;
+    if (!models.has(key)) {
+        models.set(key, createRadialModel(solution, key));
+        if (models.size > MODEL_CACHE_SIZE) {
+            models.delete(models.keys().next().value);
+        }
+    }
+    return models.get(key);
+}
+
+function runJob({ id, orbital, start, end }) {
+    const { n, l, m, Z, basis, seed } = orbital;
+    const model = resolveModel(orbital.model);
+    let offset = start;
+    running.add(id);
+
+    const next = () => {
+        if (cancelled.delete(id) || offset >= end) {
+            running.delete(id);
+            self.postMessage({ type: 'done', id });
+            return;
+        }
+
+        // Up to the end of the current block
+        const chunkEnd = Math.min(end, (Math.floor(offset / SAMPLE_BLOCK) + 1) * SAMPLE_BLOCK);
+        const positions = sampleOrbitalRange(n, l, m, offset, chunkEnd, seed, Z, basis, model);
+        offset = chunkEnd;
+        self.postMessage({ type: 'chunk', id, positions }, [positions.buffer]);
+
+        // Yield so cancel messages are handled between chunks
+        setTimeout(next, 0);
+    };
+    next();
+}
+
+self.onmessage = ({ data }) => {
+    if (data.type === 'sample') {
+        runJob(data);
+    } else if (data.type === 'solve') {
+        self.postMessage({ type: 'solution', id: data.id, solution: selfConsistentField(data.Z, data.subshells) });
+    } else if (data.type === 'cancel' && running.has(data.id)) {
+        cancelled.add(data.id);
+    }
+};
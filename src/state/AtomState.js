@@ -2,17 +2,30 @@
  * Application State Management
  * 
  * Central state for the atom visualization,
- * managing element selection and ionization.
+ * managing element, isotope and ionization selection.
  */
 
-import { getElement, generateElectronConfiguration } from '../data/elements.js';
+import { getElement, getGroundStateConfiguration, getGroundStateSubshells } from '../data/elements.js';
+import { getNuclide, defaultMassNumber } from '../data/nuclides.js';
+import { computeSubshellZeff, SCREENING_METHODS } from '../physics/screening.js';
+import { HYDROGENIC_MODEL } from '../physics/radialWaveFunction.js';
+import {
+    RADIAL_MODELS, selfConsistentField, selfConsistentModelKey, getSelfConsistentModel, solveSelfConsistentModel
+} from '../physics/selfConsistentField.js';
 
 export class AtomState {
     constructor() {
         this.currentSymbol = 'H';
+        this.massNumber = defaultMassNumber(1);
         this.ionizationState = 0;
         this.listeners = [];
         this.orbitalVisibility = { 0: true, 1: true, 2: true, 3: true };
+        this.screeningMethod = SCREENING_METHODS.SLATER;
+        this.radialModel = RADIAL_MODELS.HYDROGENIC;
+
+        // Self-consistent fields are solved in the background
+        this.fieldSolver = selfConsistentField;
+        this.pendingFields = new Set();
     }
 
     /**
@@ -47,8 +60,11 @@ export class AtomState {
     /**
      * Set the current element
      * @param {string} symbol - Element symbol
+     * @param {number} ionization - Ionization state to select with it
+     * @param {number} massNumber - Isotope to select with it (the element's
+     *                              default isotope if omitted or not listed)
      */
-    setElement(symbol) {
+    setElement(symbol, ionization = 0, massNumber = null) {
         const element = getElement(symbol);
         if (!element) {
             console.warn(`Unknown element: ${symbol}`);
@@ -56,21 +72,51 @@ export class AtomState {
         }
 
         this.currentSymbol = symbol;
-        this.ionizationState = 0; // Reset ionization on element change
+        this.massNumber = massNumber !== null && getNuclide(element.atomicNumber, massNumber)
+            ? massNumber
+            : defaultMassNumber(element.atomicNumber);
+        this.ionizationState = this._clampIonization(element, ionization);
         this._notify('element');
     }
 
+    /**
+     * Set the isotope of the current element
+     * @param {number} massNumber - Mass number A of a listed isotope
+     */
+    setIsotope(massNumber) {
+        const { atomicNumber, symbol } = this.getCurrentElement();
+        if (!getNuclide(atomicNumber, massNumber)) {
+            console.warn(`Unknown isotope: ${symbol}-${massNumber}`);
+            return;
+        }
+        if (massNumber === this.massNumber) return;
+
+        this.massNumber = massNumber;
+        this._notify('isotope');
+    }
+
+    /**
+     * Nuclide data of the current isotope
+     * @returns {Object} {A, abundance, halfLife, decay, gamma}
+     */
+    getCurrentNuclide() {
+        return getNuclide(this.getCurrentElement().atomicNumber, this.massNumber);
+    }
+
     /**
      * Set ionization state
      * @param {number} state - Ionization state (+N for cation, -N for anion)
      */
     setIonization(state) {
-        const element = this.getCurrentElement();
+        this.ionizationState = this._clampIonization(this.getCurrentElement(), state);
+        this._notify('ionization');
+    }
+
+    _clampIonization(element, state) {
         const maxCation = element.atomicNumber; // Can't remove more electrons than exist
         const maxAnion = -8; // Reasonable limit for anions
 
-        this.ionizationState = Math.max(maxAnion, Math.min(maxCation, state));
-        this._notify('ionization');
+        return Math.max(maxAnion, Math.min(maxCation, state));
     }
 
     /**
@@ -81,11 +127,103 @@ export class AtomState {
         return Math.max(0, element.atomicNumber - this.ionizationState);
     }
 
+    /**
+     * Get current ground-state subshell configuration (grouped by n,l)
+     */
+    getSubshellConfiguration() {
+        const element = this.getCurrentElement();
+        return getGroundStateSubshells(element.atomicNumber, this.ionizationState);
+    }
+
     /**
      * Get current electron configuration
      */
     getElectronConfiguration() {
-        return generateElectronConfiguration(this.getElectronCount());
+        const element = this.getCurrentElement();
+        return getGroundStateConfiguration(element.atomicNumber, this.ionizationState);
+    }
+
+    /**
+     * Get effective nuclear charge for each occupied subshell
+     */
+    getScreening() {
+        const element = this.getCurrentElement();
+        return computeSubshellZeff(this.getSubshellConfiguration(), element.atomicNumber, this.screeningMethod);
+    }
+
+    /**
+     * Set the screening model used for Z_eff
+     * @param {string} method - One of SCREENING_METHODS
+     */
+    setScreeningMethod(method) {
+        if (!Object.values(SCREENING_METHODS).includes(method)) {
+            console.warn(`Unknown screening method: ${method}`);
+            return;
+        }
+        if (method === this.screeningMethod) return;
+
+        this.screeningMethod = method;
+        this._notify('screening');
+    }
+
+    /**
+     * Set where the radial orbitals come from
+     * @param {string} model - One of RADIAL_MODELS
+     */
+    setRadialModel(model) {
+        if (!Object.values(RADIAL_MODELS).includes(model)) {
+            console.warn(`Unknown radial model: ${model}`);
+            return;
+        }
+        if (model === this.radialModel) return;
+
+        this.radialModel = model;
+        this._notify('model');
+    }
+
+    /**
+     * Set what solves self-consistent fields (e.g. the sampling workers)
+     * @param {Function} solve - (Z, subshells) => promise of a selfConsistentField solution
+     */
+    setFieldSolver(solve) {
+        this.fieldSolver = solve;
+    }
+
+    /**
+     * Radial model of the current atom: hydrogen-like orbitals with the
+     * screened charges, or the self-consistent field of the configuration
+     * (falls back to hydrogen-like when the field has no solution, and
+     * while it is being solved)
+     */
+    getRadialModel() {
+        if (this.radialModel === RADIAL_MODELS.HYDROGENIC) return HYDROGENIC_MODEL;
+
+        const element = this.getCurrentElement();
+        const subshells = this.getSubshellConfiguration();
+        const model = getSelfConsistentModel(element.atomicNumber, subshells);
+        if (model === undefined) {
+            this._requestField(element.atomicNumber, subshells);
+            return HYDROGENIC_MODEL;
+        }
+        return model || HYDROGENIC_MODEL;
+    }
+
+    /**
+     * Solve the field of a configuration in the background; listeners
+     * get a 'model' change if the atom still shows it once it is solved
+     */
+    _requestField(Z, subshells) {
+        const key = selfConsistentModelKey(Z, subshells);
+        if (this.pendingFields.has(key)) return;
+        this.pendingFields.add(key);
+
+        solveSelfConsistentModel(Z, subshells, this.fieldSolver).then(() => {
+            this.pendingFields.delete(key);
+            const element = this.getCurrentElement();
+            if (this.radialModel === RADIAL_MODELS.HYDROGENIC) return;
+            if (selfConsistentModelKey(element.atomicNumber, this.getSubshellConfiguration()) !== key) return;
+            this._notify('model');
+        });
     }
 
     /**
@@ -105,9 +243,14 @@ export class AtomState {
         const element = this.getCurrentElement();
         return {
             element,
+            massNumber: this.massNumber,
+            nuclide: this.getCurrentNuclide(),
             ionizationState: this.ionizationState,
             electronCount: this.getElectronCount(),
             configuration: this.getElectronConfiguration(),
+            screening: this.getScreening(),
+            screeningMethod: this.screeningMethod,
+            radialModel: this.radialModel,
             orbitalVisibility: { ...this.orbitalVisibility }
         };
     }
@@ -0,0 +1,302 @@
+/**
+ * Decay Chain Panel
+ *
+ * Plays the decay chain of the current isotope:
+ * - The members from the nuclide down to the end of its chain, each
+ *   with its half-life and the way it decays
+ * - A log-time timeline and scrubber: each member's clock runs from
+ *   0.1 μs up to its half-life, when it decays into the next
+ * - Play / pause; every decay is reported with the particles it emits,
+ *   and scrubbing back and forth reports the member to show
+ */
+
+import { buildDecayChain, chainTimeline, locateOnTimeline, emittedParticles } from '../physics/radioactiveDecay.js';
+import { isStable, formatHalfLife, formatDecayMode } from '../data/nuclides.js';
+
+// Decades of each member's clock played per second
+const PLAY_RATE = 4;
+
+const nuclideLabel = ({ symbol, A }) => `${symbol}-${A}`;
+
+export class DecayChainPanel {
+    constructor(container, onChange) {
+        this.container = container;
+        this.onChange = onChange;
+
+        this.chain = [];
+        this.timeline = { segments: [], length: 0 };
+        this.position = 0;
+        this.index = 0;
+        this.startCharge = 0;
+        this.playing = false;
+        this.expanded = false;
+
+        this._render();
+        this._attachEventListeners();
+    }
+
+    /**
+     * Follow the chain of the atom on screen; the members the panel
+     * itself switched to keep the chain and its position
+     * @param {number} Z - Atomic number
+     * @param {number} A - Mass number
+     * @param {number} charge - Ionization of the atom, kept for the first member
+     */
+    setNucleus(Z, A, charge) {
+        const member = this.chain[this.index];
+        if (member && member.Z === Z && member.A === A) {
+            if (this.index === 0) this.startCharge = charge;
+            return;
+        }
+
+        this.chain = buildDecayChain(Z, A);
+        this.timeline = chainTimeline(this.chain);
+        this.position = 0;
+        this.index = 0;
+        this.startCharge = charge;
+        this.playing = false;
+        this._render();
+        this._attachEventListeners();
+    }
+
+    /**
+     * Move the clock on while playing
+     * @param {number} deltaTime - Seconds since the last frame
+     */
+    advance(deltaTime) {
+        if (!this.playing) return;
+
+        const position = Math.min(this.timeline.length, this.position + PLAY_RATE * deltaTime);
+        if (position === this.timeline.length) {
+            this.playing = false;
+            this._refreshPlayButton();
+        }
+        this._seek(position);
+    }
+
+    /**
+     * Charge of the atom when a member is shown
+     */
+    _chargeOf(index) {
+        return index === 0 ? this.startCharge : this.chain[index].charge;
+    }
+
+    /**
+     * Move to a point of the timeline; members passed going forward
+     * decay and emit their particles, going back just switches the atom
+     */
+    _seek(position) {
+        this.position = position;
+        const { index } = locateOnTimeline(this.timeline, position);
+
+        if (index !== this.index) {
+            const decayed = index > this.index ? this.chain.slice(this.index, index) : [];
+            this.index = index;
+            this._refreshChain();
+
+            if (this.onChange) {
+                const member = this.chain[index];
+                this.onChange({
+                    ...member,
+                    charge: this._chargeOf(index),
+                    decayed: decayed.map(({ Z, A, nuclide }) => ({ Z, A, particles: emittedParticles(nuclide) }))
+                });
+            }
+        }
+        this._refreshClock();
+    }
+
+    _renderClock() {
+        const member = this.chain[this.index];
+        if (isStable(member.nuclide)) return `${nuclideLabel(member)} · stable`;
+        if (this.index === this.chain.length - 1) return `${nuclideLabel(member)} · t½ ${formatHalfLife(member.nuclide.halfLife)}`;
+
+        const { elapsed } = locateOnTimeline(this.timeline, this.position);
+        return `${nuclideLabel(member)} · t = ${formatHalfLife(elapsed)} of t½ ${formatHalfLife(member.nuclide.halfLife)}`;
+    }
+
+    /**
+     * Members on the log-time axis, widths in decades of half-life
+     */
+    _renderTimeline() {
+        const { segments, length } = this.timeline;
+        return `
+          <div class="decay-timeline">
+            ${segments.slice(0, -1).map(({ start, end }, i) => `
+              <span class="decay-segment ${i === this.index ? 'active' : ''} ${i < this.index ? 'decayed' : ''}"
+                    style="width: ${((end - start) / length * 100).toFixed(2)}%;"
+                    title="${nuclideLabel(this.chain[i])}: ${formatHalfLife(this.chain[i].nuclide.halfLife)}"></span>
+            `).join('')}
+          </div>
+        `;
+    }
+
+    _renderMembers() {
+        const last = this.chain[this.chain.length - 1];
+        return `
+          <div class="decay-members">
+            ${this.chain.map((member, i) => {
+                const { halfLife, decay, gamma } = member.nuclide;
+                return `
+                  <div class="decay-member ${i === this.index ? 'active' : ''} ${i < this.index ? 'decayed' : ''}" data-index="${i}">
+                    <span class="decay-nuclide">${nuclideLabel(member)}</span>
+                    <span class="control-value">${formatHalfLife(halfLife)}</span>
+                    <span class="decay-mode">${formatDecayMode(decay)}${gamma ? ' γ' : ''}</span>
+                  </div>
+                `;
+            }).join('')}
+          </div>
+          ${isStable(last.nuclide) ? '' : `
+          <div class="transition-hint">
+            ${nuclideLabel(last)} decays by ${formatDecayMode(last.nuclide.decay)} to a nuclide not in the table
+          </div>
+          `}
+        `;
+    }
+
+    _renderSummary() {
+        const first = this.chain[0];
+        const last = this.chain[this.chain.length - 1];
+        const counts = {};
+        this.chain.slice(0, -1).forEach(({ nuclide }) => {
+            const mode = formatDecayMode(nuclide.decay);
+            counts[mode] = (counts[mode] || 0) + 1;
+        });
+
+        return `
+          <div class="orbital-box-summary">
+            <div class="orbital-box-stat">
+              <span>Chain</span>
+              <span class="control-value">${nuclideLabel(first)} → ${nuclideLabel(last)}</span>
+            </div>
+            <div class="orbital-box-stat">
+              <span>Decays</span>
+              <span class="control-value">
+                ${Object.entries(counts).map(([mode, count]) => `${count} ${mode}`).join(', ')}
+              </span>
+            </div>
+          </div>
+        `;
+    }
+
+    _renderChain() {
+        return `
+          ${this._renderTimeline()}
+          ${this._renderMembers()}
+          ${this._renderSummary()}
+        `;
+    }
+
+    _renderHint() {
+        const member = this.chain[0];
+        if (!member) return 'No isotope selected';
+        if (isStable(member.nuclide)) return `${nuclideLabel(member)} is stable; pick a radioactive isotope in the element panel`;
+        return `${nuclideLabel(member)} decays by ${formatDecayMode(member.nuclide.decay)} to a nuclide not in the table`;
+    }
+
+    _render() {
+        const playable = this.chain.length > 1;
+
+        this.container.innerHTML = `
+      <details class="dock-panel" ${this.expanded ? 'open' : ''}>
+        <summary class="controls-title">Decay Chain</summary>
+
+        ${!playable ? `
+        <div class="transition-hint">${this._renderHint()}</div>
+        ` : `
+        <div class="control-group">
+          <div class="toggle-group">
+            <button class="toggle-btn decay-play">${this.playing ? 'Pause' : 'Play'}</button>
+            <button class="toggle-btn decay-reset">Reset</button>
+          </div>
+        </div>
+
+        <div class="control-group">
+          <label class="control-label">
+            <span>Time (log)</span>
+            <span class="control-value decay-clock">${this._renderClock()}</span>
+          </label>
+          <input type="range" class="control-slider decay-scrubber"
+                 min="0" max="${this.timeline.length.toFixed(2)}" step="0.01" value="${this.position}">
+        </div>
+
+        <div class="decay-chain">
+          ${this._renderChain()}
+        </div>
+        `}
+      </details>
+    `;
+    }
+
+    _attachEventListeners() {
+        const details = this.container.querySelector('.dock-panel');
+        details.addEventListener('toggle', () => {
+            this.expanded = details.open;
+        });
+
+        const playButton = this.container.querySelector('.decay-play');
+        if (!playButton) return;
+
+        // Playing from the end starts the chain over
+        playButton.addEventListener('click', () => {
+            this.playing = !this.playing;
+            if (this.playing && this.position >= this.timeline.length) {
+                this._seek(0);
+            }
+            this._refreshPlayButton();
+        });
+
+        this.container.querySelector('.decay-reset').addEventListener('click', () => {
+            this.playing = false;
+            this._refreshPlayButton();
+            this._seek(0);
+        });
+
+        // Dragging the scrubber pauses playback
+        this.container.querySelector('.decay-scrubber').addEventListener('input', (e) => {
+            this.playing = false;
+            this._refreshPlayButton();
+            this._seek(parseFloat(e.target.value));
+        });
+
+        this._attachMemberListeners();
+    }
+
+    /**
+     * Clicking a member jumps to the moment it forms
+     */
+    _attachMemberListeners() {
+        this.container.querySelectorAll('.decay-member[data-index]').forEach(row => {
+            row.addEventListener('click', () => {
+                const index = parseInt(row.dataset.index, 10);
+                this.playing = false;
+                this._refreshPlayButton();
+                this._seek(this.timeline.segments[index].start);
+            });
+        });
+    }
+
+    /**
+     * Redraw only the chain, the clock and the scrubber position
+     * (re-rendering everything would interrupt a scrubber drag)
+     */
+    _refreshChain() {
+        const chain = this.container.querySelector('.decay-chain');
+        if (!chain) return;
+        chain.innerHTML = this._renderChain();
+        this._attachMemberListeners();
+    }
+
+    _refreshClock() {
+        const clock = this.container.querySelector('.decay-clock');
+        if (clock) clock.textContent = this._renderClock();
+
+        const scrubber = this.container.querySelector('.decay-scrubber');
+        if (scrubber) scrubber.value = this.position;
+    }
+
+    _refreshPlayButton() {
+        const playButton = this.container.querySelector('.decay-play');
+        if (playButton) playButton.textContent = this.playing ? 'Pause' : 'Play';
+    }
+}
@@ -2,16 +2,35 @@
  * Element Info Panel
  * 
  * Displays detailed information about the currently selected element,
- * including electron configuration and ionization controls.
+ * including its isotope, electron configuration, ground term and
+ * ionization controls.
  */
 
-import { formatConfiguration, generateElectronConfiguration } from '../data/elements.js';
+import { formatConfiguration } from '../data/elements.js';
+import { getIsotopes, isStable, formatHalfLife, formatDecayMode, formatAbundance } from '../data/nuclides.js';
 import { getCSSColor, getOrbitalLetter } from '../data/orbitalColors.js';
+import { SCREENING_METHODS } from '../physics/screening.js';
+import {
+  groundTerm,
+  openSubshells,
+  subshellTerms,
+  microstateTable,
+  termLetter,
+  formatHalfInteger
+} from '../physics/termSymbols.js';
+
+/**
+ * Term symbol ²ˢ⁺¹L_J as HTML (J omitted when undefined)
+ */
+function termHTML({ S, L, J }) {
+  return `<sup>${2 * S + 1}</sup>${termLetter(L)}${J !== undefined ? `<sub>${formatHalfInteger(J)}</sub>` : ''}`;
+}
 
 export class ElementInfoPanel {
   constructor(container, state) {
     this.container = container;
     this.state = state;
+    this.termsExpanded = false;
 
     // Subscribe to state changes
     this.state.subscribe(this._onStateChange.bind(this));
@@ -23,7 +42,9 @@ export class ElementInfoPanel {
     const element = this.state.getCurrentElement();
     const ionState = this.state.ionizationState;
     const electronCount = element.atomicNumber - ionState;
-    const config = generateElectronConfiguration(Math.max(0, electronCount));
+    const config = this.state.getElectronConfiguration();
+    const screening = this.state.getScreening();
+    const massNumber = this.state.massNumber;
 
     // Format ion display
     let ionDisplay = '';
@@ -41,7 +62,7 @@ export class ElementInfoPanel {
         <div class="element-symbol">${element.symbol}</div>
         <div class="element-details">
           <div class="element-name">${element.name}${ionDisplay ? `<sup>${ionDisplay}</sup>` : ''}</div>
-          <div class="element-number">Z = ${element.atomicNumber}</div>
+          <div class="element-number">Z = ${element.atomicNumber} · A = ${massNumber}</div>
         </div>
       </div>
       
@@ -49,14 +70,30 @@ export class ElementInfoPanel {
         <div class="config-label">Nucleus</div>
         <div class="config-value">
           <span style="color: #ff4444;">●</span> ${element.atomicNumber} protons
-          <span style="color: #4488ff; margin-left: 8px;">●</span> ${this._getNeutronCount(element.atomicNumber)} neutrons
+          <span style="color: #4488ff; margin-left: 8px;">●</span> ${massNumber - element.atomicNumber} neutrons
         </div>
+        ${this._renderIsotopePicker(element)}
       </div>
       
       <div class="element-config">
         <div class="config-label">Electron Configuration</div>
         <div class="config-value">${electronCount > 0 ? formatConfiguration(config) : 'No electrons'}</div>
       </div>
+
+      ${electronCount > 0 ? this._renderTerms() : ''}
+      
+      ${screening.length > 0 ? `
+      <div class="element-config">
+        <div class="config-label">Effective Nuclear Charge (Z<sub>eff</sub>)</div>
+        <div class="zeff-list">
+          ${screening.map(({ n, l, zeff, method }) => `
+            <span class="zeff-item" title="${method === SCREENING_METHODS.CLEMENTI ? 'Clementi–Raimondi' : 'Slater\'s rules'}">
+              <span style="color: ${getCSSColor(l)};">${n}${getOrbitalLetter(l)}</span> ${zeff.toFixed(2)}
+            </span>
+          `).join('')}
+        </div>
+      </div>
+      ` : ''}
       
       <div class="ion-controls">
         <button class="ion-btn" id="ion-minus" title="Remove electron (form cation)" ${electronCount <= 0 ? 'disabled' : ''}>−</button>
@@ -73,7 +110,107 @@ export class ElementInfoPanel {
     this._attachEventListeners();
   }
 
+  /**
+   * Isotope selector with the abundance or half-life of the current one
+   */
+  _renderIsotopePicker(element) {
+    const nuclide = this.state.getCurrentNuclide();
+    const details = [];
+    if (nuclide && !isStable(nuclide)) {
+      details.push(`t½ ${formatHalfLife(nuclide.halfLife)}`, formatDecayMode(nuclide.decay));
+    }
+    if (nuclide && nuclide.abundance > 0) {
+      details.push(`${formatAbundance(nuclide.abundance)}% natural`);
+    }
+
+    return `
+      <div class="isotope-picker">
+        <select class="isotope-select" aria-label="Isotope">
+          ${getIsotopes(element.atomicNumber).map(({ A, abundance, halfLife }) => `
+            <option value="${A}" ${A === this.state.massNumber ? 'selected' : ''}>
+              ${element.symbol}-${A}${halfLife === Infinity ? '' : ' ☢'}${abundance > 0 ? ` · ${formatAbundance(abundance)}%` : ''}
+            </option>
+          `).join('')}
+        </select>
+        <span class="isotope-info">${details.length ? details.join(' · ') : 'stable, synthetic'}</span>
+      </div>
+    `;
+  }
+
+  /**
+   * Ground term from Hund's rules, with the terms and microstate table
+   * of each open subshell on demand
+   */
+  _renderTerms() {
+    const subshells = this.state.getSubshellConfiguration();
+    const open = openSubshells(subshells);
+
+    return `
+      <div class="element-config">
+        <div class="config-label">Ground Term</div>
+        <div class="config-value term-symbol">${termHTML(groundTerm(subshells))}</div>
+        ${open.length > 0 ? `
+        <details class="term-details" ${this.termsExpanded ? 'open' : ''}>
+          <summary>Terms and microstates</summary>
+          ${this.termsExpanded ? open.map(subshell => this._renderSubshellTerms(subshell)).join('') : ''}
+        </details>
+        ` : ''}
+      </div>
+    `;
+  }
+
+  _renderSubshellTerms({ n, l, electrons }) {
+    const terms = subshellTerms(l, electrons);
+    const { ML, MS, counts, total } = microstateTable(l, electrons);
+
+    return `
+      <div class="term-subshell">
+        <div class="term-subshell-title">
+          <span style="color: ${getCSSColor(l)};">${n}${getOrbitalLetter(l)}<sup>${electrons}</sup></span>
+          · ${total} microstates
+        </div>
+        <div class="term-list">
+          ${terms.map(term => `
+            <span class="term-item" title="J = ${term.J.map(formatHalfInteger).join(', ')}">
+              ${term.count > 1 ? `${term.count}×` : ''}${termHTML(term)}
+            </span>
+          `).join('')}
+        </div>
+        <table class="microstate-table">
+          <thead>
+            <tr>
+              <th>M<sub>L</sub> / M<sub>S</sub></th>
+              ${MS.map(value => `<th>${formatHalfInteger(value)}</th>`).join('')}
+            </tr>
+          </thead>
+          <tbody>
+            ${ML.map((value, i) => `
+              <tr>
+                <th>${value}</th>
+                ${counts[i].map(count => `<td class="${count ? '' : 'empty'}">${count}</td>`).join('')}
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+    `;
+  }
+
   _attachEventListeners() {
+    const termDetails = this.container.querySelector('.term-details');
+    if (termDetails) {
+      termDetails.addEventListener('toggle', () => {
+        if (termDetails.open === this.termsExpanded) return;
+        this.termsExpanded = termDetails.open;
+        this._render();
+      });
+    }
+
+    const isotopeSelect = this.container.querySelector('.isotope-select');
+    isotopeSelect.addEventListener('change', (e) => {
+      this.state.setIsotope(parseInt(e.target.value, 10));
+    });
+
     const minusBtn = this.container.querySelector('#ion-minus');
     const plusBtn = this.container.querySelector('#ion-plus');
 
@@ -94,24 +231,4 @@ export class ElementInfoPanel {
     this._render();
   }
 
-  _getNeutronCount(atomicNumber) {
-    // Common isotope neutron counts (most stable/abundant)
-    const neutronCounts = {
-      1: 0, 2: 2, 3: 4, 4: 5, 5: 6, 6: 6, 7: 7, 8: 8, 9: 10, 10: 10,
-      11: 12, 12: 12, 13: 14, 14: 14, 15: 16, 16: 16, 17: 18, 18: 22,
-      19: 20, 20: 20, 21: 24, 22: 26, 23: 28, 24: 28, 25: 30, 26: 30,
-      27: 32, 28: 30, 29: 34, 30: 34, 31: 38, 32: 40, 33: 42, 34: 46,
-      35: 44, 36: 48, 37: 48, 38: 50, 39: 50, 40: 50, 41: 52, 42: 54,
-      43: 55, 44: 57, 45: 58, 46: 60, 47: 60, 48: 64, 49: 66, 50: 70,
-      51: 70, 52: 76, 53: 74, 54: 77, 55: 78, 56: 81, 57: 82, 58: 82,
-      59: 82, 60: 84, 61: 84, 62: 88, 63: 89, 64: 93, 65: 94, 66: 96,
-      67: 98, 68: 99, 69: 100, 70: 103, 71: 104, 72: 106, 73: 108,
-      74: 110, 75: 111, 76: 114, 77: 115, 78: 117, 79: 118, 80: 121,
-      81: 123, 82: 126, 83: 126, 84: 125, 85: 125, 86: 136, 87: 136,
-      88: 138, 89: 138, 90: 142, 91: 140, 92: 146
-    };
-    return neutronCounts[atomicNumber] !== undefined
-      ? neutronCounts[atomicNumber]
-      : Math.round(atomicNumber * 1.5);
-  }
 }
@@ -0,0 +1,268 @@
+/**
+ * Energy Level Panel
+ *
+ * Draws the subshell energy levels of the current atom or ion as an SVG
+ * diagram (one column per orbital type, log-scaled binding energy),
+ * with electron arrows on occupied levels. Clicking two levels shows
+ * the transition energy, wavelength and dipole selection rule.
+ *
+ * With the self-consistent radial model the levels are the converged
+ * orbital energies of the field, listed below the diagram.
+ */
+
+import {
+    computeEnergyLevels,
+    selfConsistentLevels,
+    transitionBetween,
+    hundOccupancy,
+    HARTREE_EV
+} from '../physics/energyLevels.js';
+import { getCSSColor, getOrbitalLetter } from '../data/orbitalColors.js';
+
+// Diagram geometry (SVG units)
+const WIDTH = 260;
+const HEIGHT = 240;
+const AXIS_WIDTH = 40;
+const PADDING = 14;
+const COLUMN_WIDTH = (WIDTH - AXIS_WIDTH) / 4;
+const LEVEL_WIDTH = COLUMN_WIDTH - 10;
+
+export class EnergyLevelPanel {
+    constructor(container, state) {
+        this.container = container;
+        this.state = state;
+
+        this.levels = [];
+        this.solution = null;
+        this.selection = [];
+        this.expanded = false;
+
+        // Subscribe to state changes
+        this.state.subscribe(this._onStateChange.bind(this));
+
+        this._update();
+    }
+
+    /**
+     * Select the transition between two levels
+     * @param {Object} from - {n, l}
+     * @param {Object} to - {n, l}
+     */
+    selectTransition(from, to) {
+        const find = ({ n, l }) => this.levels.findIndex(level => level.n === n && level.l === l);
+        const a = find(from);
+        const b = find(to);
+        if (a < 0 || b < 0) {
+            console.warn(`No ${from.n}${getOrbitalLetter(from.l)} → ${to.n}${getOrbitalLetter(to.l)} levels for this atom`);
+            return;
+        }
+        this.selection = [a, b];
+        this.expanded = true;
+        this._render();
+        this._attachEventListeners();
+    }
+
+    _update() {
+        const element = this.state.getCurrentElement();
+        this.solution = this.state.getRadialModel().solution || null;
+        this.levels = this.solution
+            ? selfConsistentLevels(this.solution)
+            : computeEnergyLevels(this.state.getScreening(), element.atomicNumber);
+        this.selection = [];
+        this._render();
+        this._attachEventListeners();
+    }
+
+    /**
+     * Map an energy (eV, negative) to a y coordinate on a log scale
+     */
+    _scale() {
+        const magnitudes = this.levels.map(({ energy }) => Math.log10(-energy));
+        const min = Math.min(...magnitudes);
+        const max = Math.max(...magnitudes);
+        const span = Math.max(max - min, 0.5);
+
+        return (energy) => PADDING + (Math.log10(-energy) - min) / span * (HEIGHT - 2 * PADDING);
+    }
+
+    _renderAxis(y) {
+        const ticks = [];
+        const energies = this.levels.map(({ energy }) => -energy);
+        const low = Math.floor(Math.log10(Math.min(...energies)));
+        const high = Math.ceil(Math.log10(Math.max(...energies)));
+
+        for (let decade = low; decade <= high; decade++) {
+            const yTick = y(-Math.pow(10, decade));
+            if (yTick < 0 || yTick > HEIGHT) continue;
+            const label = decade >= 3 ? `−${Math.pow(10, decade - 3)}k` : `−${Math.pow(10, decade)}`;
+            ticks.push(`
+              <line x1="${AXIS_WIDTH - 4}" x2="${AXIS_WIDTH}" y1="${yTick}" y2="${yTick}" class="energy-tick"></line>
+              <text x="${AXIS_WIDTH - 6}" y="${yTick + 3}" class="energy-tick-label">${label}</text>
+            `);
+        }
+
+        return `
+          <line x1="${AXIS_WIDTH}" x2="${AXIS_WIDTH}" y1="0" y2="${HEIGHT}" class="energy-axis"></line>
+          ${ticks.join('')}
+        `;
+    }
+
+    /**
+     * Electron arrows on one level, one slot per orbital
+     */
+    _renderElectrons(level, x, y) {
+        if (level.electrons === 0) return '';
+
+        const occupancy = hundOccupancy(level.l, level.electrons);
+        const slot = LEVEL_WIDTH / occupancy.length;
+
+        return occupancy.map((count, i) => {
+            const cx = x + slot * (i + 0.5);
+            const arrows = [];
+            if (count >= 1) arrows.push(arrowPath(cx - (count === 2 ? 1.5 : 0), y, true));
+            if (count === 2) arrows.push(arrowPath(cx + 1.5, y, false));
+            return arrows.join('');
+        }).join('');
+    }
+
+    /**
+     * Converged orbital energies of the occupied subshells
+     */
+    _renderOrbitalEnergies() {
+        const { iterations, converged } = this.solution;
+        const occupied = this.levels.filter(({ electrons }) => electrons > 0);
+
+        return `
+          <div class="scf-energies">
+            ${occupied.map(({ n, l, electrons, energy }) => `
+              <div class="scf-energy-row">
+                <span class="legend-color" style="background: ${getCSSColor(l)};"></span>
+                <span class="scf-energy-name">${n}${getOrbitalLetter(l)}<sup>${electrons}</sup></span>
+                <span class="control-value">${(energy / HARTREE_EV).toFixed(4)} Ha</span>
+                <span class="scf-energy-ev">${energy.toFixed(2)} eV</span>
+              </div>
+            `).join('')}
+            <div class="transition-hint">
+              Self-consistent field ${converged ? `converged in ${iterations} iterations` : `not converged after ${iterations} iterations`}
+            </div>
+          </div>
+        `;
+    }
+
+    _render() {
+        const y = this._scale();
+        const [first, second] = this.selection;
+
+        const levels = this.levels.map((level, i) => {
+            const x = AXIS_WIDTH + level.l * COLUMN_WIDTH + 5;
+            const yLevel = y(level.energy);
+            const selected = this.selection.includes(i);
+            const color = getCSSColor(level.l);
+
+            return `
+              <g class="energy-level ${selected ? 'selected' : ''}" data-level="${i}">
+                <title>${level.n}${getOrbitalLetter(level.l)}: ${level.energy.toFixed(2)} eV (Z_eff = ${level.zeff.toFixed(2)})</title>
+                <rect x="${x}" y="${yLevel - 6}" width="${LEVEL_WIDTH}" height="12" class="energy-hit"></rect>
+                <line x1="${x}" x2="${x + LEVEL_WIDTH}" y1="${yLevel}" y2="${yLevel}"
+                      stroke="${color}" class="energy-line ${level.electrons ? '' : 'empty'}"></line>
+                <text x="${x + LEVEL_WIDTH + 1}" y="${yLevel + 3}" class="energy-label">${level.n}${getOrbitalLetter(level.l)}</text>
+                ${this._renderElectrons(level, x, yLevel)}
+              </g>
+            `;
+        }).join('');
+
+        let transitionLine = '';
+        let transitionInfo = '<div class="transition-hint">Click two levels to see the transition</div>';
+
+        if (second !== undefined) {
+            const from = this.levels[first];
+            const to = this.levels[second];
+            const transition = transitionBetween(from, to);
+            const x1 = AXIS_WIDTH + from.l * COLUMN_WIDTH + 5 + LEVEL_WIDTH / 2;
+            const x2 = AXIS_WIDTH + to.l * COLUMN_WIDTH + 5 + LEVEL_WIDTH / 2;
+
+            transitionLine = `
+              <line x1="${x1}" y1="${y(from.energy)}" x2="${x2}" y2="${y(to.energy)}"
+                    class="transition-line ${transition.allowed ? 'allowed' : 'forbidden'}"
+                    marker-end="url(#transition-arrow)"></line>
+            `;
+
+            transitionInfo = `
+              <div class="transition-info">
+                <div>${from.n}${getOrbitalLetter(from.l)} → ${to.n}${getOrbitalLetter(to.l)} (${transition.type})</div>
+                <div>ΔE = <span class="control-value">${Math.abs(transition.deltaE).toFixed(3)} eV</span></div>
+                <div>λ = <span class="control-value">${formatWavelength(transition.wavelength)}</span> · ${transition.region}</div>
+                <div class="${transition.allowed ? 'transition-allowed' : 'transition-forbidden'}">
+                  ${transition.allowed ? 'Dipole allowed (Δl = ±1)' : `Dipole forbidden (Δl = ${to.l - from.l})`}
+                </div>
+              </div>
+            `;
+        } else if (first !== undefined) {
+            const level = this.levels[first];
+            transitionInfo = `<div class="transition-hint">From ${level.n}${getOrbitalLetter(level.l)} (${level.energy.toFixed(2)} eV) to…</div>`;
+        }
+
+        this.container.innerHTML = `
+      <details class="dock-panel" ${this.expanded ? 'open' : ''}>
+        <summary class="controls-title">Energy Levels</summary>
+
+        <svg class="energy-diagram" viewBox="0 0 ${WIDTH} ${HEIGHT}" role="img" aria-label="Orbital energy level diagram">
+          <defs>
+            <marker id="transition-arrow" viewBox="0 0 6 6" refX="5" refY="3" markerWidth="6" markerHeight="6" orient="auto">
+              <path d="M0,0 L6,3 L0,6 z" class="transition-arrowhead"></path>
+            </marker>
+          </defs>
+          ${this._renderAxis(y)}
+          ${levels}
+          ${transitionLine}
+        </svg>
+        <div class="energy-axis-caption">Energy (eV, log scale)${this.solution ? ' · self-consistent field' : ''}</div>
+
+        ${transitionInfo}
+        ${this.solution ? this._renderOrbitalEnergies() : ''}
+      </details>
+    `;
+    }
+
+    _attachEventListeners() {
+        const details = this.container.querySelector('.dock-panel');
+        details.addEventListener('toggle', () => {
+            this.expanded = details.open;
+        });
+
+        // Level selection: first click picks the initial level, second the final
+        this.container.querySelectorAll('.energy-level').forEach(group => {
+            group.addEventListener('click', () => {
+                const index = parseInt(group.dataset.level, 10);
+                if (this.selection.length === 1 && this.selection[0] !== index) {
+                    this.selection = [this.selection[0], index];
+                } else {
+                    this.selection = [index];
+                }
+                this._render();
+                this._attachEventListeners();
+            });
+        });
+    }
+
+    _onStateChange(state, changeType) {
+        if (changeType === 'visibility' || changeType === 'isotope') return;
+        this._update();
+    }
+}
+
+/**
+ * SVG path of a small spin arrow centred on a level
+ */
+function arrowPath(x, y, up) {
+    const tip = up ? y - 5 : y + 5;
+    const tail = up ? y + 5 : y - 5;
+    const head = up ? 2 : -2;
+    return `<path d="M${x},${tail} L${x},${tip} M${x - 1.5},${tip + head} L${x},${tip} L${x + 1.5},${tip + head}" class="electron-arrow"></path>`;
+}
+
+function formatWavelength(nm) {
+    if (nm < 1) return `${(nm * 1000).toFixed(1)} pm`;
+    if (nm >= 1e4) return `${(nm / 1000).toFixed(1)} μm`;
+    return `${nm.toFixed(1)} nm`;
+}
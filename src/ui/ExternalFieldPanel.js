@@ -0,0 +1,329 @@
+/**
+ * External Field Panel
+ *
+ * UI component for the Zeeman and Stark effects on one hydrogen-like
+ * level n:
+ * - Magnetic field B and electric field F, each with a strength and a
+ *   direction (polar and azimuthal angle)
+ * - Fan diagram of the split levels as both fields are ramped up from
+ *   zero to the chosen values
+ * - List of the eigenstates; the selected one is shown in the scene
+ */
+
+import { fieldSplitting, fieldVector } from '../physics/externalFields.js';
+import { FIELD_COLORS } from '../rendering/FieldGizmoRenderer.js';
+
+const LEVELS = [2, 3, 4];
+
+// Field sliders: key, label, unit, max, step
+const FIELDS = [
+    { key: 'B', label: 'Magnetic Field B', unit: 'T', max: 10, step: 0.1 },
+    { key: 'F', label: 'Electric Field F', unit: 'kV/cm', max: 200, step: 1 }
+];
+
+// Fan diagram geometry (SVG units)
+const WIDTH = 260;
+const HEIGHT = 150;
+const AXIS_LEFT = 10;
+const PADDING = 8;
+const FAN_SAMPLES = 20;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+const toCSS = (hex) => `#${hex.toString(16).padStart(6, '0')}`;
+
+/**
+ * Energy shift with a unit suited to its size
+ */
+function formatShift(eV) {
+    const magnitude = Math.abs(eV);
+    if (magnitude === 0 || magnitude < 1e-3) return `${(eV * 1e6).toFixed(1)} μeV`;
+    return `${(eV * 1e3).toFixed(2)} meV`;
+}
+
+export class ExternalFieldPanel {
+    constructor(container, onChange) {
+        this.container = container;
+        this.onChange = onChange;
+
+        this.settings = {
+            enabled: false,
+            n: 2,
+            B: 5,
+            BTheta: 0,
+            BPhi: 0,
+            F: 0,
+            FTheta: 90,
+            FPhi: 0,
+            selected: 0
+        };
+        this.Z = 1;
+        this.splitting = null;
+        this.expanded = false;
+
+        this._update(false);
+    }
+
+    /**
+     * Field vectors: B in tesla, F in kV/cm
+     * @param {number} scale - Fraction of the chosen strengths
+     */
+    getFields(scale = 1) {
+        const { B, BTheta, BPhi, F, FTheta, FPhi } = this.settings;
+        return {
+            B: fieldVector(scale * B, toRadians(BTheta), toRadians(BPhi)),
+            F: fieldVector(scale * F, toRadians(FTheta), toRadians(FPhi))
+        };
+    }
+
+    /**
+     * Split level for the current settings
+     * @param {number} Z - Nuclear charge
+     */
+    buildSplitting(Z = this.Z) {
+        return fieldSplitting(this.settings.n, Z, this.getFields());
+    }
+
+    /**
+     * Eigenstate selected for display
+     */
+    getSelectedState() {
+        return this.splitting.states[this.settings.selected];
+    }
+
+    /**
+     * Update the nuclear charge of the hydrogen-like level
+     */
+    setNuclearCharge(Z) {
+        if (Z === this.Z) return;
+        this.Z = Z;
+        this._update(false);
+    }
+
+    setEnabled(enabled) {
+        if (enabled === this.settings.enabled) return;
+        this.settings.enabled = enabled;
+        this._render();
+        this._attachEventListeners();
+    }
+
+    /**
+     * Shifts of every state as the fields ramp from zero to their values
+     * @returns {Array} One array of sorted shifts (eV) per sample
+     */
+    _fan() {
+        return Array.from({ length: FAN_SAMPLES + 1 }, (_, i) => {
+            const scale = i / FAN_SAMPLES;
+            return fieldSplitting(this.settings.n, this.Z, this.getFields(scale)).states.map(({ shift }) => shift);
+        });
+    }
+
+    _renderDiagram() {
+        const fan = this._fan();
+        const states = this.splitting.states;
+        const limit = Math.max(...fan[FAN_SAMPLES].map(Math.abs));
+
+        if (limit < 1e-12) {
+            return `
+              <div class="transition-hint">
+                All ${states.length} states of n = ${this.settings.n} are degenerate; turn up a field to split the level
+              </div>
+            `;
+        }
+
+        const x = (i) => AXIS_LEFT + i / FAN_SAMPLES * (WIDTH - AXIS_LEFT - PADDING);
+        const y = (shift) => HEIGHT / 2 - shift / limit * (HEIGHT / 2 - PADDING);
+
+        const curves = states.map((_, k) => {
+            const d = fan.map((shifts, i) => `${i ? 'L' : 'M'}${x(i).toFixed(1)},${y(shifts[k]).toFixed(1)}`).join(' ');
+            const selected = k === this.settings.selected;
+            return `
+              <g class="field-level ${selected ? 'selected' : ''}" data-state="${k}">
+                <title>${formatShift(states[k].shift)}</title>
+                <path d="${d}" class="field-curve"></path>
+                <circle cx="${x(FAN_SAMPLES)}" cy="${y(states[k].shift)}" r="${selected ? 3 : 2}" class="field-marker"></circle>
+              </g>
+            `;
+        }).join('');
+
+        return `
+          <svg class="field-diagram" viewBox="0 0 ${WIDTH} ${HEIGHT}" role="img" aria-label="Level splitting as the fields increase">
+            <line x1="${AXIS_LEFT}" x2="${AXIS_LEFT}" y1="${PADDING}" y2="${HEIGHT - PADDING}" class="radial-axis"></line>
+            <line x1="${AXIS_LEFT}" x2="${WIDTH - PADDING}" y1="${y(0)}" y2="${y(0)}" class="field-zero"></line>
+            ${curves}
+          </svg>
+          <div class="energy-axis-caption">
+            Shift from E<sub>${this.settings.n}</sub> (±${formatShift(limit)}) vs field, 0 → chosen strength
+          </div>
+        `;
+    }
+
+    _renderStates() {
+        return `
+          <div class="field-states">
+            ${this.splitting.states.map(({ shift, mB, dipole }, k) => `
+              <div class="field-state ${k === this.settings.selected ? 'selected' : ''}" data-state="${k}">
+                <span class="control-value">${formatShift(shift)}</span>
+                <span class="field-state-detail">
+                  ${this.settings.B > 0 ? `⟨m<sub>B</sub>⟩ ${mB.toFixed(2)}` : ''}
+                  ${this.settings.F > 0 ? `⟨d<sub>F</sub>⟩ ${dipole.toFixed(2)} a₀` : ''}
+                </span>
+              </div>
+            `).join('')}
+          </div>
+        `;
+    }
+
+    _renderField({ key, label, unit, max, step }) {
+        const value = this.settings[key];
+        const theta = this.settings[`${key}Theta`];
+        const phi = this.settings[`${key}Phi`];
+
+        return `
+          <div class="control-group">
+            <label class="control-label">
+              <span><span class="legend-color" style="background: ${toCSS(FIELD_COLORS[key])};"></span> ${label}</span>
+              <span class="control-value">${value} ${unit}</span>
+            </label>
+            <input type="range" class="control-slider" data-field="${key}" data-unit="${unit}"
+                   min="0" max="${max}" step="${step}" value="${value}">
+            <div class="field-direction">
+              <label>θ <span class="control-value">${theta}°</span>
+                <input type="range" class="control-slider" data-field="${key}Theta" data-unit="°"
+                       min="0" max="180" step="5" value="${theta}">
+              </label>
+              <label>φ <span class="control-value">${phi}°</span>
+                <input type="range" class="control-slider" data-field="${key}Phi" data-unit="°"
+                       min="0" max="355" step="5" value="${phi}">
+              </label>
+            </div>
+          </div>
+        `;
+    }
+
+    _render() {
+        const { enabled, n } = this.settings;
+
+        this.container.innerHTML = `
+      <details class="dock-panel" ${this.expanded ? 'open' : ''}>
+        <summary class="controls-title">External Fields</summary>
+
+        <div class="control-group">
+          <div class="toggle-group">
+            <button class="toggle-btn ${!enabled ? 'active' : ''}" data-fields-enabled="false">Atom</button>
+            <button class="toggle-btn ${enabled ? 'active' : ''}" data-fields-enabled="true">Zeeman / Stark</button>
+          </div>
+        </div>
+
+        <div class="control-group">
+          <label class="control-label">Level (Z = ${this.Z})</label>
+          <div class="toggle-group">
+            ${LEVELS.map(level => `
+              <button class="toggle-btn ${level === n ? 'active' : ''}" data-level="${level}">n = ${level}</button>
+            `).join('')}
+          </div>
+        </div>
+
+        ${FIELDS.map(field => this._renderField(field)).join('')}
+
+        <div class="field-splitting">
+          ${this._renderDiagram()}
+          ${this._renderStates()}
+        </div>
+      </details>
+    `;
+    }
+
+    _attachEventListeners() {
+        const details = this.container.querySelector('.dock-panel');
+        details.addEventListener('toggle', () => {
+            this.expanded = details.open;
+        });
+
+        // Atom / field scene toggle
+        this.container.querySelectorAll('.toggle-btn[data-fields-enabled]').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                this.settings.enabled = e.target.dataset.fieldsEnabled === 'true';
+                this._update();
+            });
+        });
+
+        // Level
+        this.container.querySelectorAll('.toggle-btn[data-level]').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                this.settings.n = parseInt(e.currentTarget.dataset.level, 10);
+                this.settings.selected = 0;
+                this._update();
+            });
+        });
+
+        // Strength and direction sliders: the diagram and gizmos follow
+        // while dragging, the orbital is resampled on release
+        this.container.querySelectorAll('.control-slider[data-field]').forEach(slider => {
+            slider.addEventListener('input', (e) => {
+                const { field, unit } = e.target.dataset;
+                this.settings[field] = parseFloat(e.target.value);
+                const display = e.target.parentElement.querySelector('.control-value');
+                if (display) {
+                    display.textContent = unit === '°' ? `${this.settings[field]}°` : `${this.settings[field]} ${unit}`;
+                }
+                this._refreshSplitting();
+                if (this.onChange) {
+                    this.onChange({ ...this.settings }, 'preview');
+                }
+            });
+            slider.addEventListener('change', () => {
+                this._emitChange();
+            });
+        });
+
+        this._attachStateListeners();
+    }
+
+    /**
+     * Selecting a level in the diagram or the list shows its eigenstate
+     */
+    _attachStateListeners() {
+        this.container.querySelectorAll('[data-state]').forEach(element => {
+            element.addEventListener('click', () => {
+                this.settings.selected = parseInt(element.dataset.state, 10);
+                this._refreshSplitting();
+                this._emitChange();
+            });
+        });
+    }
+
+    /**
+     * Recompute the split level and redraw only the diagram and list
+     * (re-rendering everything would interrupt a slider drag)
+     */
+    _refreshSplitting() {
+        this.splitting = this.buildSplitting();
+        this.settings.selected = Math.min(this.settings.selected, this.splitting.states.length - 1);
+        this.container.querySelector('.field-splitting').innerHTML = `
+          ${this._renderDiagram()}
+          ${this._renderStates()}
+        `;
+        this._attachStateListeners();
+    }
+
+    _update(notify = true) {
+        this.splitting = this.buildSplitting();
+        this.settings.selected = Math.min(this.settings.selected, this.splitting.states.length - 1);
+        this._render();
+        this._attachEventListeners();
+
+        if (notify) {
+            this._emitChange();
+        }
+    }
+
+    _emitChange() {
+        if (this.onChange) {
+            this.onChange({ ...this.settings }, 'state');
+        }
+    }
+
+    getSettings() {
+        return { ...this.settings };
+    }
+}
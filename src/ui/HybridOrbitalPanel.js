@@ -0,0 +1,176 @@
+/**
+ * Hybrid Orbital Panel
+ *
+ * UI component for building hybrid orbitals:
+ * - Shell (n) selection
+ * - Standard hybridization presets (sp ... sp³d²)
+ * - Custom coefficient editor for a single hybrid
+ * - Per-hybrid color key
+ */
+
+import {
+    HYBRID_BASIS,
+    HYBRID_PRESETS,
+    createHybrid,
+    buildHybridPreset,
+    describeHybrid
+} from '../physics/hybridOrbitals.js';
+import { orbitalColors } from '../data/orbitalColors.js';
+
+const CUSTOM = 'custom';
+const SHELLS = [2, 3, 4];
+
+export class HybridOrbitalPanel {
+    constructor(container, onChange) {
+        this.container = container;
+        this.onChange = onChange;
+
+        this.settings = {
+            enabled: false,
+            n: 2,
+            preset: 'sp3',
+            coefficients: { s: 1, px: 1, py: 0, pz: 0, dz2: 0, 'dx2-y2': 0, dxy: 0, dxz: 0, dyz: 0 }
+        };
+        this.expanded = false;
+
+        this._render();
+        this._attachEventListeners();
+    }
+
+    /**
+     * Hybrids for the current settings
+     * @param {number} Z - Effective nuclear charge
+     * @returns {Array} Hybrid orbitals (empty if the settings are invalid)
+     */
+    buildHybrids(Z = 1) {
+        const { n, preset, coefficients } = this.settings;
+        if (preset === CUSTOM) {
+            const hybrid = createHybrid(n, coefficients, Z);
+            return hybrid ? [hybrid] : [];
+        }
+        return buildHybridPreset(preset, n, Z);
+    }
+
+    setEnabled(enabled) {
+        if (enabled === this.settings.enabled) return;
+        this.settings.enabled = enabled;
+        this._render();
+        this._attachEventListeners();
+    }
+
+    _render() {
+        const { enabled, n, preset, coefficients } = this.settings;
+        const hybrids = this.buildHybrids();
+        const geometry = preset === CUSTOM ? 'Custom combination' : HYBRID_PRESETS[preset].geometry;
+
+        this.container.innerHTML = `
+      <details class="dock-panel" ${this.expanded ? 'open' : ''}>
+        <summary class="controls-title">Hybrid Orbitals</summary>
+
+        <div class="control-group">
+          <div class="toggle-group">
+            <button class="toggle-btn ${!enabled ? 'active' : ''}" data-hybrid-enabled="false">Atom</button>
+            <button class="toggle-btn ${enabled ? 'active' : ''}" data-hybrid-enabled="true">Hybrids</button>
+          </div>
+        </div>
+
+        <div class="control-group">
+          <label class="control-label">Shell</label>
+          <div class="toggle-group">
+            ${SHELLS.map(shell => `
+              <button class="toggle-btn ${shell === n ? 'active' : ''}" data-shell="${shell}">n = ${shell}</button>
+            `).join('')}
+          </div>
+        </div>
+
+        <div class="control-group">
+          <label class="control-label">
+            Hybridization
+            <span class="control-value">${geometry}</span>
+          </label>
+          <div class="toggle-group toggle-group-wrap">
+            ${Object.entries(HYBRID_PRESETS).map(([key, { label }]) => `
+              <button class="toggle-btn ${key === preset ? 'active' : ''}" data-preset="${key}">${label}</button>
+            `).join('')}
+            <button class="toggle-btn ${preset === CUSTOM ? 'active' : ''}" data-preset="${CUSTOM}">Custom</button>
+          </div>
+        </div>
+
+        ${preset === CUSTOM ? `
+          <div class="control-group hybrid-coefficients">
+            ${Object.entries(HYBRID_BASIS).map(([name, { l, label }]) => `
+              <label class="hybrid-coefficient">
+                <span>${n}${label}</span>
+                <input type="number" class="hybrid-input" data-coefficient="${name}"
+                       step="0.1" value="${coefficients[name]}" ${l >= n ? 'disabled' : ''}>
+              </label>
+            `).join('')}
+          </div>
+        ` : ''}
+
+        <div class="hybrid-list">
+          ${hybrids.length ? hybrids.map((hybrid, i) => `
+            <div class="hybrid-item">
+              <span class="legend-color" style="background: ${orbitalColors.getHybridCSSColor(i)};"></span>
+              <span class="hybrid-formula">${describeHybrid(hybrid)}</span>
+            </div>
+          `).join('') : `
+            <div class="hybrid-item hybrid-invalid">${preset === CUSTOM ? 'Enter at least one coefficient' : `Needs d orbitals (n ≥ 3)`}</div>
+          `}
+        </div>
+      </details>
+    `;
+    }
+
+    _attachEventListeners() {
+        const details = this.container.querySelector('.dock-panel');
+        details.addEventListener('toggle', () => {
+            this.expanded = details.open;
+        });
+
+        // Atom / hybrid scene toggle
+        this.container.querySelectorAll('.toggle-btn[data-hybrid-enabled]').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                this.settings.enabled = e.target.dataset.hybridEnabled === 'true';
+                this._update();
+            });
+        });
+
+        // Shell selection
+        this.container.querySelectorAll('.toggle-btn[data-shell]').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                this.settings.n = parseInt(e.target.dataset.shell, 10);
+                this._update();
+            });
+        });
+
+        // Presets
+        this.container.querySelectorAll('.toggle-btn[data-preset]').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                this.settings.preset = e.target.dataset.preset;
+                this._update();
+            });
+        });
+
+        // Custom coefficients (applied on change to avoid resampling per keystroke)
+        this.container.querySelectorAll('.hybrid-input').forEach(input => {
+            input.addEventListener('change', (e) => {
+                this.settings.coefficients[e.target.dataset.coefficient] = parseFloat(e.target.value) || 0;
+                this._update();
+            });
+        });
+    }
+
+    _update() {
+        this._render();
+        this._attachEventListeners();
+
+        if (this.onChange) {
+            this.onChange({ ...this.settings });
+        }
+    }
+
+    getSettings() {
+        return { ...this.settings };
+    }
+}
@@ -0,0 +1,209 @@
+/**
+ * Nodal Surface Panel
+ *
+ * Picks one occupied orbital of the current atom and shows where its
+ * wave function vanishes: radial spheres, polar cones and azimuthal
+ * planes, with their positions and counts.
+ */
+
+import { nodalSurfaces } from '../physics/nodalSurfaces.js';
+import { BASES, getOrbitalName, getMagneticQuantumNumbers } from '../physics/sphericalHarmonics.js';
+import { getOrbitalLetter } from '../data/orbitalColors.js';
+import { NODE_COLORS } from '../rendering/NodalSurfaceRenderer.js';
+
+const toCSS = (hex) => `#${hex.toString(16).padStart(6, '0')}`;
+const toDegrees = (angle) => (angle * 180 / Math.PI).toFixed(1);
+
+export class NodalSurfacePanel {
+    constructor(container, state, onChange) {
+        this.container = container;
+        this.state = state;
+        this.onChange = onChange;
+
+        this.enabled = false;
+        this.basis = BASES.REAL;
+        this.subshells = [];
+        this.selection = null;
+        this.expanded = false;
+
+        // Subscribe to state changes
+        this.state.subscribe(this._onStateChange.bind(this));
+
+        this._updateSubshells();
+        this._update();
+    }
+
+    /**
+     * Nodes of the selected orbital (null when the overlay is off)
+     */
+    getNodes() {
+        if (!this.enabled || !this.selection) return null;
+        const { n, l, m, zeff } = this.selection;
+        return nodalSurfaces(n, l, m, zeff, this.basis, this.state.getRadialModel());
+    }
+
+    /**
+     * Angular basis of the orbitals (complex orbitals have no φ planes)
+     */
+    setBasis(basis) {
+        if (basis === this.basis) return;
+        this.basis = basis;
+        this._update();
+    }
+
+    /**
+     * Occupied subshells of the current atom; keeps the selected orbital
+     * if it is still occupied, otherwise picks the outermost subshell
+     */
+    _updateSubshells() {
+        this.subshells = this.state.getScreening();
+
+        const current = this.selection &&
+            this.subshells.find(({ n, l }) => n === this.selection.n && l === this.selection.l);
+
+        if (current) {
+            this.selection = { ...this.selection, zeff: current.zeff };
+        } else if (this.subshells.length) {
+            const { n, l, zeff } = this.subshells[this.subshells.length - 1];
+            this.selection = { n, l, m: 0, zeff };
+        } else {
+            this.selection = null;
+        }
+    }
+
+    _renderSummary(nodes) {
+        const { spheres, cones, planes } = nodes;
+        const rows = [
+            {
+                type: 'sphere',
+                label: 'Radial',
+                count: spheres.length,
+                detail: spheres.map(r => `r = ${r.toFixed(2)}`).join(', ')
+            },
+            {
+                type: 'cone',
+                label: 'Polar',
+                count: cones.length,
+                detail: cones.map(theta => `θ = ${toDegrees(theta)}°`).join(', ')
+            },
+            {
+                type: 'plane',
+                label: 'Azimuthal',
+                count: planes.length,
+                detail: planes.map(phi => `φ = ${toDegrees(phi)}°`).join(', ')
+            }
+        ];
+
+        return `
+          <div class="nodal-summary">
+            ${rows.map(({ type, label, count, detail }) => `
+              <div class="nodal-row">
+                <span class="legend-color" style="background: ${toCSS(NODE_COLORS[type])};"></span>
+                <span class="nodal-label">${label}</span>
+                <span class="control-value">${count}</span>
+                <span class="nodal-detail">${detail}</span>
+              </div>
+            `).join('')}
+            <div class="transition-hint">
+              ${nodes.n - nodes.l - 1} radial (n − l − 1) and ${cones.length + planes.length} angular
+              ${this.basis === BASES.COMPLEX && nodes.m !== 0
+                ? `(l − |m|; e<sup>imφ</sup> leaves only the z axis as a nodal line)`
+                : '(l)'}
+            </div>
+          </div>
+        `;
+    }
+
+    _render() {
+        const selection = this.selection;
+        const nodes = selection
+            ? nodalSurfaces(selection.n, selection.l, selection.m, selection.zeff, this.basis, this.state.getRadialModel())
+            : null;
+
+        this.container.innerHTML = `
+      <details class="dock-panel" ${this.expanded ? 'open' : ''}>
+        <summary class="controls-title">Nodal Surfaces</summary>
+
+        <div class="control-group">
+          <div class="toggle-group">
+            <button class="toggle-btn ${!this.enabled ? 'active' : ''}" data-nodes-enabled="false">Hide</button>
+            <button class="toggle-btn ${this.enabled ? 'active' : ''}" data-nodes-enabled="true">Show Nodes</button>
+          </div>
+        </div>
+
+        ${selection ? `
+          <div class="control-group">
+            <label class="control-label">Subshell</label>
+            <div class="toggle-group toggle-group-wrap">
+              ${this.subshells.map(({ n, l }) => `
+                <button class="toggle-btn ${n === selection.n && l === selection.l ? 'active' : ''}"
+                        data-subshell="${n},${l}">${n}${getOrbitalLetter(l)}</button>
+              `).join('')}
+            </div>
+          </div>
+
+          <div class="control-group">
+            <label class="control-label">Orbital</label>
+            <div class="toggle-group toggle-group-wrap">
+              ${getMagneticQuantumNumbers(selection.l).map(m => `
+                <button class="toggle-btn ${m === selection.m ? 'active' : ''}" data-m="${m}">
+                  ${getOrbitalName(selection.n, selection.l, m, this.basis)}
+                </button>
+              `).join('')}
+            </div>
+          </div>
+
+          ${this._renderSummary(nodes)}
+        ` : '<div class="transition-hint">No electrons</div>'}
+      </details>
+    `;
+    }
+
+    _attachEventListeners() {
+        const details = this.container.querySelector('.dock-panel');
+        details.addEventListener('toggle', () => {
+            this.expanded = details.open;
+        });
+
+        // Overlay on / off
+        this.container.querySelectorAll('.toggle-btn[data-nodes-enabled]').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                this.enabled = e.target.dataset.nodesEnabled === 'true';
+                this._update();
+            });
+        });
+
+        // Subshell selection
+        this.container.querySelectorAll('.toggle-btn[data-subshell]').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const [n, l] = e.target.dataset.subshell.split(',').map(Number);
+                const { zeff } = this.subshells.find(shell => shell.n === n && shell.l === l);
+                this.selection = { n, l, m: 0, zeff };
+                this._update();
+            });
+        });
+
+        // Orbital (m) selection
+        this.container.querySelectorAll('.toggle-btn[data-m]').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                this.selection = { ...this.selection, m: parseInt(e.currentTarget.dataset.m, 10) };
+                this._update();
+            });
+        });
+    }
+
+    _update() {
+        this._render();
+        this._attachEventListeners();
+
+        if (this.onChange) {
+            this.onChange(this.getNodes());
+        }
+    }
+
+    _onStateChange(state, changeType) {
+        if (changeType === 'visibility' || changeType === 'isotope') return;
+        this._updateSubshells();
+        this._update();
+    }
+}
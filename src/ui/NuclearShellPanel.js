@@ -0,0 +1,164 @@
+/**
+ * Nuclear Shell Panel
+ *
+ * Occupancy diagram of the nuclear shell model for the current nucleus:
+ * - Proton and neutron levels (1s1/2, 1p3/2, 1p1/2, ...) side by side,
+ *   one cell per m_j state, with the magic number closing each major shell
+ * - Magic and doubly-magic nuclei highlighted, with the single-particle
+ *   ground-state spin and parity
+ * - Packed / shell-model layout of the 3D nucleus
+ */
+
+import { NUCLEAR_LEVELS, nuclearShellStructure } from '../physics/nuclearShellModel.js';
+import { NUCLEUS_LAYOUTS } from '../rendering/NucleusRenderer.js';
+
+const ORBITAL_LETTERS = ['s', 'p', 'd', 'f', 'g', 'h', 'i', 'j'];
+
+export class NuclearShellPanel {
+    constructor(container, onChange) {
+        this.container = container;
+        this.onChange = onChange;
+
+        this.settings = {
+            layout: NUCLEUS_LAYOUTS.PACKED
+        };
+        this.protons = 0;
+        this.neutrons = 0;
+        this.expanded = false;
+
+        this._render();
+        this._attachEventListeners();
+    }
+
+    /**
+     * Show the levels of a nucleus
+     * @param {number} protons - Z
+     * @param {number} neutrons - N
+     */
+    setNucleus(protons, neutrons) {
+        if (protons === this.protons && neutrons === this.neutrons) return;
+        this.protons = protons;
+        this.neutrons = neutrons;
+        this._render();
+        this._attachEventListeners();
+    }
+
+    _renderLabel({ n, l, j }) {
+        return `${n}${ORBITAL_LETTERS[l]}<sub>${2 * j}/2</sub>`;
+    }
+
+    _renderCells({ capacity, occupancy }, kind) {
+        return Array.from({ length: capacity }, (_, i) => `
+          <span class="nuclear-cell ${kind} ${i < occupancy ? 'filled' : ''}"></span>
+        `).join('');
+    }
+
+    /**
+     * Rows up to the end of the highest major shell holding a nucleon,
+     * with a divider at each magic number
+     */
+    _renderDiagram({ protons, neutrons }) {
+        const occupied = (level) => level.occupancy > 0;
+        const lastShell = Math.max(
+            ...protons.filter(occupied).map(({ shell }) => shell),
+            ...neutrons.filter(occupied).map(({ shell }) => shell)
+        );
+
+        let filled = 0;
+        return NUCLEAR_LEVELS.map((level, i) => {
+            if (level.shell > lastShell) return '';
+            filled += level.capacity;
+            const closesShell = NUCLEAR_LEVELS[i + 1]?.shell !== level.shell;
+
+            return `
+              <div class="nuclear-level-row">
+                <span class="nuclear-level-label">${this._renderLabel(level)}</span>
+                <span class="nuclear-cells" title="${protons[i].occupancy}/${level.capacity} protons">${this._renderCells(protons[i], 'proton')}</span>
+                <span class="nuclear-cells" title="${neutrons[i].occupancy}/${level.capacity} neutrons">${this._renderCells(neutrons[i], 'neutron')}</span>
+              </div>
+              ${closesShell ? `
+              <div class="nuclear-magic ${filled === this.protons ? 'proton-closed' : ''} ${filled === this.neutrons ? 'neutron-closed' : ''}">${filled}</div>
+              ` : ''}
+            `;
+        }).join('');
+    }
+
+    _renderSummary({ magicProtons, magicNeutrons, doublyMagic, groundState }) {
+        let magic = 'No closed shell';
+        if (doublyMagic) {
+            magic = `Doubly magic (Z = ${this.protons}, N = ${this.neutrons})`;
+        } else if (magicProtons) {
+            magic = `Magic proton number Z = ${this.protons}`;
+        } else if (magicNeutrons) {
+            magic = `Magic neutron number N = ${this.neutrons}`;
+        }
+
+        return `
+          <div class="orbital-box-summary">
+            <div class="orbital-box-stat">
+              <span>Z / N / A</span>
+              <span class="control-value">${this.protons} / ${this.neutrons} / ${this.protons + this.neutrons}</span>
+            </div>
+            <div class="orbital-box-stat">
+              <span>Ground state J<sup>π</sup></span>
+              <span class="control-value">${groundState ? groundState.label : 'odd–odd'}</span>
+            </div>
+            <div class="nuclear-magic-status ${magicProtons || magicNeutrons ? 'magic' : ''} ${doublyMagic ? 'doubly-magic' : ''}">
+              ${magic}
+            </div>
+          </div>
+        `;
+    }
+
+    _render() {
+        const { layout } = this.settings;
+        const structure = nuclearShellStructure(this.protons, this.neutrons);
+
+        this.container.innerHTML = `
+      <details class="dock-panel" ${this.expanded ? 'open' : ''}>
+        <summary class="controls-title">Nuclear Shells</summary>
+
+        <div class="control-group">
+          <div class="toggle-group">
+            <button class="toggle-btn ${layout === NUCLEUS_LAYOUTS.PACKED ? 'active' : ''}" data-layout="${NUCLEUS_LAYOUTS.PACKED}">Packed</button>
+            <button class="toggle-btn ${layout === NUCLEUS_LAYOUTS.SHELLS ? 'active' : ''}" data-layout="${NUCLEUS_LAYOUTS.SHELLS}">Shell model</button>
+          </div>
+        </div>
+
+        ${this.protons + this.neutrons === 0 ? `
+        <div class="transition-hint">No nucleus</div>
+        ` : `
+        <div class="nuclear-level-row nuclear-level-header">
+          <span class="nuclear-level-label"></span>
+          <span class="nuclear-cells">Protons</span>
+          <span class="nuclear-cells">Neutrons</span>
+        </div>
+        <div class="nuclear-level-diagram">
+          ${this._renderDiagram(structure)}
+        </div>
+        ${this._renderSummary(structure)}
+        `}
+      </details>
+    `;
+    }
+
+    _attachEventListeners() {
+        const details = this.container.querySelector('.dock-panel');
+        details.addEventListener('toggle', () => {
+            this.expanded = details.open;
+        });
+
+        this.container.querySelectorAll('.toggle-btn[data-layout]').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                this.settings.layout = e.target.dataset.layout;
+                this._render();
+                this._attachEventListeners();
+                if (this.onChange) this.onChange({ ...this.settings });
+            });
+        });
+    }
+
+    getSettings() {
+        return { ...this.settings };
+    }
+}
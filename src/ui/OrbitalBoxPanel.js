@@ -0,0 +1,130 @@
+/**
+ * Orbital Box Panel
+ *
+ * Classic box (arrow) diagram of the current atom or ion: one box per
+ * orbital, filled with ↑ and ↓ electrons by Hund's rule, and the number
+ * of unpaired electrons with the spin-only magnetic moment
+ * μ = √(n(n+2)) μ_B for discussing paramagnetism.
+ */
+
+import { subshellSpins } from '../data/elements.js';
+import { getCSSColor, getOrbitalLetter, getSpinCSSColor } from '../data/orbitalColors.js';
+import { openSubshells, unpairedElectrons, spinOnlyMoment, formatHalfInteger } from '../physics/termSymbols.js';
+
+const SUBSHELL_FILTERS = {
+    ALL: 'all',
+    OPEN: 'open'
+};
+
+export class OrbitalBoxPanel {
+    constructor(container, state) {
+        this.container = container;
+        this.state = state;
+
+        this.filter = SUBSHELL_FILTERS.ALL;
+        this.expanded = false;
+
+        // Subscribe to state changes
+        this.state.subscribe(this._onStateChange.bind(this));
+
+        this._update();
+    }
+
+    _update() {
+        this._render();
+        this._attachEventListeners();
+    }
+
+    _renderArrow(up) {
+        return `<span class="spin-arrow" style="color: ${getSpinCSSColor(up)};">${up ? '↑' : '↓'}</span>`;
+    }
+
+    /**
+     * One row of boxes, m = +l ... -l from left to right
+     */
+    _renderSubshell({ n, l, electrons }) {
+        const boxes = subshellSpins(l, electrons).map(({ m, spinUp, spinDown }) => `
+          <span class="orbital-box" title="m = ${m}">
+            ${spinUp ? this._renderArrow(true) : ''}${spinDown ? this._renderArrow(false) : ''}
+          </span>
+        `).join('');
+
+        return `
+          <div class="orbital-box-row">
+            <span class="orbital-box-label" style="color: ${getCSSColor(l)};">${n}${getOrbitalLetter(l)}</span>
+            <span class="orbital-boxes">${boxes}</span>
+          </div>
+        `;
+    }
+
+    _renderSummary(subshells) {
+        const unpaired = unpairedElectrons(subshells);
+        const moment = spinOnlyMoment(unpaired);
+
+        return `
+          <div class="orbital-box-summary">
+            <div class="orbital-box-stat">
+              <span>Unpaired electrons</span>
+              <span class="control-value">${unpaired}</span>
+            </div>
+            <div class="orbital-box-stat">
+              <span>Spin-only moment √(n(n+2))</span>
+              <span class="control-value">${moment.toFixed(2)} μ<sub>B</sub></span>
+            </div>
+            <div class="transition-hint">
+              ${unpaired > 0
+                ? `Paramagnetic: S = ${formatHalfInteger(unpaired / 2)}, drawn into a magnetic field`
+                : 'Diamagnetic: all spins paired, weakly repelled by a magnetic field'}
+            </div>
+          </div>
+        `;
+    }
+
+    _render() {
+        const subshells = this.state.getSubshellConfiguration();
+        const shown = this.filter === SUBSHELL_FILTERS.OPEN ? openSubshells(subshells) : subshells;
+
+        this.container.innerHTML = `
+      <details class="dock-panel" ${this.expanded ? 'open' : ''}>
+        <summary class="controls-title">Orbital Diagram</summary>
+
+        <div class="control-group">
+          <div class="toggle-group">
+            <button class="toggle-btn ${this.filter === SUBSHELL_FILTERS.ALL ? 'active' : ''}" data-filter="${SUBSHELL_FILTERS.ALL}">All subshells</button>
+            <button class="toggle-btn ${this.filter === SUBSHELL_FILTERS.OPEN ? 'active' : ''}" data-filter="${SUBSHELL_FILTERS.OPEN}">Open only</button>
+          </div>
+        </div>
+
+        ${subshells.length === 0 ? `
+        <div class="transition-hint">No electrons</div>
+        ` : `
+        <div class="orbital-box-diagram">
+          ${shown.length > 0
+            ? shown.map(subshell => this._renderSubshell(subshell)).join('')
+            : '<div class="transition-hint">Every subshell is closed</div>'}
+        </div>
+        ${this._renderSummary(subshells)}
+        `}
+      </details>
+    `;
+    }
+
+    _attachEventListeners() {
+        const details = this.container.querySelector('.dock-panel');
+        details.addEventListener('toggle', () => {
+            this.expanded = details.open;
+        });
+
+        this.container.querySelectorAll('.toggle-btn[data-filter]').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                this.filter = e.target.dataset.filter;
+                this._update();
+            });
+        });
+    }
+
+    _onStateChange(state, changeType) {
+        if (changeType === 'visibility' || changeType === 'isotope') return;
+        this._update();
+    }
+}
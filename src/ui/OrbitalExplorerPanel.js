@@ -0,0 +1,206 @@
+/**
+ * Orbital Explorer Panel
+ *
+ * UI component for looking at any hydrogen-like orbital, independent of
+ * the selected element's configuration:
+ * - n, l and m pickers that only offer allowed values
+ *   (0 ≤ l < n, -l ≤ m ≤ l), up to the i orbitals (l = 6)
+ * - Nuclear charge Z
+ * - Any number of orbitals overlaid in the scene
+ */
+
+import { BASES, getOrbitalName, getMagneticQuantumNumbers } from '../physics/sphericalHarmonics.js';
+import { getCSSColor, getOrbitalLetter } from '../data/orbitalColors.js';
+
+const MAX_N = 10;
+const MAX_L = 6;
+const MAX_Z = 118;
+
+const sameOrbital = (a, b) => a.n === b.n && a.l === b.l && a.m === b.m;
+
+export class OrbitalExplorerPanel {
+    constructor(container, onChange) {
+        this.container = container;
+        this.onChange = onChange;
+
+        this.settings = {
+            enabled: false,
+            Z: 1,
+            n: 5,
+            l: 4,
+            m: 0,
+            orbitals: [{ n: 5, l: 4, m: 0 }]
+        };
+        this.basis = BASES.REAL;
+        this.expanded = false;
+
+        this._render();
+        this._attachEventListeners();
+    }
+
+    /**
+     * Orbitals to render, one electron each, in the form
+     * ElectronCloudRenderer.renderConfiguration expects
+     */
+    getOrbitals() {
+        return this.settings.orbitals.map(({ n, l, m }) => ({ n, l, m, electrons: 1 }));
+    }
+
+    getNuclearCharge() {
+        return this.settings.Z;
+    }
+
+    /**
+     * Angular basis used for the m labels
+     */
+    setBasis(basis) {
+        if (basis === this.basis) return;
+        this.basis = basis;
+        this._render();
+        this._attachEventListeners();
+    }
+
+    setEnabled(enabled) {
+        if (enabled === this.settings.enabled) return;
+        this.settings.enabled = enabled;
+        this._render();
+        this._attachEventListeners();
+    }
+
+    _renderPicker(label, key, values, format) {
+        return `
+          <div class="control-group">
+            <label class="control-label">${label}</label>
+            <div class="toggle-group toggle-group-wrap">
+              ${values.map(value => `
+                <button class="toggle-btn ${value === this.settings[key] ? 'active' : ''}" data-${key}="${value}">${format(value)}</button>
+              `).join('')}
+            </div>
+          </div>
+        `;
+    }
+
+    _render() {
+        const { enabled, Z, n, l, m, orbitals } = this.settings;
+        const draft = { n, l, m };
+        const listed = orbitals.some(orbital => sameOrbital(orbital, draft));
+
+        const nValues = Array.from({ length: MAX_N }, (_, i) => i + 1);
+        const lValues = Array.from({ length: Math.min(n, MAX_L + 1) }, (_, i) => i);
+
+        this.container.innerHTML = `
+      <details class="dock-panel" ${this.expanded ? 'open' : ''}>
+        <summary class="controls-title">Orbital Explorer</summary>
+
+        <div class="control-group">
+          <div class="toggle-group">
+            <button class="toggle-btn ${!enabled ? 'active' : ''}" data-explorer-enabled="false">Atom</button>
+            <button class="toggle-btn ${enabled ? 'active' : ''}" data-explorer-enabled="true">Explorer</button>
+          </div>
+        </div>
+
+        <div class="control-group">
+          <label class="control-label">
+            Nuclear Charge
+            <input type="number" class="explorer-z-input" min="1" max="${MAX_Z}" step="1" value="${Z}">
+          </label>
+        </div>
+
+        ${this._renderPicker('Principal n', 'n', nValues, value => value)}
+        ${this._renderPicker('Angular l', 'l', lValues, value => `${value} (${getOrbitalLetter(value)})`)}
+        ${this._renderPicker('Magnetic m', 'm', getMagneticQuantumNumbers(l), value => value > 0 ? `+${value}` : value)}
+
+        <div class="control-group">
+          <button class="toggle-btn explorer-add" ${listed ? 'disabled' : ''}>
+            Add ${getOrbitalName(n, l, m, this.basis)}
+          </button>
+        </div>
+
+        <div class="explorer-list">
+          ${orbitals.length ? orbitals.map((orbital, i) => `
+            <div class="explorer-item">
+              <span class="legend-color" style="background: ${getCSSColor(orbital.l)};"></span>
+              <span class="explorer-name">${getOrbitalName(orbital.n, orbital.l, orbital.m, this.basis)}</span>
+              <button class="explorer-remove" data-remove="${i}" title="Remove" aria-label="Remove orbital">×</button>
+            </div>
+          `).join('') : `
+            <div class="transition-hint">Pick n, l and m and add an orbital</div>
+          `}
+        </div>
+      </details>
+    `;
+    }
+
+    _attachEventListeners() {
+        const details = this.container.querySelector('.dock-panel');
+        details.addEventListener('toggle', () => {
+            this.expanded = details.open;
+        });
+
+        // Atom / explorer scene toggle
+        this.container.querySelectorAll('.toggle-btn[data-explorer-enabled]').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                this.settings.enabled = e.target.dataset.explorerEnabled === 'true';
+                this._update();
+            });
+        });
+
+        // Quantum number pickers; l and m are clamped to what the new
+        // n and l allow
+        this.container.querySelectorAll('.toggle-btn[data-n], .toggle-btn[data-l], .toggle-btn[data-m]').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const { n, l, m } = e.target.dataset;
+                if (n !== undefined) this.settings.n = parseInt(n, 10);
+                if (l !== undefined) this.settings.l = parseInt(l, 10);
+                if (m !== undefined) this.settings.m = parseInt(m, 10);
+
+                this.settings.l = Math.min(this.settings.l, this.settings.n - 1, MAX_L);
+                this.settings.m = Math.max(-this.settings.l, Math.min(this.settings.l, this.settings.m));
+                this._render();
+                this._attachEventListeners();
+            });
+        });
+
+        // Nuclear charge
+        const zInput = this.container.querySelector('.explorer-z-input');
+        zInput.addEventListener('change', (e) => {
+            const Z = parseInt(e.target.value, 10);
+            if (!Number.isFinite(Z) || Z < 1 || Z > MAX_Z) {
+                console.warn(`Nuclear charge must be between 1 and ${MAX_Z}`);
+                e.target.value = this.settings.Z;
+                return;
+            }
+            this.settings.Z = Z;
+            this._update();
+        });
+
+        // Add the picked orbital
+        this.container.querySelector('.explorer-add').addEventListener('click', () => {
+            const { n, l, m } = this.settings;
+            this.settings.orbitals.push({ n, l, m });
+            this.settings.enabled = true;
+            this._update();
+        });
+
+        // Remove an orbital
+        this.container.querySelectorAll('.explorer-remove').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                this.settings.orbitals.splice(parseInt(e.target.dataset.remove, 10), 1);
+                this._update();
+            });
+        });
+    }
+
+    _update() {
+        this._render();
+        this._attachEventListeners();
+
+        if (this.onChange) {
+            this.onChange({ ...this.settings, orbitals: [...this.settings.orbitals] });
+        }
+    }
+
+    getSettings() {
+        return { ...this.settings, orbitals: [...this.settings.orbitals] };
+    }
+}
@@ -10,18 +10,17 @@ export class OrbitalLegend {
     constructor(container, onToggle) {
         this.container = container;
         this.onToggle = onToggle;
-        this.visibility = { s: true, p: true, d: true, f: true };
+        this.colorInfo = orbitalColors.getColorInfo();
+        this.visibility = Object.fromEntries(this.colorInfo.map(({ letter }) => [letter, true]));
 
         this._render();
         this._attachEventListeners();
     }
 
     _render() {
-        const colorInfo = orbitalColors.getColorInfo();
-
         this.container.innerHTML = `
       <div class="legend-title">Orbital Types</div>
-      ${colorInfo.map(({ letter, name, css }) => `
+      ${this.colorInfo.map(({ letter, name, css }) => `
         <div class="legend-item ${this.visibility[letter] ? '' : 'hidden'}" data-orbital="${letter}">
           <span class="legend-color ${letter}" style="background: ${css}; box-shadow: 0 0 8px ${css};"></span>
           <span class="legend-label">${letter} orbital</span>
@@ -38,7 +37,7 @@ export class OrbitalLegend {
                 item.classList.toggle('hidden', !this.visibility[orbital]);
 
                 if (this.onToggle) {
-                    const l = { s: 0, p: 1, d: 2, f: 3 }[orbital];
+                    const l = this.colorInfo.findIndex(({ letter }) => letter === orbital);
                     this.onToggle(l, this.visibility[orbital]);
                 }
             });
@@ -81,18 +81,25 @@ export class PeriodicTable {
     }
 
     selectElement(symbol) {
-        // Update visual selection
+        this.highlightElement(symbol);
+
+        // Notify parent
+        if (this.onElementSelect) {
+            this.onElementSelect(symbol);
+        }
+    }
+
+    /**
+     * Mark an element as selected without notifying the parent
+     * (when the selection comes from elsewhere)
+     */
+    highlightElement(symbol) {
         const cells = this.container.querySelectorAll('.element-cell');
         cells.forEach(cell => {
             cell.classList.toggle('selected', cell.dataset.symbol === symbol);
         });
 
         this.selectedSymbol = symbol;
-
-        // Notify parent
-        if (this.onElementSelect) {
-            this.onElementSelect(symbol);
-        }
     }
 
     getSelectedElement() {
@@ -0,0 +1,254 @@
+/**
+ * Radial Distribution Panel
+ *
+ * Chart of R(r), R(r)² or r²R(r)² for every occupied subshell of the
+ * current atom or ion (each with its own Z_eff), plus the
+ * electron-weighted total. Radial nodes and the most probable radius
+ * are marked; hovering a curve highlights that subshell in the 3D view.
+ * The curves come from the atom's radial model, so they follow the
+ * self-consistent field when that model is selected.
+ */
+
+import { getCSSColor, getOrbitalLetter } from '../data/orbitalColors.js';
+
+/**
+ * Plotted quantities
+ */
+const QUANTITIES = {
+    R: { label: 'R', axis: 'R(r)', value: (R) => R, total: false },
+    R2: { label: 'R²', axis: 'R(r)²', value: (R) => R * R, total: true },
+    P: { label: 'r²R²', axis: 'r²R(r)²', value: (R, r) => r * r * R * R, total: true }
+};
+
+// Chart geometry (SVG units)
+const WIDTH = 260;
+const HEIGHT = 150;
+const AXIS_LEFT = 10;
+const AXIS_BOTTOM = 16;
+const PADDING = 8;
+const SAMPLES = 240;
+
+// Dash patterns telling apart subshells with the same l
+const DASHES = ['', '5 2', '2 2', '6 2 1 2', '1 3'];
+
+export class RadialDistributionPanel {
+    constructor(container, state, onHover) {
+        this.container = container;
+        this.state = state;
+        this.onHover = onHover;
+
+        this.quantity = 'P';
+        this.model = null;
+        this.subshells = [];
+        this.rMax = 1;
+        this.expanded = false;
+
+        // Subscribe to state changes
+        this.state.subscribe(this._onStateChange.bind(this));
+
+        this._update();
+    }
+
+    _update() {
+        const model = this.model = this.state.getRadialModel();
+        this.subshells = this.state.getScreening().map(({ n, l, electrons, zeff }) => ({
+            n,
+            l,
+            electrons,
+            zeff,
+            nodes: model.radialNodes(n, l, zeff),
+            peak: model.radialDensityPeak(n, l, zeff)
+        }));
+        this.rMax = Math.max(1, ...this.subshells.map(({ n, l, zeff }) => model.maxRadialExtent(n, l, zeff)));
+
+        this._render();
+        this._attachEventListeners();
+    }
+
+    /**
+     * Sampled curves of the selected quantity
+     * @returns {Object} {radii, curves: [Float64Array], total: Float64Array|null}
+     */
+    _curves() {
+        const { value, total } = QUANTITIES[this.quantity];
+        const radii = Array.from({ length: SAMPLES + 1 }, (_, i) => i * this.rMax / SAMPLES);
+
+        const curves = this.subshells.map(({ n, l, zeff }) =>
+            Float64Array.from(radii, r => value(this.model.radialWaveFunction(n, l, r, zeff), r)));
+
+        let sum = null;
+        if (total) {
+            sum = new Float64Array(radii.length);
+            curves.forEach((curve, k) => {
+                const { electrons } = this.subshells[k];
+                for (let i = 0; i < curve.length; i++) sum[i] += electrons * curve[i];
+            });
+        }
+
+        return { radii, curves, total: sum };
+    }
+
+    _renderAxes(x, y, yMin) {
+        const ticks = niceTicks(this.rMax).map(r => `
+          <line x1="${x(r)}" x2="${x(r)}" y1="${HEIGHT - AXIS_BOTTOM}" y2="${HEIGHT - AXIS_BOTTOM + 3}" class="radial-tick"></line>
+          <text x="${x(r)}" y="${HEIGHT - AXIS_BOTTOM + 11}" class="radial-tick-label">${r}</text>
+        `).join('');
+
+        return `
+          <line x1="${AXIS_LEFT}" x2="${AXIS_LEFT}" y1="${PADDING}" y2="${HEIGHT - AXIS_BOTTOM}" class="radial-axis"></line>
+          <line x1="${AXIS_LEFT}" x2="${WIDTH - PADDING}" y1="${y(Math.max(0, yMin))}" y2="${y(Math.max(0, yMin))}" class="radial-axis"></line>
+          ${ticks}
+        `;
+    }
+
+    _render() {
+        if (this.subshells.length === 0) {
+            this.container.innerHTML = `
+      <details class="dock-panel" ${this.expanded ? 'open' : ''}>
+        <summary class="controls-title">Radial Distribution</summary>
+        <div class="transition-hint">No electrons to plot</div>
+      </details>
+    `;
+            return;
+        }
+
+        const { radii, curves, total } = this._curves();
+        const quantity = QUANTITIES[this.quantity];
+
+        const all = total ? [...curves, total] : curves;
+        const yMax = Math.max(...all.map(curve => Math.max(...curve)));
+        const yMin = Math.min(0, ...all.map(curve => Math.min(...curve)));
+
+        const x = (r) => AXIS_LEFT + r / this.rMax * (WIDTH - AXIS_LEFT - PADDING);
+        const y = (v) => HEIGHT - AXIS_BOTTOM - (v - yMin) / (yMax - yMin || 1) * (HEIGHT - AXIS_BOTTOM - PADDING);
+        const path = (curve) => Array.from(curve, (v, i) => `${i ? 'L' : 'M'}${x(radii[i]).toFixed(1)},${y(v).toFixed(1)}`).join(' ');
+
+        // Index of each subshell among those with the same l, for its dash pattern
+        const dashIndex = this.subshells.map((shell, k) =>
+            this.subshells.slice(0, k).filter(other => other.l === shell.l).length);
+
+        const series = this.subshells.map((shell, k) => {
+            const { n, l, nodes, peak, zeff } = shell;
+            const color = getCSSColor(l);
+            const dash = DASHES[dashIndex[k] % DASHES.length];
+            const peakValue = quantity.value(this.model.radialWaveFunction(n, l, peak, zeff), peak);
+
+            return `
+              <g class="radial-curve" data-subshell="${k}">
+                <title>${n}${getOrbitalLetter(l)} (${this.model.solution ? 'self-consistent field' : `Z_eff = ${zeff.toFixed(2)}`})</title>
+                <path d="${path(curves[k])}" class="radial-hit"></path>
+                <path d="${path(curves[k])}" stroke="${color}" ${dash ? `stroke-dasharray="${dash}"` : ''} class="radial-line"></path>
+                ${peak <= this.rMax ? `
+                  <line x1="${x(peak)}" x2="${x(peak)}" y1="${y(Math.max(0, yMin))}" y2="${y(peakValue)}"
+                        stroke="${color}" class="radial-peak-line"></line>
+                  <circle cx="${x(peak)}" cy="${y(peakValue)}" r="2" fill="${color}" class="radial-peak"></circle>
+                ` : ''}
+                ${nodes.filter(r => r <= this.rMax).map(r => `
+                  <circle cx="${x(r)}" cy="${y(0)}" r="2.2" stroke="${color}" class="radial-node"></circle>
+                `).join('')}
+              </g>
+            `;
+        }).join('');
+
+        const totalPath = total
+            ? `<path d="${path(total)}" class="radial-total"><title>Electron-weighted total</title></path>`
+            : '';
+
+        this.container.innerHTML = `
+      <details class="dock-panel" ${this.expanded ? 'open' : ''}>
+        <summary class="controls-title">Radial Distribution</summary>
+
+        <div class="control-group">
+          <div class="toggle-group">
+            ${Object.entries(QUANTITIES).map(([key, { label }]) => `
+              <button class="toggle-btn ${key === this.quantity ? 'active' : ''}" data-quantity="${key}">${label}</button>
+            `).join('')}
+          </div>
+        </div>
+
+        <svg class="radial-chart" viewBox="0 0 ${WIDTH} ${HEIGHT}" role="img" aria-label="${quantity.axis} of the occupied subshells">
+          ${this._renderAxes(x, y, yMin)}
+          ${totalPath}
+          ${series}
+        </svg>
+        <div class="energy-axis-caption">
+          ${quantity.axis} vs r (a₀) · ○ node · ● most probable radius
+        </div>
+
+        <div class="radial-legend">
+          ${this.subshells.map(({ n, l, electrons, nodes, peak }, k) => `
+            <div class="radial-legend-item" data-subshell="${k}">
+              <span class="legend-color" style="background: ${getCSSColor(l)};"></span>
+              <span class="radial-legend-name">${n}${getOrbitalLetter(l)}<sup>${electrons}</sup></span>
+              <span class="radial-legend-detail">r<sub>mp</sub> ${peak.toFixed(2)} · ${nodes.length ? `nodes ${nodes.map(r => r.toFixed(2)).join(', ')}` : 'no nodes'}</span>
+            </div>
+          `).join('')}
+          ${total ? `
+            <div class="radial-legend-item total">
+              <span class="legend-color radial-total-swatch"></span>
+              <span class="radial-legend-name">Total</span>
+              <span class="radial-legend-detail">weighted by electrons</span>
+            </div>
+          ` : ''}
+        </div>
+      </details>
+    `;
+    }
+
+    _attachEventListeners() {
+        const details = this.container.querySelector('.dock-panel');
+        details.addEventListener('toggle', () => {
+            this.expanded = details.open;
+        });
+
+        // Plotted quantity
+        this.container.querySelectorAll('.toggle-btn[data-quantity]').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                this.quantity = e.target.dataset.quantity;
+                this._render();
+                this._attachEventListeners();
+            });
+        });
+
+        // Hovering a curve or its legend entry highlights the subshell
+        this.container.querySelectorAll('[data-subshell]').forEach(element => {
+            element.addEventListener('mouseenter', () => {
+                this._setHovered(parseInt(element.dataset.subshell, 10));
+            });
+            element.addEventListener('mouseleave', () => {
+                this._setHovered(null);
+            });
+        });
+    }
+
+    _setHovered(index) {
+        this.container.querySelectorAll('[data-subshell]').forEach(element => {
+            element.classList.toggle('hovered', parseInt(element.dataset.subshell, 10) === index);
+        });
+        this.container.querySelector('.radial-chart').classList.toggle('has-hover', index !== null);
+
+        if (this.onHover) {
+            const shell = index === null ? null : this.subshells[index];
+            this.onHover(shell ? { n: shell.n, l: shell.l } : null);
+        }
+    }
+
+    _onStateChange(state, changeType) {
+        if (changeType === 'visibility' || changeType === 'isotope') return;
+        this._update();
+    }
+}
+
+/**
+ * Round tick positions (1, 2 or 5 × 10^k apart) from 0 to max
+ */
+function niceTicks(max, count = 5) {
+    const raw = max / count;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(raw)));
+    const step = [1, 2, 5, 10].map(f => f * magnitude).find(s => s >= raw);
+    const ticks = [];
+    for (let t = 0; t <= max + 1e-9; t += step) {
+        ticks.push(Number(t.toPrecision(6)));
+    }
+    return ticks;
+}
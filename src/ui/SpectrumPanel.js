@@ -0,0 +1,363 @@
+/**
+ * Spectrum Panel
+ *
+ * Line spectrum of a one-electron atom (H, He⁺, Li²⁺) on a log
+ * wavelength strip, in emission (bright lines on black) or absorption
+ * (dark lines on the continuum). Clicking a line runs its transition
+ * in the 3D view.
+ */
+
+import {
+    SPECTRAL_SERIES,
+    HYDROGEN_LIKE_IONS,
+    VISIBLE_RANGE,
+    seriesLines,
+    seriesLimit,
+    lineOrbitals,
+    wavelengthToCSS
+} from '../physics/spectrum.js';
+import { getOrbitalLetter } from '../data/orbitalColors.js';
+
+const MODES = {
+    EMISSION: 'emission',
+    ABSORPTION: 'absorption'
+};
+
+// Strip geometry (SVG units)
+const WIDTH = 260;
+const HEIGHT = 92;
+const PADDING = 8;
+const STRIP_TOP = 22;
+const STRIP_HEIGHT = 36;
+const LABEL_SPACING = 13;
+
+// Selectable upper levels (n = 4 gives every series at least one line)
+const MIN_UPPER = 4;
+const MAX_UPPER = 10;
+
+// Wavelength ticks (nm)
+const TICKS = [10, 20, 50, 100, 200, 500, 1000, 2000, 5000];
+
+export class SpectrumPanel {
+    constructor(container, onSelect) {
+        this.container = container;
+        this.onSelect = onSelect;
+
+        this.settings = {
+            ion: 'H',
+            mode: MODES.EMISSION,
+            nMax: 6,
+            series: Object.keys(SPECTRAL_SERIES)
+        };
+        this.selected = null;
+        this.lines = [];
+        this.expanded = false;
+
+        this._update();
+    }
+
+    /**
+     * Drop the selected line (the 3D view shows something else)
+     */
+    clearSelection() {
+        if (!this.selected) return;
+        this.selected = null;
+        this._render();
+        this._attachEventListeners();
+    }
+
+    _update() {
+        const { ion, nMax, series } = this.settings;
+        this.lines = seriesLines(HYDROGEN_LIKE_IONS[ion].Z, nMax, series);
+        this._render();
+        this._attachEventListeners();
+    }
+
+    _selectedLine() {
+        if (!this.selected) return null;
+        return this.lines.find(line =>
+            line.series === this.selected.series && line.nUpper === this.selected.nUpper) || null;
+    }
+
+    /**
+     * Map a wavelength to x on a log scale spanning the shown series
+     */
+    _scale() {
+        const { ion, series } = this.settings;
+        const Z = HYDROGEN_LIKE_IONS[ion].Z;
+        const shortest = Math.min(...series.map(key => seriesLimit(Z, key)));
+        const longest = Math.max(...this.lines.map(line => line.wavelength), shortest * 1.5);
+        const min = Math.log10(shortest * 0.95);
+        const max = Math.log10(longest * 1.05);
+
+        return (wavelength) => PADDING + (Math.log10(wavelength) - min) / (max - min) * (WIDTH - 2 * PADDING);
+    }
+
+    /**
+     * Visible part of the continuum, clipped to the strip
+     */
+    _renderContinuum(x) {
+        const start = x(VISIBLE_RANGE.min);
+        const end = x(VISIBLE_RANGE.max);
+        const x1 = Math.max(PADDING, start);
+        const x2 = Math.min(WIDTH - PADDING, end);
+
+        const stops = [];
+        for (let wavelength = VISIBLE_RANGE.min; wavelength <= VISIBLE_RANGE.max; wavelength += 10) {
+            const offset = (x(wavelength) - start) / (end - start);
+            stops.push(`<stop offset="${offset.toFixed(3)}" stop-color="${wavelengthToCSS(wavelength)}"></stop>`);
+        }
+
+        return {
+            gradient: `
+              <linearGradient id="visible-continuum" gradientUnits="userSpaceOnUse" x1="${start}" x2="${end}" y1="0" y2="0">
+                ${stops.join('')}
+              </linearGradient>
+            `,
+            band: x2 > x1
+                ? `<rect x="${x1}" y="${STRIP_TOP}" width="${x2 - x1}" height="${STRIP_HEIGHT}"
+                         fill="url(#visible-continuum)" class="spectrum-continuum"></rect>`
+                : ''
+        };
+    }
+
+    _renderAxis(x) {
+        const y = STRIP_TOP + STRIP_HEIGHT;
+        return TICKS
+            .filter(tick => x(tick) >= PADDING && x(tick) <= WIDTH - PADDING)
+            .map(tick => `
+              <line x1="${x(tick)}" x2="${x(tick)}" y1="${y}" y2="${y + 3}" class="spectrum-tick"></line>
+              <text x="${x(tick)}" y="${y + 10}" class="spectrum-tick-label">${tick >= 1000 ? `${tick / 1000}μm` : tick}</text>
+            `).join('');
+    }
+
+    _renderSeriesNames(x) {
+        const Z = HYDROGEN_LIKE_IONS[this.settings.ion].Z;
+        return this.settings.series.map(key => {
+            const lines = this.lines.filter(line => line.series === key);
+            if (!lines.length) return '';
+            const limit = x(seriesLimit(Z, key));
+            const center = (limit + x(lines[lines.length - 1].wavelength)) / 2;
+            return `
+              <line x1="${limit}" x2="${limit}" y1="${STRIP_TOP}" y2="${STRIP_TOP + STRIP_HEIGHT}" class="spectrum-limit">
+                <title>${SPECTRAL_SERIES[key].name} limit: ${seriesLimit(Z, key).toFixed(1)} nm</title>
+              </line>
+              <text x="${center}" y="${HEIGHT - 2}" class="spectrum-series-name">${SPECTRAL_SERIES[key].name}</text>
+            `;
+        }).join('');
+    }
+
+    _renderLines(x) {
+        const absorption = this.settings.mode === MODES.ABSORPTION;
+        const selected = this._selectedLine();
+
+        // Label the strongest (lowest n) lines first, skipping crowded ones
+        const labelled = [];
+        const byStrength = [...this.lines].sort((a, b) => a.nUpper - b.nUpper);
+        for (const line of byStrength) {
+            const lx = x(line.wavelength);
+            if (labelled.every(other => Math.abs(x(other.wavelength) - lx) >= LABEL_SPACING)) {
+                labelled.push(line);
+            }
+        }
+
+        return this.lines.map((line, i) => {
+            const lx = x(line.wavelength);
+            const visible = line.region === 'Visible';
+            const color = absorption ? '#000' : visible ? wavelengthToCSS(line.wavelength) : null;
+            const isSelected = line === selected;
+
+            return `
+              <g class="spectrum-line ${visible ? '' : 'invisible'} ${isSelected ? 'selected' : ''}" data-line="${i}">
+                <title>${line.label}: ${line.nUpper} → ${line.nLower}, ${line.wavelength.toFixed(1)} nm (${line.region})</title>
+                <rect x="${lx - 3}" y="${STRIP_TOP - 10}" width="6" height="${STRIP_HEIGHT + 10}" class="spectrum-hit"></rect>
+                <line x1="${lx}" x2="${lx}" y1="${STRIP_TOP}" y2="${STRIP_TOP + STRIP_HEIGHT}"
+                      class="spectrum-line-mark" ${color ? `stroke="${color}"` : ''}></line>
+                ${labelled.includes(line) ? `<text x="${lx}" y="${STRIP_TOP - 4}" class="spectrum-label">${line.label}</text>` : ''}
+              </g>
+            `;
+        }).join('');
+    }
+
+    _renderInfo() {
+        const line = this._selectedLine();
+        if (!line) {
+            return '<div class="transition-hint">Click a line to run its transition</div>';
+        }
+
+        const absorption = this.settings.mode === MODES.ABSORPTION;
+        const { from, to } = lineOrbitals(line, absorption);
+        const name = ({ n, l }) => `${n}${getOrbitalLetter(l)}`;
+
+        return `
+          <div class="transition-info">
+            <div>${line.label} · ${name(from)} → ${name(to)} (${absorption ? 'absorption' : 'emission'})</div>
+            <div>λ = <span class="control-value">${line.wavelength.toFixed(1)} nm</span> · ${line.region}</div>
+            <div>E = <span class="control-value">${line.energy.toFixed(3)} eV</span></div>
+          </div>
+        `;
+    }
+
+    _render() {
+        const { ion, mode, nMax, series } = this.settings;
+        const absorption = mode === MODES.ABSORPTION;
+        const x = this._scale();
+        const continuum = this._renderContinuum(x);
+
+        this.container.innerHTML = `
+      <details class="dock-panel" ${this.expanded ? 'open' : ''}>
+        <summary class="controls-title">Spectrum</summary>
+
+        <div class="control-group">
+          <div class="toggle-group">
+            ${Object.entries(HYDROGEN_LIKE_IONS).map(([symbol, { label }]) => `
+              <button class="toggle-btn ${symbol === ion ? 'active' : ''}" data-ion="${symbol}">${label}</button>
+            `).join('')}
+          </div>
+        </div>
+
+        <div class="control-group">
+          <div class="toggle-group">
+            <button class="toggle-btn ${!absorption ? 'active' : ''}" data-spectrum-mode="${MODES.EMISSION}">Emission</button>
+            <button class="toggle-btn ${absorption ? 'active' : ''}" data-spectrum-mode="${MODES.ABSORPTION}">Absorption</button>
+          </div>
+        </div>
+
+        <div class="control-group">
+          <div class="toggle-group">
+            ${Object.entries(SPECTRAL_SERIES).map(([key, { name }]) => `
+              <button class="toggle-btn ${series.includes(key) ? 'active' : ''}" data-series="${key}">${name}</button>
+            `).join('')}
+          </div>
+        </div>
+
+        <div class="control-group">
+          <label class="control-label">
+            Upper Levels
+            <span class="control-value">n ≤ ${nMax}</span>
+          </label>
+          <input type="range" class="control-slider" id="spectrum-nmax"
+                 min="${MIN_UPPER}" max="${MAX_UPPER}" step="1" value="${nMax}">
+        </div>
+
+        <svg class="spectrum-strip ${absorption ? 'absorption' : 'emission'}" viewBox="0 0 ${WIDTH} ${HEIGHT}"
+             role="img" aria-label="${HYDROGEN_LIKE_IONS[ion].label} line spectrum">
+          <defs>${continuum.gradient}</defs>
+          <rect x="${PADDING}" y="${STRIP_TOP}" width="${WIDTH - 2 * PADDING}" height="${STRIP_HEIGHT}" class="spectrum-background"></rect>
+          ${continuum.band}
+          ${this._renderSeriesNames(x)}
+          ${this._renderLines(x)}
+          ${this._renderAxis(x)}
+        </svg>
+        <div class="energy-axis-caption">Wavelength (nm, log scale)</div>
+
+        ${this._renderInfo()}
+      </details>
+    `;
+    }
+
+    _attachEventListeners() {
+        const details = this.container.querySelector('.dock-panel');
+        details.addEventListener('toggle', () => {
+            this.expanded = details.open;
+        });
+
+        // Ion: lines of another ion are a different transition
+        this.container.querySelectorAll('.toggle-btn[data-ion]').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                if (e.target.dataset.ion === this.settings.ion) return;
+                this.settings.ion = e.target.dataset.ion;
+                this._deselect();
+            });
+        });
+
+        // Emission / absorption reverses the running transition
+        this.container.querySelectorAll('.toggle-btn[data-spectrum-mode]').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                if (e.target.dataset.spectrumMode === this.settings.mode) return;
+                this.settings.mode = e.target.dataset.spectrumMode;
+                this._update();
+                const line = this._selectedLine();
+                if (line) this._notify(line);
+            });
+        });
+
+        // Series (at least one stays shown)
+        this.container.querySelectorAll('.toggle-btn[data-series]').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const key = e.target.dataset.series;
+                const { series } = this.settings;
+                if (series.includes(key)) {
+                    if (series.length === 1) return;
+                    this.settings.series = series.filter(other => other !== key);
+                } else {
+                    this.settings.series = Object.keys(SPECTRAL_SERIES).filter(other => other === key || series.includes(other));
+                }
+                this._refreshLines();
+            });
+        });
+
+        // Upper level range (applied on release to avoid re-rendering mid-drag)
+        const nMaxSlider = this.container.querySelector('#spectrum-nmax');
+        if (nMaxSlider) {
+            nMaxSlider.addEventListener('input', (e) => {
+                const display = e.target.parentElement.querySelector('.control-value');
+                if (display) display.textContent = `n ≤ ${e.target.value}`;
+            });
+            nMaxSlider.addEventListener('change', (e) => {
+                this.settings.nMax = parseInt(e.target.value, 10);
+                this._refreshLines();
+            });
+        }
+
+        // Line selection; clicking the selected line again deselects it
+        this.container.querySelectorAll('.spectrum-line').forEach(group => {
+            group.addEventListener('click', () => {
+                const line = this.lines[parseInt(group.dataset.line, 10)];
+                if (line === this._selectedLine()) {
+                    this._deselect();
+                    return;
+                }
+                this.selected = { series: line.series, nUpper: line.nUpper };
+                this._render();
+                this._attachEventListeners();
+                this._notify(line);
+            });
+        });
+    }
+
+    /**
+     * Recompute the lines, dropping the selection if its line went away
+     */
+    _refreshLines() {
+        const hadSelection = this._selectedLine() !== null;
+        this._update();
+        if (hadSelection && !this._selectedLine()) {
+            this._deselect();
+        }
+    }
+
+    _deselect() {
+        const hadSelection = this.selected !== null;
+        this.selected = null;
+        this._update();
+        if (hadSelection && this.onSelect) {
+            this.onSelect(null);
+        }
+    }
+
+    _notify(line) {
+        if (!this.onSelect) return;
+        const { ion, mode } = this.settings;
+        this.onSelect({
+            ...line,
+            symbol: ion,
+            Z: HYDROGEN_LIKE_IONS[ion].Z,
+            absorption: mode === MODES.ABSORPTION
+        });
+    }
+
+    getSettings() {
+        return { ...this.settings };
+    }
+}
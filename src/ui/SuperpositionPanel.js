@@ -0,0 +1,167 @@
+/**
+ * Superposition Panel
+ *
+ * UI component for time-dependent superposition states:
+ * - Preset two-state superpositions (e.g. (1s + 2p_z)/√2)
+ * - Time-scale control (Bohr periods per few seconds, or paused)
+ * - Bohr period readout
+ */
+
+import {
+    SUPERPOSITION_PRESETS,
+    ATOMIC_TIME_FS,
+    createSuperposition,
+    bohrPeriod
+} from '../physics/superposition.js';
+import { BASES } from '../physics/sphericalHarmonics.js';
+
+// Wall-clock seconds for one Bohr period at 1× speed
+const SECONDS_PER_PERIOD = 2;
+
+export class SuperpositionPanel {
+    constructor(container, onChange) {
+        this.container = container;
+        this.onChange = onChange;
+
+        this.settings = {
+            enabled: false,
+            preset: '1s+2pz',
+            speed: 1.0
+        };
+        this.Z = 1;
+        this.expanded = false;
+
+        this._render();
+        this._attachEventListeners();
+    }
+
+    /**
+     * Superposition state for the current settings
+     * @param {number} Z - Nuclear charge
+     * @param {string} basis - Angular basis of the components
+     */
+    buildState(Z = this.Z, basis = BASES.REAL) {
+        return createSuperposition(SUPERPOSITION_PRESETS[this.settings.preset].components, Z, basis);
+    }
+
+    /**
+     * Evolution speed in atomic time units per second
+     * @param {number} Z - Nuclear charge
+     * @param {Object} state - State to time (defaults to the selected preset)
+     */
+    getTimeScale(Z = this.Z, state = this.buildState(Z)) {
+        const period = bohrPeriod(state);
+        if (!isFinite(period)) return 0;
+        return this.settings.speed * period / SECONDS_PER_PERIOD;
+    }
+
+    /**
+     * Update the nuclear charge used for the period readout
+     */
+    setNuclearCharge(Z) {
+        if (Z === this.Z) return;
+        this.Z = Z;
+        this._render();
+        this._attachEventListeners();
+    }
+
+    setEnabled(enabled) {
+        if (enabled === this.settings.enabled) return;
+        this.settings.enabled = enabled;
+        this._render();
+        this._attachEventListeners();
+    }
+
+    _render() {
+        const { enabled, preset, speed } = this.settings;
+        const period = bohrPeriod(this.buildState());
+        const periodLabel = isFinite(period)
+            ? `${(period * ATOMIC_TIME_FS).toFixed(2)} fs`
+            : 'stationary';
+
+        this.container.innerHTML = `
+      <details class="dock-panel" ${this.expanded ? 'open' : ''}>
+        <summary class="controls-title">Superposition</summary>
+
+        <div class="control-group">
+          <div class="toggle-group">
+            <button class="toggle-btn ${!enabled ? 'active' : ''}" data-superposition-enabled="false">Atom</button>
+            <button class="toggle-btn ${enabled ? 'active' : ''}" data-superposition-enabled="true">Superposition</button>
+          </div>
+        </div>
+
+        <div class="control-group">
+          <label class="control-label">
+            State (Z = ${this.Z})
+            <span class="control-value">T = ${periodLabel}</span>
+          </label>
+          <div class="toggle-group toggle-group-wrap">
+            ${Object.entries(SUPERPOSITION_PRESETS).map(([key, { label }]) => `
+              <button class="toggle-btn ${key === preset ? 'active' : ''}" data-superposition="${key}">${label}</button>
+            `).join('')}
+          </div>
+        </div>
+
+        <div class="control-group">
+          <label class="control-label">
+            Time Scale
+            <span class="control-value">${speed === 0 ? 'Paused' : `${speed.toFixed(2)}×`}</span>
+          </label>
+          <input type="range" class="control-slider" id="superposition-speed"
+                 min="0" max="3" step="0.05" value="${speed}">
+        </div>
+      </details>
+    `;
+    }
+
+    _attachEventListeners() {
+        const details = this.container.querySelector('.dock-panel');
+        details.addEventListener('toggle', () => {
+            this.expanded = details.open;
+        });
+
+        // Atom / superposition scene toggle
+        this.container.querySelectorAll('.toggle-btn[data-superposition-enabled]').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                this.settings.enabled = e.target.dataset.superpositionEnabled === 'true';
+                this._update();
+            });
+        });
+
+        // Presets
+        this.container.querySelectorAll('.toggle-btn[data-superposition]').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                this.settings.preset = e.currentTarget.dataset.superposition;
+                this._update();
+            });
+        });
+
+        // Time scale slider
+        const speedSlider = this.container.querySelector('#superposition-speed');
+        if (speedSlider) {
+            speedSlider.addEventListener('input', (e) => {
+                this.settings.speed = parseFloat(e.target.value);
+                const display = e.target.parentElement.querySelector('.control-value');
+                if (display) {
+                    display.textContent = this.settings.speed === 0 ? 'Paused' : `${this.settings.speed.toFixed(2)}×`;
+                }
+                if (this.onChange) {
+                    this.onChange({ ...this.settings }, 'speed');
+                }
+            });
+        }
+    }
+
+    _update() {
+        this._render();
+        this._attachEventListeners();
+
+        if (this.onChange) {
+            this.onChange({ ...this.settings }, 'state');
+        }
+    }
+
+    getSettings() {
+        return { ...this.settings };
+    }
+}
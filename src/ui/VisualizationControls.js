@@ -5,13 +5,29 @@
  * - Sphere size
  * - Opacity
  * - Cloud density
+ * - Isosurface enclosed probability
  * - View mode toggle
+ * - Color mode (orbital type / wave function phase / electron spin)
+ * - Angular basis (real / complex spherical harmonics)
+ * - Screening model (Slater / Clementi–Raimondi)
+ * - Radial model (hydrogen-like / self-consistent field)
+ * - Quality preset (point budget) and whether it adapts to the frame rate
+ * - Size of the sampled point cache, with a button to clear it
+ * - Random seed of the points and the nucleus, with a button for a new one
  */
 
+import { SCREENING_METHODS } from '../physics/screening.js';
+import { RADIAL_MODELS } from '../physics/selfConsistentField.js';
+import { COLOR_MODES } from '../data/orbitalColors.js';
+import { QUALITY_PRESETS } from '../rendering/QualityManager.js';
+import { BASES } from '../physics/sphericalHarmonics.js';
+import { DEFAULT_SEED, randomSeed, isValidSeed } from '../physics/random.js';
+
 export class VisualizationControls {
-    constructor(container, onSettingsChange) {
+    constructor(container, onSettingsChange, onClearCache = null) {
         this.container = container;
         this.onSettingsChange = onSettingsChange;
+        this.onClearCache = onClearCache;
 
         // Default settings
         this.settings = {
@@ -20,14 +36,49 @@ export class VisualizationControls {
             cloudDensity: 1.0,
             showSpheres: true,
             showCloud: false,
-            nucleonSize: 1.0
+            showSurface: false,
+            surfaceLevel: 0.9,
+            colorMode: COLOR_MODES.ORBITAL,
+            basis: BASES.REAL,
+            nucleonSize: 1.0,
+            screeningMethod: SCREENING_METHODS.SLATER,
+            radialModel: RADIAL_MODELS.HYDROGENIC,
+            quality: QUALITY_PRESETS.MEDIUM,
+            adaptiveQuality: true,
+            seed: DEFAULT_SEED
         };
 
+        // Current budget {spheres, cloud}, shown next to the presets
+        this.pointBudget = null;
+
+        // Point cache size {memoryBytes, diskBytes}
+        this.cacheUsage = null;
+
         this._render();
         this._attachEventListeners();
     }
 
+    _formatBudget() {
+        if (!this.pointBudget) return '';
+        const format = (count) => count >= 1000 ? `${(count / 1000).toFixed(count >= 10000 ? 0 : 1)}k` : `${count}`;
+        return `${format(this.pointBudget.spheres)} / ${format(this.pointBudget.cloud)}`;
+    }
+
+    _formatCacheUsage() {
+        if (!this.cacheUsage) return '';
+        const megabytes = (bytes) => `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+        return `${megabytes(this.cacheUsage.memoryBytes)} / ${megabytes(this.cacheUsage.diskBytes)}`;
+    }
+
     _render() {
+        const complex = this.settings.basis === BASES.COMPLEX;
+        const presets = [
+            [QUALITY_PRESETS.LOW, 'Low'],
+            [QUALITY_PRESETS.MEDIUM, 'Medium'],
+            [QUALITY_PRESETS.HIGH, 'High'],
+            [QUALITY_PRESETS.ULTRA, 'Ultra']
+        ];
+
         this.container.innerHTML = `
       <div class="controls-title">Visualization</div>
       
@@ -37,9 +88,55 @@ export class VisualizationControls {
           <button class="toggle-btn ${this.settings.showSpheres && !this.settings.showCloud ? 'active' : ''}" data-mode="spheres">Spheres</button>
           <button class="toggle-btn ${this.settings.showCloud && !this.settings.showSpheres ? 'active' : ''}" data-mode="cloud">Cloud</button>
           <button class="toggle-btn ${this.settings.showSpheres && this.settings.showCloud ? 'active' : ''}" data-mode="both">Both</button>
+          <button class="toggle-btn ${this.settings.showSurface ? 'active' : ''}" data-mode="surface">Surface</button>
+        </div>
+      </div>
+      
+      <div class="control-group">
+        <label class="control-label">Basis</label>
+        <div class="toggle-group">
+          <button class="toggle-btn ${!complex ? 'active' : ''}" data-basis="${BASES.REAL}" title="Real orbitals (px, dxz, ...)">Real</button>
+          <button class="toggle-btn ${complex ? 'active' : ''}" data-basis="${BASES.COMPLEX}" title="Complex L_z eigenstates (m = -l ... +l)">Complex</button>
+        </div>
+      </div>
+      
+      <div class="control-group">
+        <label class="control-label">Coloring</label>
+        <div class="toggle-group">
+          <button class="toggle-btn ${this.settings.colorMode === COLOR_MODES.ORBITAL ? 'active' : ''}" data-color="${COLOR_MODES.ORBITAL}">Orbital</button>
+          <button class="toggle-btn ${this.settings.colorMode === COLOR_MODES.PHASE ? 'active' : ''}" data-color="${COLOR_MODES.PHASE}"
+                  title="${complex ? 'Color by arg(Ψ) on a hue wheel' : 'Color by the sign of Ψ'}">${complex ? 'Phase arg' : 'Phase ±'}</button>
+          <button class="toggle-btn ${this.settings.colorMode === COLOR_MODES.SPIN ? 'active' : ''}" data-color="${COLOR_MODES.SPIN}"
+                  title="Color by electron spin, with ↑/↓ arrows on the spheres">Spin</button>
+        </div>
+      </div>
+      
+      <div class="control-group">
+        <label class="control-label">
+          Quality
+          <span class="control-value quality-budget" title="Spheres / cloud points">${this._formatBudget()}</span>
+        </label>
+        <div class="toggle-group">
+          ${presets.map(([preset, label]) => `
+          <button class="toggle-btn ${this.settings.quality === preset ? 'active' : ''}" data-quality="${preset}">${label}</button>
+          `).join('')}
+        </div>
+        <div class="toggle-group">
+          <button class="toggle-btn ${!this.settings.adaptiveQuality ? 'active' : ''}" data-adaptive="false" title="Always use the preset's budget">Fixed</button>
+          <button class="toggle-btn ${this.settings.adaptiveQuality ? 'active' : ''}" data-adaptive="true" title="Lower the budget when frames are slow, raise it when there is headroom">Adaptive</button>
         </div>
       </div>
       
+      <div class="control-group">
+        <label class="control-label">
+          Enclosed Probability
+          <span class="control-value">${(this.settings.surfaceLevel * 100).toFixed(0)}%</span>
+        </label>
+        <input type="range" class="control-slider" id="surface-level" 
+               min="0.5" max="0.99" step="0.01" value="${this.settings.surfaceLevel}"
+               ${this.settings.showSurface ? '' : 'disabled'}>
+      </div>
+      
       <div class="control-group">
         <label class="control-label">
           Electron Size
@@ -67,6 +164,38 @@ export class VisualizationControls {
                min="0.2" max="2" step="0.1" value="${this.settings.cloudDensity}">
       </div>
       
+      <div class="control-group">
+        <label class="control-label">Screening (Z<sub>eff</sub>)</label>
+        <div class="toggle-group">
+          <button class="toggle-btn ${this.settings.screeningMethod === SCREENING_METHODS.SLATER ? 'active' : ''}" data-screening="${SCREENING_METHODS.SLATER}">Slater</button>
+          <button class="toggle-btn ${this.settings.screeningMethod === SCREENING_METHODS.CLEMENTI ? 'active' : ''}" data-screening="${SCREENING_METHODS.CLEMENTI}">Clementi</button>
+        </div>
+      </div>
+      
+      <div class="control-group">
+        <label class="control-label">Radial Model</label>
+        <div class="toggle-group">
+          <button class="toggle-btn ${this.settings.radialModel === RADIAL_MODELS.HYDROGENIC ? 'active' : ''}" data-radial-model="${RADIAL_MODELS.HYDROGENIC}">Hydrogenic</button>
+          <button class="toggle-btn ${this.settings.radialModel === RADIAL_MODELS.SELF_CONSISTENT ? 'active' : ''}" data-radial-model="${RADIAL_MODELS.SELF_CONSISTENT}">Self-consistent</button>
+        </div>
+      </div>
+      
+      <div class="control-group">
+        <label class="control-label">
+          Point Cache
+          <span class="control-value cache-usage" title="In memory / stored in the browser">${this._formatCacheUsage()}</span>
+        </label>
+        <button class="toggle-btn cache-clear" title="Forget every sampled point set">Clear cache</button>
+      </div>
+      
+      <div class="control-group">
+        <label class="control-label">
+          Random Seed
+          <input type="number" class="seed-input" min="0" max="4294967295" step="1" value="${this.settings.seed}">
+        </label>
+        <button class="toggle-btn seed-new" title="Scatter the points and nucleons differently">New seed</button>
+      </div>
+      
       <div class="control-group">
         <label class="control-label">
           Nucleon Size
@@ -80,17 +209,104 @@ export class VisualizationControls {
 
     _attachEventListeners() {
         // View mode toggles
-        this.container.querySelectorAll('.toggle-btn').forEach(btn => {
+        this.container.querySelectorAll('.toggle-btn[data-mode]').forEach(btn => {
             btn.addEventListener('click', (e) => {
                 const mode = e.target.dataset.mode;
                 this.settings.showSpheres = mode === 'spheres' || mode === 'both';
                 this.settings.showCloud = mode === 'cloud' || mode === 'both';
+                this.settings.showSurface = mode === 'surface';
                 this._render();
                 this._attachEventListeners();
                 this._emitChange();
             });
         });
 
+        // Color mode toggles
+        this.container.querySelectorAll('.toggle-btn[data-color]').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                this.settings.colorMode = e.target.dataset.color;
+                this._render();
+                this._attachEventListeners();
+                this._emitChange();
+            });
+        });
+
+        // Basis toggles (complex orbitals are shown with their phase winding)
+        this.container.querySelectorAll('.toggle-btn[data-basis]').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                this.settings.basis = e.target.dataset.basis;
+                if (this.settings.basis === BASES.COMPLEX) {
+                    this.settings.colorMode = COLOR_MODES.PHASE;
+                }
+                this._render();
+                this._attachEventListeners();
+                this._emitChange();
+            });
+        });
+
+        // Quality presets and adaptive budget
+        this.container.querySelectorAll('.toggle-btn[data-quality]').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                this.settings.quality = e.target.dataset.quality;
+                this._render();
+                this._attachEventListeners();
+                this._emitChange();
+            });
+        });
+
+        this.container.querySelectorAll('.toggle-btn[data-adaptive]').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                this.settings.adaptiveQuality = e.target.dataset.adaptive === 'true';
+                this._render();
+                this._attachEventListeners();
+                this._emitChange();
+            });
+        });
+
+        // Screening model toggles
+        this.container.querySelectorAll('.toggle-btn[data-screening]').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                this.settings.screeningMethod = e.target.dataset.screening;
+                this._render();
+                this._attachEventListeners();
+                this._emitChange();
+            });
+        });
+
+        // Radial model toggles
+        this.container.querySelectorAll('.toggle-btn[data-radial-model]').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                this.settings.radialModel = e.target.dataset.radialModel;
+                this._render();
+                this._attachEventListeners();
+                this._emitChange();
+            });
+        });
+
+        // Clear the point cache
+        this.container.querySelector('.cache-clear').addEventListener('click', () => {
+            if (this.onClearCache) this.onClearCache();
+        });
+
+        // Random seed; the same seed always gives the same scene
+        const seedInput = this.container.querySelector('.seed-input');
+        seedInput.addEventListener('change', (e) => {
+            const seed = Number(e.target.value);
+            if (!isValidSeed(seed)) {
+                console.warn('Seed must be an integer between 0 and 4294967295');
+                e.target.value = this.settings.seed;
+                return;
+            }
+            this.settings.seed = seed;
+            this._emitChange();
+        });
+
+        this.container.querySelector('.seed-new').addEventListener('click', () => {
+            this.settings.seed = randomSeed();
+            seedInput.value = this.settings.seed;
+            this._emitChange();
+        });
+
         // Sphere size slider
         const sphereSizeSlider = this.container.querySelector('#sphere-size');
         if (sphereSizeSlider) {
@@ -121,6 +337,19 @@ export class VisualizationControls {
             });
         }
 
+        // Isosurface enclosed probability slider (applied on release,
+        // since every step re-runs marching cubes)
+        const surfaceSlider = this.container.querySelector('#surface-level');
+        if (surfaceSlider) {
+            surfaceSlider.addEventListener('input', (e) => {
+                this._updateValueDisplay(e.target, parseFloat(e.target.value));
+            });
+            surfaceSlider.addEventListener('change', (e) => {
+                this.settings.surfaceLevel = parseFloat(e.target.value);
+                this._emitChange();
+            });
+        }
+
         // Nucleon size slider
         const nucleonSlider = this.container.querySelector('#nucleon-size');
         if (nucleonSlider) {
@@ -145,6 +374,26 @@ export class VisualizationControls {
         }
     }
 
+    /**
+     * Show the budget in use, which adaptive quality changes by itself
+     * @param {Object} budget - {spheres, cloud}
+     */
+    setPointBudget(budget) {
+        this.pointBudget = budget;
+        const label = this.container.querySelector('.quality-budget');
+        if (label) label.textContent = this._formatBudget();
+    }
+
+    /**
+     * Show the size of the point cache
+     * @param {Object} usage - {memoryBytes, diskBytes}
+     */
+    setCacheUsage(usage) {
+        this.cacheUsage = usage;
+        const label = this.container.querySelector('.cache-usage');
+        if (label) label.textContent = this._formatCacheUsage();
+    }
+
     getSettings() {
         return { ...this.settings };
     }
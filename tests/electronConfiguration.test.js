@@ -0,0 +1,76 @@
+import { describe, it, expect } from './simple-test-runner.js';
+import {
+    formatConfiguration,
+    getGroundStateSubshells,
+    getGroundStateConfiguration,
+    generateElectronConfiguration,
+    subshellSpins
+} from '../src/data/elements.js';
+
+const format = (Z, charge = 0) => formatConfiguration(getGroundStateSubshells(Z, charge));
+
+describe('getGroundStateSubshells', () => {
+    it('should follow the Aufbau order for regular atoms', () => {
+        expect(format(26)).toBe('1s² 2s² 2p⁶ 3s² 3p⁶ 4s² 3d⁶');
+        expect(formatConfiguration(getGroundStateConfiguration(17)))
+            .toBe(formatConfiguration(generateElectronConfiguration(17)));
+    });
+
+    it('should apply the known ground-state anomalies', () => {
+        expect(format(24)).toBe('1s² 2s² 2p⁶ 3s² 3p⁶ 4s¹ 3d⁵');
+        expect(format(29)).toBe('1s² 2s² 2p⁶ 3s² 3p⁶ 4s¹ 3d¹⁰');
+        expect(format(46)).toBe('1s² 2s² 2p⁶ 3s² 3p⁶ 4s² 3d¹⁰ 4p⁶ 4d¹⁰');
+        expect(format(79).endsWith('6s¹ 4f¹⁴ 5d¹⁰')).toBe(true);
+        expect(format(64).endsWith('5p⁶ 6s² 4f⁷ 5d¹')).toBe(true);
+        expect(format(92).endsWith('7s² 5f³ 6d¹')).toBe(true);
+    });
+
+    it('should keep the electron count of every neutral atom', () => {
+        for (let Z = 1; Z <= 118; Z++) {
+            const total = getGroundStateSubshells(Z).reduce((sum, { electrons }) => sum + electrons, 0);
+            expect(total).toBe(Z);
+        }
+    });
+
+    it('should remove ns electrons before (n-1)d when forming cations', () => {
+        expect(format(26, 2)).toBe('1s² 2s² 2p⁶ 3s² 3p⁶ 3d⁶');
+        expect(format(26, 3)).toBe('1s² 2s² 2p⁶ 3s² 3p⁶ 3d⁵');
+        expect(format(29, 1)).toBe('1s² 2s² 2p⁶ 3s² 3p⁶ 3d¹⁰');
+        expect(format(50, 2).endsWith('4d¹⁰')).toBe(true);
+    });
+
+    it('should empty a partly filled f subshell before the filled core', () => {
+        const xenon = format(54);
+        expect(format(63, 3)).toBe(`${xenon} 4f⁶`);
+        expect(format(58, 4)).toBe(xenon);
+        expect(format(92, 4)).toBe(`${format(86)} 5f²`);
+    });
+
+    it('should add electrons in Aufbau order when forming anions', () => {
+        expect(format(17, -1)).toBe('1s² 2s² 2p⁶ 3s² 3p⁶');
+        expect(format(29, -1)).toBe('1s² 2s² 2p⁶ 3s² 3p⁶ 4s² 3d¹⁰');
+    });
+
+    it('should return no subshells for a fully stripped nucleus', () => {
+        expect(getGroundStateSubshells(8, 8).length).toBe(0);
+    });
+});
+
+describe('subshellSpins', () => {
+    it('should place one spin-up electron in every orbital before pairing', () => {
+        const spins = subshellSpins(1, 4);
+        expect(spins.map(({ m }) => m).join(',')).toBe('1,0,-1');
+        expect(spins.map(({ spinUp }) => spinUp).join(',')).toBe('1,1,1');
+        expect(spins.map(({ spinDown }) => spinDown).join(',')).toBe('1,0,0');
+    });
+
+    it('should carry the spins into the orbital configuration', () => {
+        // Carbon 2p²: two orbitals with one spin-up electron each
+        const p = getGroundStateConfiguration(6).filter(({ l }) => l === 1);
+        expect(p.length).toBe(2);
+        expect(p.every(({ electrons, spinUp, spinDown }) => electrons === 1 && spinUp === 1 && spinDown === 0)).toBe(true);
+
+        const total = getGroundStateConfiguration(26).reduce((sum, { spinUp, spinDown }) => sum + spinUp + spinDown, 0);
+        expect(total).toBe(26);
+    });
+});
@@ -0,0 +1,66 @@
+import { describe, it, expect } from './simple-test-runner.js';
+import {
+    subshellEnergy,
+    computeEnergyLevels,
+    transitionBetween,
+    hundOccupancy
+} from '../src/physics/energyLevels.js';
+
+describe('subshellEnergy', () => {
+    it('should give -13.6 eV for the hydrogen ground state', () => {
+        expect(subshellEnergy(1, 1)).toBeCloseTo(-13.6057, 3);
+    });
+
+    it('should scale with Z² for one-electron ions', () => {
+        expect(subshellEnergy(1, 2)).toBeCloseTo(4 * subshellEnergy(1, 1), 10);
+    });
+});
+
+describe('computeEnergyLevels', () => {
+    it('should give degenerate hydrogen levels for every l', () => {
+        const levels = computeEnergyLevels([{ n: 1, l: 0, electrons: 1, zeff: 1 }], 1);
+        const n3 = levels.filter(level => level.n === 3);
+        expect(n3.length).toBe(3);
+        expect(n3[0].energy).toBeCloseTo(n3[2].energy, 10);
+    });
+
+    it('should add empty levels above the occupied ones', () => {
+        const screening = [
+            { n: 1, l: 0, electrons: 2, zeff: 10.7 },
+            { n: 2, l: 0, electrons: 2, zeff: 6.85 },
+            { n: 2, l: 1, electrons: 6, zeff: 6.85 },
+            { n: 3, l: 0, electrons: 1, zeff: 2.2 }
+        ];
+        const levels = computeEnergyLevels(screening, 11);
+        const empty = levels.filter(level => level.electrons === 0);
+        expect(empty.length).toBe(4);
+        expect(empty.every(level => level.energy > levels[0].energy)).toBe(true);
+    });
+});
+
+describe('transitionBetween', () => {
+    it('should reproduce the Balmer-α line of hydrogen', () => {
+        const transition = transitionBetween(
+            { n: 3, l: 2, energy: subshellEnergy(3, 1) },
+            { n: 2, l: 1, energy: subshellEnergy(2, 1) }
+        );
+        expect(Math.abs(transition.wavelength - 656.1) < 0.5).toBe(true);
+        expect(transition.type).toBe('emission');
+        expect(transition.region).toBe('Visible');
+        expect(transition.allowed).toBe(true);
+    });
+
+    it('should forbid Δl = 0 and Δl = 2', () => {
+        const s1 = { n: 1, l: 0, energy: -13.6 };
+        expect(transitionBetween(s1, { n: 2, l: 0, energy: -3.4 }).allowed).toBe(false);
+        expect(transitionBetween(s1, { n: 3, l: 2, energy: -1.5 }).allowed).toBe(false);
+    });
+});
+
+describe('hundOccupancy', () => {
+    it('should fill orbitals singly before pairing', () => {
+        expect(hundOccupancy(1, 3).join(',')).toBe('1,1,1');
+        expect(hundOccupancy(1, 4).join(',')).toBe('2,1,1');
+        expect(hundOccupancy(2, 6).join(',')).toBe('2,1,1,1,1');
+    });
+});
@@ -0,0 +1,89 @@
+import { describe, it, expect } from './simple-test-runner.js';
+import {
+    fieldSplitting,
+    fieldVector,
+    linearZeemanShift,
+    linearStarkShift,
+    fieldStateDensity
+} from '../src/physics/externalFields.js';
+
+const shifts = (splitting) => splitting.states.map(({ shift }) => shift);
+
+describe('fieldSplitting', () => {
+    it('should leave the level degenerate without fields', () => {
+        for (const shift of shifts(fieldSplitting(3))) {
+            expect(shift).toBeCloseTo(0, 12);
+        }
+    });
+
+    it('should split by m in a tilted magnetic field', () => {
+        const B = 5;
+        const splitting = fieldSplitting(2, 1, { B: fieldVector(B, 1.1, 0.4) });
+        const expected = [-1, 0, 0, 1].map(m => linearZeemanShift(m, B));
+        shifts(splitting).forEach((shift, i) => expect(shift).toBeCloseTo(expected[i], 10));
+        expect(splitting.states[0].mB).toBeCloseTo(-1, 6);
+        expect(splitting.states[3].mB).toBeCloseTo(1, 6);
+    });
+
+    it('should give the linear Stark shifts of the parabolic states', () => {
+        // n = 3: k = n₁ - n₂ runs over -2..2, with m = ±1 for k = ±1 and
+        // three states at k = 0
+        const F = 100;
+        const Z = 2;
+        const splitting = fieldSplitting(3, Z, { F: fieldVector(F, 0.7, 2.1) });
+        const expected = [-2, -1, -1, 0, 0, 0, 1, 1, 2].map(k => linearStarkShift(3, k, F, Z));
+        shifts(splitting).forEach((shift, i) => expect(shift).toBeCloseTo(expected[i], 10));
+    });
+
+    it('should mix 2s and 2p₀ into states with a permanent dipole', () => {
+        const splitting = fieldSplitting(2, 1, { F: fieldVector(1000) });
+        const [lower, , , upper] = splitting.states;
+        expect(Math.abs(lower.dipole)).toBeCloseTo(3, 6);
+        expect(lower.dipole + upper.dipole).toBeCloseTo(0, 6);
+        expect(lower.components.length).toBe(2);
+    });
+
+    it('should return normalized eigenstates', () => {
+        const { states } = fieldSplitting(3, 1, { B: fieldVector(4, 0.5, 1), F: fieldVector(20, 2, 0.3) });
+        for (const { components } of states) {
+            const norm = components.reduce((sum, { re, im }) => sum + re * re + im * im, 0);
+            expect(norm).toBeCloseTo(1, 8);
+        }
+
+        // Distinct eigenstates are orthogonal: ⟨a|b⟩ = Σ conj(a)·b
+        const [a, b] = states;
+        const coefficient = (state, l, m) => state.components.find(c => c.l === l && c.m === m) || { re: 0, im: 0 };
+        let re = 0;
+        let im = 0;
+        for (let l = 0; l < 3; l++) {
+            for (let m = -l; m <= l; m++) {
+                const ca = coefficient(a, l, m);
+                const cb = coefficient(b, l, m);
+                re += ca.re * cb.re + ca.im * cb.im;
+                im += ca.re * cb.im - ca.im * cb.re;
+            }
+        }
+        expect(Math.hypot(re, im)).toBeCloseTo(0, 6);
+    });
+});
+
+describe('fieldStateDensity', () => {
+    it('should integrate to one', () => {
+        const [state] = fieldSplitting(2, 1, { F: fieldVector(50, 0.9, 0.2), B: fieldVector(2) }).states;
+        const N = 40;
+        const dr = 0.1;
+        const dTheta = Math.PI / N;
+        const dPhi = 2 * Math.PI / N;
+        let total = 0;
+        for (let r = dr / 2; r < 30; r += dr) {
+            for (let i = 0; i < N; i++) {
+                const theta = (i + 0.5) * dTheta;
+                for (let j = 0; j < N; j++) {
+                    const phi = (j + 0.5) * dPhi;
+                    total += fieldStateDensity(state, r, theta, phi) * r * r * Math.sin(theta) * dr * dTheta * dPhi;
+                }
+            }
+        }
+        expect(total).toBeCloseTo(1, 2);
+    });
+});
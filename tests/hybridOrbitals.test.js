@@ -0,0 +1,57 @@
+import { describe, it, expect } from './simple-test-runner.js';
+import {
+    createHybrid,
+    buildHybridPreset,
+    hybridWavefunctionCartesian,
+    HYBRID_PRESETS
+} from '../src/physics/hybridOrbitals.js';
+
+describe('createHybrid', () => {
+    it('should normalize the coefficients', () => {
+        const hybrid = createHybrid(2, { s: 1, px: 1 });
+        const norm = hybrid.terms.reduce((sum, { c }) => sum + c * c, 0);
+        expect(norm).toBeCloseTo(1, 10);
+    });
+
+    it('should reject orbitals that do not exist in the shell', () => {
+        expect(createHybrid(2, { s: 1, dz2: 1 })).toBe(null);
+    });
+});
+
+describe('buildHybridPreset', () => {
+    it('should build one hybrid per orbital mixed in', () => {
+        expect(buildHybridPreset('sp', 2).length).toBe(2);
+        expect(buildHybridPreset('sp2', 2).length).toBe(3);
+        expect(buildHybridPreset('sp3', 2).length).toBe(4);
+        expect(buildHybridPreset('sp3d', 3).length).toBe(5);
+        expect(buildHybridPreset('sp3d2', 3).length).toBe(6);
+    });
+
+    it('should need n ≥ 3 for d hybrids', () => {
+        expect(buildHybridPreset('sp3d2', 2).length).toBe(0);
+    });
+
+    it('should use orthonormal coefficient sets', () => {
+        for (const { hybrids } of Object.values(HYBRID_PRESETS)) {
+            for (let i = 0; i < hybrids.length; i++) {
+                for (let j = 0; j < hybrids.length; j++) {
+                    let dot = 0;
+                    for (const name of Object.keys(hybrids[i])) {
+                        dot += hybrids[i][name] * (hybrids[j][name] ?? 0);
+                    }
+                    expect(dot).toBeCloseTo(i === j ? 1 : 0, 10);
+                }
+            }
+        }
+    });
+
+    it('should point the large sp³ lobe toward its tetrahedral corner', () => {
+        for (const n of [2, 3]) {
+            const [hybrid] = buildHybridPreset('sp3', n, 1);
+            const r = 2 * n * n / Math.sqrt(3);
+            const forward = hybridWavefunctionCartesian(hybrid, r, r, r);
+            const backward = hybridWavefunctionCartesian(hybrid, -r, -r, -r);
+            expect(forward > Math.abs(backward)).toBe(true);
+        }
+    });
+});
@@ -0,0 +1,18 @@
+import { describe, it, expect } from './simple-test-runner.js';
+import { orbitalDensityGrid, findEnclosingIsoValue } from '../src/physics/isosurface.js';
+import { probabilityDensity } from '../src/physics/probabilityDensity.js';
+
+describe('findEnclosingIsoValue', () => {
+    it('should enclose 90% of the 1s probability inside r ≈ 2.66 a₀', () => {
+        // Analytically P(r < R) = 1 - e^(-2R) (1 + 2R + 2R²) = 0.9 at R = 2.661
+        const grid = orbitalDensityGrid(1, 0, 0, 1, 40);
+        const iso = findEnclosingIsoValue(grid, 0.9);
+        const expected = probabilityDensity(1, 0, 0, 2.661, 0, 0, 1);
+        expect(Math.abs(iso - expected) / expected < 0.1).toBe(true);
+    });
+
+    it('should lower the iso-value as the enclosed fraction grows', () => {
+        const grid = orbitalDensityGrid(2, 1, 0, 1, 24);
+        expect(findEnclosingIsoValue(grid, 0.95) < findEnclosingIsoValue(grid, 0.5)).toBe(true);
+    });
+});
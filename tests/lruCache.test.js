@@ -0,0 +1,59 @@
+import { describe, it, expect } from './simple-test-runner.js';
+import { LRUCache } from '../src/cache/LRUCache.js';
+import { pointCacheKey } from '../src/cache/PointCache.js';
+
+describe('LRUCache', () => {
+    it('should evict the least recently used entry', () => {
+        const cache = new LRUCache({ maxSize: 2 });
+        cache.set('a', 1).set('b', 2);
+        cache.get('a');
+        cache.set('c', 3);
+        expect(cache.has('a')).toBe(true);
+        expect(cache.has('b')).toBe(false);
+        expect(cache.count).toBe(2);
+    });
+
+    it('should limit the total size in bytes', () => {
+        const cache = new LRUCache({ maxSize: 600, sizeOf: array => array.byteLength });
+        cache.set('a', new Float32Array(100));
+        cache.set('b', new Float32Array(100));
+        expect(cache.has('a')).toBe(false);
+        expect(cache.size).toBe(400);
+
+        // Replacing an entry frees its old size
+        cache.set('b', new Float32Array(50));
+        expect(cache.size).toBe(200);
+    });
+
+    it('should not keep a value larger than the limit', () => {
+        const cache = new LRUCache({ maxSize: 100, sizeOf: array => array.byteLength });
+        cache.set('a', new Float32Array(10));
+        cache.set('big', new Float32Array(1000));
+        expect(cache.has('big')).toBe(false);
+        expect(cache.has('a')).toBe(true);
+    });
+
+    it('should empty on clear', () => {
+        const cache = new LRUCache();
+        cache.set('a', 1);
+        cache.clear();
+        expect(cache.get('a')).toBe(undefined);
+        expect(cache.size).toBe(0);
+    });
+});
+
+describe('pointCacheKey', () => {
+    it('should tell orbitals, charges, bases, models and seeds apart', () => {
+        const model = { key: 'hydrogenic' };
+        const base = { n: 2, l: 1, m: 0, Z: 1, basis: 'real', model, seed: 1 };
+        const keys = new Set([
+            base,
+            { ...base, m: 1 },
+            { ...base, Z: 2 },
+            { ...base, basis: 'complex' },
+            { ...base, model: { key: 'scf:6:1s^2 2s^2 2p^2' } },
+            { ...base, seed: 2 }
+        ].map(pointCacheKey));
+        expect(keys.size).toBe(6);
+    });
+});
@@ -0,0 +1,56 @@
+import { describe, it, expect } from './simple-test-runner.js';
+import { nodalSurfaces, nodalCones, nodalPlanes } from '../src/physics/nodalSurfaces.js';
+import { sphericalHarmonic, BASES } from '../src/physics/sphericalHarmonics.js';
+
+describe('nodalSurfaces', () => {
+    it('should have n - l - 1 radial and l angular nodes for every real orbital', () => {
+        let checked = 0;
+        for (let n = 1; n <= 6; n++) {
+            for (let l = 0; l < n; l++) {
+                for (let m = -l; m <= l; m++) {
+                    const { spheres, cones, planes } = nodalSurfaces(n, l, m, 1);
+                    expect(spheres.length).toBe(n - l - 1);
+                    expect(cones.length + planes.length).toBe(l);
+                    checked++;
+                }
+            }
+        }
+        expect(checked).toBe(91);
+    });
+
+    it('should drop the azimuthal planes in the complex basis', () => {
+        const { cones, planes } = nodalSurfaces(4, 3, 2, 1, BASES.COMPLEX);
+        expect(cones.length).toBe(1);
+        expect(planes.length).toBe(0);
+    });
+
+    it('should reject invalid quantum numbers', () => {
+        expect(nodalSurfaces(2, 2, 0)).toBe(null);
+    });
+});
+
+describe('nodalCones', () => {
+    it('should put the 3d_z² cones at the magic angle', () => {
+        const cones = nodalCones(2, 0);
+        expect(cones[0]).toBeCloseTo(Math.acos(1 / Math.sqrt(3)), 8);
+        expect(cones[1]).toBeCloseTo(Math.PI - Math.acos(1 / Math.sqrt(3)), 8);
+    });
+
+    it('should make the p_z node the xy plane', () => {
+        expect(nodalCones(1, 0)[0]).toBeCloseTo(Math.PI / 2, 8);
+    });
+});
+
+describe('nodalPlanes', () => {
+    it('should give the d_xy nodes in the xz and yz planes', () => {
+        const planes = nodalPlanes(-2);
+        expect(planes[0]).toBeCloseTo(0, 10);
+        expect(planes[1]).toBeCloseTo(Math.PI / 2, 10);
+    });
+
+    it('should lie where the real harmonic vanishes', () => {
+        for (const phi of nodalPlanes(3)) {
+            expect(sphericalHarmonic(3, 3, 1.1, phi)).toBeCloseTo(0, 10);
+        }
+    });
+});
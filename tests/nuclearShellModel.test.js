@@ -0,0 +1,78 @@
+import { describe, it, expect } from './simple-test-runner.js';
+import {
+    NUCLEAR_LEVELS, MAGIC_NUMBERS, fillNuclearLevels, shellOccupancies, isMagic,
+    groundStateSpinParity, nuclearShellStructure
+} from '../src/physics/nuclearShellModel.js';
+
+describe('NUCLEAR_LEVELS', () => {
+    it('should close a major shell at every magic number', () => {
+        const closures = [];
+        let filled = 0;
+        NUCLEAR_LEVELS.forEach((level, i) => {
+            filled += level.capacity;
+            if (NUCLEAR_LEVELS[i + 1]?.shell !== level.shell) closures.push(filled);
+        });
+        expect(closures.join(',')).toBe([...MAGIC_NUMBERS, 184].join(','));
+    });
+
+    it('should put the spin-orbit partner with j = l + 1/2 lower', () => {
+        const index = (label) => NUCLEAR_LEVELS.findIndex(level => level.label === label);
+        expect(index('1p3/2') < index('1p1/2')).toBe(true);
+        expect(index('1f7/2') < index('1f5/2')).toBe(true);
+        // The intruder 1g9/2 closes the shell at 50, below 1g7/2
+        expect(NUCLEAR_LEVELS[index('1g9/2')].shell).toBe(NUCLEAR_LEVELS[index('2p1/2')].shell);
+        expect(index('1g9/2') < index('1g7/2')).toBe(true);
+    });
+});
+
+describe('fillNuclearLevels', () => {
+    it('should fill the lowest levels first', () => {
+        const levels = fillNuclearLevels(9);
+        expect(levels[0].occupancy).toBe(2);
+        expect(levels[1].occupancy).toBe(4);
+        expect(levels[2].occupancy).toBe(2);
+        expect(levels[3].occupancy).toBe(1);
+        expect(levels.slice(4).every(({ occupancy }) => occupancy === 0)).toBe(true);
+    });
+
+    it('should count the nucleons of each major shell', () => {
+        expect(shellOccupancies(30).slice(0, 5).join(',')).toBe('2,6,12,8,2');
+    });
+});
+
+describe('isMagic', () => {
+    it('should recognize the magic numbers only', () => {
+        expect([2, 8, 20, 28, 50, 82, 126].every(isMagic)).toBe(true);
+        expect(isMagic(14)).toBe(false);
+        expect(isMagic(184)).toBe(false);
+    });
+
+    it('should find doubly-magic nuclei', () => {
+        expect(nuclearShellStructure(8, 8).doublyMagic).toBe(true);
+        expect(nuclearShellStructure(20, 28).doublyMagic).toBe(true);
+        expect(nuclearShellStructure(82, 126).doublyMagic).toBe(true);
+        expect(nuclearShellStructure(26, 30).doublyMagic).toBe(false);
+        expect(nuclearShellStructure(50, 70).magicProtons).toBe(true);
+    });
+});
+
+describe('groundStateSpinParity', () => {
+    it('should give 0+ for even-even nuclei', () => {
+        expect(groundStateSpinParity(6, 6).label).toBe('0+');
+    });
+
+    it('should take j and parity of the unpaired nucleon', () => {
+        // ¹⁷O: neutron in 1d5/2
+        expect(groundStateSpinParity(8, 9).label).toBe('5/2+');
+        // ³⁹K: proton hole in 1d3/2
+        expect(groundStateSpinParity(19, 20).label).toBe('3/2+');
+        // ²⁰⁹Bi: proton in 1h9/2
+        expect(groundStateSpinParity(83, 126).label).toBe('9/2−');
+        // ²⁰⁹Pb: neutron in 2g9/2
+        expect(groundStateSpinParity(82, 127).label).toBe('9/2+');
+    });
+
+    it('should not predict odd-odd nuclei', () => {
+        expect(groundStateSpinParity(7, 7)).toBe(null);
+    });
+});
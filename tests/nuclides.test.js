@@ -0,0 +1,59 @@
+import { describe, it, expect } from './simple-test-runner.js';
+import {
+    DECAY_MODES, getIsotopes, getNuclide, isStable, defaultMassNumber, formatHalfLife, formatDecayMode
+} from '../src/data/nuclides.js';
+
+describe('getIsotopes', () => {
+    it('should list isotopes of every element in order of mass number', () => {
+        let ordered = true;
+        for (let Z = 1; Z <= 118; Z++) {
+            const isotopes = getIsotopes(Z);
+            if (isotopes.length === 0) ordered = false;
+            isotopes.forEach((nuclide, i) => {
+                if (i > 0 && nuclide.A <= isotopes[i - 1].A) ordered = false;
+                if (nuclide.A < Z) ordered = false;
+            });
+        }
+        expect(ordered).toBe(true);
+    });
+
+    it('should give natural abundances summing to 100%', () => {
+        for (const Z of [1, 6, 8, 17, 26, 50, 82, 92]) {
+            const total = getIsotopes(Z).reduce((sum, { abundance }) => sum + abundance, 0);
+            expect(total).toBeCloseTo(100, 1);
+        }
+    });
+});
+
+describe('defaultMassNumber', () => {
+    it('should pick the most abundant isotope', () => {
+        expect(defaultMassNumber(1)).toBe(1);
+        expect(defaultMassNumber(6)).toBe(12);
+        expect(defaultMassNumber(17)).toBe(35);
+        expect(defaultMassNumber(92)).toBe(238);
+    });
+
+    it('should pick the longest-lived isotope of an element without natural ones', () => {
+        expect(defaultMassNumber(43)).toBe(97);
+        expect(defaultMassNumber(94)).toBe(244);
+    });
+});
+
+describe('getNuclide', () => {
+    it('should find nuclides by Z and A', () => {
+        const carbon14 = getNuclide(6, 14);
+        expect(carbon14.decay).toBe(DECAY_MODES.BETA_MINUS);
+        expect(isStable(carbon14)).toBe(false);
+        expect(isStable(getNuclide(6, 12))).toBe(true);
+        expect(getNuclide(6, 20)).toBe(null);
+    });
+});
+
+describe('formatHalfLife', () => {
+    it('should pick a readable unit', () => {
+        expect(formatHalfLife(Infinity)).toBe('stable');
+        expect(formatHalfLife(getNuclide(92, 238).halfLife)).toBe('4.47 × 10⁹ y');
+        expect(formatHalfLife(getNuclide(6, 14).halfLife)).toBe('5730 y');
+        expect(formatDecayMode(DECAY_MODES.ALPHA)).toBe('α');
+    });
+});
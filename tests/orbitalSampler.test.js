@@ -0,0 +1,162 @@
+import { describe, it, expect } from './simple-test-runner.js';
+import {
+    sampleOrbital, sampleOrbitalRange, sampleHybrid, sampleDensity, radialCDF, sampleRadius, angularMaximum, SAMPLE_BLOCK
+} from '../src/physics/orbitalSampler.js';
+import { createHybrid } from '../src/physics/hybridOrbitals.js';
+import { createRandom } from '../src/physics/random.js';
+import { radialProbabilityDensity } from '../src/physics/radialWaveFunction.js';
+import { angularProbabilityDensity, BASES } from '../src/physics/sphericalHarmonics.js';
+
+const SAMPLES = 20000;
+const BINS = 20;
+
+// χ² of observed bin counts against expected bin probabilities
+function chiSquared(counts, probabilities, total) {
+    return counts.reduce((sum, count, i) => {
+        const expected = probabilities[i] * total;
+        return expected > 0 ? sum + (count - expected) ** 2 / expected : sum;
+    }, 0);
+}
+
+// ∫ r²R² dr over each of BINS equal bins of [0, maxR] by the midpoint rule
+function radialBinProbabilities(n, l, Z, maxR) {
+    const steps = 200;
+    const width = maxR / BINS;
+    return Array.from({ length: BINS }, (_, bin) => {
+        let sum = 0;
+        for (let i = 0; i < steps; i++) {
+            sum += radialProbabilityDensity(n, l, (bin + (i + 0.5) / steps) * width, Z) * width / steps;
+        }
+        return sum;
+    });
+}
+
+function radialHistogram(points, maxR) {
+    const counts = new Array(BINS).fill(0);
+    for (let i = 0; i < points.length; i += 3) {
+        const r = Math.hypot(points[i], points[i + 1], points[i + 2]);
+        counts[Math.min(BINS - 1, Math.floor(r / maxR * BINS))]++;
+    }
+    return counts;
+}
+
+// 99.9% quantile of χ² with 19 degrees of freedom is 43.8
+const CHI_SQUARED_LIMIT = 50;
+
+describe('radialCDF', () => {
+    it('should rise monotonically from 0 to 1', () => {
+        const { cdf } = radialCDF(3, 1, 1);
+        expect(cdf[0]).toBe(0);
+        expect(cdf[cdf.length - 1]).toBeCloseTo(1, 12);
+        expect(cdf.every((value, i) => i === 0 || value >= cdf[i - 1])).toBe(true);
+    });
+
+    it('should invert to the median of the 1s distribution', () => {
+        // P(r < R) = 1 - e^{-2R}(1 + 2R + 2R²) = ½ at R ≈ 1.3370
+        const table = radialCDF(1, 0, 1);
+        expect(sampleRadius(table, 0.5)).toBeCloseTo(1.3370, 2);
+    });
+});
+
+describe('angularMaximum', () => {
+    it('should bound |Y|² in both bases', () => {
+        for (const basis of [BASES.REAL, BASES.COMPLEX]) {
+            for (const [l, m] of [[1, 0], [2, 1], [4, -3], [6, 6]]) {
+                const maximum = angularMaximum(l, m, basis);
+                let largest = 0;
+                for (let i = 0; i <= 400; i++) {
+                    for (let j = 0; j < 40; j++) {
+                        largest = Math.max(largest, angularProbabilityDensity(l, m, Math.PI * i / 400, 2 * Math.PI * j / 40, basis));
+                    }
+                }
+                expect(maximum >= largest).toBe(true);
+                expect(maximum < 1.05 * largest).toBe(true);
+            }
+        }
+    });
+
+    it('should equal (2l+1)/4π for m = 0', () => {
+        expect(angularMaximum(3, 0)).toBeCloseTo(7 / (4 * Math.PI), 10);
+    });
+});
+
+describe('sampleOrbital', () => {
+    it('should always return the requested number of points', () => {
+        expect(sampleOrbital(7, 6, 4, 500, 1).length).toBe(1500);
+        expect(sampleOrbital(40, 10, 0, 200, 1).length).toBe(600);
+    });
+
+    it('should match the radial probability density', () => {
+        for (const [n, l, m, Z] of [[1, 0, 0, 1], [3, 2, 1, 1], [4, 0, 0, 2], [30, 5, -2, 1]]) {
+            const { maxR } = radialCDF(n, l, Z);
+            const points = sampleOrbital(n, l, m, SAMPLES, Z, BASES.REAL, undefined, createRandom(n));
+            const probabilities = radialBinProbabilities(n, l, Z, maxR);
+            const total = probabilities.reduce((sum, p) => sum + p, 0);
+            const chi2 = chiSquared(radialHistogram(points, maxR), probabilities.map(p => p / total), SAMPLES);
+            expect(chi2 < CHI_SQUARED_LIMIT).toBe(true);
+        }
+    });
+
+    it('should match the angular density of 2p(z)', () => {
+        // P(cos θ < x) = (x³ + 1) / 2 for |Y_10|² ∝ cos² θ
+        const points = sampleOrbital(2, 1, 0, SAMPLES, 1, BASES.REAL, undefined, createRandom(2));
+        const counts = new Array(BINS).fill(0);
+        for (let i = 0; i < points.length; i += 3) {
+            const cosTheta = points[i + 2] / Math.hypot(points[i], points[i + 1], points[i + 2]);
+            counts[Math.min(BINS - 1, Math.floor((cosTheta + 1) / 2 * BINS))]++;
+        }
+        const cdf = (x) => (x ** 3 + 1) / 2;
+        const probabilities = counts.map((_, bin) => cdf(-1 + 2 * (bin + 1) / BINS) - cdf(-1 + 2 * bin / BINS));
+        expect(chiSquared(counts, probabilities, SAMPLES) < CHI_SQUARED_LIMIT).toBe(true);
+    });
+});
+
+// Same bytes, not just the same values
+const sameBytes = (a, b) => Buffer.from(a.buffer, a.byteOffset, a.byteLength)
+    .equals(Buffer.from(b.buffer, b.byteOffset, b.byteLength));
+
+describe('sampleOrbitalRange', () => {
+    it('should reproduce the same points for the same seed', () => {
+        const first = sampleOrbitalRange(3, 2, 1, 0, 1000, 42);
+        const second = sampleOrbitalRange(3, 2, 1, 0, 1000, 42);
+        expect(sameBytes(first, second)).toBe(true);
+        expect(sameBytes(first, sampleOrbitalRange(3, 2, 1, 0, 1000, 43))).toBe(false);
+    });
+
+    it('should give the same points however the set is split', () => {
+        const whole = sampleOrbitalRange(4, 1, -1, 0, 3 * SAMPLE_BLOCK, 7, 2, BASES.COMPLEX);
+        const start = SAMPLE_BLOCK + 123;
+        const head = sampleOrbitalRange(4, 1, -1, 0, start, 7, 2, BASES.COMPLEX);
+        const tail = sampleOrbitalRange(4, 1, -1, start, 3 * SAMPLE_BLOCK, 7, 2, BASES.COMPLEX);
+        expect(sameBytes(whole.subarray(0, start * 3), head)).toBe(true);
+        expect(sameBytes(whole.subarray(start * 3), tail)).toBe(true);
+    });
+});
+
+describe('seeded sampleHybrid', () => {
+    it('should reproduce the same points for the same seed', () => {
+        const hybrid = createHybrid(2, { s: 1, px: 1 });
+        const first = sampleHybrid(hybrid, 500, createRandom(5));
+        const second = sampleHybrid(hybrid, 500, createRandom(5));
+        expect(sameBytes(first, second)).toBe(true);
+    });
+});
+
+describe('sampleDensity', () => {
+    it('should estimate the maximum of a keyed density once', () => {
+        // r²|Ψ|² = 1: uniform in r, nearly every try accepted
+        let evaluations = 0;
+        const density = (r) => {
+            evaluations++;
+            return 1 / (r * r);
+        };
+        const options = { maxR: 10, rPeak: 5, key: 'test:uniform' };
+
+        sampleDensity(density, 100, options);
+        expect(evaluations >= 5000).toBe(true);
+
+        evaluations = 0;
+        sampleDensity(density, 100, options);
+        expect(evaluations < 1000).toBe(true);
+    });
+});
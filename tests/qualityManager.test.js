@@ -0,0 +1,82 @@
+import { describe, it, expect } from './simple-test-runner.js';
+import { distributePointBudget, QualityManager, QUALITY_PRESETS } from '../src/rendering/QualityManager.js';
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+// Orbital-like sources: electrons and a radial extent
+const source = (key, electrons, extent) => ({ key, electrons, extent: () => extent });
+
+describe('distributePointBudget', () => {
+    it('should split in proportion to weight', () => {
+        const counts = distributePointBudget([{ weight: 1, max: 1e6 }, { weight: 3, max: 1e6 }], 4000);
+        expect(counts[0]).toBe(1000);
+        expect(counts[1]).toBe(3000);
+    });
+
+    it('should hand the share above a cap to the others', () => {
+        const counts = distributePointBudget([
+            { weight: 10, max: 500 },
+            { weight: 1, max: 1e6 },
+            { weight: 1, max: 1e6 }
+        ], 3000);
+        expect(counts[0]).toBe(500);
+        expect(counts[1]).toBe(1250);
+        expect(counts[2]).toBe(1250);
+    });
+
+    it('should stop at the caps when the budget is larger', () => {
+        const counts = distributePointBudget([{ weight: 1, max: 800 }, { weight: 2, max: 1600 }], 1e5);
+        expect(sum(counts)).toBe(2400);
+    });
+
+    it('should skip items without points', () => {
+        expect(distributePointBudget([{ weight: 1, max: 0 }, { weight: 1, max: 100 }], 50)[0]).toBe(0);
+    });
+});
+
+describe('QualityManager', () => {
+    it('should keep a heavy atom within the budget', () => {
+        const quality = new QualityManager(QUALITY_PRESETS.MEDIUM);
+        // 59 filled orbitals, like oganesson
+        const sources = Array.from({ length: 59 }, (_, i) => source(`${i}`, 2, 1 + i / 10));
+        const counts = quality.allocate(sources);
+        const spheres = sum([...counts.values()].map(({ spheres }) => spheres));
+        expect(spheres <= quality.getBudget().spheres).toBe(true);
+        expect(spheres > 0.99 * quality.getBudget().spheres).toBe(true);
+        // Outer orbitals get more points
+        expect(counts.get('58').spheres > counts.get('0').spheres).toBe(true);
+        expect(quality.limited).toBe(true);
+    });
+
+    it('should give a light atom its full per-electron count', () => {
+        const quality = new QualityManager(QUALITY_PRESETS.LOW);
+        const counts = quality.allocate([source('1,0,0', 1, 7)], 1.5);
+        expect(counts.get('1,0,0').spheres).toBe(800);
+        expect(counts.get('1,0,0').cloud).toBe(3000);
+        expect(quality.limited).toBe(false);
+    });
+
+    it('should lower the budget on slow frames and not raise it back', () => {
+        const quality = new QualityManager(QUALITY_PRESETS.HIGH);
+        quality.limited = true;
+        const budget = quality.getBudget().spheres;
+
+        let changed = false;
+        for (let i = 0; i < 90; i++) changed = quality.recordFrame(1 / 20);
+        expect(changed).toBe(true);
+        expect(quality.getBudget().spheres < budget).toBe(true);
+
+        // Headroom raises it, but only below the scale that was slow
+        for (let i = 0; i < 90; i++) changed = quality.recordFrame(1 / 60);
+        expect(changed).toBe(true);
+        expect(quality.scale).toBeCloseTo(0.875, 10);
+        for (let i = 0; i < 90; i++) changed = quality.recordFrame(1 / 60);
+        expect(changed).toBe(false);
+    });
+
+    it('should ignore frames while points stream in', () => {
+        const quality = new QualityManager();
+        for (let i = 0; i < 200; i++) expect(quality.recordFrame(1 / 10, true)).toBe(false);
+        expect(quality.scale).toBe(1);
+    });
+});
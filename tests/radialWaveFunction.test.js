@@ -1,6 +1,17 @@
 
 import { describe, it, expect } from './simple-test-runner.js';
-import { factorial, laguerrePolynomial, radialNormalization, radialWaveFunction } from '../src/physics/radialWaveFunction.js';
+import {
+    factorial,
+    logFactorial,
+    laguerrePolynomial,
+    logLaguerrePolynomial,
+    radialNormalization,
+    radialWaveFunction,
+    radialNodes,
+    radialDensityPeak,
+    radialProbabilityDensity,
+    maxRadialExtent
+} from '../src/physics/radialWaveFunction.js';
 
 describe('factorial', () => {
     it('should calculate the factorial of a positive integer', () => {
@@ -39,9 +50,9 @@ describe('radialNormalization', () => {
         const N_1s = radialNormalization(1, 0, 1);
         expect(N_1s).toBeCloseTo(2.0, 5); 
 
-        // For 2s orbital (n=2, l=0)
+        // For 2s orbital (n=2, l=0); R_2s(0) = N * L_1^1(0) = 2N = 1/√2
         const N_2s = radialNormalization(2, 0, 1);
-        expect(N_2s).toBeCloseTo(1 / Math.sqrt(2), 5);
+        expect(N_2s).toBeCloseTo(1 / (2 * Math.sqrt(2)), 5);
 
         // For 2p orbital (n=2, l=1)
         const N_2p = radialNormalization(2, 1, 1);
@@ -83,6 +94,85 @@ describe('radialWaveFunction', () => {
     });
 });
 
+describe('radialNodes', () => {
+    it('should put the 2s node at r = 2/Z', () => {
+        expect(radialNodes(2, 0, 1)[0]).toBeCloseTo(2, 8);
+        expect(radialNodes(2, 0, 2)[0]).toBeCloseTo(1, 8);
+    });
+
+    it('should find the 3s nodes at (9 ± 3√3)/2', () => {
+        const nodes = radialNodes(3, 0, 1);
+        expect(nodes[0]).toBeCloseTo((9 - 3 * Math.sqrt(3)) / 2, 8);
+        expect(nodes[1]).toBeCloseTo((9 + 3 * Math.sqrt(3)) / 2, 8);
+    });
+
+    it('should find n - l - 1 nodes', () => {
+        expect(radialNodes(1, 0).length).toBe(0);
+        expect(radialNodes(4, 2).length).toBe(1);
+        expect(radialNodes(7, 1).length).toBe(5);
+    });
+});
+
+describe('radialDensityPeak', () => {
+    it('should peak at n²/Z for l = n - 1', () => {
+        expect(radialDensityPeak(1, 0, 1)).toBeCloseTo(1, 5);
+        expect(radialDensityPeak(2, 1, 1)).toBeCloseTo(4, 5);
+        expect(radialDensityPeak(3, 2, 3)).toBeCloseTo(3, 5);
+    });
+
+    it('should pick the outer 2s maximum at 3 + √5', () => {
+        expect(radialDensityPeak(2, 0, 1)).toBeCloseTo(3 + Math.sqrt(5), 5);
+    });
+});
+
+describe('log-space evaluation', () => {
+    it('should match ln(n!) and stay finite past 170!', () => {
+        expect(logFactorial(20)).toBeCloseTo(Math.log(factorial(20)), 10);
+        // Stirling: ln n! ≈ n ln n - n + ½ ln(2πn) + 1/(12n)
+        const n = 400;
+        const stirling = n * Math.log(n) - n + 0.5 * Math.log(2 * Math.PI * n) + 1 / (12 * n);
+        expect(logFactorial(n)).toBeCloseTo(stirling, 8);
+    });
+
+    it('should agree with the direct Laguerre recurrence', () => {
+        const { sign, log } = logLaguerrePolynomial(12, 5, 7.3);
+        expect(sign * Math.exp(log)).toBeCloseTo(laguerrePolynomial(12, 5, 7.3), 8);
+    });
+
+    it('should reproduce the closed form of circular Rydberg states', () => {
+        // l = n - 1: R = (2Z/n)^{3/2} ρ^{n-1} e^{-ρ/2} / √((2n)!)
+        for (const [n, Z] of [[40, 1], [50, 3]]) {
+            for (const r of [n * n / (2 * Z), n * n / Z, 1.5 * n * n / Z]) {
+                const rho = 2 * Z * r / n;
+                const logR = 1.5 * Math.log(2 * Z / n) - 0.5 * logFactorial(2 * n) + (n - 1) * Math.log(rho) - rho / 2;
+                expect(radialWaveFunction(n, n - 1, r, Z) / Math.exp(logR)).toBeCloseTo(1, 10);
+            }
+        }
+    });
+
+    it('should keep Rydberg states up to n = 50 normalized', () => {
+        for (const [n, l] of [[50, 0], [50, 25], [50, 49], [35, 3]]) {
+            const extent = maxRadialExtent(n, l);
+            const steps = 20000;
+            const dr = 1.5 * extent / steps;
+            let total = 0;
+            let enclosed = 0;
+            for (let i = 0; i < steps; i++) {
+                const r = (i + 0.5) * dr;
+                const P = radialProbabilityDensity(n, l, r) * dr;
+                total += P;
+                if (r < extent) enclosed += P;
+            }
+            expect(total).toBeCloseTo(1, 6);
+            expect(enclosed >= 0.998).toBe(true);
+        }
+    });
+
+    it('should find all nodes of a high-n s state', () => {
+        expect(radialNodes(50, 0).length).toBe(49);
+    });
+});
+
 // A simple test runner execution
 // In a real scenario, you'd use a test runner like Vitest, Jest, or Mocha.
 // This is just to demonstrate the tests can run.
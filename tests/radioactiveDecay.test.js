@@ -0,0 +1,79 @@
+import { describe, it, expect } from './simple-test-runner.js';
+import {
+    DECAY_PARTICLES, TIMELINE_START, decayDaughter, decayCharge, emittedParticles,
+    buildDecayChain, chainTimeline, locateOnTimeline
+} from '../src/physics/radioactiveDecay.js';
+import { DECAY_MODES, getNuclide } from '../src/data/nuclides.js';
+
+const names = (chain) => chain.map(({ symbol, A }) => `${symbol}-${A}`).join(' ');
+
+describe('decayDaughter', () => {
+    it('should change Z and A by the decay mode', () => {
+        expect(JSON.stringify(decayDaughter(92, 238, DECAY_MODES.ALPHA))).toBe('{"Z":90,"A":234}');
+        expect(JSON.stringify(decayDaughter(6, 14, DECAY_MODES.BETA_MINUS))).toBe('{"Z":7,"A":14}');
+        expect(JSON.stringify(decayDaughter(9, 18, DECAY_MODES.BETA_PLUS))).toBe('{"Z":8,"A":18}');
+        expect(JSON.stringify(decayDaughter(4, 7, DECAY_MODES.ELECTRON_CAPTURE))).toBe('{"Z":3,"A":7}');
+        expect(decayDaughter(101, 260, DECAY_MODES.SPONTANEOUS_FISSION)).toBe(null);
+    });
+
+    it('should leave the daughter atom with its parent\'s electrons', () => {
+        expect(decayCharge(DECAY_MODES.ALPHA)).toBe(-2);
+        expect(decayCharge(DECAY_MODES.BETA_MINUS)).toBe(1);
+        expect(decayCharge(DECAY_MODES.BETA_PLUS)).toBe(-1);
+        expect(decayCharge(DECAY_MODES.ELECTRON_CAPTURE)).toBe(0);
+    });
+});
+
+describe('emittedParticles', () => {
+    it('should list the leptons and the gamma line of a decay', () => {
+        expect(emittedParticles(getNuclide(27, 60)).join(',')).toBe(
+            [DECAY_PARTICLES.ELECTRON, DECAY_PARTICLES.ANTINEUTRINO, DECAY_PARTICLES.GAMMA].join(',')
+        );
+        expect(emittedParticles(getNuclide(84, 210)).join(',')).toBe(DECAY_PARTICLES.ALPHA);
+    });
+});
+
+describe('buildDecayChain', () => {
+    it('should follow the natural decay series to their stable ends', () => {
+        const uranium = buildDecayChain(92, 238);
+        expect(uranium.length).toBe(15);
+        expect(names(uranium.slice(0, 4))).toBe('U-238 Th-234 Pa-234 U-234');
+        expect(names(uranium.slice(-1))).toBe('Pb-206');
+        expect(names(buildDecayChain(92, 235).slice(-1))).toBe('Pb-207');
+        expect(names(buildDecayChain(90, 232).slice(-1))).toBe('Pb-208');
+        expect(names(buildDecayChain(93, 237).slice(-1))).toBe('Tl-205');
+    });
+
+    it('should give each member the charge it forms with', () => {
+        const chain = buildDecayChain(92, 238);
+        expect(chain[0].charge).toBe(0);
+        expect(chain[1].charge).toBe(-2);
+        expect(chain[2].charge).toBe(1);
+    });
+
+    it('should end at once for a stable nuclide', () => {
+        expect(names(buildDecayChain(6, 12))).toBe('C-12');
+        expect(buildDecayChain(6, 20).length).toBe(0);
+    });
+});
+
+describe('chainTimeline', () => {
+    it('should give each member a decade span up to its half-life', () => {
+        const chain = buildDecayChain(6, 14);
+        const timeline = chainTimeline(chain);
+        const span = Math.log10(chain[0].nuclide.halfLife / TIMELINE_START);
+        expect(timeline.length).toBeCloseTo(span, 10);
+
+        const middle = locateOnTimeline(timeline, span / 2);
+        expect(middle.index).toBe(0);
+        expect(middle.elapsed).toBeCloseTo(Math.sqrt(chain[0].nuclide.halfLife * TIMELINE_START), 3);
+        expect(locateOnTimeline(timeline, span).index).toBe(1);
+    });
+
+    it('should reach every member of a chain in order', () => {
+        const chain = buildDecayChain(90, 232);
+        const timeline = chainTimeline(chain);
+        const reached = timeline.segments.map(({ start }) => locateOnTimeline(timeline, start).index);
+        expect(reached.every((index, i) => index === i)).toBe(true);
+    });
+});
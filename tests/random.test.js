@@ -0,0 +1,46 @@
+import { describe, it, expect } from './simple-test-runner.js';
+import { createRandom, hashSeed, shuffle, isValidSeed } from '../src/physics/random.js';
+
+describe('createRandom', () => {
+    it('should repeat its sequence for the same seed', () => {
+        const a = createRandom(123);
+        const b = createRandom(123);
+        const c = createRandom(124);
+        const first = Array.from({ length: 100 }, () => a());
+        expect(first.every(value => value === b())).toBe(true);
+        expect(first.some(value => value !== c())).toBe(true);
+    });
+
+    it('should be uniform on [0, 1)', () => {
+        const random = createRandom(9);
+        const bins = new Array(10).fill(0);
+        let inRange = true;
+        for (let i = 0; i < 100000; i++) {
+            const value = random();
+            if (value < 0 || value >= 1) inRange = false;
+            bins[Math.floor(value * 10)]++;
+        }
+        expect(inRange).toBe(true);
+        expect(bins.every(count => Math.abs(count - 10000) < 500)).toBe(true);
+    });
+});
+
+describe('hashSeed', () => {
+    it('should give different streams for different labels', () => {
+        expect(hashSeed(1, 'spheres', '2,1,0')).toBe(hashSeed(1, 'spheres', '2,1,0'));
+        expect(hashSeed(1, 'spheres', '2,1,0') === hashSeed(1, 'cloud', '2,1,0')).toBe(false);
+        expect(hashSeed(1, 2, 1, 0) === hashSeed(2, 2, 1, 0)).toBe(false);
+        expect(isValidSeed(hashSeed('anything'))).toBe(true);
+    });
+});
+
+describe('shuffle', () => {
+    it('should permute the array reproducibly', () => {
+        const shuffled = shuffle(Array.from({ length: 50 }, (_, i) => i), createRandom(3));
+        expect([...shuffled].sort((a, b) => a - b).every((value, i) => value === i)).toBe(true);
+        expect(shuffled.some((value, i) => value !== i)).toBe(true);
+
+        const again = shuffle(Array.from({ length: 50 }, (_, i) => i), createRandom(3));
+        expect(again.every((value, i) => value === shuffled[i])).toBe(true);
+    });
+});
@@ -0,0 +1,52 @@
+import { describe, it, expect } from './simple-test-runner.js';
+import { slaterShielding, slaterZeff, clementiZeff, computeSubshellZeff, SCREENING_METHODS } from '../src/physics/screening.js';
+import { generateSubshellConfiguration } from '../src/data/elements.js';
+
+describe('slaterZeff', () => {
+    it('should leave hydrogen unscreened', () => {
+        const config = generateSubshellConfiguration(1);
+        expect(slaterShielding(1, 0, config)).toBe(0);
+        expect(slaterZeff(1, 0, config, 1)).toBe(1);
+    });
+
+    it('should use 0.30 for the other 1s electron', () => {
+        // He: Z_eff = 2 - 0.30
+        expect(slaterZeff(1, 0, generateSubshellConfiguration(2), 2)).toBeCloseTo(1.70, 5);
+    });
+
+    it('should screen s/p electrons by 0.35 / 0.85 / 1.00', () => {
+        // N 2p: 7 - (4 * 0.35 + 2 * 0.85) = 3.90
+        expect(slaterZeff(2, 1, generateSubshellConfiguration(7), 7)).toBeCloseTo(3.90, 5);
+
+        // Zn 4s: 30 - (1 * 0.35 + 18 * 0.85 + 10 * 1.00) = 4.35
+        expect(slaterZeff(4, 0, generateSubshellConfiguration(30), 30)).toBeCloseTo(4.35, 5);
+    });
+
+    it('should screen d electrons fully by every group to their left', () => {
+        // Zn 3d: 30 - (9 * 0.35 + 18 * 1.00) = 8.85, the 4s electrons do not shield
+        expect(slaterZeff(3, 2, generateSubshellConfiguration(30), 30)).toBeCloseTo(8.85, 5);
+    });
+});
+
+describe('computeSubshellZeff', () => {
+    it('should use Clementi–Raimondi values for tabulated neutral atoms', () => {
+        const screening = computeSubshellZeff(generateSubshellConfiguration(6), 6, SCREENING_METHODS.CLEMENTI);
+        const p = screening.find(({ n, l }) => n === 2 && l === 1);
+        expect(p.zeff).toBe(clementiZeff(6, 2, 1));
+        expect(p.method).toBe(SCREENING_METHODS.CLEMENTI);
+    });
+
+    it('should fall back to Slater\'s rules for ions', () => {
+        // C⁻ has 7 electrons, so the neutral-atom table does not apply
+        const screening = computeSubshellZeff(generateSubshellConfiguration(7), 6, SCREENING_METHODS.CLEMENTI);
+        const p = screening.find(({ n, l }) => n === 2 && l === 1);
+        expect(p.method).toBe(SCREENING_METHODS.SLATER);
+        expect(p.zeff).toBeCloseTo(6 - (4 * 0.35 + 2 * 0.85), 5);
+    });
+
+    it('should give outer subshells a much smaller Z_eff than the nucleus', () => {
+        const screening = computeSubshellZeff(generateSubshellConfiguration(92), 92);
+        const outer = screening.find(({ n, l }) => n === 7 && l === 0);
+        expect(outer.zeff < 5).toBe(true);
+    });
+});
@@ -0,0 +1,106 @@
+import { describe, it, expect } from './simple-test-runner.js';
+import {
+    createLogGrid,
+    solveRadialEquation,
+    selfConsistentField,
+    createRadialModel,
+    selfConsistentModelKey,
+    getSelfConsistentModel,
+    solveSelfConsistentModel
+} from '../src/physics/selfConsistentField.js';
+import { radialWaveFunction } from '../src/physics/radialWaveFunction.js';
+import { selfConsistentLevels } from '../src/physics/energyLevels.js';
+import { getGroundStateSubshells } from '../src/data/elements.js';
+
+describe('solveRadialEquation', () => {
+    it('should reproduce hydrogen-like energies in a Coulomb potential', () => {
+        const Z = 2;
+        const grid = createLogGrid(Z);
+        const potential = grid.r.map(r => -Z / r);
+        for (const [n, l] of [[1, 0], [2, 0], [2, 1], [3, 2], [4, 3]]) {
+            const { energy } = solveRadialEquation(grid, potential, Z, n, l);
+            expect(energy).toBeCloseTo(-Z * Z / (2 * n * n), 6);
+        }
+    });
+
+    it('should return null for a state that is not bound', () => {
+        const grid = createLogGrid(1);
+        const potential = new Float64Array(grid.size);
+        expect(solveRadialEquation(grid, potential, 1, 1, 0)).toBe(null);
+    });
+});
+
+describe('selfConsistentField', () => {
+    it('should leave the one-electron field hydrogenic', () => {
+        const solution = selfConsistentField(1, getGroundStateSubshells(1));
+        expect(solution.converged).toBe(true);
+        expect(solution.orbitals.get('1,0').energy).toBeCloseTo(-0.5, 6);
+    });
+
+    it('should converge the helium 1s energy', () => {
+        // Hartree (= Hartree–Fock for two 1s electrons): -0.918 hartree
+        const solution = selfConsistentField(2, getGroundStateSubshells(2));
+        expect(solution.converged).toBe(true);
+        expect(solution.orbitals.get('1,0').energy).toBeCloseTo(-0.918, 3);
+    });
+
+    it('should order and shape the neon orbitals', () => {
+        const solution = selfConsistentField(10, getGroundStateSubshells(10));
+        const energy = (key) => solution.orbitals.get(key).energy;
+        expect(energy('1,0') < energy('2,0')).toBe(true);
+        expect(energy('2,0') < energy('2,1')).toBe(true);
+        expect(energy('2,1') < 0).toBe(true);
+
+        const model = createRadialModel(solution);
+        expect(model.radialNodes(2, 0).length).toBe(1);
+        expect(model.radialNodes(2, 1).length).toBe(0);
+
+        // ∫ R² r² dr = 1
+        let norm = 0;
+        const dr = 0.001;
+        for (let r = dr / 2; r < 20; r += dr) {
+            const R = model.radialWaveFunction(2, 1, r);
+            norm += R * R * r * r * dr;
+        }
+        expect(norm).toBeCloseTo(1, 3);
+    });
+});
+
+describe('createRadialModel', () => {
+    it('should match radialWaveFunction for hydrogen', () => {
+        const model = createRadialModel(selfConsistentField(1, getGroundStateSubshells(1)));
+        for (const r of [0.05, 0.5, 1, 2, 5]) {
+            expect(model.radialWaveFunction(1, 0, r)).toBeCloseTo(radialWaveFunction(1, 0, r), 4);
+            expect(model.radialWaveFunction(3, 1, r)).toBeCloseTo(radialWaveFunction(3, 1, r), 4);
+        }
+        expect(model.radialDensityPeak(1, 0)).toBeCloseTo(1, 1);
+    });
+});
+
+describe('selfConsistentLevels', () => {
+    it('should list occupied and bound empty levels by energy', () => {
+        const levels = selfConsistentLevels(selfConsistentField(11, getGroundStateSubshells(11)));
+        const electrons = levels.reduce((sum, level) => sum + level.electrons, 0);
+        expect(electrons).toBe(11);
+        expect(levels.some(level => level.electrons === 0)).toBe(true);
+        for (let i = 1; i < levels.length; i++) {
+            expect(levels[i - 1].energy <= levels[i].energy).toBe(true);
+        }
+    });
+});
+
+describe('solveSelfConsistentModel', () => {
+    it('should solve in the background, one solve per configuration', () => {
+        const subshells = getGroundStateSubshells(3);
+        expect(selfConsistentModelKey(3, subshells)).toBe('scf:3:10^2 20^1');
+        expect(getSelfConsistentModel(3, subshells)).toBe(undefined);
+
+        let solves = 0;
+        const solve = (Z, shells) => {
+            solves++;
+            return selfConsistentField(Z, shells);
+        };
+        expect(solveSelfConsistentModel(3, subshells, solve)).toBe(solveSelfConsistentModel(3, subshells, solve));
+        expect(solves).toBe(0);
+    });
+});
@@ -0,0 +1,67 @@
+import { describe, it, expect } from './simple-test-runner.js';
+import {
+    seriesLines,
+    seriesLimit,
+    lineLabel,
+    lineOrbitals,
+    wavelengthToRGB
+} from '../src/physics/spectrum.js';
+
+describe('seriesLines', () => {
+    const lines = seriesLines(1, 5);
+    const find = (label) => lines.find(line => line.label === label);
+
+    it('should give the hydrogen Lyman-α and Balmer-α wavelengths', () => {
+        // Infinite nuclear mass: 121.50 and 656.11 nm (vacuum)
+        expect(find('Lyα').wavelength).toBeCloseTo(121.50, 1);
+        expect(find('Hα').wavelength).toBeCloseTo(656.11, 1);
+    });
+
+    it('should list each series up to n_max', () => {
+        expect(lines.filter(line => line.series === 'lyman').length).toBe(4);
+        expect(lines.filter(line => line.series === 'paschen').length).toBe(2);
+    });
+
+    it('should scale wavelengths by 1/Z² for one-electron ions', () => {
+        const helium = seriesLines(2, 3, ['balmer'])[0];
+        expect(helium.wavelength).toBeCloseTo(find('Hα').wavelength / 4, 6);
+    });
+});
+
+describe('seriesLimit', () => {
+    it('should put the Balmer limit at 364.5 nm', () => {
+        expect(seriesLimit(1, 'balmer')).toBeCloseTo(364.5, 1);
+    });
+});
+
+describe('lineLabel', () => {
+    it('should name lines by Greek letter, then by upper level', () => {
+        expect(lineLabel('balmer', 4)).toBe('Hβ');
+        expect(lineLabel('lyman', 9)).toBe('Ly9');
+    });
+});
+
+describe('lineOrbitals', () => {
+    it('should connect a p and an s orbital (Δl = 1)', () => {
+        const { from, to } = lineOrbitals({ nUpper: 3, nLower: 2 });
+        expect(from.n).toBe(3);
+        expect(Math.abs(from.l - to.l)).toBe(1);
+    });
+
+    it('should run upward for absorption', () => {
+        expect(lineOrbitals({ nUpper: 3, nLower: 2 }, true).from.n).toBe(2);
+    });
+});
+
+describe('wavelengthToRGB', () => {
+    it('should color Hα red', () => {
+        const { r, g, b } = wavelengthToRGB(656.3);
+        expect(r).toBe(1);
+        expect(g + b).toBe(0);
+    });
+
+    it('should be black outside the visible band', () => {
+        const { r, g, b } = wavelengthToRGB(121.5);
+        expect(r + g + b).toBe(0);
+    });
+});
@@ -0,0 +1,102 @@
+import { describe, it, expect } from './simple-test-runner.js';
+import { logFactorial } from '../src/physics/radialWaveFunction.js';
+import {
+    sphericalHarmonic,
+    legendrePolynomial,
+    sphericalHarmonicNormalization,
+    normalizedLegendre,
+    complexSphericalHarmonic,
+    angularProbabilityDensity,
+    getOrbitalName,
+    BASES
+} from '../src/physics/sphericalHarmonics.js';
+
+describe('complexSphericalHarmonic', () => {
+    it('should match Y_1^1 = -√(3/8π) sinθ e^{iφ}', () => {
+        const theta = 0.8, phi = 1.1;
+        const amplitude = -Math.sqrt(3 / (8 * Math.PI)) * Math.sin(theta);
+        const { re, im } = complexSphericalHarmonic(1, 1, theta, phi);
+        expect(re).toBeCloseTo(amplitude * Math.cos(phi), 10);
+        expect(im).toBeCloseTo(amplitude * Math.sin(phi), 10);
+    });
+
+    it('should satisfy Y_l^{-m} = (-1)^m conj(Y_l^m)', () => {
+        const plus = complexSphericalHarmonic(3, 1, 0.4, 2.0);
+        const minus = complexSphericalHarmonic(3, -1, 0.4, 2.0);
+        expect(minus.re).toBeCloseTo(-plus.re, 10);
+        expect(minus.im).toBeCloseTo(plus.im, 10);
+    });
+
+    it('should have an axially symmetric density for m ≠ 0', () => {
+        const a = angularProbabilityDensity(2, 1, 0.9, 0.2, BASES.COMPLEX);
+        const b = angularProbabilityDensity(2, 1, 0.9, 2.7, BASES.COMPLEX);
+        expect(a).toBeCloseTo(b, 10);
+    });
+
+    it('should give the same total subshell density as the real basis', () => {
+        // Unsöld's theorem: Σ_m |Y_lm|² = (2l+1)/4π in either basis
+        let real = 0, complex = 0;
+        for (let m = -2; m <= 2; m++) {
+            real += angularProbabilityDensity(2, m, 0.7, 1.3, BASES.REAL);
+            complex += angularProbabilityDensity(2, m, 0.7, 1.3, BASES.COMPLEX);
+        }
+        expect(real).toBeCloseTo(5 / (4 * Math.PI), 10);
+        expect(complex).toBeCloseTo(5 / (4 * Math.PI), 10);
+    });
+
+    it('should obey Unsöld\'s theorem up to the i orbitals', () => {
+        for (const l of [4, 5, 6]) {
+            let real = 0;
+            for (let m = -l; m <= l; m++) {
+                real += angularProbabilityDensity(l, m, 1.2, 0.5, BASES.REAL);
+            }
+            expect(real).toBeCloseTo((2 * l + 1) / (4 * Math.PI), 10);
+        }
+    });
+});
+
+describe('getOrbitalName', () => {
+    it('should label complex orbitals by m', () => {
+        expect(getOrbitalName(2, 1, -1, BASES.COMPLEX)).toBe('2p(m=−1)');
+        expect(getOrbitalName(3, 2, 2, BASES.COMPLEX)).toBe('3d(m=+2)');
+        expect(getOrbitalName(1, 0, 0, BASES.COMPLEX)).toBe('1s');
+    });
+
+    it('should keep Cartesian labels for real orbitals', () => {
+        expect(getOrbitalName(3, 2, 1)).toBe('3d(xz)');
+    });
+
+    it('should name g, h and i orbitals', () => {
+        expect(getOrbitalName(5, 4, 0)).toBe('5g');
+        expect(getOrbitalName(6, 5, -3, BASES.COMPLEX)).toBe('6h(m=−3)');
+        expect(getOrbitalName(7, 6, 6)).toBe('7i');
+    });
+});
+
+describe('normalizedLegendre', () => {
+    it('should equal N_lm P_l^m for low l', () => {
+        for (const [l, m, x] of [[2, 1, 0.3], [5, 3, -0.6], [7, 0, 0.9]]) {
+            expect(normalizedLegendre(l, m, x))
+                .toBeCloseTo(sphericalHarmonicNormalization(l, m) * legendrePolynomial(l, m, x), 10);
+        }
+    });
+
+    it('should match the closed form of Y_l^l for large l', () => {
+        // |Y_l^l| = √((2l+1)!/4π) sin^l θ / (2^l l!)
+        const l = 120;
+        const theta = 1.3;
+        const log = 0.5 * (logFactorial(2 * l + 1) - Math.log(4 * Math.PI))
+            + l * Math.log(Math.sin(theta)) - l * Math.LN2 - logFactorial(l);
+        expect(Math.abs(normalizedLegendre(l, l, Math.cos(theta))) / Math.exp(log)).toBeCloseTo(1, 10);
+    });
+
+    it('should keep Unsöld\'s theorem for Rydberg l', () => {
+        const l = 60;
+        let sum = 0;
+        for (let m = -l; m <= l; m++) {
+            const Y = sphericalHarmonic(l, m, 0.8, 2.2);
+            sum += Y * Y;
+        }
+        expect(sum).toBeCloseTo((2 * l + 1) / (4 * Math.PI), 10);
+    });
+});
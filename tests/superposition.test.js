@@ -0,0 +1,88 @@
+import { describe, it, expect } from './simple-test-runner.js';
+import {
+    createSuperposition,
+    bohrPeriod,
+    hydrogenEnergy,
+    superpositionDensity,
+    averageDensity,
+    evaluateComponents,
+    combineComponents,
+    createTransition,
+    amplitudesAt
+} from '../src/physics/superposition.js';
+
+const state = createSuperposition([{ n: 1, l: 0, m: 0 }, { n: 2, l: 1, m: 0 }], 1);
+
+describe('createSuperposition', () => {
+    it('should normalize the amplitudes', () => {
+        const norm = state.components.reduce((sum, { c }) => sum + c * c, 0);
+        expect(norm).toBeCloseTo(1, 10);
+    });
+
+    it('should assign hydrogen-like energies', () => {
+        expect(hydrogenEnergy(2, 1)).toBeCloseTo(-0.125, 10);
+        expect(state.components[1].energy).toBeCloseTo(-0.125, 10);
+    });
+});
+
+describe('bohrPeriod', () => {
+    it('should equal 2π / ΔE for 1s + 2p', () => {
+        expect(bohrPeriod(state)).toBeCloseTo(2 * Math.PI / 0.375, 8);
+    });
+
+    it('should be infinite for degenerate components', () => {
+        const degenerate = createSuperposition([{ n: 2, l: 0, m: 0 }, { n: 2, l: 1, m: 0 }], 1);
+        expect(bohrPeriod(degenerate)).toBe(Infinity);
+    });
+});
+
+describe('superpositionDensity', () => {
+    const T = bohrPeriod(state);
+    const up = (t) => superpositionDensity(state, 1.5, 0, 0, t);
+    const down = (t) => superpositionDensity(state, 1.5, Math.PI, 0, t);
+
+    it('should be periodic with the Bohr period', () => {
+        expect(up(T)).toBeCloseTo(up(0), 8);
+    });
+
+    it('should move charge from +z to -z after half a period', () => {
+        expect(up(0) > down(0)).toBe(true);
+        expect(up(T / 2)).toBeCloseTo(down(0), 8);
+    });
+
+    it('should average to the incoherent sum over a period', () => {
+        const average = (up(0) + up(T / 2)) / 2;
+        expect(average).toBeCloseTo(averageDensity(state, 1.5, 0, 0), 8);
+    });
+});
+
+describe('combineComponents', () => {
+    it('should match the direct evaluation', () => {
+        const positions = new Float32Array([0, 0, 1.5, 0.5, -0.3, 0.8]);
+        const values = evaluateComponents(state, positions);
+        const psi = combineComponents(state, values, 2, 7.3);
+        const density = psi[0] * psi[0] + psi[1] * psi[1];
+        expect(density).toBeCloseTo(superpositionDensity(state, 1.5, 0, 0, 7.3), 5);
+    });
+});
+
+describe('createTransition', () => {
+    const transition = createTransition({ n: 2, l: 1, m: 0 }, { n: 1, l: 0, m: 0 }, 1);
+    const { duration } = transition.transition;
+
+    it('should move all amplitude from the initial to the final orbital', () => {
+        expect(amplitudesAt(transition, 0)[0]).toBe(1);
+        expect(amplitudesAt(transition, duration)[1]).toBeCloseTo(1, 10);
+        expect(amplitudesAt(transition, 2 * duration)[1]).toBeCloseTo(1, 10);
+    });
+
+    it('should end in the final orbital', () => {
+        const final = createSuperposition([{ n: 1, l: 0, m: 0 }], 1);
+        expect(superpositionDensity(transition, 0.8, 1, 0, duration))
+            .toBeCloseTo(superpositionDensity(final, 0.8, 1, 0, 0), 10);
+    });
+
+    it('should reject transitions within one level', () => {
+        expect(createTransition({ n: 2, l: 1, m: 0 }, { n: 2, l: 0, m: 0 }, 1)).toBe(null);
+    });
+});
@@ -0,0 +1,105 @@
+import { describe, it, expect } from './simple-test-runner.js';
+import {
+    microstates,
+    microstateTable,
+    subshellTerms,
+    groundTerm,
+    termLetter,
+    formatHalfInteger,
+    unpairedElectrons,
+    spinOnlyMoment
+} from '../src/physics/termSymbols.js';
+import { getGroundStateSubshells } from '../src/data/elements.js';
+
+const labels = (terms) => terms.map(({ S, L, count }) => `${count > 1 ? count : ''}${2 * S + 1}${termLetter(L)}`).join(' ');
+const symbol = ({ multiplicity, letter, J }) => `${multiplicity}${letter}${formatHalfInteger(J)}`;
+
+describe('microstates', () => {
+    it('should count the Pauli-allowed arrangements', () => {
+        expect(microstates(1, 2).length).toBe(15);
+        expect(microstates(2, 3).length).toBe(120);
+        expect(microstates(3, 7).length).toBe(3432);
+    });
+
+    it('should tabulate p² by M_L and M_S', () => {
+        const { ML, MS, counts, total } = microstateTable(1, 2);
+        expect(ML.join(',')).toBe('2,1,0,-1,-2');
+        expect(MS.join(',')).toBe('1,0,-1');
+        expect(counts[0].join(',')).toBe('0,1,0');
+        expect(counts[2].join(',')).toBe('1,3,1');
+        expect(total).toBe(15);
+    });
+});
+
+describe('subshellTerms', () => {
+    it('should find the terms of p² and p³', () => {
+        expect(labels(subshellTerms(1, 2))).toBe('3P 1D 1S');
+        expect(labels(subshellTerms(1, 3))).toBe('4S 2D 2P');
+    });
+
+    it('should find the terms of d³ including the repeated ²D', () => {
+        expect(labels(subshellTerms(2, 3))).toBe('4F 4P 2H 2G 2F 22D 2P');
+    });
+
+    it('should account for every microstate', () => {
+        for (const [l, electrons] of [[2, 4], [2, 5], [3, 3]]) {
+            const states = subshellTerms(l, electrons)
+                .reduce((sum, { L, S, count }) => sum + count * (2 * L + 1) * (2 * S + 1), 0);
+            expect(states).toBe(microstates(l, electrons).length);
+        }
+    });
+
+    it('should list the J levels of each term', () => {
+        const [triplet] = subshellTerms(1, 2);
+        expect(triplet.J.join(',')).toBe('0,1,2');
+    });
+});
+
+describe('groundTerm', () => {
+    const ground = (Z, charge = 0) => symbol(groundTerm(getGroundStateSubshells(Z, charge)));
+
+    it('should apply Hund\'s rules to one open subshell', () => {
+        expect(ground(1)).toBe('2S1/2');
+        expect(ground(6)).toBe('3P0');
+        expect(ground(7)).toBe('4S3/2');
+        expect(ground(8)).toBe('3P2');
+        expect(ground(26)).toBe('5D4');
+        expect(ground(28)).toBe('3F4');
+    });
+
+    it('should give ¹S₀ for closed shells', () => {
+        expect(ground(10)).toBe('1S0');
+        expect(ground(11, 1)).toBe('1S0');
+    });
+
+    it('should combine several open subshells', () => {
+        expect(ground(24)).toBe('7S3');
+        expect(ground(64)).toBe('9D2');
+    });
+
+    it('should follow the configuration of ions', () => {
+        // Fe²⁺ is 3d⁶, Cu²⁺ is 3d⁹
+        expect(ground(26, 2)).toBe('5D4');
+        expect(ground(29, 2)).toBe('2D5/2');
+        // Eu³⁺ is [Xe]4f⁶
+        expect(ground(63, 3)).toBe('7F0');
+    });
+});
+
+describe('unpairedElectrons', () => {
+    const unpaired = (Z, charge = 0) => unpairedElectrons(getGroundStateSubshells(Z, charge));
+
+    it('should count the unpaired spins of the Hund ground state', () => {
+        expect(unpaired(2)).toBe(0);
+        expect(unpaired(8)).toBe(2);
+        expect(unpaired(24)).toBe(6);
+        expect(unpaired(26, 3)).toBe(5);
+        expect(unpaired(29, 2)).toBe(1);
+    });
+
+    it('should give the spin-only moment in Bohr magnetons', () => {
+        expect(spinOnlyMoment(0)).toBe(0);
+        expect(spinOnlyMoment(1)).toBeCloseTo(1.732, 3);
+        expect(spinOnlyMoment(5)).toBeCloseTo(5.916, 3);
+    });
+});